@@ -9,12 +9,40 @@ const config = {
     
     // JWT configuration
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    jwtExpiration: '24h',
+    // Short-lived access tokens, renewed with rotating refresh tokens
+    jwtExpiration: '15m',
+    refreshTokenExpirationDays: 30,
+    // One-time tokens sent by email
+    actionTokens: {
+        passwordResetExpiration: '1h',
+        emailVerificationExpiration: '24h'
+    },
+    
+    // Mail configuration - transport: 'smtp', 'file' or 'console'
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console',
+        from: process.env.MAIL_FROM || 'Anti-Fake News <no-reply@anti-fake-news.local>',
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD
+        },
+        // Directory used by the file transport
+        outputDir: process.env.MAIL_OUTPUT_DIR || 'logs/mail'
+    },
+    
+    // Frontend base URL, used for links in emails
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
     
     // File upload configuration
     uploadPath: 'uploads',
     maxFileSize: 5 * 1024 * 1024, // 5MB
     allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    maxFilesPerUpload: 5,
+    // Public URL prefix under which uploaded files are served
+    uploadUrlPrefix: '/uploads',
     
     // CORS configuration
     corsOptions: {
@@ -55,7 +83,213 @@ const config = {
         // Minimum votes threshold for automatic news verification
         minVotesForDecision: 10,
         // Fake news determination threshold (percentage)
-        fakeNewsThreshold: 0.6 // News considered fake if more than 60% vote it as fake
+        fakeNewsThreshold: 0.6, // News considered fake if more than 60% vote it as fake
+        // Verdict engine - policy: 'majority', 'wilson' or 'bayesian'
+        verdict: {
+            policy: process.env.VERDICT_POLICY || 'wilson',
+            confidenceLevel: 0.95,
+            // Beta prior of the bayesian policy (uniform)
+            prior: { fake: 1, notFake: 1 },
+            // Upper limit when searching for the votes needed to decide
+            maxVotesNeeded: 1000
+        },
+        // Stop users from changing or retracting votes once an administrator froze the verdict
+        lockVoteChangesWhenFrozen: true,
+        // Reputation weighting: score = maxWeight * (correct + 1) / (resolved + 2), so new users start at 1
+        reputation: {
+            minWeight: 0.2,
+            maxWeight: 2
+        }
+    },
+    
+    // Comment threads
+    comments: {
+        // Replies can be nested this many levels below a top-level comment
+        maxDepth: 3,
+        // Replies returned with each top-level comment in the thread list
+        replyPreviewCount: 2,
+        // Comments an admin can delete or restore in one batch request
+        maxBatchSize: 100
+    },
+    
+    // User reports of news and comments
+    reports: {
+        // News or comments are hidden once this many users reported them (until an admin resolves the reports)
+        hideThreshold: Number(process.env.REPORT_HIDE_THRESHOLD) || 5,
+        // Maximum length of the reporter's note
+        maxNoteLength: 500
+    },
+    
+    // News revision history
+    revisions: {
+        // What happens to existing votes when an edit changes the content substantially:
+        // 'flag' marks the news, 'reset' removes the votes so users vote on the new text, 'none' does nothing
+        votePolicy: process.env.NEWS_EDIT_VOTE_POLICY || 'flag',
+        // Share of changed words (0-1) from which an edit counts as substantial
+        substantialChangeRatio: 0.3,
+        // Upper limit of the word diff table (words of the old text x words of the new text, after
+        // removing the common beginning and end); larger changes are shown as a full replacement
+        maxDiffCells: 4000000
+    },
+    
+    // Trash of deleted news
+    trash: {
+        // Days a deleted news item stays in the trash before it is purged with its votes, comments and images
+        retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+        // News purged per query when purging expired items
+        purgeBatchSize: 50
+    },
+    
+    // Audit log of administrative actions
+    audit: {
+        // Maximum number of entries in one CSV export
+        maxExportRows: Number(process.env.AUDIT_MAX_EXPORT_ROWS) || 10000
+    },
+    
+    // Real-time news events (Server-Sent Events)
+    events: {
+        // Recent events kept per news item, replayed to clients reconnecting with Last-Event-ID
+        historySize: 100,
+        // News items with a replay history, the least recently active ones are dropped first
+        maxHistoryChannels: 1000,
+        // Comment line sent on idle streams so proxies do not close them (milliseconds)
+        heartbeatInterval: 25000,
+        // Reconnection delay suggested to clients (milliseconds)
+        retryInterval: 3000
+    },
+    
+    // Outgoing webhooks for partner integrations
+    webhooks: {
+        // Delivery attempts per event before the delivery is marked as failed
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+        // Delay before the first retry, doubled after every failed attempt (milliseconds)
+        retryBaseDelay: 30000,
+        // Upper limit of the retry delay (milliseconds)
+        retryMaxDelay: 3600000,
+        // Time allowed for the receiver to respond (milliseconds)
+        requestTimeout: 10000,
+        // Characters of the response body kept in the delivery log
+        maxResponseBodyLength: 1000,
+        // Due deliveries sent per run of the retry script
+        retryBatchSize: 100
+    },
+    
+    // Admin analytics
+    analytics: {
+        // Days covered when no date range is given
+        defaultDays: 30,
+        // Longest date range of one request (days)
+        maxDays: 366,
+        // Time zone used to group events by day (IANA name or UTC offset such as +08:00)
+        timezone: process.env.ANALYTICS_TIMEZONE || 'UTC',
+        // Rows of the top authors and top voters lists
+        defaultTopLimit: 10,
+        maxTopLimit: 50
+    },
+    
+    // Author credibility, derived from the final statuses of the author's news
+    credibility: {
+        // A verdict counts half as much after this many days
+        halfLifeDays: 180,
+        // Authors with fewer decided news are shown as unrated
+        minDecidedNews: 3,
+        // Score (0-1) from which the author badge is high or below which it is low
+        highThreshold: 0.75,
+        lowThreshold: 0.4,
+        // Latest submissions listed on a public profile
+        recentSubmissions: 5
+    },
+    
+    // Topic tags curated by administrators
+    tags: {
+        // Tags an author can attach to one news item
+        maxPerNews: 5,
+        // Levels of the category tree (a top-level topic is level 1)
+        maxDepth: 3,
+        // Synonyms per tag
+        maxSynonyms: 20,
+        // Suggestions returned by the autocomplete endpoint
+        autocompleteLimit: 10
+    },
+    
+    // Source links of news and the reputation of the cited domains
+    sources: {
+        // Links an author can cite in one news item
+        maxUrlsPerNews: 5,
+        maxUrlLength: 2000,
+        // Query parameters removed from links (a trailing * matches any parameter with that prefix)
+        trackingParams: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', 'ref_src', 'spm'],
+        // Host prefixes removed so that www.example.com and m.example.com count as example.com
+        strippedHostPrefixes: ['www.', 'm.', 'mobile.', 'amp.'],
+        // Domains cited by fewer decided news are shown as unrated
+        minDecidedNews: 3,
+        // Share of Not Fake verdicts (0-1) from which a domain is reliable or below which it has a poor record
+        highThreshold: 0.75,
+        lowThreshold: 0.4,
+        // Latest news listed on a domain page
+        recentNews: 10
+    },
+    
+    // Near-duplicate detection of submitted news (MinHash fingerprints of character shingles)
+    duplicates: {
+        // Characters per shingle
+        shingleSize: 3,
+        // Hash functions per fingerprint, split into bands of equal size for the candidate lookup;
+        // changing these values requires running npm run fingerprint:news
+        numHashes: 64,
+        bands: 16,
+        // Estimated similarity (0-1) from which news is reported as a likely duplicate
+        minSimilarity: 0.5,
+        // Candidates compared per check, likely duplicates returned
+        maxCandidates: 100,
+        maxResults: 5
+    },
+    
+    // Related news on the detail page (TF-IDF cosine similarity of title and content)
+    related: {
+        // Title terms count this many times
+        titleWeight: 2,
+        // Most frequent terms stored per news item
+        maxTermsPerNews: 100,
+        // Highest weighted terms of a news item used to look up candidates
+        queryTerms: 20,
+        // Decided news compared per request
+        maxCandidates: 200,
+        // Cosine similarity (0-1) from which news is related
+        minSimilarity: 0.1,
+        defaultLimit: 5,
+        maxLimit: 20
+    },
+    
+    // Advisory pre-screening of submissions by a naive Bayes classifier trained on community verdicts;
+    // the score is shown beside the votes and never changes the status
+    classifier: {
+        // Word n-grams up to this length are features (Chinese text is already cut into character bigrams)
+        ngramSize: 2,
+        // Laplace smoothing of feature counts
+        smoothing: 1,
+        // Features seen in fewer training news are dropped, at most maxVocabulary most frequent are kept
+        minFeatureNews: 2,
+        maxVocabulary: 20000,
+        // Decided news needed for training, and the share held out to measure accuracy
+        minTrainingNews: 20,
+        holdoutRatio: 0.2,
+        // Contributing terms returned with a score
+        topTerms: 5,
+        // Trained models kept for comparison
+        keepModels: 5,
+        // A job still running after this many minutes was abandoned by a crashed script and is failed and requeued
+        jobTimeoutMinutes: 60
+    },
+    
+    // News full-text search
+    search: {
+        // Longer queries are truncated before parsing
+        maxQueryLength: 200,
+        // Maximum number of terms and phrases taken from a query
+        maxTerms: 12,
+        // Length of the highlighted content snippet (characters)
+        snippetLength: 160
     },
     
     // API path prefix
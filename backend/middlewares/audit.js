@@ -0,0 +1,67 @@
+const AuditService = require('../services/auditService');
+
+/**
+ * Record an administrative action in the audit log (must run after authenticate)
+ * The target state is captured before the route handler runs and again when it sends a successful JSON response;
+ * the entry is written before the response goes out, failed requests are not recorded.
+ * @param {string} action - Dotted action name, e.g. 'news.status.update'
+ * @param {Object} options - Options
+ * @param {string|Function} options.targetType - Target type, or a function of the request returning it
+ * @param {Function} options.targetIds - Function of the request returning the target ID or an array of IDs
+ * @param {Function} options.when - Function of the request deciding whether the action is audited (defaults to always)
+ * @returns {Function} Express middleware
+ */
+const auditAction = (action, options = {}) => {
+    const {
+        targetType = null,
+        targetIds = () => [],
+        when = () => true
+    } = options;
+    
+    return async (req, res, next) => {
+        try {
+            if (!req.user || !when(req)) {
+                return next();
+            }
+            
+            const type = typeof targetType === 'function' ? targetType(req) : targetType;
+            const ids = [...new Set([].concat(targetIds(req) || []).filter(Boolean).map(String))];
+            const before = await AuditService.takeSnapshots(type, ids);
+            
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode >= 400) {
+                    return originalJson(body);
+                }
+                
+                AuditService.takeSnapshots(type, ids)
+                    .then(after => AuditService.record({
+                        actor: req.user,
+                        action,
+                        targetType: type,
+                        targetIds: ids,
+                        before,
+                        after,
+                        metadata: AuditService.sanitizeMetadata(req.body),
+                        ip: req.ip || null,
+                        userAgent: req.get('User-Agent') || null
+                    }))
+                    .catch(error => {
+                        // The action already happened, a failed audit write must not turn it into an error response
+                        console.error(`❌ Failed to write audit log for ${action}:`, error);
+                    })
+                    .finally(() => originalJson(body));
+                
+                return res;
+            };
+            
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = {
+    auditAction
+};
@@ -1,18 +1,21 @@
 const jwt = require('jsonwebtoken');
 const { User, ROLES } = require('../models/User');
+const SessionService = require('../services/sessionService');
 const config = require('../config/config');
 
 /**
- * Generate JWT token
+ * Generate JWT access token
  * @param {Object} user - User object
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
     return jwt.sign(
         {
             id: user._id,
             email: user.email,
-            role: user.role
+            role: user.role,
+            sid: sessionId
         },
         config.jwtSecret,
         {
@@ -37,6 +40,29 @@ const verifyToken = (token) => {
     });
 };
 
+/**
+ * Resolve the user and session behind an access token
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { user, decoded, session }
+ */
+const resolveToken = async (token) => {
+    // Validate token
+    const decoded = await verifyToken(token);
+    
+    // The session must still be active, this is what makes logout and revocation effective
+    const session = await SessionService.getActiveSession(decoded.sid, decoded.id);
+    if (!session) {
+        const error = new Error('Session has expired or been revoked');
+        error.name = 'SessionRevokedError';
+        throw error;
+    }
+    
+    // Get user information
+    const user = await User.findById(decoded.id);
+    
+    return { user, decoded, session };
+};
+
 /**
  * Authentication middleware - Verify if user is logged in
  */
@@ -52,11 +78,7 @@ const authenticate = async (req, res, next) => {
             });
         }
         
-        // Validate token
-        const decoded = await verifyToken(token);
-        
-        // Get user information
-        const user = await User.findById(decoded.id);
+        const { user, decoded, session } = await resolveToken(token);
         
         if (!user) {
             return res.status(401).json({
@@ -68,6 +90,7 @@ const authenticate = async (req, res, next) => {
         // Attach user information to request object
         req.user = user;
         req.userToken = decoded;
+        req.authSession = session;
         
         next();
     } catch (error) {
@@ -78,6 +101,13 @@ const authenticate = async (req, res, next) => {
             });
         }
         
+        if (error.name === 'SessionRevokedError') {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
         return res.status(401).json({
             success: false,
             message: 'Authentication failed: ' + error.message
@@ -138,16 +168,13 @@ const optionalAuthenticate = async (req, res, next) => {
             return next();
         }
         
-        // Validate token
-        const decoded = await verifyToken(token);
-        
-        // Get user information
-        const user = await User.findById(decoded.id);
+        const { user, decoded, session } = await resolveToken(token);
         
         if (user) {
             // Attach user information to request object
             req.user = user;
             req.userToken = decoded;
+            req.authSession = session;
         }
         
         next();
@@ -167,6 +194,58 @@ const isAdmin = authorize(ROLES.ADMINISTRATOR);
  */
 const isMemberOrAdmin = authorize(ROLES.MEMBER);
 
+/**
+ * Require a verified email address (must run after authenticate)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Please log in first'
+        });
+    }
+    
+    if (!req.user.isEmailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first'
+        });
+    }
+    
+    next();
+};
+
+/**
+ * Check whether a user can see content hidden after reports, only its author and administrators can
+ * @param {Object} content - News or comment document
+ * @param {string} authorField - Field holding the author (possibly populated)
+ * @param {Object|null} user - Current user
+ * @returns {boolean} Whether the content is visible
+ */
+const canViewContent = (content, authorField, user) => {
+    if (!content.isHidden) {
+        return true;
+    }
+    const authorId = content[authorField]?._id || content[authorField];
+    return Boolean(user) && (authorId?.toString() === user._id.toString() || user.role === ROLES.ADMINISTRATOR);
+};
+
+/**
+ * Check whether a user can see a news item (news hidden after reports only by its author and administrators)
+ * @param {Object} news - News document
+ * @param {Object|null} user - Current user
+ * @returns {boolean} Whether the news is visible
+ */
+const canViewNews = (news, user) => canViewContent(news, 'authorId', user);
+
+/**
+ * Check whether a user can see a comment (comments hidden after reports only by their author and administrators)
+ * @param {Object} comment - Comment document
+ * @param {Object|null} user - Current user
+ * @returns {boolean} Whether the comment is visible
+ */
+const canViewComment = (comment, user) => canViewContent(comment, 'userId', user);
+
 /**
  * Check resource ownership
  * @param {string} resourceType - Resource type
@@ -224,5 +303,8 @@ module.exports = {
     optionalAuthenticate,
     isAdmin,
     isMemberOrAdmin,
-    checkOwnership
+    requireVerifiedEmail,
+    checkOwnership,
+    canViewNews,
+    canViewComment
 };
\ No newline at end of file
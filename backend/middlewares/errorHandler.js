@@ -59,6 +59,18 @@ const paginatedResponse = (items, total, page, pageSize, pageCount, message = 'Q
     };
 };
 
+/**
+ * Create an error carrying an HTTP status, answered with that status by the global error handler
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error object
+ */
+const httpError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
 /**
  * 404 error handling middleware
  */
@@ -150,6 +162,7 @@ module.exports = {
     errorResponse,
     successResponse,
     paginatedResponse,
+    httpError,
     notFoundHandler,
     globalErrorHandler,
     logger
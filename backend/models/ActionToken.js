@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Token purpose enumeration
+const TOKEN_PURPOSES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification'
+};
+
+// ActionToken model Schema - tracks issued one-time tokens so they can only be used once
+const actionTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID cannot be empty']
+    },
+    purpose: {
+        type: String,
+        enum: Object.values(TOKEN_PURPOSES),
+        required: [true, 'Token purpose cannot be empty']
+    },
+    // Unique token identifier (JWT "jti" claim)
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+actionTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+// Let MongoDB remove expired tokens
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method: Atomically mark a token as used, returns null if it was already used
+actionTokenSchema.statics.consume = async function(jti, purpose) {
+    return await this.findOneAndUpdate(
+        {
+            jti,
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: Date.now() },
+        { new: true }
+    );
+};
+
+// Static method: Invalidate outstanding tokens of a user for a purpose
+actionTokenSchema.statics.invalidateOutstanding = async function(userId, purpose) {
+    return await this.updateMany(
+        { userId, purpose, usedAt: null },
+        { usedAt: Date.now() }
+    );
+};
+
+// Create action token model
+const ActionToken = mongoose.model('ActionToken', actionTokenSchema);
+
+// Export model and constants
+module.exports = {
+    ActionToken,
+    TOKEN_PURPOSES
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Audit log model Schema - append-only record of administrative actions
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Actor ID cannot be empty']
+    },
+    // Copied so the entry stays readable when the account changes or is removed
+    actorEmail: {
+        type: String,
+        default: null
+    },
+    // Dotted action name, e.g. 'news.status.update'
+    action: {
+        type: String,
+        required: [true, 'Action cannot be empty'],
+        trim: true
+    },
+    targetType: {
+        type: String,
+        default: null
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Target state before and after the action (null when it did not exist)
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Request parameters of the action
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries can only be inserted: reject saving an existing document and every update or delete query
+const rejectChange = function(next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+    auditLogSchema.pre(operation, rejectChange);
+});
+
+// Build the query conditions of the audit log filters
+const buildQuery = (filters = {}) => {
+    const query = {};
+    
+    ['actorId', 'targetType', 'targetId'].forEach(field => {
+        if (filters[field]) {
+            query[field] = filters[field];
+        }
+    });
+    
+    // An action name also matches the actions below it ('news' matches 'news.delete')
+    if (filters.action) {
+        const escaped = filters.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.action = new RegExp(`^${escaped}(\\.|$)`);
+    }
+    
+    if (filters.dateFrom || filters.dateTo) {
+        query.createdAt = {};
+        if (filters.dateFrom) query.createdAt.$gte = filters.dateFrom;
+        if (filters.dateTo) query.createdAt.$lte = filters.dateTo;
+    }
+    
+    return query;
+};
+
+// Static method: Get a page of audit log entries (newest first)
+auditLogSchema.statics.getLogs = async function(filters = {}, options = {}) {
+    const {
+        page = 1,
+        pageSize = 20
+    } = options;
+    
+    const query = buildQuery(filters);
+    
+    // Calculate total count
+    const total = await this.countDocuments(query);
+    
+    const logs = await this.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean();
+    
+    return {
+        logs,
+        total,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
+// Static method: Get a cursor over the matching entries (newest first) for exports
+auditLogSchema.statics.cursorLogs = function(filters = {}, limit = 0) {
+    return this.find(buildQuery(filters))
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .lean()
+        .cursor();
+};
+
+// Create audit log model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Export model
+module.exports = {
+    AuditLog
+};
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Training job status enumeration
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// ClassifierJob model Schema - a request to retrain the pre-screening classifier, run by the train:classifier script
+const classifierJobSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: Object.values(JOB_STATUS),
+        default: JOB_STATUS.QUEUED
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Model trained by the job and number of pending news re-scored with it
+    modelId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClassifierModel',
+        default: null
+    },
+    scored: {
+        type: Number,
+        default: null
+    },
+    // Reason of a failed job, e.g. too few news with a community verdict
+    error: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+classifierJobSchema.index({ status: 1, createdAt: 1 });
+// At most one queued job, concurrent training requests share it
+classifierJobSchema.index(
+    { status: 1 },
+    { unique: true, partialFilterExpression: { status: JOB_STATUS.QUEUED } }
+);
+
+// Create classifier job model
+const ClassifierJob = mongoose.model('ClassifierJob', classifierJobSchema);
+
+// Export model and constants
+module.exports = {
+    ClassifierJob,
+    JOB_STATUS
+};
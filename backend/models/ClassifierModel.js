@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// ClassifierModel model Schema - a naive Bayes model trained on news with a final verdict (see ClassifierService)
+const classifierModelSchema = new mongoose.Schema({
+    // Only the active model scores news, training a new model replaces it
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    trainedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    trainedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Training news per class
+    fakeNews: {
+        type: Number,
+        required: true
+    },
+    notFakeNews: {
+        type: Number,
+        required: true
+    },
+    // Sum of the feature counts per class
+    fakeFeatureTotal: {
+        type: Number,
+        required: true
+    },
+    notFakeFeatureTotal: {
+        type: Number,
+        required: true
+    },
+    // Feature -> [news with the feature among Fake news, among Not Fake news]
+    features: {
+        type: Map,
+        of: [Number],
+        select: false
+    },
+    vocabularySize: {
+        type: Number,
+        default: 0
+    },
+    // Accuracy on the held-out news, measured before the model was trained on all news
+    metrics: {
+        trainingSize: Number,
+        holdoutSize: Number,
+        accuracy: Number,
+        baselineAccuracy: Number,
+        fakePrecision: Number,
+        fakeRecall: Number,
+        confusion: {
+            truePositive: Number,
+            falsePositive: Number,
+            trueNegative: Number,
+            falseNegative: Number
+        }
+    }
+});
+
+classifierModelSchema.index({ isActive: 1, trainedAt: -1 });
+
+// Create classifier model
+const ClassifierModel = mongoose.model('ClassifierModel', classifierModelSchema);
+
+// Export model
+module.exports = {
+    ClassifierModel
+};
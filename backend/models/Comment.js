@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const UploadService = require('../services/uploadService');
+const NewsEventService = require('../services/newsEventService');
+const NotificationService = require('../services/notificationService');
+const config = require('../config/config');
 
 // Comment model Schema
 const commentSchema = new mongoose.Schema({
@@ -19,10 +23,43 @@ const commentSchema = new mongoose.Schema({
         minlength: [1, 'Comment content must be at least 1 character'],
         maxlength: [1000, 'Comment content cannot exceed 1000 characters']
     },
-    images: [{
-        type: String,
-        trim: true
-    }],
+    images: {
+        type: [{
+            type: String,
+            trim: true
+        }],
+        validate: {
+            validator: UploadService.validateImageUrls,
+            message: 'Images must be uploaded through the upload API'
+        }
+    },
+    // Comment this is a reply to (null for top-level comments)
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // Nesting level, 0 for top-level comments
+    depth: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Number of visible direct replies (deleted replies without replies of their own are not counted)
+    replyCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Hidden automatically after too many user reports, until an administrator resolves them
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
     isDeleted: {
         type: Boolean,
         default: false
@@ -46,18 +83,144 @@ const commentSchema = new mongoose.Schema({
     }
 });
 
+commentSchema.index({ newsId: 1, parentId: 1, createdAt: -1 });
+
+// Deleted comments stay in threads as tombstones while they still have replies
+const VISIBLE_CONDITION = { $or: [{ isDeleted: false }, { replyCount: { $gt: 0 } }] };
+
+/**
+ * Format a comment for API responses
+ * @param {Object} comment - Lean comment with populated userId and deletedBy
+ * @param {Object} options - Options
+ * @param {boolean} options.maskDeleted - Hide content of deleted and reported-hidden comments (thread views)
+ * @returns {Object} Formatted comment
+ */
+const formatComment = (comment, { maskDeleted = false } = {}) => {
+    const formatted = {
+        ...comment,
+        userName: comment.userId ? `${comment.userId.firstName} ${comment.userId.lastName}` : 'Unknown User',
+        deletedByUserName: comment.deletedBy ? `${comment.deletedBy.firstName} ${comment.deletedBy.lastName}` : null,
+        userId: comment.userId?._id || comment.userId,
+        deletedBy: comment.deletedBy?._id || comment.deletedBy
+    };
+    
+    if (maskDeleted && (comment.isDeleted || comment.isHidden)) {
+        formatted.content = '';
+        formatted.images = [];
+        formatted.userName = null;
+        formatted.userId = null;
+    }
+    
+    return formatted;
+};
+
 // Update time middleware
 commentSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
-// Instance method to delete comment
-commentSchema.methods.deleteComment = function(deletedByUserId) {
+// Instance method to delete comment (replies stay readable under the tombstone)
+commentSchema.methods.deleteComment = async function(deletedByUserId) {
     this.isDeleted = true;
     this.deletedBy = deletedByUserId;
     this.deletedAt = Date.now();
-    return this.save();
+    await this.save();
+    
+    // A deleted comment without replies disappears from its thread, so it no longer counts as a reply
+    if (this.replyCount === 0) {
+        await this.constructor.releaseReplySlot(this.parentId);
+    }
+    
+    NewsEventService.publishCommentDeleted(this);
+    
+    // Deleted by someone other than the author, i.e. by an administrator
+    if (deletedByUserId && deletedByUserId.toString() !== this.userId.toString()) {
+        await NotificationService.notifyCommentDeleted(this, deletedByUserId);
+    }
+    
+    return this;
+};
+
+// Instance method to restore a deleted comment
+commentSchema.methods.restoreComment = async function() {
+    const wasHidden = this.replyCount === 0;
+    
+    this.isDeleted = false;
+    this.deletedBy = null;
+    this.deletedAt = null;
+    await this.save();
+    
+    // A restored comment without replies reappears in its thread and counts as a reply again
+    if (wasHidden) {
+        await this.constructor.claimReplySlot(this.parentId);
+    }
+    
+    NewsEventService.publishCommentRestored(this);
+    return this;
+};
+
+// Static method: Increment reply counts after a reply reappeared, walking up through tombstones that became visible
+commentSchema.statics.claimReplySlot = async function(parentId) {
+    let currentId = parentId;
+    
+    while (currentId) {
+        const parent = await this.findByIdAndUpdate(
+            currentId,
+            { $inc: { replyCount: 1 } },
+            { new: true }
+        );
+        
+        if (!parent || !parent.isDeleted || parent.replyCount > 1) {
+            break;
+        }
+        currentId = parent.parentId;
+    }
+};
+
+// Static method: Decrement reply counts after a reply left its thread, walking up through tombstones that became empty
+commentSchema.statics.releaseReplySlot = async function(parentId) {
+    let currentId = parentId;
+    
+    while (currentId) {
+        const parent = await this.findOneAndUpdate(
+            { _id: currentId, replyCount: { $gt: 0 } },
+            { $inc: { replyCount: -1 } },
+            { new: true }
+        );
+        
+        if (!parent || !parent.isDeleted || parent.replyCount > 0) {
+            break;
+        }
+        currentId = parent.parentId;
+    }
+};
+
+// Static method: Create a reply to a comment
+commentSchema.statics.createReply = async function(parent, data) {
+    if (parent.isDeleted) {
+        const error = new Error('Cannot reply to a deleted comment');
+        error.status = 400;
+        throw error;
+    }
+    
+    if (parent.depth >= config.comments.maxDepth) {
+        const error = new Error(`Replies can be nested at most ${config.comments.maxDepth} levels deep`);
+        error.status = 400;
+        throw error;
+    }
+    
+    const reply = await this.create({
+        ...data,
+        newsId: parent.newsId,
+        parentId: parent._id,
+        depth: parent.depth + 1
+    });
+    
+    await this.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    await NotificationService.notifyReply(reply, parent);
+    
+    return reply;
 };
 
 // Static method: Get comments by news ID (supports pagination)
@@ -65,7 +228,8 @@ commentSchema.statics.getCommentsByNewsId = async function(newsId, options = {})
     const {
         page = 1,
         pageSize = 10,
-        includeDeleted = false
+        includeDeleted = false,
+        includeHidden = false
     } = options;
     
     // Build query conditions
@@ -78,6 +242,11 @@ commentSchema.statics.getCommentsByNewsId = async function(newsId, options = {})
         query.isDeleted = false;
     }
     
+    // Comments hidden after reports are only listed for administrators
+    if (!includeHidden) {
+        query.isHidden = { $ne: true };
+    }
+    
     // Calculate total count
     const total = await this.countDocuments(query);
     
@@ -95,18 +264,62 @@ commentSchema.statics.getCommentsByNewsId = async function(newsId, options = {})
         .lean();
     
     // Format return data
-    const formattedComments = comments.map(comment => {
+    const formattedComments = comments.map(comment => formatComment(comment));
+    
+    return {
+        comments: formattedComments,
+        total,
+        page,
+        pageSize,
+        pageCount
+    };
+};
+
+// Query a page of visible comments (tombstones with replies included)
+const findThreadPage = async (model, query, { skip, limit, sort }) => {
+    return await model.find({ ...query, ...VISIBLE_CONDITION })
+        .populate('userId', 'firstName lastName email avatar')
+        .populate('deletedBy', 'firstName lastName')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean();
+};
+
+// Static method: Get top-level comments of a news item with the first replies of each
+commentSchema.statics.getThreadsByNewsId = async function(newsId, options = {}) {
+    const {
+        page = 1,
+        pageSize = 10,
+        previewCount = config.comments.replyPreviewCount
+    } = options;
+    
+    const query = { newsId, parentId: null };
+    
+    // Calculate total count
+    const total = await this.countDocuments({ ...query, ...VISIBLE_CONDITION });
+    
+    // Calculate pagination parameters
+    const skip = (page - 1) * pageSize;
+    const pageCount = Math.ceil(total / pageSize);
+    
+    // Newest discussions first, replies in the order they were written
+    const comments = await findThreadPage(this, query, { skip, limit: pageSize, sort: { createdAt: -1, _id: -1 } });
+    
+    const threads = await Promise.all(comments.map(async comment => {
+        const replies = comment.replyCount > 0 && previewCount > 0
+            ? await findThreadPage(this, { parentId: comment._id }, { skip: 0, limit: previewCount, sort: { createdAt: 1, _id: 1 } })
+            : [];
+        
         return {
-            ...comment,
-            userName: comment.userId ? `${comment.userId.firstName} ${comment.userId.lastName}` : 'Unknown User',
-            deletedByUserName: comment.deletedBy ? `${comment.deletedBy.firstName} ${comment.deletedBy.lastName}` : null,
-            userId: comment.userId?._id || comment.userId,
-            deletedBy: comment.deletedBy?._id || comment.deletedBy
+            ...formatComment(comment, { maskDeleted: true }),
+            replies: replies.map(reply => formatComment(reply, { maskDeleted: true })),
+            hasMoreReplies: comment.replyCount > replies.length
         };
-    });
+    }));
     
     return {
-        comments: formattedComments,
+        comments: threads,
         total,
         page,
         pageSize,
@@ -114,6 +327,100 @@ commentSchema.statics.getCommentsByNewsId = async function(newsId, options = {})
     };
 };
 
+// Static method: Get a page of direct replies to a comment
+commentSchema.statics.getReplies = async function(parentId, options = {}) {
+    const {
+        page = 1,
+        pageSize = 10
+    } = options;
+    
+    const query = { parentId };
+    
+    // Calculate total count
+    const total = await this.countDocuments({ ...query, ...VISIBLE_CONDITION });
+    
+    // Calculate pagination parameters
+    const skip = (page - 1) * pageSize;
+    const pageCount = Math.ceil(total / pageSize);
+    
+    const replies = await findThreadPage(this, query, { skip, limit: pageSize, sort: { createdAt: 1, _id: 1 } });
+    
+    return {
+        comments: replies.map(reply => formatComment(reply, { maskDeleted: true })),
+        total,
+        page,
+        pageSize,
+        pageCount
+    };
+};
+
+// Sort fields available to the moderation list
+const MODERATION_SORTS = ['createdAt', 'updatedAt', 'deletedAt', 'replyCount'];
+
+// Moderation list status filters
+const MODERATION_STATUSES = ['active', 'deleted', 'all'];
+
+// Static method: Get comments for moderation with filters, plus active/deleted counts for the same filters
+commentSchema.statics.getCommentsForModeration = async function(options = {}) {
+    const {
+        page = 1,
+        pageSize = 20,
+        status = 'active',
+        newsId = null,
+        userId = null,
+        keyword = '',
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+    } = options;
+    
+    // Filters shared by the list and the status counts
+    const baseQuery = {};
+    if (newsId) {
+        baseQuery.newsId = newsId;
+    }
+    if (userId) {
+        baseQuery.userId = userId;
+    }
+    if (keyword) {
+        baseQuery.content = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    
+    const query = { ...baseQuery };
+    if (status !== 'all') {
+        query.isDeleted = status === 'deleted';
+    }
+    
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const skip = (page - 1) * pageSize;
+    
+    const [total, active, deleted, comments] = await Promise.all([
+        this.countDocuments(query),
+        this.countDocuments({ ...baseQuery, isDeleted: false }),
+        this.countDocuments({ ...baseQuery, isDeleted: true }),
+        this.find(query)
+            .populate('userId', 'firstName lastName email')
+            .populate('newsId', 'title')
+            .populate('deletedBy', 'firstName lastName')
+            .sort({ [sortBy]: direction, _id: direction })
+            .skip(skip)
+            .limit(pageSize)
+            .lean()
+    ]);
+    
+    return {
+        comments: comments.map(comment => ({
+            ...formatComment(comment),
+            newsTitle: comment.newsId?.title || null,
+            newsId: comment.newsId?._id || comment.newsId
+        })),
+        counts: { active, deleted },
+        total,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
 // Static method: Get comments by user ID
 commentSchema.statics.getCommentsByUserId = async function(userId, options = {}) {
     const {
@@ -177,4 +484,6 @@ commentSchema.statics.countActiveCommentsByNewsId = async function(newsId) {
 const Comment = mongoose.model('Comment', commentSchema);
 
 // Export model
-module.exports = Comment;
\ No newline at end of file
+module.exports = Comment;
+module.exports.MODERATION_SORTS = MODERATION_SORTS;
+module.exports.MODERATION_STATUSES = MODERATION_STATUSES;
\ No newline at end of file
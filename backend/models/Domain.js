@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Ratings an administrator can give a domain, replacing the rating derived from verdicts
+const DOMAIN_RATINGS = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+// Domain model Schema - a website cited as the source of news, registered the first time it is cited
+const domainSchema = new mongoose.Schema({
+    // Canonical host (see DomainService.canonicalizeHost)
+    host: {
+        type: String,
+        required: [true, 'Domain host cannot be empty'],
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Administrator override of the rating (null uses the rating derived from verdicts)
+    ratingOverride: {
+        type: String,
+        enum: [...Object.values(DOMAIN_RATINGS), null],
+        default: null
+    },
+    overrideNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Override note cannot exceed 500 characters'],
+        default: ''
+    },
+    overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    overriddenAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Create domain model
+const Domain = mongoose.model('Domain', domainSchema);
+
+// Export model and constants
+module.exports = {
+    Domain,
+    DOMAIN_RATINGS
+};
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const UploadService = require('../services/uploadService');
+const VerdictService = require('../services/verdictService');
+const SearchService = require('../services/searchService');
+const FingerprintService = require('../services/fingerprintService');
+const config = require('../config/config');
 
 // News status enumeration
 const NEWS_STATUS = {
@@ -27,15 +32,82 @@ const newsSchema = new mongoose.Schema({
         enum: Object.values(NEWS_STATUS),
         default: NEWS_STATUS.PENDING
     },
+    // Last time the status changed, by votes or by an administrator (null while it never changed)
+    statusChangedAt: {
+        type: Date,
+        default: null
+    },
     authorId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: [true, 'Author ID cannot be empty']
     },
-    images: [{
+    images: {
+        type: [{
+            type: String,
+            trim: true
+        }],
+        validate: {
+            validator: UploadService.validateImageUrls,
+            message: 'Images must be uploaded through the upload API'
+        }
+    },
+    // Topic tags chosen by the author (see Tag)
+    tags: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag'
+    }],
+    // Links to where the claim appeared, normalized (see DomainService.normalizeUrl)
+    sourceUrls: [{
         type: String,
         trim: true
     }],
+    // Canonical hosts of sourceUrls, used for domain reputation
+    sourceDomains: [{
+        type: String,
+        lowercase: true
+    }],
+    // MinHash fingerprint of title and content and its band keys, used to find near-duplicates (see FingerprintService)
+    fingerprint: {
+        type: [Number],
+        select: false
+    },
+    fingerprintBands: {
+        type: [String],
+        select: false
+    },
+    // Term counts of title and content for related news (see RelatedNewsService)
+    terms: {
+        type: [{
+            _id: false,
+            term: String,
+            count: Number
+        }],
+        select: false
+    },
+    // IDs of duplicates merged into this news item, their links lead here
+    mergedIds: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    // Advisory fake probability from the pre-screening classifier (see ClassifierService), never sets the status
+    prescreen: {
+        type: {
+            _id: false,
+            fakeProbability: Number,
+            // Terms that contributed most, positive weights lean towards Fake
+            topTerms: [{
+                _id: false,
+                term: String,
+                weight: Number
+            }],
+            modelId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ClassifierModel'
+            },
+            scoredAt: Date
+        },
+        default: null
+    },
     fakeVoteCount: {
         type: Number,
         default: 0,
@@ -46,6 +118,68 @@ const newsSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Vote totals weighted by each voter's reputation score
+    weightedFakeScore: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    weightedNotFakeScore: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Set by an administrator: votes no longer change the status
+    verdictFrozen: {
+        type: Boolean,
+        default: false
+    },
+    verdictFrozenAt: {
+        type: Date,
+        default: null
+    },
+    verdictFrozenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Hidden automatically after too many user reports, until an administrator resolves them
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    // Number of the current revision (1 until the news is edited, see NewsRevision)
+    revision: {
+        type: Number,
+        default: 1
+    },
+    // Set when the content changed substantially after votes were cast, those votes judged an earlier text
+    contentChangedAfterVotes: {
+        type: Boolean,
+        default: false
+    },
+    contentChangedAt: {
+        type: Date,
+        default: null
+    },
+    // Moved to the trash by an administrator, purged with its votes and comments after the retention period
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -56,12 +190,44 @@ const newsSchema = new mongoose.Schema({
     }
 });
 
+// Full-text index for search, title matches rank higher than content matches
+newsSchema.index(
+    { title: 'text', content: 'text' },
+    { name: 'news_text_search', weights: { title: 3, content: 1 } }
+);
+
+newsSchema.index({ status: 1, statusChangedAt: 1 });
+newsSchema.index({ tags: 1 });
+newsSchema.index({ sourceDomains: 1 });
+newsSchema.index({ fingerprintBands: 1 });
+newsSchema.index({ mergedIds: 1 });
+newsSchema.index({ 'terms.term': 1 });
+
 // Update time middleware
 newsSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
+    if (!this.isNew && this.isModified('status')) {
+        this.statusChangedAt = this.updatedAt;
+    }
+    if (this.isNew || this.isModified('title') || this.isModified('content')) {
+        Object.assign(this, FingerprintService.fingerprint(this.title, this.content));
+    }
     next();
 });
 
+// Trashed news is left out of every read and update, unless the query filters on isDeleted itself or sets
+// the withDeleted option (query.setOptions({ withDeleted: true })); aggregations add the condition explicitly
+const excludeDeleted = function() {
+    if (this.getOptions().withDeleted || this.getFilter().isDeleted !== undefined) {
+        return;
+    }
+    this.where({ isDeleted: { $ne: true } });
+};
+
+['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'].forEach(operation => {
+    newsSchema.pre(operation, excludeDeleted);
+});
+
 // Get total votes method
 newsSchema.methods.getTotalVotes = function() {
     return this.fakeVoteCount + this.notFakeVoteCount;
@@ -73,33 +239,147 @@ newsSchema.methods.getFakeVotePercentage = function() {
     return totalVotes > 0 ? (this.fakeVoteCount / totalVotes) * 100 : 0;
 };
 
-// Update vote counts method
-newsSchema.methods.updateVoteCounts = function(fakeCount, notFakeCount) {
+// Get reputation-weighted fake vote percentage method
+newsSchema.methods.getWeightedFakeVotePercentage = function() {
+    const totalScore = this.weightedFakeScore + this.weightedNotFakeScore;
+    return totalScore > 0 ? (this.weightedFakeScore / totalScore) * 100 : 0;
+};
+
+// Update vote counts method (weighted scores default to the raw counts)
+newsSchema.methods.updateVoteCounts = function(fakeCount, notFakeCount, weightedFakeScore = fakeCount, weightedNotFakeScore = notFakeCount) {
     this.fakeVoteCount = fakeCount;
     this.notFakeVoteCount = notFakeCount;
+    this.weightedFakeScore = weightedFakeScore;
+    this.weightedNotFakeScore = weightedNotFakeScore;
 };
 
-// Update news status based on votes method
-newsSchema.methods.updateStatusBasedOnVotes = function(minVotes = 10, fakeThreshold = 0.6) {
-    const totalVotes = this.getTotalVotes();
+// Evaluate verdict from the stored vote counts method
+newsSchema.methods.evaluateVerdict = function(options = {}) {
+    return VerdictService.evaluate({
+        fakeCount: this.fakeVoteCount,
+        notFakeCount: this.notFakeVoteCount,
+        weightedFakeScore: this.weightedFakeScore,
+        weightedNotFakeScore: this.weightedNotFakeScore
+    }, options);
+};
+
+// Update news status based on votes method (options override the configured verdict policy)
+newsSchema.methods.updateStatusBasedOnVotes = function(options = {}) {
+    this.status = this.evaluateVerdict(options).status;
+    return this.status;
+};
+
+// Check whether users may still change or retract their votes method
+newsSchema.methods.areVoteChangesLocked = function() {
+    return this.verdictFrozen && config.voting.lockVoteChangesWhenFrozen;
+};
+
+// Query matching the vote counts currently stored on a news document (missing fields count as 0)
+const storedCountsFilter = (news) => {
+    const filter = { _id: news._id };
+    ['fakeVoteCount', 'notFakeVoteCount', 'weightedFakeScore', 'weightedNotFakeScore'].forEach(field => {
+        const value = news.get(field) || 0;
+        filter[field] = value === 0 ? { $in: [0, null] } : value;
+    });
+    return filter;
+};
+
+// Static method: Apply a vote count delta atomically and update status from the resulting counts
+newsSchema.statics.applyVoteDelta = async function(newsId, delta, session = null) {
+    const news = await this.findByIdAndUpdate(newsId, {
+        $inc: {
+            fakeVoteCount: delta.fakeCount || 0,
+            notFakeVoteCount: delta.notFakeCount || 0,
+            weightedFakeScore: delta.weightedFakeScore || 0,
+            weightedNotFakeScore: delta.weightedNotFakeScore || 0
+        }
+    }, { new: true, session });
+    
+    if (!news || news.verdictFrozen) {
+        return news;
+    }
     
-    // If vote count reaches threshold, determine news authenticity based on ratio
-    if (totalVotes >= minVotes) {
-        const fakePercentage = this.getFakeVotePercentage();
+    const { status } = news.evaluateVerdict();
+    if (status !== news.status) {
+        // Only write the status if no other vote moved the counts meanwhile, that vote writes its own status
+        const statusChangedAt = new Date();
+        const updated = await this.updateOne(storedCountsFilter(news), { status, statusChangedAt }, { session });
         
-        if (fakePercentage >= fakeThreshold * 100) {
-            this.status = NEWS_STATUS.FAKE;
-        } else {
-            this.status = NEWS_STATUS.NOT_FAKE;
+        if (updated.modifiedCount > 0) {
+            news.status = status;
+            news.statusChangedAt = statusChangedAt;
         }
-    } else {
-        this.status = NEWS_STATUS.PENDING;
     }
     
-    return this.status;
+    return news;
 };
 
-// Static method: Get news list (supports pagination, filtering, searching)
+// Static method: Overwrite vote counts with a fresh tally (compare-and-set against the counts read in news)
+newsSchema.statics.replaceVoteCounts = async function(news, tally, options = {}) {
+    const verdict = VerdictService.evaluate(tally, options);
+    const update = {
+        fakeVoteCount: tally.fakeCount,
+        notFakeVoteCount: tally.notFakeCount,
+        weightedFakeScore: tally.weightedFakeScore,
+        weightedNotFakeScore: tally.weightedNotFakeScore
+    };
+    
+    if (!news.verdictFrozen && verdict.status !== news.status) {
+        update.status = verdict.status;
+        update.statusChangedAt = new Date();
+    }
+    
+    // null when the counts changed after news was read
+    const updatedNews = await this.findOneAndUpdate(storedCountsFilter(news), update, { new: true });
+    
+    return { news: updatedNews, verdict };
+};
+
+// Text index creation, shared by all searches (indexes are not built automatically, see dbService)
+let textIndexReady = null;
+
+// Static method: Make sure the full-text index exists before running a $text query
+newsSchema.statics.ensureTextIndex = function() {
+    if (!textIndexReady) {
+        textIndexReady = this.createIndexes().catch(error => {
+            textIndexReady = null;
+            throw error;
+        });
+    }
+    return textIndexReady;
+};
+
+// Sort stages of the news list sort options (_id keeps pagination stable between equal values)
+const LIST_SORTS = {
+    createdAt: (sortOrder) => ({ createdAt: sortOrder === 'asc' ? 1 : -1, _id: sortOrder === 'asc' ? 1 : -1 }),
+    // score is the text score added to each document of a text search
+    relevance: (sortOrder, textSearch) => textSearch
+        ? { score: -1, createdAt: -1, _id: -1 }
+        : { createdAt: -1, _id: -1 },
+    mostVoted: () => ({ totalVotes: -1, createdAt: -1, _id: -1 }),
+    // Twice the minority side: high for news that is both balanced and heavily voted
+    mostControversial: () => ({ controversy: -1, totalVotes: -1, createdAt: -1, _id: -1 }),
+    mostDiscussed: () => ({ commentCount: -1, createdAt: -1, _id: -1 })
+};
+
+// Pipeline stages adding the number of visible comments as commentCount
+const commentCountStages = () => [
+    {
+        $lookup: {
+            from: 'comments',
+            let: { newsId: '$_id' },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$newsId', '$$newsId'] }, isDeleted: false } },
+                { $count: 'count' }
+            ],
+            as: 'commentStats'
+        }
+    },
+    { $addFields: { commentCount: { $ifNull: [{ $arrayElemAt: ['$commentStats.count', 0] }, 0] } } },
+    { $project: { commentStats: 0 } }
+];
+
+// Static method: Get news list (supports pagination, filtering, searching, sorting and facet counts)
 newsSchema.statics.getNewsList = async function(filters = {}, options = {}) {
     const {
         page = 1,
@@ -108,54 +388,188 @@ newsSchema.statics.getNewsList = async function(filters = {}, options = {}) {
         sortOrder = 'desc'
     } = options;
     
-    // Build query conditions
+    // Conditions shared by results and all facets
     const query = {};
     
-    // Status filtering
-    if (filters.status && filters.status !== 'all') {
-        query.status = filters.status;
+    // Trashed news is never listed (see TrashService for the trash)
+    query.isDeleted = { $ne: true };
+    
+    // News hidden after reports is only listed for administrators
+    if (!filters.includeHidden) {
+        query.isHidden = { $ne: true };
     }
     
     // Author filtering
     if (filters.authorId) {
-        query.authorId = filters.authorId;
+        query.authorId = new mongoose.Types.ObjectId(String(filters.authorId));
+    }
+    
+    // Source domain filtering (canonical host)
+    if (filters.sourceDomain) {
+        query.sourceDomains = filters.sourceDomain;
+    }
+    
+    // Tag filtering: filters.tagIds holds a tag and its subtopics
+    if (filters.tagIds) {
+        query.tags = { $in: filters.tagIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+    
+    // Image filtering
+    if (filters.hasImages === true) {
+        query['images.0'] = { $exists: true };
+    } else if (filters.hasImages === false) {
+        query['images.0'] = { $exists: false };
     }
     
-    // Search functionality
-    if (filters.search) {
-        const searchRegex = new RegExp(filters.search, 'i');
-        query.$or = [
-            { title: searchRegex },
-            { content: searchRegex }
-        ];
+    // Activity filtering: news the given user voted on or commented on
+    const activityIds = [];
+    if (filters.votedBy) {
+        const { Vote } = require('./Vote');
+        activityIds.push(await Vote.distinct('newsId', { userId: filters.votedBy }));
+    }
+    if (filters.commentedBy) {
+        const Comment = require('./Comment');
+        activityIds.push(await Comment.distinct('newsId', { userId: filters.commentedBy, isDeleted: false }));
+    }
+    if (activityIds.length > 0) {
+        query.$and = activityIds.map(ids => ({ _id: { $in: ids } }));
     }
     
-    // Calculate total count
-    const total = await this.countDocuments(query);
+    // Search functionality: ranked $text search, exclusion-only queries fall back to filtering
+    const parsedSearch = filters.search ? SearchService.parseQuery(filters.search) : null;
+    const textSearch = parsedSearch && SearchService.hasPositiveTerms(parsedSearch);
     
-    // Calculate pagination parameters
+    if (textSearch) {
+        await this.ensureTextIndex();
+        query.$text = { $search: SearchService.toTextSearch(parsedSearch) };
+    } else if (parsedSearch) {
+        Object.assign(query, SearchService.toExclusionCondition(parsedSearch, ['title', 'content']));
+    }
+    
+    // Conditions on derived vote figures
+    const voteQuery = {};
+    if (filters.minVotes != null || filters.maxVotes != null) {
+        voteQuery.totalVotes = {};
+        if (filters.minVotes != null) voteQuery.totalVotes.$gte = filters.minVotes;
+        if (filters.maxVotes != null) voteQuery.totalVotes.$lte = filters.maxVotes;
+    }
+    // News without votes has no fake percentage and never matches a percentage range
+    if (filters.minFakePercentage != null || filters.maxFakePercentage != null) {
+        voteQuery.fakePercentage = { $ne: null };
+        if (filters.minFakePercentage != null) voteQuery.fakePercentage.$gte = filters.minFakePercentage;
+        if (filters.maxFakePercentage != null) voteQuery.fakePercentage.$lte = filters.maxFakePercentage;
+    }
+    
+    // Status and date conditions are left out of their own facet, so the counts show the alternatives
+    const statusQuery = filters.status && filters.status !== 'all' ? { status: filters.status } : {};
+    const dateQuery = {};
+    if (filters.dateFrom || filters.dateTo) {
+        dateQuery.createdAt = {};
+        if (filters.dateFrom) dateQuery.createdAt.$gte = filters.dateFrom;
+        if (filters.dateTo) dateQuery.createdAt.$lte = filters.dateTo;
+    }
+    const listQuery = { ...statusQuery, ...dateQuery };
+    
+    const sortStage = (LIST_SORTS[sortBy] || LIST_SORTS.createdAt)(sortOrder, textSearch);
     const skip = (page - 1) * pageSize;
-    const pageCount = Math.ceil(total / pageSize);
     
-    // Build sort object
-    const sortObject = {};
-    sortObject[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Comment counts are needed before sorting only when sorting by them
+    const resultStages = sortBy === 'mostDiscussed'
+        ? [...commentCountStages(), { $sort: sortStage }, { $skip: skip }, { $limit: pageSize }]
+        : [{ $sort: sortStage }, { $skip: skip }, { $limit: pageSize }, ...commentCountStages()];
     
-    // Query data
-    const news = await this.find(query)
-        .populate('authorId', 'firstName lastName email')
-        .sort(sortObject)
-        .skip(skip)
-        .limit(pageSize)
-        .lean();
+    const [result] = await this.aggregate([
+        { $match: query },
+        {
+            $addFields: {
+                ...(textSearch ? { score: { $meta: 'textScore' } } : {}),
+                totalVotes: { $add: [{ $ifNull: ['$fakeVoteCount', 0] }, { $ifNull: ['$notFakeVoteCount', 0] }] }
+            }
+        },
+        {
+            $addFields: {
+                fakePercentage: {
+                    $cond: [
+                        { $gt: ['$totalVotes', 0] },
+                        { $multiply: [{ $divide: [{ $ifNull: ['$fakeVoteCount', 0] }, '$totalVotes'] }, 100] },
+                        null
+                    ]
+                },
+                controversy: {
+                    $multiply: [2, { $min: [{ $ifNull: ['$fakeVoteCount', 0] }, { $ifNull: ['$notFakeVoteCount', 0] }] }]
+                }
+            }
+        },
+        { $match: voteQuery },
+        {
+            $facet: {
+                news: [
+                    { $match: listQuery },
+                    ...resultStages,
+                    // Aggregations ignore select: false, leave out the duplicate detection and related news index fields
+                    { $project: { fingerprint: 0, fingerprintBands: 0, terms: 0 } },
+                    {
+                        $lookup: {
+                            from: 'users',
+                            let: { authorId: '$authorId' },
+                            pipeline: [
+                                { $match: { $expr: { $eq: ['$_id', '$$authorId'] } } },
+                                { $project: { firstName: 1, lastName: 1, email: 1 } }
+                            ],
+                            as: 'author'
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: 'tags',
+                            let: { tagIds: { $ifNull: ['$tags', []] } },
+                            pipeline: [
+                                { $match: { $expr: { $in: ['$_id', '$$tagIds'] } } },
+                                { $project: { name: 1, slug: 1 } }
+                            ],
+                            as: 'tags'
+                        }
+                    }
+                ],
+                total: [
+                    { $match: listQuery },
+                    { $count: 'count' }
+                ],
+                status: [
+                    { $match: dateQuery },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ],
+                month: [
+                    { $match: statusQuery },
+                    { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+                    { $sort: { _id: -1 } }
+                ]
+            }
+        }
+    ]);
+    
+    const total = result.total[0]?.count || 0;
+    const pageCount = Math.ceil(total / pageSize);
     
     // Format return data
-    const formattedNews = news.map(item => {
-        return {
+    const formattedNews = result.news.map(({ author: [author], ...item }) => {
+        const formatted = {
             ...item,
-            authorName: item.authorId ? `${item.authorId.firstName} ${item.authorId.lastName}` : 'Unknown User',
-            authorId: item.authorId?._id || item.authorId
+            fakePercentage: item.fakePercentage === null ? null : Math.round(item.fakePercentage * 10) / 10,
+            authorName: author ? `${author.firstName} ${author.lastName}` : 'Unknown User'
         };
+        
+        if (parsedSearch) {
+            formatted.highlights = SearchService.highlight(item, parsedSearch);
+        }
+        
+        return formatted;
+    });
+    
+    // Every status is listed, also when no news has it
+    const statusFacet = Object.fromEntries(Object.values(NEWS_STATUS).map(status => [status, 0]));
+    result.status.forEach(({ _id, count }) => {
+        statusFacet[_id] = count;
     });
     
     return {
@@ -163,7 +577,11 @@ newsSchema.statics.getNewsList = async function(filters = {}, options = {}) {
         total,
         page,
         pageSize,
-        pageCount
+        pageCount,
+        facets: {
+            status: statusFacet,
+            month: result.month.map(({ _id, count }) => ({ month: _id, count }))
+        }
     };
 };
 
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// What happened to existing votes when an edit changed the content substantially
+const VOTE_EDIT_POLICIES = {
+    NONE: 'none',
+    FLAG: 'flag',
+    RESET: 'reset'
+};
+
+// News revision model Schema - one document per saved version of a news item (revision 1 is the original)
+const newsRevisionSchema = new mongoose.Schema({
+    newsId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'News',
+        required: [true, 'News ID cannot be empty']
+    },
+    revision: {
+        type: Number,
+        required: [true, 'Revision number cannot be empty'],
+        min: 1
+    },
+    title: {
+        type: String,
+        required: [true, 'News title cannot be empty']
+    },
+    content: {
+        type: String,
+        required: [true, 'News content cannot be empty']
+    },
+    images: {
+        type: [String],
+        default: []
+    },
+    editorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Editor ID cannot be empty']
+    },
+    // Share of changed words compared with the previous revision (null for the original)
+    changeRatio: {
+        type: Number,
+        default: null
+    },
+    // Valid votes on the news when the revision was saved
+    votesAtEdit: {
+        type: Number,
+        default: 0
+    },
+    // Policy applied to those votes (null when the edit was not substantial or there were no votes)
+    votePolicy: {
+        type: String,
+        enum: [...Object.values(VOTE_EDIT_POLICIES), null],
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+newsRevisionSchema.index({ newsId: 1, revision: 1 }, { unique: true });
+
+// Static method: Get the revision list of a news item, without the full texts (oldest first)
+newsRevisionSchema.statics.getRevisions = async function(newsId) {
+    return await this.find({ newsId })
+        .select('-content')
+        .sort({ revision: 1 })
+        .populate('editorId', 'firstName lastName')
+        .lean();
+};
+
+// Static method: Get one revision of a news item
+newsRevisionSchema.statics.getRevision = async function(newsId, revision) {
+    return await this.findOne({ newsId, revision })
+        .populate('editorId', 'firstName lastName')
+        .lean();
+};
+
+// Create news revision model
+const NewsRevision = mongoose.model('NewsRevision', newsRevisionSchema);
+
+// Export model and constants
+module.exports = {
+    NewsRevision,
+    VOTE_EDIT_POLICIES
+};
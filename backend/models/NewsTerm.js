@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// NewsTerm model Schema - number of news containing a term, the document frequency of the related news TF-IDF index
+const newsTermSchema = new mongoose.Schema({
+    term: {
+        type: String,
+        required: [true, 'Term cannot be empty'],
+        unique: true
+    },
+    docCount: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Create news term model
+const NewsTerm = mongoose.model('NewsTerm', newsTermSchema);
+
+// Export model
+module.exports = {
+    NewsTerm
+};
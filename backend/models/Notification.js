@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Notification types, each can be switched off in the user's preferences
+const NOTIFICATION_TYPES = {
+    // The status of the user's news changed
+    NEWS_STATUS: 'news_status',
+    // Someone replied to the user's comment
+    COMMENT_REPLY: 'comment_reply',
+    // An administrator deleted the user's comment
+    COMMENT_DELETED: 'comment_deleted',
+    // An administrator changed the user's role
+    ROLE_CHANGED: 'role_changed',
+    // An administrator invalidated the user's vote
+    VOTE_INVALIDATED: 'vote_invalidated'
+};
+
+// Notification model Schema
+const notificationSchema = new mongoose.Schema({
+    // Recipient
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID cannot be empty']
+    },
+    type: {
+        type: String,
+        enum: Object.values(NOTIFICATION_TYPES),
+        required: [true, 'Notification type cannot be empty']
+    },
+    // User who caused the notification, null for changes made by the system (e.g. a verdict reached by votes)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    newsId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'News',
+        default: null
+    },
+    commentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // Details used to render the notification (statuses, roles, the news title when it was sent)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
+// Static method: Get a page of a user's notifications, newest first
+notificationSchema.statics.getUserNotifications = async function(userId, options = {}) {
+    const {
+        page = 1,
+        pageSize = 20,
+        unreadOnly = false
+    } = options;
+    
+    const query = { userId };
+    if (unreadOnly) {
+        query.isRead = false;
+    }
+    
+    const [total, unreadCount, items] = await Promise.all([
+        this.countDocuments(query),
+        this.countUnread(userId),
+        this.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * pageSize)
+            .limit(pageSize)
+            .populate('actorId', 'firstName lastName')
+            .lean()
+    ]);
+    
+    return {
+        items,
+        total,
+        unreadCount,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
+// Static method: Count a user's unread notifications
+notificationSchema.statics.countUnread = async function(userId) {
+    return await this.countDocuments({ userId, isRead: false });
+};
+
+// Static method: Mark one of a user's notifications as read, null if the user has no such notification
+notificationSchema.statics.markRead = async function(userId, notificationId) {
+    const notification = await this.findOne({ _id: notificationId, userId });
+    if (!notification || notification.isRead) {
+        return notification;
+    }
+    
+    notification.isRead = true;
+    notification.readAt = Date.now();
+    return await notification.save();
+};
+
+// Static method: Mark all of a user's notifications as read, returns the number of changed notifications
+notificationSchema.statics.markAllRead = async function(userId) {
+    const result = await this.updateMany(
+        { userId, isRead: false },
+        { isRead: true, readAt: Date.now() }
+    );
+    return result.modifiedCount;
+};
+
+// Create notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// Export model and constants
+module.exports = {
+    Notification,
+    NOTIFICATION_TYPES
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Reportable content types
+const REPORT_TARGETS = {
+    NEWS: 'news',
+    COMMENT: 'comment'
+};
+
+// Report reason categories
+const REPORT_REASONS = {
+    SPAM: 'spam',
+    ABUSE: 'abuse',
+    HARASSMENT: 'harassment',
+    MISINFORMATION: 'misinformation',
+    OFF_TOPIC: 'off_topic',
+    OTHER: 'other'
+};
+
+// Report status enumeration
+const REPORT_STATUS = {
+    OPEN: 'open',
+    RESOLVED: 'resolved'
+};
+
+// Report model Schema - one report per reporter and target while it is open
+const reportSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: Object.values(REPORT_TARGETS),
+        required: [true, 'Target type cannot be empty']
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Target ID cannot be empty']
+    },
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Reporter ID cannot be empty']
+    },
+    reason: {
+        type: String,
+        enum: Object.values(REPORT_REASONS),
+        required: [true, 'Report reason cannot be empty']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [config.reports.maxNoteLength, `Note cannot exceed ${config.reports.maxNoteLength} characters`],
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: Object.values(REPORT_STATUS),
+        default: REPORT_STATUS.OPEN
+    },
+    // Resolution that closed this report
+    resolutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReportResolution',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reportSchema.index({ targetType: 1, targetId: 1, status: 1, reporterId: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+// Concurrent reports of one user cannot both be filed while a report is open
+reportSchema.index(
+    { targetType: 1, targetId: 1, reporterId: 1 },
+    { unique: true, partialFilterExpression: { status: REPORT_STATUS.OPEN } }
+);
+
+// Static method: File a report unless the reporter already has an open report on the target
+// Returns { report, created }
+reportSchema.statics.fileReport = async function({ targetType, targetId, reporterId, reason, note = '' }) {
+    const filter = { targetType, targetId, reporterId, status: REPORT_STATUS.OPEN };
+    
+    try {
+        const result = await this.findOneAndUpdate(
+            filter,
+            { $setOnInsert: { reason, note, createdAt: Date.now() } },
+            { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+        );
+        
+        return {
+            report: result.value,
+            created: !result.lastErrorObject.updatedExisting
+        };
+    } catch (error) {
+        // A concurrent report of the same user was inserted first
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return {
+            report: await this.findOne(filter),
+            created: false
+        };
+    }
+};
+
+// Static method: Count open reports of a target
+reportSchema.statics.countOpenReports = async function(targetType, targetId) {
+    return await this.countDocuments({ targetType, targetId, status: REPORT_STATUS.OPEN });
+};
+
+// Static method: Get open reports grouped by target, most reported first (or oldest first)
+reportSchema.statics.getQueue = async function(options = {}) {
+    const {
+        page = 1,
+        pageSize = 20,
+        targetType = null,
+        sortBy = 'reportCount'
+    } = options;
+    
+    const match = { status: REPORT_STATUS.OPEN };
+    if (targetType) {
+        match.targetType = targetType;
+    }
+    
+    const sortStage = sortBy === 'oldest'
+        ? { firstReportedAt: 1, _id: 1 }
+        : { reportCount: -1, firstReportedAt: 1 };
+    
+    const [result] = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { targetType: '$targetType', targetId: '$targetId' },
+                reportCount: { $sum: 1 },
+                reasons: { $push: '$reason' },
+                firstReportedAt: { $min: '$createdAt' },
+                lastReportedAt: { $max: '$createdAt' }
+            }
+        },
+        {
+            $facet: {
+                items: [
+                    { $sort: sortStage },
+                    { $skip: (page - 1) * pageSize },
+                    { $limit: pageSize }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+    
+    const total = result.total[0]?.count || 0;
+    
+    return {
+        items: result.items.map(({ _id, reasons, ...item }) => ({
+            targetType: _id.targetType,
+            targetId: _id.targetId,
+            ...item,
+            // Number of reports per reason
+            reasons: reasons.reduce((counts, reason) => {
+                counts[reason] = (counts[reason] || 0) + 1;
+                return counts;
+            }, {})
+        })),
+        total,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
+// Create report model
+const Report = mongoose.model('Report', reportSchema);
+
+// Export model and constants
+module.exports = {
+    Report,
+    REPORT_TARGETS,
+    REPORT_REASONS,
+    REPORT_STATUS
+};
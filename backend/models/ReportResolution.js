@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { REPORT_TARGETS } = require('./Report');
+
+// Moderation actions an administrator can take on reported content
+const RESOLUTION_ACTIONS = {
+    DISMISS: 'dismiss',
+    DELETE: 'delete',
+    WARN: 'warn'
+};
+
+// Report resolution model Schema - append-only history of how reported content was handled
+const reportResolutionSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: Object.values(REPORT_TARGETS),
+        required: [true, 'Target type cannot be empty']
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Target ID cannot be empty']
+    },
+    // Author of the reported content
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: Object.values(RESOLUTION_ACTIONS),
+        required: [true, 'Action cannot be empty']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Note cannot exceed 1000 characters'],
+        default: ''
+    },
+    // Number of open reports closed by this resolution
+    reportCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Resolver ID cannot be empty']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reportResolutionSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+reportResolutionSchema.index({ authorId: 1, action: 1 });
+
+// Static method: Get resolution history (newest first)
+reportResolutionSchema.statics.getHistory = async function(filters = {}, options = {}) {
+    const {
+        page = 1,
+        pageSize = 20
+    } = options;
+    
+    // Build query conditions
+    const query = {};
+    ['targetType', 'targetId', 'authorId', 'action'].forEach(field => {
+        if (filters[field]) {
+            query[field] = filters[field];
+        }
+    });
+    
+    // Calculate total count
+    const total = await this.countDocuments(query);
+    
+    const resolutions = await this.find(query)
+        .populate('resolvedBy', 'firstName lastName')
+        .populate('authorId', 'firstName lastName email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean();
+    
+    return {
+        resolutions,
+        total,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
+// Create report resolution model
+const ReportResolution = mongoose.model('ReportResolution', reportResolutionSchema);
+
+// Export model and constants
+module.exports = {
+    ReportResolution,
+    RESOLUTION_ACTIONS
+};
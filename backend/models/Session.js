@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Session revocation reasons
+const REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    USER_REVOKED: 'user_revoked',
+    PASSWORD_CHANGED: 'password_changed',
+    ROLE_CHANGED: 'role_changed',
+    TOKEN_REUSE: 'token_reuse'
+};
+
+// Session model Schema - one document per logged-in device
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID cannot be empty']
+    },
+    // SHA-256 hash of the current refresh token secret, the raw token is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hash of the token that was rotated out, used to detect replay of a leaked token
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    // Number of times the refresh token has been rotated
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: [...Object.values(REVOKE_REASONS), null],
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke session
+sessionSchema.methods.revoke = function(reason = REVOKE_REASONS.LOGOUT) {
+    this.revokedAt = Date.now();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// Static method: Get active sessions of a user
+sessionSchema.statics.getActiveSessions = async function(userId) {
+    return await this.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+// Static method: Revoke all active sessions of a user
+sessionSchema.statics.revokeUserSessions = async function(userId, reason, exceptSessionId = null) {
+    const query = {
+        userId,
+        revokedAt: null
+    };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    return await this.updateMany(query, {
+        revokedAt: Date.now(),
+        revokedReason: reason
+    });
+};
+
+// Create session model
+const Session = mongoose.model('Session', sessionSchema);
+
+// Export model and constants
+module.exports = {
+    Session,
+    REVOKE_REASONS
+};
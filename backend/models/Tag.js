@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Tag model Schema - a topic in the administrator curated category tree (e.g. health > vaccines)
+const tagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name cannot be empty'],
+        trim: true,
+        minlength: [2, 'Tag name must be at least 2 characters'],
+        maxlength: [50, 'Tag name cannot exceed 50 characters']
+    },
+    // URL form of the name, unique across tags
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters'],
+        default: ''
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag',
+        default: null
+    },
+    // Path from the top-level topic down to the parent, kept in sync when a tag is moved
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag'
+    }],
+    // Other terms that find this tag (stored in lower case), e.g. "covid" for "COVID-19"
+    synonyms: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, 'Synonyms cannot exceed 50 characters']
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tagSchema.index({ parentId: 1 });
+tagSchema.index({ ancestors: 1 });
+tagSchema.index({ synonyms: 1 });
+
+// Update time middleware
+tagSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Create tag model
+const Tag = mongoose.model('Tag', tagSchema);
+
+// Export model
+module.exports = {
+    Tag
+};
@@ -8,6 +8,9 @@ const ROLES = {
     ADMINISTRATOR: 'Administrator'
 };
 
+// Profile privacy settings, all on by default
+const PRIVACY_SETTINGS = ['showSubmissions', 'showVotingAccuracy', 'showJoinDate'];
+
 // User model Schema
 const userSchema = new mongoose.Schema({
     firstName: {
@@ -48,6 +51,61 @@ const userSchema = new mongoose.Schema({
         enum: Object.values(ROLES),
         default: ROLES.READER
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Voting reputation, updated when news the user voted on reaches a final status
+    reputation: {
+        // Weight applied to the user's votes
+        score: {
+            type: Number,
+            default: 1
+        },
+        // Settled votes that matched the final news status
+        correctVotes: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Votes on news that reached a final status
+        resolvedVotes: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Warnings issued by administrators when resolving reports of the user's content
+    warningCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Notification types the user switched on or off (types not listed are on)
+    notificationPreferences: {
+        type: Map,
+        of: Boolean,
+        default: {}
+    },
+    // Parts of the public profile other users may see (the user and administrators always see everything)
+    privacy: {
+        showSubmissions: {
+            type: Boolean,
+            default: true
+        },
+        showVotingAccuracy: {
+            type: Boolean,
+            default: true
+        },
+        showJoinDate: {
+            type: Boolean,
+            default: true
+        }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -108,5 +166,6 @@ const User = mongoose.model('User', userSchema);
 // Export model and constants
 module.exports = {
     User,
-    ROLES
+    ROLES,
+    PRIVACY_SETTINGS
 };
\ No newline at end of file
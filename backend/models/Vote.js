@@ -27,9 +27,35 @@ const voteSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Only votes cast while the news was still pending affect reputation,
+    // otherwise users could farm reputation by agreeing with a visible verdict
+    countsTowardReputation: {
+        type: Boolean,
+        default: true
+    },
+    // Voter's reputation score when the vote was cast, so count updates can be applied as exact deltas
+    weight: {
+        type: Number,
+        min: 0
+    },
+    // Number of times the vote result was changed
+    changeCount: {
+        type: Number,
+        default: 0
+    },
+    // Final news status this vote was last scored against in the voter's reputation (null = not scored)
+    settledOutcome: {
+        type: String,
+        enum: [...Object.values(VOTE_RESULTS), null],
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
@@ -53,69 +79,122 @@ voteSchema.statics.getUserVote = async function(userId, newsId) {
     });
 };
 
-// Static method to get news vote statistics
-voteSchema.statics.getNewsVoteStats = async function(newsId) {
-    const votes = await this.find({
-        newsId,
-        isInvalid: false
-    });
+// Static method to get vote tallies of several news items in one aggregation (raw counts and weighted scores)
+voteSchema.statics.getVoteTallies = async function(newsIds) {
+    const ids = newsIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    
+    const groups = await this.aggregate([
+        { $match: { newsId: { $in: ids }, isInvalid: false } },
+        // Older votes without a stored weight use the voter's current score
+        {
+            $lookup: {
+                from: 'users',
+                let: { voterId: '$userId', storedWeight: '$weight' },
+                pipeline: [
+                    { $match: { $expr: { $and: [{ $eq: ['$_id', '$$voterId'] }, { $in: [{ $type: '$$storedWeight' }, ['missing', 'null']] }] } } },
+                    { $project: { _id: 0, score: '$reputation.score' } }
+                ],
+                as: 'voter'
+            }
+        },
+        {
+            $group: {
+                _id: { newsId: '$newsId', voteResult: '$voteResult' },
+                count: { $sum: 1 },
+                // Votes of deleted users keep the default weight
+                weight: { $sum: { $ifNull: ['$weight', { $ifNull: [{ $arrayElemAt: ['$voter.score', 0] }, 1] }] } }
+            }
+        }
+    ]).allowDiskUse(true);
     
-    let fakeCount = 0;
-    let notFakeCount = 0;
+    const round = value => Math.round(value * 1000) / 1000;
+    const tallies = new Map(ids.map(id => [id.toString(), {
+        fakeCount: 0,
+        notFakeCount: 0,
+        weightedFakeScore: 0,
+        weightedNotFakeScore: 0
+    }]));
     
-    votes.forEach(vote => {
-        if (vote.voteResult === VOTE_RESULTS.FAKE) {
-            fakeCount++;
-        } else if (vote.voteResult === VOTE_RESULTS.NOT_FAKE) {
-            notFakeCount++;
+    groups.forEach(group => {
+        const tally = tallies.get(group._id.newsId.toString());
+        if (group._id.voteResult === VOTE_RESULTS.FAKE) {
+            tally.fakeCount += group.count;
+            tally.weightedFakeScore += group.weight;
+        } else if (group._id.voteResult === VOTE_RESULTS.NOT_FAKE) {
+            tally.notFakeCount += group.count;
+            tally.weightedNotFakeScore += group.weight;
         }
     });
     
-    return {
-        fakeCount,
-        notFakeCount,
-        totalCount: fakeCount + notFakeCount
-    };
+    tallies.forEach(tally => {
+        tally.totalCount = tally.fakeCount + tally.notFakeCount;
+        tally.weightedFakeScore = round(tally.weightedFakeScore);
+        tally.weightedNotFakeScore = round(tally.weightedNotFakeScore);
+        tally.weightedTotalScore = round(tally.weightedFakeScore + tally.weightedNotFakeScore);
+    });
+    
+    return tallies;
+};
+
+// Static method to get news vote statistics, counted in the database instead of loading every vote
+voteSchema.statics.getNewsVoteStats = async function(newsId) {
+    const tallies = await this.getVoteTallies([newsId]);
+    return tallies.get(String(newsId));
 };
 
-// Static method to invalidate a vote
-voteSchema.statics.invalidateVote = async function(voteId) {
-    return await this.findByIdAndUpdate(voteId, {
-        isInvalid: true
-    }, { new: true });
+// Static method to invalidate a vote (returns null if the vote does not exist or is already invalid)
+voteSchema.statics.invalidateVote = async function(voteId, session = null) {
+    return await this.findOneAndUpdate({ _id: voteId, isInvalid: false }, {
+        isInvalid: true,
+        updatedAt: Date.now()
+    }, { new: true, session });
 };
 
-// Static method to recalculate news votes and update news status
+// Static method to recalculate news votes from the vote collection and update news status
 voteSchema.statics.recalculateNewsVotes = async function(newsId, options = {}) {
-    const { minVotes = 10, fakeThreshold = 0.6 } = options;
-    
     try {
         // Import News model (to avoid circular dependency)
         const { News } = require('./News');
         
-        // Get vote statistics
-        const voteStats = await this.getNewsVoteStats(newsId);
-        
-        // Update news vote counts
-        const news = await News.findById(newsId);
-        if (!news) {
-            throw new Error('News not found');
+        // Counts are written only if no vote changed them meanwhile, retry a few times under load
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const news = await News.findById(newsId);
+            if (!news) {
+                throw new Error('News not found');
+            }
+            
+            // Get vote statistics
+            const voteStats = await this.getNewsVoteStats(newsId);
+            
+            // Replace counts and update status (a frozen verdict keeps its status)
+            const { news: updatedNews, verdict } = await News.replaceVoteCounts(news, voteStats, options);
+            if (!updatedNews) {
+                continue;
+            }
+            
+            // Update voters' reputation for the (possibly changed) status
+            const ReputationService = require('../services/reputationService');
+            const reputation = await ReputationService.settleNewsVotes(newsId, updatedNews.status);
+            
+            // Push the new counts to clients watching the news, tell the author and webhooks when the status changed
+            const NewsEventService = require('../services/newsEventService');
+            const NotificationService = require('../services/notificationService');
+            const WebhookService = require('../services/webhookService');
+            NewsEventService.publishVoteChange(updatedNews, news.status);
+            await NotificationService.notifyStatusChange(updatedNews, news.status);
+            await WebhookService.dispatchStatusChange(updatedNews, news.status);
+            
+            return {
+                success: true,
+                newsId,
+                voteStats,
+                newStatus: updatedNews.status,
+                verdict,
+                reputation
+            };
         }
         
-        news.updateVoteCounts(voteStats.fakeCount, voteStats.notFakeCount);
-        
-        // Update status based on vote results
-        const newStatus = news.updateStatusBasedOnVotes(minVotes, fakeThreshold);
-        
-        // Save news
-        await news.save();
-        
-        return {
-            success: true,
-            newsId,
-            voteStats,
-            newStatus
-        };
+        throw new Error('Vote counts changed during recalculation, please retry');
     } catch (error) {
         return {
             success: false,
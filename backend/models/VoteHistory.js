@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { VOTE_RESULTS } = require('./Vote');
+
+// Vote history action enumeration
+const VOTE_ACTIONS = {
+    CAST: 'cast',
+    CHANGE: 'change',
+    RETRACT: 'retract',
+    // Removed because the news content changed substantially after the vote
+    RESET: 'reset'
+};
+
+// Vote history model Schema - append-only log of a user's vote changes,
+// kept separately so it survives retracted (deleted) votes
+const voteHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID cannot be empty']
+    },
+    newsId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'News',
+        required: [true, 'News ID cannot be empty']
+    },
+    voteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vote',
+        required: [true, 'Vote ID cannot be empty']
+    },
+    action: {
+        type: String,
+        enum: Object.values(VOTE_ACTIONS),
+        required: [true, 'Action cannot be empty']
+    },
+    // Vote result before the action (null for a new vote)
+    fromResult: {
+        type: String,
+        enum: [...Object.values(VOTE_RESULTS), null],
+        default: null
+    },
+    // Vote result after the action (null for a retracted vote)
+    toResult: {
+        type: String,
+        enum: [...Object.values(VOTE_RESULTS), null],
+        default: null
+    },
+    // News status when the action happened
+    newsStatus: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+voteHistorySchema.index({ newsId: 1, userId: 1, createdAt: -1 });
+
+// Static method: Record a vote action (optionally inside a transaction session)
+voteHistorySchema.statics.record = async function(vote, action, fromResult, toResult, newsStatus = null, session = null) {
+    const [entry] = await this.create([{
+        userId: vote.userId,
+        newsId: vote.newsId,
+        voteId: vote._id,
+        action,
+        fromResult,
+        toResult,
+        newsStatus
+    }], { session });
+    return entry;
+};
+
+// Static method: Get a user's vote history for a news item
+voteHistorySchema.statics.getUserNewsHistory = async function(userId, newsId) {
+    return await this.find({ userId, newsId }).sort({ createdAt: 1 });
+};
+
+// Create vote history model
+const VoteHistory = mongoose.model('VoteHistory', voteHistorySchema);
+
+// Export model and constants
+module.exports = {
+    VoteHistory,
+    VOTE_ACTIONS
+};
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+    // News reached a final status (Fake or Not Fake), by votes or by an administrator
+    NEWS_VERDICT: 'news.verdict',
+    // News status changed, including back to Pending
+    NEWS_STATUS_CHANGED: 'news.status_changed',
+    // An administrator set the status of a news item
+    NEWS_MODERATED: 'news.moderated',
+    // News moved to the trash, restored from it or permanently deleted
+    NEWS_TRASHED: 'news.trashed',
+    NEWS_RESTORED: 'news.restored',
+    NEWS_PURGED: 'news.purged',
+    // A duplicate news item was merged into a canonical one
+    NEWS_MERGED: 'news.merged',
+    // An administrator deleted or restored a comment
+    COMMENT_MODERATED: 'comment.moderated',
+    // News or a comment was hidden because enough users reported it
+    CONTENT_HIDDEN: 'content.hidden',
+    // An administrator resolved the open reports of news or a comment
+    REPORT_RESOLVED: 'report.resolved',
+    // An administrator marked a vote as invalid
+    VOTE_INVALIDATED: 'vote.invalidated'
+};
+
+// Event sent by the "send test event" action, delivered whatever the webhook subscribed to
+const TEST_EVENT = 'webhook.test';
+
+// Webhook model Schema - an endpoint of a partner that receives signed event payloads
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'URL cannot be empty'],
+        trim: true
+    },
+    // Subscribed events
+    events: {
+        type: [{
+            type: String,
+            enum: Object.values(WEBHOOK_EVENTS)
+        }],
+        validate: [events => events.length > 0, 'At least one event is required']
+    },
+    // Shared secret used to sign payloads, only returned when the webhook is created or the secret is rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters'],
+        default: ''
+    },
+    // Inactive webhooks receive no events
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Update time middleware
+webhookSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Create webhook model
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+// Export model and constants
+module.exports = {
+    Webhook,
+    WEBHOOK_EVENTS,
+    TEST_EVENT
+};
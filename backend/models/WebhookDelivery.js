@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Delivery status enumeration
+const DELIVERY_STATUS = {
+    // Waiting for the first attempt or a retry
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    // All attempts failed
+    FAILED: 'failed'
+};
+
+// One attempt to deliver an event
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // HTTP status of the response, null when no response was received
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    // Start of the response body
+    responseBody: {
+        type: String,
+        default: null
+    },
+    // Network error or timeout
+    error: {
+        type: String,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// Webhook delivery model Schema - an event sent to a webhook and the log of its attempts
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: [true, 'Webhook ID cannot be empty']
+    },
+    event: {
+        type: String,
+        required: [true, 'Event cannot be empty']
+    },
+    // Payload as sent, the same body is signed and sent on every attempt
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(DELIVERY_STATUS),
+        default: DELIVERY_STATUS.PENDING
+    },
+    attempts: {
+        type: [attemptSchema],
+        default: []
+    },
+    // Time of the next attempt, null once the delivery succeeded or failed
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    minimize: false
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Static method: Get a page of a webhook's deliveries, newest first
+webhookDeliverySchema.statics.getDeliveries = async function(webhookId, options = {}) {
+    const {
+        page = 1,
+        pageSize = 20,
+        status = null
+    } = options;
+    
+    const query = { webhookId };
+    if (status) {
+        query.status = status;
+    }
+    
+    const [total, deliveries] = await Promise.all([
+        this.countDocuments(query),
+        this.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * pageSize)
+            .limit(pageSize)
+            .lean()
+    ]);
+    
+    return {
+        deliveries,
+        total,
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize)
+    };
+};
+
+// Create webhook delivery model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Export model and constants
+module.exports = {
+    WebhookDelivery,
+    DELIVERY_STATUS
+};
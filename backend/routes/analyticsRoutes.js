@@ -0,0 +1,161 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AnalyticsService = require('../services/analyticsService');
+const VoteService = require('../services/voteService');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { successResponse, errorResponse } = require('../middlewares/errorHandler');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// A date without a time ends the range at the end of that day
+const toRangeEnd = (value) => {
+    const date = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+// Date range shared by the analytics endpoints (defaults to the last config.analytics.defaultDays days)
+const rangeValidators = [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').customSanitizer(toRangeEnd)
+];
+
+const limitValidator = query('limit').optional().isInt({ min: 1, max: config.analytics.maxTopLimit })
+    .withMessage(`Limit must be between 1 and ${config.analytics.maxTopLimit}`).toInt();
+
+// Read the date range from the validated query
+const getRange = (req) => ({ from: req.query.from, to: req.query.to });
+
+/**
+ * Admin: Submissions, votes and comments per day
+ */
+router.get('/activity', authenticate, isAdmin, rangeValidators, async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const data = await AnalyticsService.getActivityTimeSeries(getRange(req));
+        
+        return res.json(successResponse(data, 'Activity time series retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Fake vs not fake votes and verdicts per day
+ */
+router.get('/verdict-ratios', authenticate, isAdmin, rangeValidators, async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const data = await AnalyticsService.getVerdictRatios(getRange(req));
+        
+        return res.json(successResponse(data, 'Verdict ratios retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Authors with the most submissions in the range
+ */
+router.get('/top-authors', authenticate, isAdmin, [...rangeValidators, limitValidator], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const data = await AnalyticsService.getTopAuthors(getRange(req), req.query.limit);
+        
+        return res.json(successResponse(data, 'Top authors retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Users with the most valid votes in the range
+ */
+router.get('/top-voters', authenticate, isAdmin, [...rangeValidators, limitValidator], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const data = await AnalyticsService.getTopVoters(getRange(req), req.query.limit);
+        
+        return res.json(successResponse(data, 'Top voters retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Average time from submission to verdict
+ */
+router.get('/time-to-verdict', authenticate, isAdmin, rangeValidators, async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const data = await AnalyticsService.getTimeToVerdict(getRange(req));
+        
+        return res.json(successResponse(data, 'Time to verdict retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Vote totals in the range (valid, invalid, fake and not fake)
+ */
+router.get('/vote-summary', authenticate, isAdmin, rangeValidators, async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { from, to } = AnalyticsService.resolveRange(getRange(req));
+        const summary = await VoteService.getVoteSummary({ startDate: from, endDate: to });
+        const data = { from, to, ...summary };
+        
+        return res.json(successResponse(data, 'Vote summary retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Size and age of the news still waiting for a verdict
+ */
+router.get('/pending-backlog', authenticate, isAdmin, async (req, res, next) => {
+    try {
+        const data = await AnalyticsService.getPendingBacklog();
+        
+        return res.json(successResponse(data, 'Pending backlog retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { AuditLog } = require('../models/AuditLog');
+const AuditService = require('../services/auditService');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// A date without a time ends the range at the end of that day
+const toRangeEnd = (value) => {
+    const date = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+// Audit log filters shared by the list and the export
+const filterValidators = [
+    query('actorId').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+    query('targetType').optional().isString().trim().isLength({ max: 50 }).withMessage('Invalid target type'),
+    query('action').optional().isString().trim().isLength({ max: 100 }).withMessage('Invalid action'),
+    query('dateFrom').optional().isISO8601().withMessage('dateFrom must be an ISO 8601 date').toDate(),
+    query('dateTo').optional().isISO8601().withMessage('dateTo must be an ISO 8601 date').customSanitizer(toRangeEnd)
+];
+
+// Read the filters from the validated query
+const getFilters = (req) => {
+    const { actorId, targetType, targetId, action, dateFrom, dateTo } = req.query;
+    return { actorId, targetType, targetId, action, dateFrom, dateTo };
+};
+
+/**
+ * Admin: Get audit log entries (supports filtering by actor, action, target and date range)
+ */
+router.get('/', authenticate, isAdmin, [
+    ...filterValidators,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt()
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = 20 } = req.query;
+        
+        const result = await AuditLog.getLogs(getFilters(req), { page, pageSize });
+        
+        return res.json(paginatedResponse(
+            result.logs,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Audit log retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Export audit log entries as CSV (same filters as the list)
+ */
+router.get('/export', authenticate, isAdmin, filterValidators, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        
+        // 逐行写出，避免一次性把所有记录读入内存；超过上限的记录需要缩小筛选范围分批导出
+        await AuditService.exportCsv(getFilters(req), res, config.audit.maxExportRows);
+        
+        res.end();
+    } catch (error) {
+        // 已经开始输出的响应无法再改成错误响应，只能中断
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
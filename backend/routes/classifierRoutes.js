@@ -0,0 +1,58 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const ClassifierService = require('../services/classifierService');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { successResponse, errorResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+
+const router = express.Router();
+
+/**
+ * Admin: Get the active pre-screening model and the previous ones with their holdout accuracy
+ */
+router.get('/', authenticate, isAdmin, async (req, res, next) => {
+    try {
+        const models = await ClassifierService.getModels();
+        
+        return res.json(successResponse(models, 'Classifier models retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Queue retraining of the pre-screening model from news with a final community verdict
+ * The train:classifier script runs the job and re-scores pending news
+ */
+router.post('/train', authenticate, isAdmin, auditAction('classifier.train'), async (req, res, next) => {
+    try {
+        // 训练占用CPU，不在请求中进行；已有排队的任务时返回该任务
+        const job = await ClassifierService.queueTraining(req.user._id);
+        
+        return res.status(202).json(successResponse(job, 'Classifier training queued'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get the status of a training job
+ */
+router.get('/jobs/:jobId', authenticate, isAdmin, [
+    param('jobId').isMongoId().withMessage('Invalid job ID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const job = await ClassifierService.getJob(req.params.jobId);
+        
+        return res.json(successResponse(job, 'Training job retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,40 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
+const { MODERATION_SORTS, MODERATION_STATUSES } = Comment;
 const { News } = require('../models/News');
-const { authenticate, authorize, isAdmin } = require('../middlewares/auth');
+const { ROLES } = require('../models/User');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { authenticate, optionalAuthenticate, authorize, isAdmin, canViewNews, canViewComment } = require('../middlewares/auth');
 const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const UploadService = require('../services/uploadService');
+const CommentService = require('../services/commentService');
+const NewsEventService = require('../services/newsEventService');
+const WebhookService = require('../services/webhookService');
+const config = require('../config/config');
 
 const router = express.Router();
 
+// Audit a moderation action on the comment of the route or the comments of the batch
+const auditComments = (action, options = {}) => auditAction(action, {
+    targetType: 'comment',
+    targetIds: req => req.params.commentId || req.body.commentIds,
+    ...options
+});
+
+// Tell webhooks about comments an administrator deleted or restored
+const announceCommentModeration = (comments, action, adminId) => Promise.all(comments.map(comment =>
+    WebhookService.dispatchModeration(WEBHOOK_EVENTS.COMMENT_MODERATED, {
+        comment: WebhookService.commentSummary(comment),
+        action
+    }, adminId)
+));
+
 /**
  * Get news comments list
  */
-router.get('/news/:newsId', async (req, res, next) => {
+router.get('/news/:newsId', optionalAuthenticate, async (req, res, next) => {
     try {
         const { newsId } = req.params;
         const {
@@ -19,9 +43,9 @@ router.get('/news/:newsId', async (req, res, next) => {
             includeDeleted = false
         } = req.query;
         
-        // Check if news exists
+        // Check if news exists (news hidden after reports only for its author and administrators)
         const news = await News.findById(newsId);
-        if (!news) {
+        if (!news || !canViewNews(news, req.user)) {
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
@@ -29,7 +53,8 @@ router.get('/news/:newsId', async (req, res, next) => {
         const result = await Comment.getCommentsByNewsId(newsId, {
             page: Number(page),
             pageSize: Number(pageSize),
-            includeDeleted: includeDeleted === 'true'
+            includeDeleted: includeDeleted === 'true',
+            includeHidden: req.user?.role === ROLES.ADMINISTRATOR
         });
         
         return res.json(paginatedResponse(
@@ -45,12 +70,94 @@ router.get('/news/:newsId', async (req, res, next) => {
     }
 });
 
+// Pagination parameters of the thread endpoints
+const threadPaginationValidators = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt()
+];
+
+/**
+ * Get top-level comments of a news item with reply previews
+ */
+router.get('/news/:newsId/threads', optionalAuthenticate, threadPaginationValidators, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { newsId } = req.params;
+        const { page = 1, pageSize = 10 } = req.query;
+        
+        // Check if news exists (news hidden after reports only for its author and administrators)
+        const news = await News.findById(newsId);
+        if (!news || !canViewNews(news, req.user)) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        // 获取顶层评论及每条评论的前几条回复
+        const result = await Comment.getThreadsByNewsId(newsId, { page, pageSize });
+        
+        const response = paginatedResponse(
+            result.comments,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Comment threads retrieved successfully'
+        );
+        response.data.maxDepth = config.comments.maxDepth;
+        
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get replies to a comment
+ */
+router.get('/:commentId/replies', optionalAuthenticate, threadPaginationValidators, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { commentId } = req.params;
+        const { page = 1, pageSize = 10 } = req.query;
+        
+        // 被举报隐藏的新闻下的回复同样只对新闻作者和管理员可见
+        const parent = await Comment.findById(commentId);
+        const news = parent && await News.findById(parent.newsId);
+        if (!news || !canViewNews(news, req.user)) {
+            return res.status(404).json(errorResponse(404, 'Comment not found'));
+        }
+        
+        const result = await Comment.getReplies(commentId, { page, pageSize });
+        
+        return res.json(paginatedResponse(
+            result.comments,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Replies retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
- * Submit comment
+ * Submit comment (or a reply when parentId is given)
  */
 router.post('/', authenticate, [
     body('newsId').notEmpty().withMessage('News ID cannot be empty'),
-    body('content').notEmpty().withMessage('Comment content cannot be empty')
+    body('content').notEmpty().withMessage('Comment content cannot be empty'),
+    body('images').optional().custom(UploadService.validateImageUrls).withMessage('Images must be uploaded through the upload API'),
+    body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent comment ID')
 ], async (req, res, next) => {
     try {
         // 检查验证错误
@@ -59,7 +166,7 @@ router.post('/', authenticate, [
             return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
         }
         
-        const { newsId, content, images = [] } = req.body;
+        const { newsId, content, images = [], parentId = null } = req.body;
         const userId = req.user._id;
         
         // Check if news exists
@@ -68,15 +175,27 @@ router.post('/', authenticate, [
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
-        // 创建评论
-        const newComment = new Comment({
-            userId,
-            newsId,
-            content,
-            images
-        });
-        
-        await newComment.save();
+        let newComment;
+        
+        if (parentId) {
+            // 回复必须属于同一条新闻
+            const parent = await Comment.findById(parentId);
+            if (!parent || parent.newsId.toString() !== newsId.toString()) {
+                return res.status(404).json(errorResponse(404, 'Parent comment not found'));
+            }
+            
+            newComment = await Comment.createReply(parent, { userId, content, images });
+        } else {
+            // 创建评论
+            newComment = new Comment({
+                userId,
+                newsId,
+                content,
+                images
+            });
+            
+            await newComment.save();
+        }
         
         // 获取完整的评论信息
         const savedComment = await Comment.findById(newComment._id).populate('userId', 'firstName lastName email');
@@ -88,6 +207,9 @@ router.post('/', authenticate, [
             userId: savedComment.userId?._id || savedComment.userId
         };
         
+        // 推送给正在查看该新闻的用户
+        NewsEventService.publishCommentCreated(formattedComment);
+        
         return res.status(201).json(successResponse(formattedComment, 'Comment submitted successfully'));
     } catch (error) {
         next(error);
@@ -97,7 +219,10 @@ router.post('/', authenticate, [
 /**
  * Delete comment (user can only delete their own comments, admin can delete all comments)
  */
-router.delete('/:commentId', authenticate, async (req, res, next) => {
+router.delete('/:commentId', authenticate, auditComments('comment.delete', {
+    // 用户删除自己的评论不属于管理操作
+    when: req => req.user.role === 'Administrator'
+}), async (req, res, next) => {
     try {
         const { commentId } = req.params;
         
@@ -121,6 +246,10 @@ router.delete('/:commentId', authenticate, async (req, res, next) => {
         // 标记评论为已删除
         const deletedComment = await comment.deleteComment(req.user._id);
         
+        if (req.user.role === ROLES.ADMINISTRATOR) {
+            await announceCommentModeration([deletedComment], 'delete', req.user._id);
+        }
+        
         return res.json(successResponse(deletedComment, 'Comment deleted successfully'));
     } catch (error) {
         next(error);
@@ -131,7 +260,8 @@ router.delete('/:commentId', authenticate, async (req, res, next) => {
  * Update comment (user can only update their own comments)
  */
 router.put('/:commentId', authenticate, [
-    body('content').notEmpty().withMessage('Comment content cannot be empty')
+    body('content').notEmpty().withMessage('Comment content cannot be empty'),
+    body('images').optional().custom(UploadService.validateImageUrls).withMessage('Images must be uploaded through the upload API')
 ], async (req, res, next) => {
     try {
         // 检查验证错误
@@ -186,7 +316,7 @@ router.put('/:commentId', authenticate, [
 /**
  * Get comment details
  */
-router.get('/:commentId', async (req, res, next) => {
+router.get('/:commentId', optionalAuthenticate, async (req, res, next) => {
     try {
         const { commentId } = req.params;
         
@@ -195,7 +325,9 @@ router.get('/:commentId', async (req, res, next) => {
             .populate('userId', 'firstName lastName email')
             .populate('deletedBy', 'firstName lastName');
         
-        if (!comment) {
+        // 被举报隐藏的评论只对作者和管理员可见，被举报隐藏的新闻下的评论同样如此
+        const news = comment && await News.findById(comment.newsId);
+        if (!comment || !canViewComment(comment, req.user) || !news || !canViewNews(news, req.user)) {
             return res.status(404).json(errorResponse(404, 'Comment not found'));
         }
         
@@ -217,58 +349,119 @@ router.get('/:commentId', async (req, res, next) => {
 /**
  * Admin: Get all comments (with filtering)
  */
-router.get('/', authenticate, isAdmin, async (req, res, next) => {
+router.get('/', authenticate, isAdmin, [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt(),
+    query('status').optional().isIn(MODERATION_STATUSES).withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`),
+    query('newsId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid news ID'),
+    query('userId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid user ID'),
+    query('keyword').optional().isString().trim().isLength({ max: 200 }).withMessage('Keyword cannot exceed 200 characters'),
+    query('sortBy').optional().isIn(MODERATION_SORTS).withMessage(`Sort field must be one of: ${MODERATION_SORTS.join(', ')}`),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
         const {
             page = 1,
             pageSize = 20,
-            includeDeleted = false,
-            userId = '',
-            newsId = ''
+            newsId,
+            userId,
+            keyword = '',
+            sortBy = 'createdAt',
+            sortOrder = 'desc'
         } = req.query;
         
-        // 构建查询条件
-        const query = {};
+        // 兼容旧参数 includeDeleted=true（等同于 status=all）
+        const status = req.query.status || (req.query.includeDeleted === 'true' ? 'all' : 'active');
         
-        // 用户ID筛选
-        if (userId) {
-            query.userId = userId;
-        }
+        const result = await Comment.getCommentsForModeration({
+            page,
+            pageSize,
+            status,
+            newsId,
+            userId,
+            keyword,
+            sortBy,
+            sortOrder
+        });
         
-        // 新闻ID筛选
-        if (newsId) {
-            query.newsId = newsId;
-        }
+        const response = paginatedResponse(
+            result.comments,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Comment list retrieved successfully'
+        );
+        // 当前筛选条件下正常和已删除评论的数量
+        response.data.counts = result.counts;
+        
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Comment ID list of the batch moderation endpoints
+const batchValidators = [
+    body('commentIds').isArray({ min: 1, max: config.comments.maxBatchSize })
+        .withMessage(`commentIds must be an array of 1 to ${config.comments.maxBatchSize} comment IDs`),
+    body('commentIds.*').isMongoId().withMessage('Invalid comment ID')
+];
+
+/**
+ * Admin: Restore a deleted comment
+ */
+router.put('/:commentId/restore', authenticate, isAdmin, auditComments('comment.restore'), async (req, res, next) => {
+    try {
+        const comment = await CommentService.restoreComment(req.params.commentId);
+        await announceCommentModeration([comment], 'restore', req.user._id);
         
-        // 是否包含已删除评论
-        if (!includeDeleted) {
-            query.isDeleted = false;
+        return res.json(successResponse(comment, 'Comment restored successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Batch delete comments
+ */
+router.post('/batch-delete', authenticate, isAdmin, batchValidators, auditComments('comment.batch_delete'), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
         }
         
-        // 计算总数
-        const total = await Comment.countDocuments(query);
+        // 逐条删除，保持回复数一致；不存在或已删除的评论会被跳过
+        const result = await CommentService.batchDeleteComments(req.body.commentIds, req.user._id);
+        await announceCommentModeration(await Comment.find({ _id: { $in: result.processed } }), 'delete', req.user._id);
         
-        // 计算分页参数
-        const skip = (page - 1) * pageSize;
-        const pageCount = Math.ceil(total / pageSize);
+        return res.json(successResponse(result, `${result.processedCount} comments deleted`));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Batch restore deleted comments
+ */
+router.post('/batch-restore', authenticate, isAdmin, batchValidators, auditComments('comment.batch_restore'), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
         
-        // 查询数据
-        const comments = await Comment.find(query)
-            .populate('userId', 'firstName lastName email')
-            .populate('newsId', 'title')
-            .populate('deletedBy', 'firstName lastName')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(Number(pageSize));
+        const result = await CommentService.batchRestoreComments(req.body.commentIds);
+        await announceCommentModeration(await Comment.find({ _id: { $in: result.processed } }), 'restore', req.user._id);
         
-        return res.json(paginatedResponse(
-            comments,
-            total,
-            Number(page),
-            Number(pageSize),
-            pageCount,
-            'Comment list retrieved successfully'
-        ));
+        return res.json(successResponse(result, `${result.processedCount} comments restored`));
     } catch (error) {
         next(error);
     }
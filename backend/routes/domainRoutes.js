@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const DomainService = require('../services/domainService');
+const { DOMAIN_RATINGS } = require('../models/Domain');
+const { ROLES } = require('../models/User');
+const { authenticate, optionalAuthenticate, isAdmin } = require('../middlewares/auth');
+const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Audit an action on the domain in the URL
+const auditDomain = (action) => auditAction(action, {
+    targetType: 'domain',
+    targetIds: req => req.params.domainId
+});
+
+const domainIdValidator = param('domainId').isMongoId().withMessage('Invalid domain ID');
+
+/**
+ * Get cited domains with their reputation
+ */
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt(),
+    query('search').optional().isString().isLength({ max: 253 }).withMessage('Search query is too long'),
+    query('level').optional({ values: 'falsy' }).isIn(Object.values(DomainService.DOMAIN_LEVELS))
+        .withMessage(`Level must be one of: ${Object.values(DomainService.DOMAIN_LEVELS).join(', ')}`),
+    query('sortBy').optional().isIn(DomainService.DOMAIN_SORTS)
+        .withMessage(`sortBy must be one of: ${DomainService.DOMAIN_SORTS.join(', ')}`)
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = config.pagination.defaultPageSize, search = '', level, sortBy } = req.query;
+        
+        const { items, total } = await DomainService.listDomains({ search: search.trim(), level, sortBy, page, pageSize });
+        
+        return res.json(paginatedResponse(
+            items,
+            total,
+            page,
+            pageSize,
+            Math.ceil(total / pageSize),
+            'Domains retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Normalize links and get the reputation of their domains (used by the submit form to warn about poor sources)
+ */
+router.post('/check', [
+    body('urls').isArray({ min: 1, max: config.sources.maxUrlsPerNews })
+        .withMessage(`urls must contain 1 to ${config.sources.maxUrlsPerNews} links`),
+    body('urls.*').isString().withMessage('Links must be strings')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        // 无效的链接在结果中返回错误信息，而不是让整个请求失败
+        const results = await DomainService.checkUrls(req.body.urls);
+        
+        return res.json(successResponse(results, 'Source links checked successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get domain page data (by host or ID): reputation and the latest news citing it
+ */
+router.get('/:domain', optionalAuthenticate, async (req, res, next) => {
+    try {
+        // 被举报隐藏的新闻只有管理员能看到
+        const domain = await DomainService.getDomainPage(req.params.domain, req.user?.role === ROLES.ADMINISTRATOR);
+        
+        if (!domain) {
+            return res.status(404).json(errorResponse(404, 'Domain not found'));
+        }
+        
+        return res.json(successResponse(domain, 'Domain retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Override the rating of a domain
+ */
+router.put('/:domainId/rating', authenticate, isAdmin, [
+    domainIdValidator,
+    body('rating').isIn(Object.values(DOMAIN_RATINGS))
+        .withMessage(`Rating must be one of: ${Object.values(DOMAIN_RATINGS).join(', ')}`),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], auditDomain('domain.rating.override'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const domain = await DomainService.setRatingOverride(req.params.domainId, req.body, req.user._id);
+        
+        return res.json(successResponse(domain, 'Domain rating overridden successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Remove the rating override of a domain (the rating is derived from verdicts again)
+ */
+router.delete('/:domainId/rating', authenticate, isAdmin, [domainIdValidator], auditDomain('domain.rating.clear'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const domain = await DomainService.clearRatingOverride(req.params.domainId);
+        
+        return res.json(successResponse(domain, 'Domain rating override removed successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
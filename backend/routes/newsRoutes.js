@@ -1,43 +1,162 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { News, NEWS_STATUS } = require('../models/News');
 const { Vote } = require('../models/Vote');
-const { authenticate, authorize, isAdmin, isMemberOrAdmin, checkOwnership } = require('../middlewares/auth');
+const { ROLES } = require('../models/User');
+const { authenticate, optionalAuthenticate, authorize, isAdmin, isMemberOrAdmin, checkOwnership, canViewNews } = require('../middlewares/auth');
 const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const UploadService = require('../services/uploadService');
+const ReputationService = require('../services/reputationService');
+const VerdictService = require('../services/verdictService');
+const RevisionService = require('../services/revisionService');
+const TrashService = require('../services/trashService');
+const NewsEventService = require('../services/newsEventService');
+const NotificationService = require('../services/notificationService');
+const WebhookService = require('../services/webhookService');
+const CredibilityService = require('../services/credibilityService');
+const TagService = require('../services/tagService');
+const DomainService = require('../services/domainService');
+const DuplicateService = require('../services/duplicateService');
+const RelatedNewsService = require('../services/relatedNewsService');
+const ClassifierService = require('../services/classifierService');
+const config = require('../config/config');
 
 const router = express.Router();
 
+// Tags of a news item: IDs, names or synonyms of existing tags
+const tagValidators = [
+    body('tags').optional().isArray({ max: config.tags.maxPerNews })
+        .withMessage(`A news item can have at most ${config.tags.maxPerNews} tags`),
+    body('tags.*').isString().trim().notEmpty().withMessage('Tags must be tag IDs or names')
+];
+
+// Links to where the claim appeared, normalized by DomainService
+const sourceValidators = [
+    body('sourceUrls').optional().isArray({ max: config.sources.maxUrlsPerNews })
+        .withMessage(`A news item can cite at most ${config.sources.maxUrlsPerNews} sources`),
+    body('sourceUrls.*').isString().trim().notEmpty().withMessage('Source URLs must be links')
+];
+
+// Sort options of the news list
+const NEWS_LIST_SORTS = ['createdAt', 'relevance', 'mostVoted', 'mostControversial', 'mostDiscussed'];
+
+// Audit an admin action on the news of the route
+const auditNews = (action) => auditAction(action, {
+    targetType: 'news',
+    targetIds: req => req.params.newsId
+});
+
 /**
- * Get news list (supports pagination, filtering, searching)
+ * Get news list (supports pagination, filtering, searching, sorting and facet counts)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', optionalAuthenticate, [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt(),
+    query('status').optional().isIn(['all', ...Object.values(NEWS_STATUS)]).withMessage('Invalid news status'),
+    query('search').optional().isString().isLength({ max: 500 }).withMessage('Search query is too long'),
+    query('authorId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid author ID'),
+    query('tag').optional({ values: 'falsy' }).isString().isLength({ max: 100 }).withMessage('Invalid tag'),
+    query('sourceDomain').optional({ values: 'falsy' }).isString().isLength({ max: 253 }).withMessage('Invalid source domain'),
+    query('sortBy').optional().isIn(NEWS_LIST_SORTS).withMessage(`sortBy must be one of: ${NEWS_LIST_SORTS.join(', ')}`),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    query(['dateFrom', 'dateTo']).optional({ values: 'falsy' }).isISO8601().withMessage('Dates must be ISO 8601'),
+    query(['minVotes', 'maxVotes']).optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Vote totals must be non-negative integers').toInt(),
+    query(['minFakePercentage', 'maxFakePercentage']).optional({ values: 'falsy' }).isFloat({ min: 0, max: 100 })
+        .withMessage('Fake percentage must be between 0 and 100').toFloat(),
+    query(['hasImages', 'votedByMe', 'commentedByMe']).optional({ values: 'falsy' }).isBoolean().withMessage('Must be true or false')
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
         const {
             page = 1,
             pageSize = 10,
             status = 'all',
             search = '',
-            authorId = ''
+            authorId = '',
+            tag = '',
+            sourceDomain = '',
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            dateFrom,
+            dateTo,
+            minVotes,
+            maxVotes,
+            minFakePercentage,
+            maxFakePercentage,
+            hasImages,
+            votedByMe,
+            commentedByMe
         } = req.query;
         
+        // "我投过票的"/"我评论过的" 需要登录
+        if ((votedByMe === 'true' || commentedByMe === 'true') && !req.user) {
+            return res.status(401).json(errorResponse(401, 'Authentication required to filter by your own activity'));
+        }
+        
+        // 空字符串表示未设置，数字参数已由校验器转换
+        const optionalNumber = (value) => (typeof value === 'number' ? value : undefined);
+        
+        // 只有日期的结束时间包含当天
+        const parseDateTo = (value) => {
+            const date = new Date(value);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            return date;
+        };
+        
         // Build filter conditions
         const filters = {
             status: status !== 'all' ? status : undefined,
             search: search.trim(),
-            authorId: authorId.trim() || undefined
+            authorId: authorId.trim() || undefined,
+            sourceDomain: sourceDomain ? DomainService.canonicalizeHost(sourceDomain) : undefined,
+            dateFrom: dateFrom ? new Date(dateFrom) : undefined,
+            dateTo: dateTo ? parseDateTo(dateTo) : undefined,
+            minVotes: optionalNumber(minVotes),
+            maxVotes: optionalNumber(maxVotes),
+            minFakePercentage: optionalNumber(minFakePercentage),
+            maxFakePercentage: optionalNumber(maxFakePercentage),
+            hasImages: hasImages ? hasImages === 'true' : undefined,
+            votedBy: votedByMe === 'true' ? req.user._id : undefined,
+            commentedBy: commentedByMe === 'true' ? req.user._id : undefined,
+            // 被举报隐藏的新闻只有管理员能在列表中看到
+            includeHidden: req.user?.role === ROLES.ADMINISTRATOR
         };
         
+        // 按标签筛选时包含其所有子话题
+        if (tag) {
+            const tagDoc = await TagService.findTag(tag);
+            if (!tagDoc) {
+                return res.status(404).json(errorResponse(404, 'Tag not found'));
+            }
+            filters.tagIds = await TagService.getSubtreeIds(tagDoc);
+        }
+        
         // Build options
         const options = {
-            page: Number(page),
-            pageSize: Number(pageSize),
-            sortBy: 'createdAt',
-            sortOrder: 'desc'
+            page,
+            pageSize,
+            sortBy,
+            sortOrder
         };
         
         // Get news list
         const result = await News.getNewsList(filters, options);
         
+        // 添加作者可信度（一次查询当前页的所有作者）
+        const credibility = await CredibilityService.getAuthorsCredibility(result.news.map(item => item.authorId));
+        result.news = result.news.map(news => ({
+            ...news,
+            authorCredibility: credibility.get(String(news.authorId)) || null
+        }));
+        
         // Add user vote information (if logged in)
         if (req.user) {
             // Get IDs of news items on the current page
@@ -62,14 +181,88 @@ router.get('/', async (req, res, next) => {
             }));
         }
         
-        return res.json(paginatedResponse(
+        const response = paginatedResponse(
             result.news,
             result.total,
             result.page,
             result.pageSize,
             result.pageCount,
             'News list retrieved successfully'
-        ));
+        );
+        response.data.facets = result.facets;
+        
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get trashed news (most recently deleted first, with the time each item will be purged)
+ */
+router.get('/trash', authenticate, isAdmin, [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = 20 } = req.query;
+        const result = await TrashService.getTrash({ page, pageSize });
+        
+        const response = paginatedResponse(
+            result.items,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Trash retrieved successfully'
+        );
+        response.data.retentionDays = config.trash.retentionDays;
+        
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Purge trashed news whose retention period has ended (also available as npm run purge:trash)
+ */
+router.post('/trash/purge', authenticate, isAdmin, auditAction('news.trash.purge'), async (req, res, next) => {
+    try {
+        const result = await TrashService.purgeExpired();
+        
+        return res.json(successResponse(result, `${result.purged.length} news purged`));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Member: Find existing news similar to a text before submitting it
+ */
+router.post('/duplicates/check', authenticate, isMemberOrAdmin, [
+    body('title').isString().withMessage('News title must be a string'),
+    body('content').optional().isString().withMessage('News content must be a string')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const duplicates = await DuplicateService.findDuplicates({
+            title: req.body.title,
+            content: req.body.content || ''
+        });
+        
+        return res.json(successResponse(duplicates, 'Duplicate check completed'));
     } catch (error) {
         next(error);
     }
@@ -78,14 +271,26 @@ router.get('/', async (req, res, next) => {
 /**
  * Get news details
  */
-router.get('/:newsId', async (req, res, next) => {
+router.get('/:newsId', optionalAuthenticate, async (req, res, next) => {
     try {
         const { newsId } = req.params;
         
         // 查找新闻
-        const news = await News.findById(newsId).populate('authorId', 'firstName lastName email');
+        const news = await News.findById(newsId)
+            .populate('authorId', 'firstName lastName email')
+            .populate('tags', 'name slug');
         
         if (!news) {
+            // 已合并的重复新闻跳转到保留的新闻
+            const mergedInto = await DuplicateService.findMergedInto(newsId);
+            if (mergedInto) {
+                return res.redirect(308, `${req.baseUrl}/${mergedInto._id}`);
+            }
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        // 被举报隐藏的新闻只对作者和管理员可见
+        if (!canViewNews(news, req.user)) {
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
@@ -94,6 +299,10 @@ router.get('/:newsId', async (req, res, next) => {
             ...news.toObject(),
             authorName: news.authorId ? `${news.authorId.firstName} ${news.authorId.lastName}` : 'Unknown User',
             authorId: news.authorId?._id || news.authorId,
+            // 作者账号已删除时没有可信度
+            authorCredibility: news.authorId ? await CredibilityService.getAuthorCredibility(news.authorId._id) : null,
+            // 来源链接及其网站的信誉
+            sources: await DomainService.getSources(news.sourceUrls),
             userVote: null
         };
         
@@ -118,7 +327,10 @@ router.get('/:newsId', async (req, res, next) => {
  */
 router.post('/', authenticate, isMemberOrAdmin, [
     body('title').notEmpty().withMessage('News title cannot be empty'),
-    body('content').notEmpty().withMessage('News content cannot be empty')
+    body('content').notEmpty().withMessage('News content cannot be empty'),
+    body('images').optional().custom(UploadService.validateImageUrls).withMessage('Images must be uploaded through the upload API'),
+    ...tagValidators,
+    ...sourceValidators
 ], async (req, res, next) => {
     try {
         // 检查验证错误
@@ -127,7 +339,13 @@ router.post('/', authenticate, isMemberOrAdmin, [
             return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
         }
         
-        const { title, content, images = [] } = req.body;
+        const { title, content, images = [], tags = [], sourceUrls = [] } = req.body;
+        
+        // 标签可以是ID、名称或同义词
+        const tagIds = await TagService.resolveTags(tags);
+        
+        // 规范化来源链接（去除跟踪参数、统一域名）
+        const sources = DomainService.normalizeUrls(sourceUrls);
         
         // Create news
         const newNews = new News({
@@ -135,18 +353,28 @@ router.post('/', authenticate, isMemberOrAdmin, [
             content,
             authorId: req.user._id,
             images,
+            tags: tagIds,
+            sourceUrls: sources.sourceUrls,
+            sourceDomains: sources.sourceDomains,
             status: NEWS_STATUS.PENDING
         });
         
         await newNews.save();
+        await DomainService.registerDomains(sources.sourceDomains);
+        await RelatedNewsService.indexNews(newNews._id);
+        // 模型预判只供参考，不改变新闻状态
+        await ClassifierService.scoreNews(newNews._id);
         
         // 获取完整的新闻信息
-        const savedNews = await News.findById(newNews._id).populate('authorId', 'firstName lastName email');
+        const savedNews = await News.findById(newNews._id)
+            .populate('authorId', 'firstName lastName email')
+            .populate('tags', 'name slug');
         
-        // 格式化响应数据
+        // 格式化响应数据；相似的已有新闻供提交者选择改为关联到已有新闻
         const formattedNews = {
             ...savedNews.toObject(),
-            authorName: `${req.user.firstName} ${req.user.lastName}`
+            authorName: `${req.user.firstName} ${req.user.lastName}`,
+            possibleDuplicates: await DuplicateService.findDuplicates({ title, content }, { excludeId: newNews._id })
         };
         
         return res.status(201).json(successResponse(formattedNews, 'News submitted successfully'));
@@ -160,7 +388,10 @@ router.post('/', authenticate, isMemberOrAdmin, [
  */
 router.put('/:newsId', authenticate, checkOwnership('News', 'newsId', News), [
     body('title').optional().notEmpty().withMessage('News title cannot be empty'),
-    body('content').optional().notEmpty().withMessage('News content cannot be empty')
+    body('content').optional().notEmpty().withMessage('News content cannot be empty'),
+    body('images').optional().custom(UploadService.validateImageUrls).withMessage('Images must be uploaded through the upload API'),
+    ...tagValidators,
+    ...sourceValidators
 ], async (req, res, next) => {
     try {
         // 检查验证错误
@@ -177,22 +408,41 @@ router.put('/:newsId', authenticate, checkOwnership('News', 'newsId', News), [
         if (req.body.content !== undefined) updateData.content = req.body.content;
         if (req.body.images !== undefined) updateData.images = req.body.images;
         
-        // Update news
-        const updatedNews = await News.findByIdAndUpdate(
-            newsId,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('authorId', 'firstName lastName email');
+        // 先校验标签和来源链接，避免无效时已经保存了修订版本
+        const tagIds = req.body.tags !== undefined ? await TagService.resolveTags(req.body.tags) : null;
+        const sources = req.body.sourceUrls !== undefined ? DomainService.normalizeUrls(req.body.sourceUrls) : null;
         
-        if (!updatedNews) {
-            return res.status(404).json(errorResponse(404, 'News not found'));
+        // 每次修改都保存为新的修订版本；投票后内容大幅修改时按配置标记新闻或重置投票
+        const { news, revision, votesReset } = await RevisionService.updateNews(newsId, updateData, req.user);
+        
+        // 标签和来源链接不属于新闻正文，修改它们不产生修订版本
+        if (tagIds) {
+            await News.updateOne({ _id: news._id }, { tags: tagIds });
+            news.tags = tagIds;
+        }
+        if (sources) {
+            await News.updateOne({ _id: news._id }, sources);
+            news.sourceUrls = sources.sourceUrls;
+            news.sourceDomains = sources.sourceDomains;
+            await DomainService.registerDomains(sources.sourceDomains);
         }
         
+        const updatedNews = await news.populate([
+            { path: 'authorId', select: 'firstName lastName email' },
+            { path: 'tags', select: 'name slug' }
+        ]);
+        
         // 格式化响应数据
         const formattedNews = {
             ...updatedNews.toObject(),
             authorName: updatedNews.authorId ? `${updatedNews.authorId.firstName} ${updatedNews.authorId.lastName}` : 'Unknown User',
-            authorId: updatedNews.authorId?._id || updatedNews.authorId
+            authorId: updatedNews.authorId?._id || updatedNews.authorId,
+            edit: revision ? {
+                revision: revision.revision,
+                changeRatio: revision.changeRatio,
+                votePolicy: revision.votePolicy,
+                votesReset
+            } : null
         };
         
         return res.json(successResponse(formattedNews, 'News updated successfully'));
@@ -202,22 +452,249 @@ router.put('/:newsId', authenticate, checkOwnership('News', 'newsId', News), [
 });
 
 /**
- * Admin: Delete news
+ * Load news for the revision endpoints (404 when missing or hidden from the user)
+ * @returns {Promise<Object|null>} News document
+ */
+const loadVisibleNews = async (newsId, user) => {
+    const news = await News.findById(newsId).populate('authorId', 'firstName lastName');
+    return news && canViewNews(news, user) ? news : null;
+};
+
+/**
+ * Stream live vote, status and comment updates of news (Server-Sent Events)
  */
-router.delete('/:newsId', authenticate, isAdmin, async (req, res, next) => {
+router.get('/:newsId/events', optionalAuthenticate, async (req, res, next) => {
     try {
-        const { newsId } = req.params;
+        const news = await loadVisibleNews(req.params.newsId, req.user);
+        if (!news) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // 禁止反向代理缓冲事件
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${config.events.retryInterval}\n\n`);
+        
+        // 浏览器重连时通过 Last-Event-ID 告知最后收到的事件，补发断线期间的事件
+        const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId || null;
+        const unsubscribe = NewsEventService.subscribe(news._id, lastEventId, (event) => {
+            res.write(NewsEventService.formatEvent(event));
+        });
+        
+        // 定期发送注释行，防止空闲连接被代理关闭
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatInterval);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get the revision history of news
+ */
+router.get('/:newsId/revisions', optionalAuthenticate, async (req, res, next) => {
+    try {
+        const news = await loadVisibleNews(req.params.newsId, req.user);
+        if (!news) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        const revisions = await RevisionService.getRevisions(news);
+        
+        return res.json(successResponse({
+            currentRevision: news.revision,
+            contentChangedAfterVotes: news.contentChangedAfterVotes,
+            revisions
+        }, 'Revision history retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get the word-level diff between two revisions of news (defaults to the latest edit)
+ */
+router.get('/:newsId/revisions/diff', optionalAuthenticate, [
+    query('from').optional().isInt({ min: 1 }).withMessage('from must be a positive integer').toInt(),
+    query('to').optional().isInt({ min: 1 }).withMessage('to must be a positive integer').toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const news = await loadVisibleNews(req.params.newsId, req.user);
+        if (!news) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        const diff = await RevisionService.diffRevisions(news, req.query.from, req.query.to);
+        
+        return res.json(successResponse(diff, 'Revision diff retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get one revision of news
+ */
+router.get('/:newsId/revisions/:revision', optionalAuthenticate, [
+    param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const news = await loadVisibleNews(req.params.newsId, req.user);
+        if (!news) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
         
-        // Find and delete news
-        const deletedNews = await News.findByIdAndDelete(newsId);
+        const revision = await RevisionService.getRevision(news, req.params.revision);
         
-        if (!deletedNews) {
+        return res.json(successResponse(revision, 'Revision retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get decided news most similar to this news item (TF-IDF cosine similarity of title and content)
+ */
+router.get('/:newsId/related', optionalAuthenticate, [
+    query('limit').optional().isInt({ min: 1, max: config.related.maxLimit })
+        .withMessage(`limit must be between 1 and ${config.related.maxLimit}`).toInt()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const news = await loadVisibleNews(req.params.newsId, req.user);
+        if (!news) {
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
-        // Cascade delete logic can be added here, such as deleting related votes and comments
+        // 只推荐已有最终判定的新闻，作为读者参考的先例
+        const related = await RelatedNewsService.getRelated(news._id, { limit: req.query.limit });
+        
+        return res.json(successResponse(related, 'Related news retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Delete news (moves it to the trash)
+ */
+router.delete('/:newsId', authenticate, isAdmin, auditNews('news.delete'), async (req, res, next) => {
+    try {
+        // 移入回收站，保留期结束后连同投票、评论和图片一起清除
+        const news = await TrashService.moveToTrash(req.params.newsId, req.user);
+        
+        return res.json(successResponse({
+            newsId: news._id,
+            deletedAt: news.deletedAt,
+            purgeAt: TrashService.purgeDate(news.deletedAt)
+        }, 'News moved to trash'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Restore news from the trash
+ */
+router.put('/:newsId/restore', authenticate, isAdmin, auditNews('news.restore'), async (req, res, next) => {
+    try {
+        const news = await TrashService.restore(req.params.newsId, req.user);
+        
+        return res.json(successResponse(news, 'News restored successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Permanently delete trashed news with its votes, comments and images
+ */
+router.delete('/:newsId/purge', authenticate, isAdmin, auditNews('news.purge'), async (req, res, next) => {
+    try {
+        const result = await TrashService.purgeNews(req.params.newsId, req.user);
+        
+        return res.json(successResponse(result, 'News purged successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Author or Admin: Replace own news with an existing news item about the same story
+ * Only possible before anyone voted on it, news with votes is merged by an administrator.
+ */
+router.post('/:newsId/duplicate-of', authenticate, checkOwnership('News', 'newsId', News), [
+    body('targetId').isMongoId().withMessage('Invalid target news ID')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        // checkOwnership 已经加载了新闻
+        if (req.news.getTotalVotes() > 0) {
+            return res.status(409).json(errorResponse(409, 'News already has votes, an administrator has to merge it'));
+        }
+        
+        // 被举报隐藏的新闻不能作为目标
+        const target = await News.findById(req.body.targetId);
+        if (!target || !canViewNews(target, req.user)) {
+            return res.status(404).json(errorResponse(404, 'Target news not found'));
+        }
+        
+        const result = await DuplicateService.merge(target._id, req.params.newsId, req.user);
         
-        return res.json(successResponse(null, 'News deleted successfully'));
+        return res.json(successResponse(result, 'News linked to the existing news'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Merge a duplicate into this news item (votes, comments and the duplicate's ID move here)
+ */
+router.post('/:newsId/merge', authenticate, isAdmin, [
+    param('newsId').isMongoId().withMessage('Invalid news ID'),
+    body('duplicateId').isMongoId().withMessage('Invalid duplicate news ID')
+], auditAction('news.merge', {
+    targetType: 'news',
+    targetIds: req => [req.params.newsId, req.body.duplicateId]
+}), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const result = await DuplicateService.merge(req.params.newsId, req.body.duplicateId, req.user);
+        
+        return res.json(successResponse(result, 'News merged successfully'));
     } catch (error) {
         next(error);
     }
@@ -228,7 +705,7 @@ router.delete('/:newsId', authenticate, isAdmin, async (req, res, next) => {
  */
 router.put('/:newsId/status', authenticate, isAdmin, [
     body('status').isIn(Object.values(NEWS_STATUS)).withMessage('Invalid news status')
-], async (req, res, next) => {
+], auditNews('news.status.update'), async (req, res, next) => {
     try {
         // 检查验证错误
         const errors = validationResult(req);
@@ -239,17 +716,31 @@ router.put('/:newsId/status', authenticate, isAdmin, [
         const { newsId } = req.params;
         const { status } = req.body;
         
-        // Update news status
-        const updatedNews = await News.findByIdAndUpdate(
+        // Update news status（返回更新前的文档，用于判断状态是否变化）
+        const previousNews = await News.findByIdAndUpdate(
             newsId,
             { status },
-            { new: true, runValidators: true }
+            { new: false, runValidators: true }
         ).populate('authorId', 'firstName lastName email');
         
-        if (!updatedNews) {
+        if (!previousNews) {
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
+        const previousStatus = previousNews.status;
+        const updatedNews = previousNews.set('status', status);
+        
+        if (status !== previousStatus) {
+            updatedNews.statusChangedAt = new Date();
+            await News.updateOne({ _id: newsId }, { statusChangedAt: updatedNews.statusChangedAt });
+        }
+        
+        // 人工判定同样作为最终结论，更新投票用户的信誉
+        await ReputationService.settleNewsVotes(newsId, status);
+        NewsEventService.publishStatus(updatedNews, previousStatus);
+        await NotificationService.notifyStatusChange(updatedNews, previousStatus, req.user._id);
+        await WebhookService.dispatchStatusChange(updatedNews, previousStatus, req.user._id);
+        
         // 格式化响应数据
         const formattedNews = {
             ...updatedNews.toObject(),
@@ -263,16 +754,76 @@ router.put('/:newsId/status', authenticate, isAdmin, [
     }
 });
 
+/**
+ * Admin: Freeze or unfreeze the verdict of news
+ */
+router.put('/:newsId/freeze', authenticate, isAdmin, [
+    body('frozen').isBoolean().withMessage('frozen must be a boolean').toBoolean()
+], auditNews('news.freeze'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { newsId } = req.params;
+        const { frozen } = req.body;
+        
+        const news = await News.findByIdAndUpdate(
+            newsId,
+            frozen
+                ? { verdictFrozen: true, verdictFrozenAt: Date.now(), verdictFrozenBy: req.user._id }
+                : { verdictFrozen: false, verdictFrozenAt: null, verdictFrozenBy: null },
+            { new: true }
+        );
+        
+        if (!news) {
+            return res.status(404).json(errorResponse(404, 'News not found'));
+        }
+        
+        // 解冻后按当前投票重新判定（重新判定时会推送新的状态），冻结时推送冻结状态
+        let recalculation = null;
+        if (frozen) {
+            NewsEventService.publishStatus(news, news.status);
+        } else {
+            recalculation = await Vote.recalculateNewsVotes(newsId);
+        }
+        
+        return res.json(successResponse({
+            newsId,
+            verdictFrozen: news.verdictFrozen,
+            verdictFrozenAt: news.verdictFrozenAt,
+            voteChangesLocked: news.areVoteChangesLocked(),
+            newsStatus: recalculation?.newStatus || news.status
+        }, frozen ? 'Verdict frozen' : 'Verdict unfrozen'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Admin: Recalculate news votes and update status
  */
-router.post('/:newsId/recalculate-votes', authenticate, isAdmin, async (req, res, next) => {
+router.post('/:newsId/recalculate-votes', authenticate, isAdmin, [
+    body('policy').optional().custom(VerdictService.hasPolicy).withMessage('Unknown verdict policy'),
+    body('minVotes').optional().isInt({ min: 0 }).withMessage('minVotes must be a non-negative integer').toInt(),
+    body('threshold').optional().isFloat({ min: 0, max: 1 }).withMessage('threshold must be between 0 and 1').toFloat(),
+    body('confidenceLevel').optional().isFloat({ gt: 0, lt: 1 }).withMessage('confidenceLevel must be between 0 and 1').toFloat()
+], auditNews('news.votes.recalculate'), async (req, res, next) => {
     try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
         const { newsId } = req.params;
-        const { minVotes = 10, fakeThreshold = 0.6 } = req.body;
+        // 未提供的参数使用配置中的判定策略
+        const { policy, minVotes, threshold, confidenceLevel } = req.body;
         
         // Recalculate votes and update status
-        const result = await Vote.recalculateNewsVotes(newsId, { minVotes, fakeThreshold });
+        const result = await Vote.recalculateNewsVotes(newsId, { policy, minVotes, threshold, confidenceLevel });
         
         if (!result.success) {
             return res.status(400).json(errorResponse(400, result.error));
@@ -285,6 +836,7 @@ router.post('/:newsId/recalculate-votes', authenticate, isAdmin, async (req, res
             newsId,
             voteStats: result.voteStats,
             newStatus: result.newStatus,
+            verdict: result.verdict,
             news: updatedNews
         }, 'Vote recalculation completed'));
     } catch (error) {
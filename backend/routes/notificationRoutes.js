@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Notification, NOTIFICATION_TYPES } = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const { authenticate } = require('../middlewares/auth');
+const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const config = require('../config/config');
+
+const router = express.Router();
+
+/**
+ * Get current user's notifications (newest first)
+ */
+router.get('/', authenticate, [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt(),
+    query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean').toBoolean()
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = 20, unreadOnly = false } = req.query;
+        
+        const result = await Notification.getUserNotifications(req.user._id, { page, pageSize, unreadOnly });
+        
+        const response = paginatedResponse(
+            result.items,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Notifications retrieved successfully'
+        );
+        response.data.unreadCount = result.unreadCount;
+        
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get current user's unread notification count
+ */
+router.get('/unread-count', authenticate, async (req, res, next) => {
+    try {
+        const unreadCount = await Notification.countUnread(req.user._id);
+        
+        return res.json(successResponse({ unreadCount }, 'Unread count retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Mark all notifications of current user as read
+ */
+router.put('/read-all', authenticate, async (req, res, next) => {
+    try {
+        const updatedCount = await Notification.markAllRead(req.user._id);
+        
+        return res.json(successResponse({ updatedCount, unreadCount: 0 }, 'All notifications marked as read'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get current user's notification preferences
+ */
+router.get('/preferences', authenticate, async (req, res, next) => {
+    try {
+        const preferences = await NotificationService.getPreferences(req.user._id);
+        
+        return res.json(successResponse(preferences, 'Notification preferences retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Switch notification types on or off (e.g. { "comment_reply": false })
+ */
+router.put('/preferences', authenticate, [
+    body().isObject().withMessage('Preferences must be an object')
+        .custom(value => Object.keys(value).length > 0).withMessage('No preferences provided'),
+    body('*').isBoolean({ strict: true }).withMessage('Preference values must be booleans'),
+    body().custom(value => Object.keys(value).every(type => Object.values(NOTIFICATION_TYPES).includes(type)))
+        .withMessage(`Notification type must be one of: ${Object.values(NOTIFICATION_TYPES).join(', ')}`)
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const preferences = await NotificationService.updatePreferences(req.user._id, req.body);
+        
+        return res.json(successResponse(preferences, 'Notification preferences updated successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Mark a notification of current user as read
+ */
+router.put('/:notificationId/read', authenticate, [
+    param('notificationId').isMongoId().withMessage('Invalid notification ID')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        // 只能标记自己的通知，其他用户的通知同样返回404
+        const notification = await Notification.markRead(req.user._id, req.params.notificationId);
+        if (!notification) {
+            return res.status(404).json(errorResponse(404, 'Notification not found'));
+        }
+        
+        const unreadCount = await Notification.countUnread(req.user._id);
+        
+        return res.json(successResponse({ notification, unreadCount }, 'Notification marked as read'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
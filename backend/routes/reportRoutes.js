@@ -0,0 +1,186 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { REPORT_TARGETS, REPORT_REASONS } = require('../models/Report');
+const { ReportResolution, RESOLUTION_ACTIONS } = require('../models/ReportResolution');
+const ReportService = require('../services/reportService');
+const { authenticate, isAdmin, requireVerifiedEmail } = require('../middlewares/auth');
+const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Pagination parameters of the admin lists
+const paginationValidators = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt()
+];
+
+// Reported content in the URL
+const targetValidators = [
+    param('targetType').isIn(Object.values(REPORT_TARGETS)).withMessage('Invalid target type'),
+    param('targetId').isMongoId().withMessage('Invalid target ID')
+];
+
+/**
+ * Get report reasons and the hide threshold
+ */
+router.get('/reasons', (req, res) => {
+    return res.json(successResponse({
+        reasons: Object.values(REPORT_REASONS),
+        hideThreshold: config.reports.hideThreshold
+    }, 'Report reasons retrieved successfully'));
+});
+
+/**
+ * Report news or a comment
+ */
+router.post('/', authenticate, requireVerifiedEmail, [
+    body('targetType').isIn(Object.values(REPORT_TARGETS)).withMessage('Invalid target type'),
+    body('targetId').isMongoId().withMessage('Invalid target ID'),
+    body('reason').isIn(Object.values(REPORT_REASONS)).withMessage('Invalid report reason'),
+    body('note').optional({ values: 'null' }).isString().trim()
+        .isLength({ max: config.reports.maxNoteLength })
+        .withMessage(`Note cannot exceed ${config.reports.maxNoteLength} characters`)
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { targetType, targetId, reason, note = '' } = req.body;
+        
+        // 同一用户对同一内容只能有一条未处理的举报；举报数达到阈值后内容自动隐藏
+        const { report, hidden } = await ReportService.createReport({ targetType, targetId, reason, note }, req.user);
+        
+        return res.status(201).json(successResponse({
+            reportId: report._id,
+            targetType: report.targetType,
+            targetId: report.targetId,
+            reason: report.reason,
+            hidden
+        }, 'Report submitted successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get the moderation queue (open reports grouped by reported content)
+ */
+router.get('/queue', authenticate, isAdmin, [
+    ...paginationValidators,
+    query('targetType').optional().isIn(Object.values(REPORT_TARGETS)).withMessage('Invalid target type'),
+    query('sortBy').optional().isIn(['reportCount', 'oldest']).withMessage('Sort field must be reportCount or oldest')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = 20, targetType, sortBy } = req.query;
+        
+        const result = await ReportService.getQueue({ page, pageSize, targetType, sortBy });
+        
+        return res.json(paginatedResponse(
+            result.items,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Report queue retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get the open reports of an item
+ */
+router.get('/queue/:targetType/:targetId', authenticate, isAdmin, targetValidators, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { targetType, targetId } = req.params;
+        const reports = await ReportService.getTargetReports(targetType, targetId);
+        
+        return res.json(successResponse(reports, 'Reports retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Resolve the open reports of an item (dismiss, delete the content or warn its author)
+ */
+router.post('/queue/:targetType/:targetId/resolve', authenticate, isAdmin, [
+    ...targetValidators,
+    body('action').isIn(Object.values(RESOLUTION_ACTIONS)).withMessage('Invalid resolution action'),
+    body('note').optional({ values: 'null' }).isString().trim()
+        .isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], auditAction('report.resolve', {
+    targetType: req => req.params.targetType,
+    targetIds: req => req.params.targetId
+}), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { targetType, targetId } = req.params;
+        const { action, note = '' } = req.body;
+        
+        const resolution = await ReportService.resolveTarget(targetType, targetId, { action, note }, req.user);
+        
+        return res.json(successResponse(resolution, 'Reports resolved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get the resolution history
+ */
+router.get('/history', authenticate, isAdmin, [
+    ...paginationValidators,
+    query('targetType').optional().isIn(Object.values(REPORT_TARGETS)).withMessage('Invalid target type'),
+    query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+    query('authorId').optional().isMongoId().withMessage('Invalid author ID'),
+    query('action').optional().isIn(Object.values(RESOLUTION_ACTIONS)).withMessage('Invalid resolution action')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { page = 1, pageSize = 20, targetType, targetId, authorId, action } = req.query;
+        
+        const result = await ReportResolution.getHistory(
+            { targetType, targetId, authorId, action },
+            { page, pageSize }
+        );
+        
+        return res.json(paginatedResponse(
+            result.resolutions,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Resolution history retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const TagService = require('../services/tagService');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { successResponse, errorResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Audit an action on the tag in the URL
+const auditTag = (action) => auditAction(action, {
+    targetType: 'tag',
+    targetIds: req => req.params.tagId
+});
+
+const tagIdValidator = param('tagId').isMongoId().withMessage('Invalid tag ID');
+
+// Tag fields, name required when creating and optional when updating
+const tagValidators = (optional) => {
+    const name = optional ? body('name').optional() : body('name');
+    
+    return [
+        name.isString().trim().isLength({ min: 2, max: 50 }).withMessage('Tag name must be 2 to 50 characters'),
+        body('description').optional().isString().trim().isLength({ max: 300 })
+            .withMessage('Description cannot exceed 300 characters'),
+        body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent tag ID'),
+        body('synonyms').optional().isArray({ max: config.tags.maxSynonyms })
+            .withMessage(`A tag can have at most ${config.tags.maxSynonyms} synonyms`),
+        body('synonyms.*').isString().trim().isLength({ min: 1, max: 50 })
+            .withMessage('Synonyms must be 1 to 50 characters')
+    ];
+};
+
+/**
+ * Get all tags as a category tree
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const tags = await TagService.getTree();
+        
+        return res.json(successResponse(tags, 'Tags retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Suggest tags whose name or synonym starts with the typed text
+ */
+router.get('/autocomplete', [
+    query('q').isString().trim().isLength({ min: 1, max: 50 }).withMessage('q must be 1 to 50 characters'),
+    query('limit').optional().isInt({ min: 1, max: config.tags.autocompleteLimit })
+        .withMessage(`Limit must be between 1 and ${config.tags.autocompleteLimit}`).toInt()
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const suggestions = await TagService.autocomplete(req.query.q, req.query.limit);
+        
+        return res.json(successResponse(suggestions, 'Tag suggestions retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * News volume and fake ratio of every tag (subtopics counted in their parent topics)
+ */
+router.get('/stats', async (req, res, next) => {
+    try {
+        const stats = await TagService.getAllStats();
+        
+        return res.json(successResponse(stats, 'Tag statistics retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Create tag
+ */
+router.post('/', authenticate, isAdmin, tagValidators(false), auditAction('tag.create', {
+    targetType: 'tag'
+}), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const tag = await TagService.createTag(req.body, req.user._id);
+        
+        return res.status(201).json(successResponse(tag, 'Tag created successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get tag page data (by slug or ID): path, subtopics and statistics
+ */
+router.get('/:tag', async (req, res, next) => {
+    try {
+        const tag = await TagService.getTagPage(req.params.tag);
+        
+        if (!tag) {
+            return res.status(404).json(errorResponse(404, 'Tag not found'));
+        }
+        
+        return res.json(successResponse(tag, 'Tag retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Update tag (name, description, synonyms, parent)
+ */
+router.put('/:tagId', authenticate, isAdmin, [
+    tagIdValidator,
+    ...tagValidators(true)
+], auditTag('tag.update'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const tag = await TagService.updateTag(req.params.tagId, req.body);
+        
+        return res.json(successResponse(tag, 'Tag updated successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Delete tag (subtopics move up to its parent, news lose the tag)
+ */
+router.delete('/:tagId', authenticate, isAdmin, [tagIdValidator], auditTag('tag.delete'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { newsUpdated } = await TagService.deleteTag(req.params.tagId);
+        
+        return res.json(successResponse({ newsUpdated }, 'Tag deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('../config/config');
+const UploadService = require('../services/uploadService');
+const { authenticate } = require('../middlewares/auth');
+const { successResponse, errorResponse, httpError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+// Keep files in memory so their content can be checked before anything touches the disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.maxFileSize,
+        files: config.maxFilesPerUpload
+    },
+    fileFilter: (req, file, cb) => {
+        // Cheap pre-check only, the real type is verified from magic bytes; one bad file rejects the whole upload
+        if (!config.allowedImageTypes.includes(file.mimetype)) {
+            return cb(httpError(`File ${file.originalname} is not a supported image`, 400));
+        }
+        cb(null, true);
+    }
+}).array('images', config.maxFilesPerUpload);
+
+/**
+ * Multer wrapper that turns upload limit errors into API error responses
+ */
+const handleMultipart = (req, res, next) => {
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        if (err instanceof multer.MulterError) {
+            const messages = {
+                LIMIT_FILE_SIZE: `File size cannot exceed ${config.maxFileSize / (1024 * 1024)}MB`,
+                LIMIT_FILE_COUNT: `At most ${config.maxFilesPerUpload} files can be uploaded at once`,
+                LIMIT_UNEXPECTED_FILE: `At most ${config.maxFilesPerUpload} files can be uploaded at once, using the "images" field`
+            };
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json(errorResponse(status, messages[err.code] || err.message, { images: err.code }));
+        }
+
+        next(err);
+    });
+};
+
+/**
+ * Upload images
+ */
+router.post('/', authenticate, handleMultipart, async (req, res, next) => {
+    try {
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json(errorResponse(400, 'No valid image files provided', {
+                images: `Allowed types: ${config.allowedImageTypes.join(', ')}`
+            }));
+        }
+
+        // Validate everything before storing anything
+        for (const file of files) {
+            const detected = UploadService.detectImageType(file.buffer);
+            if (!detected || !config.allowedImageTypes.includes(detected.mimeType)) {
+                return res.status(400).json(errorResponse(400, `File ${file.originalname} is not a supported image`));
+            }
+        }
+
+        const savedFiles = [];
+        for (const file of files) {
+            savedFiles.push(await UploadService.saveImage(file));
+        }
+
+        return res.status(201).json(successResponse(savedFiles, 'Images uploaded successfully'));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json(errorResponse(400, error.message));
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { User, ROLES } = require('../models/User');
-const { authenticate, authorize, generateToken, isAdmin } = require('../middlewares/auth');
+const { body, param, validationResult } = require('express-validator');
+const { User, ROLES, PRIVACY_SETTINGS } = require('../models/User');
+const { REVOKE_REASONS } = require('../models/Session');
+const { authenticate, authorize, optionalAuthenticate, isAdmin } = require('../middlewares/auth');
 const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const SessionService = require('../services/sessionService');
+const UserService = require('../services/userService');
+const ActionTokenService = require('../services/actionTokenService');
+const MailService = require('../services/mailService');
+const ReputationService = require('../services/reputationService');
+const ProfileService = require('../services/profileService');
+const NotificationService = require('../services/notificationService');
+const { TOKEN_PURPOSES } = require('../models/ActionToken');
 
 const router = express.Router();
 
@@ -42,8 +52,16 @@ router.post('/register', [
         
         await newUser.save();
         
-        // 生成JWT令牌
-        const token = generateToken(newUser);
+        // 发送邮箱验证邮件（发送失败不影响注册，用户可稍后重新发送）
+        try {
+            const verificationToken = await ActionTokenService.issue(newUser, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+            await MailService.sendVerificationEmail(newUser, verificationToken);
+        } catch (mailError) {
+            console.error(`⚠️  Failed to send verification email: ${mailError.message}`);
+        }
+        
+        // 创建会话并生成访问令牌和刷新令牌
+        const { token, refreshToken, expiresIn } = await SessionService.createSession(newUser, req);
         
         // 返回用户信息和令牌（不包含密码）
         return res.status(201).json(successResponse({
@@ -54,9 +72,12 @@ router.post('/register', [
                 email: newUser.email,
                 role: newUser.role,
                 avatar: newUser.avatar,
+                isEmailVerified: newUser.isEmailVerified,
                 createdAt: newUser.createdAt
             },
-            token
+            token,
+            refreshToken,
+            expiresIn
         }, 'Registration successful'));
     } catch (error) {
         next(error);
@@ -93,8 +114,8 @@ router.post('/login', [
             return res.status(401).json(errorResponse(401, 'Invalid email or password', { credentials: 'Authentication failed' }));
         }
         
-        // 生成JWT令牌
-        const token = generateToken(user);
+        // 创建会话并生成访问令牌和刷新令牌
+        const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req);
         
         // 返回用户信息和令牌
         return res.json(successResponse({
@@ -105,15 +126,264 @@ router.post('/login', [
                 email: user.email,
                 role: user.role,
                 avatar: user.avatar,
+                isEmailVerified: user.isEmailVerified,
                 createdAt: user.createdAt
             },
-            token
+            token,
+            refreshToken,
+            expiresIn
         }, 'Login successful'));
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * Request password reset email
+ */
+router.post('/forgot-password', [
+    body('email').isEmail().withMessage('Please enter a valid email address')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        
+        if (user) {
+            const token = await ActionTokenService.issue(user, TOKEN_PURPOSES.PASSWORD_RESET);
+            await MailService.sendPasswordResetEmail(user, token);
+        }
+        
+        // Same response whether or not the email exists, so accounts cannot be enumerated
+        return res.json(successResponse(null, 'If the email is registered, a password reset link has been sent'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Reset password with a reset token
+ */
+router.post('/reset-password', [
+    body('token').notEmpty().withMessage('Reset token cannot be empty'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const userId = await ActionTokenService.consume(req.body.token, TOKEN_PURPOSES.PASSWORD_RESET);
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json(errorResponse(404, 'User not found'));
+        }
+        
+        user.password = req.body.password; // 会在保存时自动加密
+        // Receiving the reset email proves ownership of the address
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = Date.now();
+        }
+        await user.save();
+        
+        // 撤销所有会话，要求重新登录
+        await SessionService.revokeAllSessions(user._id, REVOKE_REASONS.PASSWORD_CHANGED);
+        
+        return res.json(successResponse(null, 'Password reset successfully, please log in again'));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json(errorResponse(error.status, error.message));
+        }
+        next(error);
+    }
+});
+
+/**
+ * Verify email address with a verification token
+ */
+router.post('/verify-email', [
+    body('token').notEmpty().withMessage('Verification token cannot be empty')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const userId = await ActionTokenService.consume(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { isEmailVerified: true, emailVerifiedAt: Date.now() },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json(errorResponse(404, 'User not found'));
+        }
+        
+        return res.json(successResponse({
+            id: user._id,
+            email: user.email,
+            isEmailVerified: user.isEmailVerified
+        }, 'Email verified successfully'));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json(errorResponse(error.status, error.message));
+        }
+        next(error);
+    }
+});
+
+/**
+ * Resend verification email to current user
+ */
+router.post('/resend-verification', authenticate, async (req, res, next) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json(errorResponse(400, 'Email address is already verified'));
+        }
+        
+        const token = await ActionTokenService.issue(req.user, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        await MailService.sendVerificationEmail(req.user, token);
+        
+        return res.json(successResponse(null, 'Verification email sent'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Change current user's password (other sessions are revoked)
+ */
+router.put('/password', authenticate, [
+    body('currentPassword').notEmpty().withMessage('Current password cannot be empty'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { currentPassword, newPassword } = req.body;
+        
+        await UserService.updatePassword(req.user._id, currentPassword, newPassword, req.authSession._id);
+        
+        return res.json(successResponse(null, 'Password updated successfully'));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json(errorResponse(error.status, error.message));
+        }
+        next(error);
+    }
+});
+
+/**
+ * Exchange refresh token for a new token pair
+ */
+router.post('/refresh', [
+    body('refreshToken').notEmpty().withMessage('Refresh token cannot be empty')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { token, refreshToken, expiresIn } = await SessionService.refreshSession(req.body.refreshToken);
+        
+        return res.json(successResponse({
+            token,
+            refreshToken,
+            expiresIn
+        }, 'Token refreshed successfully'));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json(errorResponse(error.status, error.message));
+        }
+        next(error);
+    }
+});
+
+/**
+ * Logout (revokes current session, or all sessions with allDevices)
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+        if (req.body.allDevices === true) {
+            const revokedCount = await SessionService.revokeAllSessions(req.user._id, REVOKE_REASONS.LOGOUT);
+            return res.json(successResponse({ revokedCount }, 'Logged out from all devices'));
+        }
+        
+        await req.authSession.revoke(REVOKE_REASONS.LOGOUT);
+        
+        return res.json(successResponse(null, 'Logout successful'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get current user's active sessions (one per device)
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+    try {
+        const sessions = await SessionService.listSessions(req.user._id, req.authSession._id);
+        
+        return res.json(successResponse(sessions, 'Session list retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Revoke all other sessions of current user
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+    try {
+        const revokedCount = await SessionService.revokeAllSessions(
+            req.user._id,
+            REVOKE_REASONS.USER_REVOKED,
+            req.authSession._id
+        );
+        
+        return res.json(successResponse({ revokedCount }, 'Other sessions revoked successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Revoke one session of current user
+ */
+router.delete('/sessions/:sessionId', authenticate, async (req, res, next) => {
+    try {
+        const { sessionId } = req.params;
+        
+        const session = await SessionService.revokeSession(req.user._id, sessionId);
+        
+        if (!session) {
+            return res.status(404).json(errorResponse(404, 'Session not found'));
+        }
+        
+        return res.json(successResponse({ id: session._id }, 'Session revoked successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Get current user information
  */
@@ -126,6 +396,8 @@ router.get('/me', authenticate, async (req, res, next) => {
             email: req.user.email,
             role: req.user.role,
             avatar: req.user.avatar,
+            isEmailVerified: req.user.isEmailVerified,
+            privacy: ProfileService.getPrivacy(req.user),
             createdAt: req.user.createdAt
         }, 'User information retrieved successfully'));
     } catch (error) {
@@ -133,12 +405,31 @@ router.get('/me', authenticate, async (req, res, next) => {
     }
 });
 
+/**
+ * Get current user's voting reputation
+ */
+router.get('/me/reputation', authenticate, async (req, res, next) => {
+    try {
+        const reputation = await ReputationService.getUserReputation(req.user._id);
+        
+        if (!reputation) {
+            return res.status(404).json(errorResponse(404, 'User not found'));
+        }
+        
+        return res.json(successResponse(reputation, 'Reputation retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Update current user information
  */
 router.put('/me', authenticate, [
     body('firstName').optional().notEmpty().withMessage('First name cannot be empty'),
-    body('lastName').optional().notEmpty().withMessage('Last name cannot be empty')
+    body('lastName').optional().notEmpty().withMessage('Last name cannot be empty'),
+    body('privacy').optional().isObject().withMessage('Privacy settings must be an object'),
+    body('privacy.*').isBoolean({ strict: true }).withMessage('Privacy settings must be true or false')
 ], async (req, res, next) => {
     try {
         // 检查验证错误
@@ -153,6 +444,13 @@ router.put('/me', authenticate, [
         if (req.body.lastName !== undefined) updateData.lastName = req.body.lastName;
         if (req.body.avatar !== undefined) updateData.avatar = req.body.avatar;
         
+        // 只更新提交的隐私设置，未知的设置项忽略
+        PRIVACY_SETTINGS.forEach(setting => {
+            if (req.body.privacy?.[setting] !== undefined) {
+                updateData[`privacy.${setting}`] = req.body.privacy[setting];
+            }
+        });
+        
         // 更新用户信息
         const updatedUser = await User.findByIdAndUpdate(
             req.user._id,
@@ -171,6 +469,8 @@ router.put('/me', authenticate, [
             email: updatedUser.email,
             role: updatedUser.role,
             avatar: updatedUser.avatar,
+            isEmailVerified: updatedUser.isEmailVerified,
+            privacy: ProfileService.getPrivacy(updatedUser),
             createdAt: updatedUser.createdAt
         }, 'User information updated successfully'));
     } catch (error) {
@@ -235,7 +535,10 @@ router.get('/', authenticate, isAdmin, async (req, res, next) => {
  */
 router.put('/:userId/role', authenticate, isAdmin, [
     body('role').isIn([ROLES.MEMBER, ROLES.READER]).withMessage('Invalid role')
-], async (req, res, next) => {
+], auditAction('user.role.update', {
+    targetType: 'user',
+    targetIds: req => req.params.userId
+}), async (req, res, next) => {
     try {
         // 检查验证错误
         const errors = validationResult(req);
@@ -251,17 +554,27 @@ router.put('/:userId/role', authenticate, isAdmin, [
             return res.status(403).json(errorResponse(403, 'Cannot set administrator role through API'));
         }
         
-        // 查找并更新用户
-        const updatedUser = await User.findByIdAndUpdate(
+        // 查找并更新用户（返回更新前的文档，用于判断角色是否变化）
+        const previousUser = await User.findByIdAndUpdate(
             userId,
             { role },
-            { new: true, runValidators: true }
+            { new: false, runValidators: true }
         );
         
-        if (!updatedUser) {
+        if (!previousUser) {
             return res.status(404).json(errorResponse(404, 'User not found'));
         }
         
+        const previousRole = previousUser.role;
+        const roleChanged = previousRole !== role;
+        const updatedUser = previousUser.set('role', role);
+        
+        // Existing sessions were granted under the old role, force the user to log in again
+        if (roleChanged) {
+            await SessionService.revokeAllSessions(userId, REVOKE_REASONS.ROLE_CHANGED);
+            await NotificationService.notifyRoleChanged(userId, previousRole, role, req.user._id);
+        }
+        
         return res.json(successResponse({
             id: updatedUser._id,
             firstName: updatedUser.firstName,
@@ -274,6 +587,31 @@ router.put('/:userId/role', authenticate, isAdmin, [
     }
 });
 
+/**
+ * Get a user's public profile (submissions, credibility and voting accuracy, as far as the user's privacy settings allow)
+ */
+router.get('/:userId/profile', optionalAuthenticate, [
+    param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const profile = await ProfileService.getPublicProfile(req.params.userId, req.user);
+        
+        if (!profile) {
+            return res.status(404).json(errorResponse(404, 'User not found'));
+        }
+        
+        return res.json(successResponse(profile, 'User profile retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Admin: Get user details
  */
@@ -1,16 +1,93 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { Vote, VOTE_RESULTS } = require('../models/Vote');
-const { News } = require('../models/News');
-const { authenticate } = require('../middlewares/auth');
+const { VoteHistory, VOTE_ACTIONS } = require('../models/VoteHistory');
+const { News, NEWS_STATUS } = require('../models/News');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const ReputationService = require('../services/reputationService');
+const VerdictService = require('../services/verdictService');
+const dbService = require('../services/dbService');
+const VoteReconciliationService = require('../services/voteReconciliationService');
+const NewsEventService = require('../services/newsEventService');
+const NotificationService = require('../services/notificationService');
+const WebhookService = require('../services/webhookService');
+const { authenticate, isAdmin, requireVerifiedEmail } = require('../middlewares/auth');
 const { successResponse, errorResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
 
 const router = express.Router();
 
+/**
+ * Format the vote statistics returned after a vote is cast, changed or retracted
+ * @param {Object} news - News document with updated counts
+ * @returns {Object} Vote statistics
+ */
+const formatVoteStats = (news) => ({
+    fakeCount: news.fakeVoteCount,
+    notFakeVoteCount: news.notFakeVoteCount,
+    totalCount: news.getTotalVotes(),
+    fakePercentage: news.getFakeVotePercentage().toFixed(1) + '%',
+    weightedFakePercentage: news.getWeightedFakeVotePercentage().toFixed(1) + '%'
+});
+
+/**
+ * Count delta contributed by a vote
+ * @param {string} voteResult - Vote result
+ * @param {number} weight - Vote weight
+ * @param {number} sign - 1 to add the vote, -1 to remove it
+ * @returns {Object} Delta for News.applyVoteDelta
+ */
+const voteDelta = (voteResult, weight, sign) => {
+    const isFake = voteResult === VOTE_RESULTS.FAKE;
+    return {
+        fakeCount: isFake ? sign : 0,
+        notFakeCount: isFake ? 0 : sign,
+        weightedFakeScore: isFake ? sign * weight : 0,
+        weightedNotFakeScore: isFake ? 0 : sign * weight
+    };
+};
+
+/**
+ * Push the new counts to clients watching the news, tell the author and webhooks when the status changed
+ * @param {Object} news - News document with updated counts
+ * @param {string} previousStatus - Status before the vote
+ */
+const announceVoteChange = async (news, previousStatus) => {
+    NewsEventService.publishVoteChange(news, previousStatus);
+    await NotificationService.notifyStatusChange(news, previousStatus);
+    await WebhookService.dispatchStatusChange(news, previousStatus);
+};
+
+/**
+ * Load the news and the current user's vote for a change or retraction
+ * @returns {Promise<Object>} { news, vote } or { error: [status, message] }
+ */
+const loadVoteForChange = async (userId, newsId) => {
+    const news = await News.findById(newsId);
+    if (!news) {
+        return { error: [404, 'News not found'] };
+    }
+    
+    if (news.areVoteChangesLocked()) {
+        return { error: [423, 'The verdict for this news has been frozen, votes can no longer be changed'] };
+    }
+    
+    const vote = await Vote.getUserVote(userId, newsId);
+    if (!vote) {
+        return { error: [404, 'You have not voted for this news'] };
+    }
+    
+    if (vote.isInvalid) {
+        return { error: [403, 'This vote has been invalidated by an administrator and cannot be changed'] };
+    }
+    
+    return { news, vote };
+};
+
 /**
  * Submit vote
  */
-router.post('/', authenticate, [
+router.post('/', authenticate, requireVerifiedEmail, [
     body('newsId').notEmpty().withMessage('News ID cannot be empty'),
     body('voteResult').isIn(Object.values(VOTE_RESULTS)).withMessage('Invalid vote result')
 ], async (req, res, next) => {
@@ -30,41 +107,211 @@ router.post('/', authenticate, [
             return res.status(404).json(errorResponse(404, 'News not found'));
         }
         
+        const weight = req.user.reputation?.score ?? 1;
+        
+        // 投票和计数在同一事务中完成（副本集部署时），计数使用原子$inc，并发投票不会互相覆盖
+        const outcome = await dbService.withTransaction(async (session) => {
+            // 原子插入：同一用户并发重复投票时只有一票生效
+            const result = await Vote.findOneAndUpdate(
+                { userId, newsId },
+                {
+                    $setOnInsert: {
+                        voteResult,
+                        weight,
+                        // 新闻已有最终结论后的投票不计入信誉
+                        countsTowardReputation: news.status === NEWS_STATUS.PENDING
+                    }
+                },
+                { upsert: true, new: true, includeResultMetadata: true, session }
+            );
+            
+            if (result.lastErrorObject?.updatedExisting) {
+                return null;
+            }
+            
+            const vote = result.value;
+            await VoteHistory.record(vote, VOTE_ACTIONS.CAST, null, voteResult, news.status, session);
+            
+            // 更新新闻投票计数（原始票数和按信誉加权的分数），并根据新计数更新状态
+            const updatedNews = await News.applyVoteDelta(newsId, voteDelta(voteResult, weight, 1), session);
+            
+            return { vote, news: updatedNews };
+        });
+        
         // 检查用户是否已经投过票
-        const existingVote = await Vote.hasUserVoted(userId, newsId);
-        if (existingVote) {
+        if (!outcome) {
             return res.status(400).json(errorResponse(400, 'You have already voted for this news'));
         }
         
-        // 创建新投票
-        const newVote = new Vote({
-            userId,
-            newsId,
-            voteResult
+        // 新闻状态确定后更新投票用户的信誉
+        await ReputationService.settleNewsVotes(newsId, outcome.news.status);
+        
+        // 推送给正在查看该新闻的用户，状态改变时通知作者
+        await announceVoteChange(outcome.news, news.status);
+        
+        // 返回更新后的投票统计和新闻状态
+        return res.status(201).json(successResponse({
+            vote: outcome.vote,
+            voteStats: formatVoteStats(outcome.news),
+            newsStatus: outcome.news.status,
+            verdict: outcome.news.evaluateVerdict()
+        }, 'Vote submitted successfully'));
+    } catch (error) {
+        // 唯一索引拦截的并发重复投票
+        if (error.code === 11000) {
+            return res.status(400).json(errorResponse(400, 'You have already voted for this news'));
+        }
+        next(error);
+    }
+});
+
+/**
+ * Change vote
+ */
+router.put('/:newsId', authenticate, requireVerifiedEmail, [
+    body('voteResult').isIn(Object.values(VOTE_RESULTS)).withMessage('Invalid vote result')
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { newsId } = req.params;
+        const { voteResult } = req.body;
+        
+        const { news, vote, error } = await loadVoteForChange(req.user._id, newsId);
+        if (error) {
+            return res.status(error[0]).json(errorResponse(error[0], error[1]));
+        }
+        
+        if (vote.voteResult === voteResult) {
+            return res.status(400).json(errorResponse(400, `Your vote is already ${voteResult}`));
+        }
+        
+        const previousResult = vote.voteResult;
+        const weight = vote.weight ?? req.user.reputation?.score ?? 1;
+        
+        const outcome = await dbService.withTransaction(async (session) => {
+            // 条件更新：并发修改同一张票时只有一个请求生效
+            const updatedVote = await Vote.findOneAndUpdate(
+                { _id: vote._id, voteResult: previousResult, isInvalid: false },
+                {
+                    voteResult,
+                    weight,
+                    updatedAt: Date.now(),
+                    // 看到结论后改票不计入信誉，防止跟风刷信誉
+                    countsTowardReputation: vote.countsTowardReputation && news.status === NEWS_STATUS.PENDING,
+                    $inc: { changeCount: 1 }
+                },
+                { new: true, session }
+            );
+            
+            if (!updatedVote) {
+                return null;
+            }
+            
+            await VoteHistory.record(updatedVote, VOTE_ACTIONS.CHANGE, previousResult, voteResult, news.status, session);
+            
+            // 原子地把票从旧选项移到新选项，并根据新计数更新状态
+            const removed = voteDelta(previousResult, weight, -1);
+            const added = voteDelta(voteResult, weight, 1);
+            const updatedNews = await News.applyVoteDelta(newsId, {
+                fakeCount: removed.fakeCount + added.fakeCount,
+                notFakeCount: removed.notFakeCount + added.notFakeCount,
+                weightedFakeScore: removed.weightedFakeScore + added.weightedFakeScore,
+                weightedNotFakeScore: removed.weightedNotFakeScore + added.weightedNotFakeScore
+            }, session);
+            
+            return { vote: updatedVote, news: updatedNews };
         });
         
-        await newVote.save();
+        if (!outcome) {
+            return res.status(409).json(errorResponse(409, 'Your vote was changed by another request, please reload'));
+        }
         
-        // 更新新闻投票计数
-        const voteStats = await Vote.getNewsVoteStats(newsId);
-        news.updateVoteCounts(voteStats.fakeCount, voteStats.notFakeCount);
+        const { vote: updatedVote, news: updatedNews } = outcome;
         
-        // 根据投票结果更新新闻状态
-        news.updateStatusBasedOnVotes();
+        // 状态可能已改变，同步投票用户的信誉
+        await ReputationService.settleNewsVotes(newsId, updatedNews.status);
+        await announceVoteChange(updatedNews, news.status);
         
-        await news.save();
+        return res.json(successResponse({
+            vote: updatedVote,
+            voteStats: formatVoteStats(updatedNews),
+            newsStatus: updatedNews.status
+        }, 'Vote changed successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Retract vote
+ */
+router.delete('/:newsId', authenticate, requireVerifiedEmail, async (req, res, next) => {
+    try {
+        const { newsId } = req.params;
         
-        // 返回更新后的投票统计和新闻状态
-        return res.status(201).json(successResponse({
-            vote: newVote,
-            voteStats: {
-                fakeCount: news.fakeVoteCount,
-                notFakeVoteCount: news.notFakeVoteCount,
-                totalCount: news.getTotalVotes(),
-                fakePercentage: news.getFakeVotePercentage().toFixed(1) + '%'
-            },
-            newsStatus: news.status
-        }, 'Vote submitted successfully'));
+        const { news, vote, error } = await loadVoteForChange(req.user._id, newsId);
+        if (error) {
+            return res.status(error[0]).json(errorResponse(error[0], error[1]));
+        }
+        
+        const outcome = await dbService.withTransaction(async (session) => {
+            const deletedVote = await Vote.findOneAndDelete(
+                { _id: vote._id, voteResult: vote.voteResult, isInvalid: false },
+                { session }
+            );
+            
+            if (!deletedVote) {
+                return null;
+            }
+            
+            await VoteHistory.record(deletedVote, VOTE_ACTIONS.RETRACT, deletedVote.voteResult, null, news.status, session);
+            
+            const weight = deletedVote.weight ?? req.user.reputation?.score ?? 1;
+            const updatedNews = await News.applyVoteDelta(newsId, voteDelta(deletedVote.voteResult, weight, -1), session);
+            
+            return { vote: deletedVote, news: updatedNews };
+        });
+        
+        if (!outcome) {
+            return res.status(409).json(errorResponse(409, 'Your vote was changed by another request, please reload'));
+        }
+        
+        const { vote: deletedVote, news: updatedNews } = outcome;
+        
+        // 撤回已结算的投票时同时撤回其对信誉的影响
+        if (deletedVote.settledOutcome) {
+            await ReputationService.adjustUserReputation(
+                deletedVote.userId,
+                deletedVote.voteResult === deletedVote.settledOutcome ? -1 : 0,
+                -1
+            );
+        }
+        
+        await ReputationService.settleNewsVotes(newsId, updatedNews.status);
+        await announceVoteChange(updatedNews, news.status);
+        
+        return res.json(successResponse({
+            voteStats: formatVoteStats(updatedNews),
+            newsStatus: updatedNews.status
+        }, 'Vote retracted successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get current user's vote history for specific news
+ */
+router.get('/user/:newsId/history', authenticate, async (req, res, next) => {
+    try {
+        const history = await VoteHistory.getUserNewsHistory(req.user._id, req.params.newsId);
+        
+        return res.json(successResponse(history, 'Vote history retrieved successfully'));
     } catch (error) {
         next(error);
     }
@@ -94,11 +341,29 @@ router.get('/user/:newsId', authenticate, async (req, res, next) => {
     }
 });
 
+/**
+ * List available verdict policies
+ */
+router.get('/verdict-policies', (req, res) => {
+    return res.json(successResponse({
+        policies: VerdictService.listPolicies(),
+        defaultPolicy: VerdictService.resolveParams().policy
+    }, 'Verdict policies retrieved successfully'));
+});
+
 /**
  * Get news vote statistics
  */
-router.get('/news/:newsId/stats', async (req, res, next) => {
+router.get('/news/:newsId/stats', [
+    query('policy').optional().custom(VerdictService.hasPolicy).withMessage('Unknown verdict policy')
+], async (req, res, next) => {
     try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
         const { newsId } = req.params;
         
         // 检查新闻是否存在
@@ -110,17 +375,27 @@ router.get('/news/:newsId/stats', async (req, res, next) => {
         // 获取投票统计
         const voteStats = await Vote.getNewsVoteStats(newsId);
         
+        const percentage = (part, total) => total > 0 ? ((part / total) * 100).toFixed(1) + '%' : '0%';
+        
         return res.json(successResponse({
             newsId,
             fakeCount: voteStats.fakeCount,
             notFakeCount: voteStats.notFakeCount,
             totalCount: voteStats.totalCount,
-            fakePercentage: voteStats.totalCount > 0 
-                ? ((voteStats.fakeCount / voteStats.totalCount) * 100).toFixed(1) + '%'
-                : '0%',
-            notFakePercentage: voteStats.totalCount > 0
-                ? ((voteStats.notFakeCount / voteStats.totalCount) * 100).toFixed(1) + '%'
-                : '0%',
+            fakePercentage: percentage(voteStats.fakeCount, voteStats.totalCount),
+            notFakePercentage: percentage(voteStats.notFakeCount, voteStats.totalCount),
+            // 按投票用户信誉加权的统计，新闻状态按加权结果判定
+            weighted: {
+                fakeScore: voteStats.weightedFakeScore,
+                notFakeScore: voteStats.weightedNotFakeScore,
+                totalScore: voteStats.weightedTotalScore,
+                fakePercentage: percentage(voteStats.weightedFakeScore, voteStats.weightedTotalScore),
+                notFakePercentage: percentage(voteStats.weightedNotFakeScore, voteStats.weightedTotalScore)
+            },
+            // 判定结果：可通过 ?policy= 预览其他判定策略
+            verdict: VerdictService.evaluate(voteStats, { policy: req.query.policy }),
+            verdictFrozen: news.verdictFrozen,
+            voteChangesLocked: news.areVoteChangesLocked(),
             newsStatus: news.status
         }, 'Vote statistics retrieved successfully'));
     } catch (error) {
@@ -170,7 +445,11 @@ router.get('/news/:newsId', authenticate, (req, res, next) => {
 /**
  * Admin: Mark vote as invalid
  */
-router.put('/:voteId/invalidate', authenticate, (req, res, next) => {
+router.put('/:voteId/invalidate', authenticate, auditAction('vote.invalidate', {
+    targetType: 'vote',
+    targetIds: req => req.params.voteId,
+    when: req => req.user.role === 'Administrator'
+}), (req, res, next) => {
     // 检查用户是否为管理员
     if (req.user.role !== 'Administrator') {
         return res.status(403).json(errorResponse(403, 'Insufficient permissions, administrator role required'));
@@ -178,25 +457,94 @@ router.put('/:voteId/invalidate', authenticate, (req, res, next) => {
     
     const { voteId } = req.params;
     
-    // 标记投票为无效
-    Vote.invalidateVote(voteId)
-        .then(invalidatedVote => {
+    // 标记投票为无效，并在同一事务中原子地从新闻计数中减去这张票
+    dbService.withTransaction(async (session) => {
+        const invalidatedVote = await Vote.invalidateVote(voteId, session);
+        if (!invalidatedVote || invalidatedVote.weight == null) {
+            return { vote: invalidatedVote, news: null };
+        }
+        
+        const previous = await News.findById(invalidatedVote.newsId).select('status').session(session);
+        const news = await News.applyVoteDelta(
+            invalidatedVote.newsId,
+            voteDelta(invalidatedVote.voteResult, invalidatedVote.weight, -1),
+            session
+        );
+        return { vote: invalidatedVote, news, previousStatus: previous?.status };
+    })
+        .then(({ vote: invalidatedVote, news, previousStatus }) => {
             if (!invalidatedVote) {
-                return res.status(404).json(errorResponse(404, 'Vote record not found'));
+                return res.status(404).json(errorResponse(404, 'Vote record not found or already invalid'));
             }
             
-            // 重新计算新闻投票
-            return Vote.recalculateNewsVotes(invalidatedVote.newsId)
-                .then(recalcResult => {
-                    return res.json(successResponse({
-                        vote: invalidatedVote,
-                        recalculation: recalcResult
-                    }, 'Vote marked as invalid'));
-                });
+            // 没有记录权重的旧投票无法精确扣减，重新统计该新闻的投票
+            const recalculation = news
+                ? ReputationService.settleNewsVotes(news._id, news.status).then(reputation => ({
+                    success: true,
+                    newsId: news._id,
+                    voteStats: formatVoteStats(news),
+                    newStatus: news.status,
+                    reputation
+                }))
+                : Vote.recalculateNewsVotes(invalidatedVote.newsId);
+            
+            // 通知投票用户和Webhook；重新统计时的推送和通知由 recalculateNewsVotes 完成
+            const announcement = Promise.all([
+                news ? announceVoteChange(news, previousStatus) : null,
+                NotificationService.notifyVoteInvalidated(invalidatedVote, req.user._id),
+                WebhookService.dispatchModeration(WEBHOOK_EVENTS.VOTE_INVALIDATED, {
+                    vote: {
+                        id: invalidatedVote._id.toString(),
+                        newsId: invalidatedVote.newsId.toString(),
+                        userId: invalidatedVote.userId.toString(),
+                        voteResult: invalidatedVote.voteResult
+                    }
+                }, req.user._id)
+            ]);
+            
+            return Promise.all([recalculation, announcement]).then(([recalcResult]) => {
+                return res.json(successResponse({
+                    vote: invalidatedVote,
+                    recalculation: recalcResult
+                }, 'Vote marked as invalid'));
+            });
         })
         .catch(error => next(error));
 });
 
+/**
+ * Admin: Reconcile stored vote counts with the vote collection
+ */
+router.post('/reconcile', authenticate, isAdmin, [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    body('newsIds').optional().isArray({ min: 1 }).withMessage('newsIds must be a non-empty array'),
+    body('newsIds.*').optional().isMongoId().withMessage('Invalid news ID'),
+    body('batchSize').optional().isInt({ min: 1, max: 1000 }).withMessage('batchSize must be between 1 and 1000')
+], auditAction('vote.reconcile', {
+    targetType: 'news',
+    targetIds: req => req.body.newsIds,
+    // 只记录真正修复计数的对账
+    when: req => req.body.dryRun === false
+}), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        // 默认只生成报告，显式传入 dryRun: false 才会修复
+        const report = await VoteReconciliationService.reconcile({
+            dryRun: req.body.dryRun !== false,
+            newsIds: req.body.newsIds || null,
+            batchSize: req.body.batchSize ? Number(req.body.batchSize) : undefined
+        });
+        
+        return res.json(successResponse(report, report.dryRun ? 'Reconciliation dry run completed' : 'Reconciliation completed'));
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Get user vote history
  */
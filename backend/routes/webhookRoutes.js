@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Webhook, WEBHOOK_EVENTS } = require('../models/Webhook');
+const { WebhookDelivery, DELIVERY_STATUS } = require('../models/WebhookDelivery');
+const WebhookService = require('../services/webhookService');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+const { successResponse, errorResponse, paginatedResponse } = require('../middlewares/errorHandler');
+const { auditAction } = require('../middlewares/audit');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Audit an action on the webhook in the URL
+const auditWebhook = (action) => auditAction(action, {
+    targetType: 'webhook',
+    targetIds: req => req.params.webhookId
+});
+
+const webhookIdValidator = param('webhookId').isMongoId().withMessage('Invalid webhook ID');
+
+// Webhook fields, required when creating and optional when updating
+const webhookValidators = (optional) => {
+    const field = name => optional ? body(name).optional() : body(name);
+    
+    return [
+        field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('URL must be a valid http or https URL')
+            .isLength({ max: 2000 }).withMessage('URL cannot exceed 2000 characters'),
+        field('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+        body('events.*').isIn(Object.values(WEBHOOK_EVENTS))
+            .withMessage(`Event must be one of: ${Object.values(WEBHOOK_EVENTS).join(', ')}`),
+        body('description').optional().isString().trim().isLength({ max: 200 })
+            .withMessage('Description cannot exceed 200 characters')
+    ];
+};
+
+/**
+ * Admin: Get webhooks and the events they can subscribe to
+ */
+router.get('/', authenticate, isAdmin, async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: -1 }).lean();
+        
+        return res.json(successResponse({
+            webhooks,
+            events: Object.values(WEBHOOK_EVENTS)
+        }, 'Webhooks retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Create webhook (the signing secret is only returned in this response)
+ */
+router.post('/', authenticate, isAdmin, webhookValidators(false), auditAction('webhook.create', {
+    targetType: 'webhook'
+}), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const webhook = await WebhookService.createWebhook(req.body, req.user._id);
+        
+        return res.status(201).json(successResponse(webhook, 'Webhook created successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get webhook details
+ */
+router.get('/:webhookId', authenticate, isAdmin, [webhookIdValidator], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const webhook = await Webhook.findById(req.params.webhookId).populate('createdBy', 'firstName lastName email');
+        if (!webhook) {
+            return res.status(404).json(errorResponse(404, 'Webhook not found'));
+        }
+        
+        return res.json(successResponse(webhook, 'Webhook retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Update webhook (URL, events, description, active)
+ */
+router.put('/:webhookId', authenticate, isAdmin, [
+    webhookIdValidator,
+    ...webhookValidators(true),
+    body('isActive').optional().isBoolean({ strict: true }).withMessage('isActive must be a boolean')
+], auditWebhook('webhook.update'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const webhook = await WebhookService.updateWebhook(req.params.webhookId, req.body);
+        
+        return res.json(successResponse(webhook, 'Webhook updated successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Delete webhook and its delivery log
+ */
+router.delete('/:webhookId', authenticate, isAdmin, [webhookIdValidator], auditWebhook('webhook.delete'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        await WebhookService.deleteWebhook(req.params.webhookId);
+        
+        return res.json(successResponse(null, 'Webhook deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Replace the signing secret (the new secret is only returned in this response)
+ */
+router.post('/:webhookId/rotate-secret', authenticate, isAdmin, [webhookIdValidator], auditWebhook('webhook.rotate_secret'), async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const webhook = await WebhookService.rotateSecret(req.params.webhookId);
+        
+        return res.json(successResponse(webhook, 'Webhook secret rotated successfully'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Send a test event and return the result of the first attempt
+ */
+router.post('/:webhookId/test', authenticate, isAdmin, [webhookIdValidator], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const delivery = await WebhookService.sendTest(req.params.webhookId, req.user._id);
+        
+        return res.json(successResponse(delivery, 'Test event sent'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Admin: Get the delivery log of a webhook (newest first, supports filtering by status)
+ */
+router.get('/:webhookId/deliveries', authenticate, isAdmin, [
+    webhookIdValidator,
+    query('status').optional().isIn(Object.values(DELIVERY_STATUS)).withMessage('Invalid delivery status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('pageSize').optional().isInt({ min: 1, max: config.pagination.maxPageSize })
+        .withMessage(`Page size must be between 1 and ${config.pagination.maxPageSize}`).toInt()
+], async (req, res, next) => {
+    try {
+        // 检查验证错误
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(errorResponse(400, 'Validation failed', errors.mapped()));
+        }
+        
+        const { status, page = 1, pageSize = 20 } = req.query;
+        
+        const webhookExists = await Webhook.exists({ _id: req.params.webhookId });
+        if (!webhookExists) {
+            return res.status(404).json(errorResponse(404, 'Webhook not found'));
+        }
+        
+        const result = await WebhookDelivery.getDeliveries(req.params.webhookId, { page, pageSize, status });
+        
+        return res.json(paginatedResponse(
+            result.deliveries,
+            result.total,
+            result.page,
+            result.pageSize,
+            result.pageCount,
+            'Webhook deliveries retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Send webhook deliveries whose next attempt is due
+ * Retries are also scheduled by the server process; this script picks up the ones interrupted
+ * by a restart. Meant to run every few minutes from cron or a scheduler.
+ *
+ * Usage:
+ *   npm run deliver:webhooks
+ *   npm run deliver:webhooks -- --limit 500 --json
+ */
+const dbService = require('../services/dbService');
+const WebhookService = require('../services/webhookService');
+const config = require('../config/config');
+
+const parseArgs = (argv) => {
+    const options = { json: false, limit: config.webhooks.retryBatchSize };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--json':
+                options.json = true;
+                break;
+            case '--limit':
+                options.limit = Number(argv[++i]);
+                if (!Number.isInteger(options.limit) || options.limit < 1) {
+                    throw new Error('--limit must be a positive integer');
+                }
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        const result = await WebhookService.processDue({ limit: options.limit });
+        
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            console.log(`\n📨 Attempted ${result.attempted} due webhook deliveries: ` +
+                `${result.succeeded} succeeded, ${result.failed} failed permanently\n`);
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Webhook delivery failed:', error.message);
+    process.exit(1);
+});
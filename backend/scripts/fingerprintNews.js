@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Compute the duplicate detection fingerprints of existing news
+ * Run once after upgrading, and with --all after changing the duplicates settings in the config.
+ *
+ * Usage:
+ *   npm run fingerprint:news
+ *   npm run fingerprint:news -- --all
+ *   npm run fingerprint:news -- --json
+ */
+const dbService = require('../services/dbService');
+const DuplicateService = require('../services/duplicateService');
+
+const parseArgs = (argv) => {
+    const options = { all: false, json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--all':
+                options.all = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        const updated = await DuplicateService.fingerprintNews({ all: options.all });
+        
+        if (options.json) {
+            console.log(JSON.stringify({ updated }, null, 2));
+        } else {
+            console.log(`\n🔍 Fingerprinted ${updated} news${options.all ? '' : ' without a fingerprint'}\n`);
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ News fingerprinting failed:', error.message);
+    process.exit(1);
+});
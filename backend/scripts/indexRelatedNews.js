@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the TF-IDF index of related news from all news
+ * News is indexed when it is created or edited; run this once after upgrading and after changing
+ * the related settings in the config.
+ *
+ * Usage:
+ *   npm run index:related
+ *   npm run index:related -- --json
+ */
+const dbService = require('../services/dbService');
+const RelatedNewsService = require('../services/relatedNewsService');
+
+const parseArgs = (argv) => {
+    const options = { json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        const indexed = await RelatedNewsService.rebuildIndex();
+        
+        if (options.json) {
+            console.log(JSON.stringify({ indexed }, null, 2));
+        } else {
+            console.log(`\n📚 Indexed ${indexed} news for related news\n`);
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Related news indexing failed:', error.message);
+    process.exit(1);
+});
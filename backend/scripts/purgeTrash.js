@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Purge trashed news whose retention period has ended, with its votes, comments and images
+ * Meant to run daily from cron or a scheduler.
+ *
+ * Usage:
+ *   npm run purge:trash
+ *   npm run purge:trash -- --json
+ */
+const dbService = require('../services/dbService');
+const TrashService = require('../services/trashService');
+const config = require('../config/config');
+
+const parseArgs = (argv) => {
+    const options = { json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const printResult = (result) => {
+    console.log(`\n🗑️  Purged ${result.purged.length} news deleted more than ${config.trash.retentionDays} days ago\n`);
+    
+    result.purged.forEach(item => {
+        console.log(`[purged] ${item.newsId} "${item.title}"`);
+        console.log(`   votes: ${item.votes}, comments: ${item.comments}, revisions: ${item.revisions}, ` +
+            `reports: ${item.reports}, images: ${item.images}`);
+    });
+    
+    result.failed.forEach(item => {
+        console.log(`[failed] ${item.newsId}: ${item.error}`);
+    });
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        const result = await TrashService.purgeExpired();
+        
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printResult(result);
+        }
+        
+        if (result.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Trash purge failed:', error.message);
+    process.exit(1);
+});
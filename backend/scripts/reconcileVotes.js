@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Reconcile News vote counts with the Vote collection
+ *
+ * Usage:
+ *   npm run reconcile:votes                 # dry run, report drift only
+ *   npm run reconcile:votes -- --apply      # repair drifted counts
+ *   npm run reconcile:votes -- --news <id> [--news <id>] [--batch-size 200] [--json]
+ */
+const dbService = require('../services/dbService');
+const VoteReconciliationService = require('../services/voteReconciliationService');
+
+const parseArgs = (argv) => {
+    const options = { dryRun: true, newsIds: [], batchSize: undefined, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--apply':
+                options.dryRun = false;
+                break;
+            case '--news':
+                options.newsIds.push(argv[++i]);
+                break;
+            case '--batch-size':
+                options.batchSize = parseInt(argv[++i], 10);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+};
+
+const printReport = (report) => {
+    console.log(`\n${report.dryRun ? '🔍 Dry run' : '🔧 Repair'} finished in ${report.finishedAt - report.startedAt}ms`);
+    console.log(`   scanned: ${report.scanned}, drifted: ${report.drifted}, repaired: ${report.repaired}, skipped: ${report.skipped}\n`);
+
+    report.items.forEach(item => {
+        const { stored, actual } = item;
+        console.log(`[${item.action}] ${item.newsId} "${item.title}"`);
+        console.log(`   fake ${stored.fakeCount} -> ${actual.fakeCount}, notFake ${stored.notFakeCount} -> ${actual.notFakeCount}, ` +
+            `weighted ${stored.weightedFakeScore}/${stored.weightedNotFakeScore} -> ${actual.weightedFakeScore}/${actual.weightedNotFakeScore}`);
+        if (item.newStatus && item.newStatus !== item.previousStatus) {
+            console.log(`   status ${item.previousStatus} -> ${item.newStatus}`);
+        }
+    });
+
+    if (report.dryRun && report.drifted > 0) {
+        console.log('\nRun again with --apply to repair.');
+    }
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+
+    await dbService.connect();
+
+    try {
+        const report = await VoteReconciliationService.reconcile({
+            dryRun: options.dryRun,
+            newsIds: options.newsIds.length > 0 ? options.newsIds : null,
+            batchSize: options.batchSize
+        });
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Vote reconciliation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Retrain the pre-screening classifier from news with a final community verdict and re-score pending news
+ * Runs the training jobs admins queued through the API, training happens here and not in the API process.
+ * Meant to run from cron or a scheduler: often with --queued (only the queued jobs), and e.g. weekly
+ * without it (queues a job unless one is waiting); prints the holdout accuracy.
+ *
+ * Usage:
+ *   npm run train:classifier
+ *   npm run train:classifier -- --queued
+ *   npm run train:classifier -- --json
+ */
+const dbService = require('../services/dbService');
+const ClassifierService = require('../services/classifierService');
+const { ClassifierModel } = require('../models/ClassifierModel');
+const { JOB_STATUS } = require('../models/ClassifierJob');
+
+const parseArgs = (argv) => {
+    const options = { json: false, queuedOnly: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--json':
+                options.json = true;
+                break;
+            case '--queued':
+                options.queuedOnly = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+const printModel = (model, scored) => {
+    const { metrics } = model;
+    
+    console.log(`\n🧠 Trained on ${model.fakeNews} Fake and ${model.notFakeNews} Not Fake news, ${model.vocabularySize} features\n`);
+    console.log(`   holdout: ${metrics.holdoutSize} news (model trained on the other ${metrics.trainingSize})`);
+    console.log(`   accuracy: ${percent(metrics.accuracy)} (always answering the more common verdict: ${percent(metrics.baselineAccuracy)})`);
+    console.log(`   Fake precision: ${percent(metrics.fakePrecision)}, Fake recall: ${percent(metrics.fakeRecall)}`);
+    console.log(`   re-scored pending news: ${scored}`);
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        if (!options.queuedOnly) {
+            await ClassifierService.queueTraining();
+        }
+        
+        const jobs = await ClassifierService.runQueuedJobs();
+        
+        if (options.json) {
+            console.log(JSON.stringify(jobs, null, 2));
+            return;
+        }
+        
+        if (jobs.length === 0) {
+            console.log('\nNo queued training jobs');
+        }
+        for (const job of jobs) {
+            if (job.status === JOB_STATUS.COMPLETED) {
+                printModel(await ClassifierModel.findById(job.modelId).lean(), job.scored);
+            } else {
+                console.log(`\n⚠️  Training job ${job._id} failed: ${job.error}`);
+            }
+        }
+        
+        if (jobs.some(job => job.status === JOB_STATUS.FAILED)) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Classifier training failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Mark accounts registered before email verification was introduced as verified
+ * Run once after upgrading, otherwise existing users can no longer vote or report.
+ *
+ * Usage:
+ *   npm run verify:existing-users
+ *   npm run verify:existing-users -- --before 2025-06-01
+ *   npm run verify:existing-users -- --json
+ */
+const dbService = require('../services/dbService');
+const UserService = require('../services/userService');
+
+const parseArgs = (argv) => {
+    const options = { before: new Date(), json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--before':
+                options.before = new Date(argv[++i]);
+                if (Number.isNaN(options.before.getTime())) {
+                    throw new Error('--before must be a valid date');
+                }
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    
+    return options;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    await dbService.connect();
+    
+    try {
+        const verified = await UserService.verifyExistingUsers(options.before);
+        
+        if (options.json) {
+            console.log(JSON.stringify({ verified, before: options.before }, null, 2));
+        } else {
+            console.log(`\n✉️  Marked ${verified} users registered before ${options.before.toISOString()} as verified\n`);
+        }
+    } finally {
+        await dbService.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Verifying existing users failed:', error.message);
+    process.exit(1);
+});
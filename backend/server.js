@@ -30,6 +30,15 @@ const userRoutes = require('./routes/userRoutes');
 const newsRoutes = require('./routes/newsRoutes');
 const voteRoutes = require('./routes/voteRoutes');
 const commentRoutes = require('./routes/commentRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const domainRoutes = require('./routes/domainRoutes');
+const classifierRoutes = require('./routes/classifierRoutes');
 
 // Import middleware
 const { notFoundHandler, globalErrorHandler, logger } = require('./middlewares/errorHandler');
@@ -74,15 +83,18 @@ if (fs.existsSync(publicDir)) {
 }
 
 // Static service for file uploads directory
-const uploadsPath = path.join(__dirname, 'uploads');
+const uploadsPath = path.join(__dirname, config.uploadPath);
 try {
-  // Try to access uploads directory, if it doesn't exist, static file service won't be enabled
-  if (fs.existsSync(uploadsPath)) {
-    app.use('/uploads', express.static(uploadsPath));
-    console.log('✅ Upload file service enabled: /uploads');
-  } else {
-    console.log('⚠️ uploads directory does not exist, upload file service disabled');
+  // Create the uploads directory on first start; read-only filesystems fall through to the catch below
+  if (!fs.existsSync(uploadsPath)) {
+    fs.mkdirSync(uploadsPath, { recursive: true });
   }
+  app.use(config.uploadUrlPrefix, express.static(uploadsPath, {
+    // File names are content hashes, so they never change
+    immutable: true,
+    maxAge: '365d'
+  }));
+  console.log(`✅ Upload file service enabled: ${config.uploadUrlPrefix}`);
 } catch (error) {
   console.log('⚠️ Error initializing static file service:', error.message);
 }
@@ -102,6 +114,15 @@ app.use('/api/users', userRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/vote', voteRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/classifier', classifierRoutes);
 
 // API root path handler - prevent 404 for /api
 app.get('/api', (req, res) => {
@@ -114,6 +135,15 @@ app.get('/api', (req, res) => {
       '/api/news',
       '/api/vote',
       '/api/comments',
+      '/api/uploads',
+      '/api/reports',
+      '/api/audit-logs',
+      '/api/notifications',
+      '/api/webhooks',
+      '/api/analytics',
+      '/api/tags',
+      '/api/domains',
+      '/api/classifier',
       '/api/health/liveness',
       '/api/health/db'
     ]
@@ -291,7 +321,7 @@ async function startServer() {
         process.exit(0);
       });
     });
-    
+  
   } catch (error) {
     console.error('❌ Error during server startup:', error);
     console.error(error.stack);
@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { ActionToken, TOKEN_PURPOSES } = require('../models/ActionToken');
+const config = require('../config/config');
+
+// Token lifetime per purpose
+const EXPIRATIONS = {
+    [TOKEN_PURPOSES.PASSWORD_RESET]: config.actionTokens.passwordResetExpiration,
+    [TOKEN_PURPOSES.EMAIL_VERIFICATION]: config.actionTokens.emailVerificationExpiration
+};
+
+/**
+ * Signing secret for a purpose, so access tokens and other token kinds never verify here
+ * @param {string} purpose - Token purpose
+ * @returns {string} Signing secret
+ */
+const secretFor = (purpose) => `${config.jwtSecret}:${purpose}`;
+
+/**
+ * Action Token Service Class
+ * Issues signed, expiring, single-use tokens for password reset and email verification
+ */
+class ActionTokenService {
+    /**
+     * Issue a new token, invalidating previous unused tokens for the same purpose
+     * @param {Object} user - User document
+     * @param {string} purpose - Token purpose
+     * @returns {Promise<string>} Signed token
+     */
+    static async issue(user, purpose) {
+        await ActionToken.invalidateOutstanding(user._id, purpose);
+
+        const jti = uuidv4();
+        const token = jwt.sign(
+            { uid: user._id.toString(), purpose },
+            secretFor(purpose),
+            { expiresIn: EXPIRATIONS[purpose], jwtid: jti }
+        );
+
+        const { exp } = jwt.decode(token);
+        await ActionToken.create({
+            userId: user._id,
+            purpose,
+            jti,
+            expiresAt: new Date(exp * 1000)
+        });
+
+        return token;
+    }
+
+    /**
+     * Verify a token and mark it as used
+     * @param {string} token - Signed token
+     * @param {string} purpose - Expected purpose
+     * @returns {Promise<string>} ID of the user the token was issued to
+     */
+    static async consume(token, purpose) {
+        let decoded;
+        try {
+            decoded = jwt.verify(String(token), secretFor(purpose));
+        } catch (verifyError) {
+            const error = new Error(verifyError.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+            error.status = 400;
+            throw error;
+        }
+
+        const record = decoded.purpose === purpose ? await ActionToken.consume(decoded.jti, purpose) : null;
+        if (!record || record.userId.toString() !== decoded.uid) {
+            const error = new Error('Token has already been used or is no longer valid');
+            error.status = 400;
+            throw error;
+        }
+
+        return decoded.uid;
+    }
+}
+
+module.exports = ActionTokenService;
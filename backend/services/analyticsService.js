@@ -0,0 +1,360 @@
+const { News, NEWS_STATUS } = require('../models/News');
+const { Vote, VOTE_RESULTS } = require('../models/Vote');
+const Comment = require('../models/Comment');
+const ReputationService = require('./reputationService');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Age groups of the pending backlog (upper bounds in hours)
+const BACKLOG_BUCKETS = [
+    { label: '<1d', maxHours: 24 },
+    { label: '1-7d', maxHours: 7 * 24 },
+    { label: '7-30d', maxHours: 30 * 24 },
+    { label: '>30d', maxHours: Infinity }
+];
+
+// Share of a in a + b, null when both are 0
+const ratio = (a, b) => (a + b > 0 ? Number((a / (a + b)).toFixed(4)) : null);
+
+const toHours = (ms) => (ms === null ? null : Number((ms / HOUR_MS).toFixed(2)));
+
+// Stages adding the user document to the rows of the top lists, without the password hash
+const lookupUser = (localField) => [
+    { $lookup: { from: 'users', localField, foreignField: '_id', as: 'user' } },
+    { $project: { 'user.password': 0 } }
+];
+
+/**
+ * Analytics Service Class
+ * Activity is grouped by calendar day in config.analytics.timezone. Trashed news is left out.
+ */
+class AnalyticsService {
+    /**
+     * Resolve the requested date range (the last config.analytics.defaultDays days by default)
+     * @param {Object} range - { from, to } as dates, both optional
+     * @returns {Object} { from, to }
+     */
+    static resolveRange({ from = null, to = null } = {}) {
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - config.analytics.defaultDays * DAY_MS);
+        
+        if (start > end) {
+            throw httpError('from must be before to', 400);
+        }
+        if (end - start > config.analytics.maxDays * DAY_MS) {
+            throw httpError(`Date range cannot exceed ${config.analytics.maxDays} days`, 400);
+        }
+        
+        return { from: start, to: end };
+    }
+    
+    /**
+     * List the calendar days of a range
+     * @param {Object} range - { from, to }
+     * @returns {Array<string>} Days as YYYY-MM-DD
+     */
+    static listDays({ from, to }) {
+        const format = new Intl.DateTimeFormat('en-CA', {
+            timeZone: config.analytics.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        
+        // Half-day steps, so days made shorter or longer by daylight saving time are not skipped
+        const days = new Set();
+        for (let time = from.getTime(); time < to.getTime(); time += DAY_MS / 2) {
+            days.add(format.format(new Date(time)));
+        }
+        days.add(format.format(to));
+        
+        return [...days];
+    }
+    
+    /**
+     * Count documents per day, optionally split by a field
+     * @param {Object} model - Mongoose model
+     * @param {Object} match - Filter
+     * @param {Object} range - { from, to }
+     * @param {Object} options - { dateField, splitBy }
+     * @returns {Promise<Map>} Day to count, or day to { value: count } when split
+     */
+    static async countByDay(model, match, { from, to }, { dateField = 'createdAt', splitBy = null } = {}) {
+        const rows = await model.aggregate([
+            { $match: { ...match, [dateField]: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: {
+                        day: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone: config.analytics.timezone } },
+                        value: splitBy ? `$${splitBy}` : null
+                    },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+        
+        const counts = new Map();
+        rows.forEach(({ _id, count }) => {
+            if (splitBy) {
+                counts.set(_id.day, { ...counts.get(_id.day), [_id.value]: count });
+            } else {
+                counts.set(_id.day, count);
+            }
+        });
+        
+        return counts;
+    }
+    
+    /**
+     * Submissions, votes and comments per day
+     * @param {Object} range - { from, to }
+     * @returns {Promise<Object>} { from, to, timezone, days, totals }
+     */
+    static async getActivityTimeSeries(range) {
+        const { from, to } = AnalyticsService.resolveRange(range);
+        
+        const [submissions, votes, comments] = await Promise.all([
+            AnalyticsService.countByDay(News, { isDeleted: { $ne: true } }, { from, to }),
+            AnalyticsService.countByDay(Vote, { isInvalid: false }, { from, to }),
+            AnalyticsService.countByDay(Comment, {}, { from, to })
+        ]);
+        
+        const days = AnalyticsService.listDays({ from, to }).map(date => ({
+            date,
+            submissions: submissions.get(date) || 0,
+            votes: votes.get(date) || 0,
+            comments: comments.get(date) || 0
+        }));
+        
+        const totals = days.reduce((sum, day) => ({
+            submissions: sum.submissions + day.submissions,
+            votes: sum.votes + day.votes,
+            comments: sum.comments + day.comments
+        }), { submissions: 0, votes: 0, comments: 0 });
+        
+        return { from, to, timezone: config.analytics.timezone, days, totals };
+    }
+    
+    /**
+     * Fake vs not fake votes and verdicts per day
+     * Verdicts are counted on the day the news reached its current final status.
+     * @param {Object} range - { from, to }
+     * @returns {Promise<Object>} { from, to, timezone, days }
+     */
+    static async getVerdictRatios(range) {
+        const { from, to } = AnalyticsService.resolveRange(range);
+        
+        const [votes, verdicts] = await Promise.all([
+            AnalyticsService.countByDay(Vote, { isInvalid: false }, { from, to }, { splitBy: 'voteResult' }),
+            AnalyticsService.countByDay(
+                News,
+                { isDeleted: { $ne: true }, status: { $in: ReputationService.FINAL_STATUSES } },
+                { from, to },
+                { dateField: 'statusChangedAt', splitBy: 'status' }
+            )
+        ]);
+        
+        const days = AnalyticsService.listDays({ from, to }).map(date => {
+            const dayVotes = votes.get(date) || {};
+            const dayVerdicts = verdicts.get(date) || {};
+            const fakeVotes = dayVotes[VOTE_RESULTS.FAKE] || 0;
+            const notFakeVotes = dayVotes[VOTE_RESULTS.NOT_FAKE] || 0;
+            const fakeVerdicts = dayVerdicts[NEWS_STATUS.FAKE] || 0;
+            const notFakeVerdicts = dayVerdicts[NEWS_STATUS.NOT_FAKE] || 0;
+            
+            return {
+                date,
+                fakeVotes,
+                notFakeVotes,
+                fakeVoteRatio: ratio(fakeVotes, notFakeVotes),
+                fakeVerdicts,
+                notFakeVerdicts,
+                fakeVerdictRatio: ratio(fakeVerdicts, notFakeVerdicts)
+            };
+        });
+        
+        return { from, to, timezone: config.analytics.timezone, days };
+    }
+    
+    /**
+     * Authors who submitted the most news in the range
+     * @param {Object} range - { from, to }
+     * @param {number} limit - Number of authors
+     * @returns {Promise<Array>} Authors with their news counts by status
+     */
+    static async getTopAuthors(range, limit = config.analytics.defaultTopLimit) {
+        const { from, to } = AnalyticsService.resolveRange(range);
+        
+        const rows = await News.aggregate([
+            { $match: { isDeleted: { $ne: true }, createdAt: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: '$authorId',
+                    newsCount: { $sum: 1 },
+                    fakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.FAKE] }, 1, 0] } },
+                    notFakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.NOT_FAKE] }, 1, 0] } },
+                    pendingCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.PENDING] }, 1, 0] } }
+                }
+            },
+            { $sort: { newsCount: -1, _id: 1 } },
+            { $limit: limit },
+            ...lookupUser('_id')
+        ]);
+        
+        return rows.map(({ _id, user, ...counts }) => ({
+            userId: _id,
+            name: user[0] ? `${user[0].firstName} ${user[0].lastName}` : null,
+            email: user[0]?.email || null,
+            ...counts,
+            fakeRatio: ratio(counts.fakeCount, counts.notFakeCount)
+        }));
+    }
+    
+    /**
+     * Users who cast the most valid votes in the range
+     * @param {Object} range - { from, to }
+     * @param {number} limit - Number of voters
+     * @returns {Promise<Array>} Voters with their vote counts and reputation
+     */
+    static async getTopVoters(range, limit = config.analytics.defaultTopLimit) {
+        const { from, to } = AnalyticsService.resolveRange(range);
+        
+        const rows = await Vote.aggregate([
+            { $match: { isInvalid: false, createdAt: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: '$userId',
+                    voteCount: { $sum: 1 },
+                    fakeVotes: { $sum: { $cond: [{ $eq: ['$voteResult', VOTE_RESULTS.FAKE] }, 1, 0] } },
+                    notFakeVotes: { $sum: { $cond: [{ $eq: ['$voteResult', VOTE_RESULTS.NOT_FAKE] }, 1, 0] } }
+                }
+            },
+            { $sort: { voteCount: -1, _id: 1 } },
+            { $limit: limit },
+            ...lookupUser('_id')
+        ]);
+        
+        return rows.map(({ _id, user, ...counts }) => ({
+            userId: _id,
+            name: user[0] ? `${user[0].firstName} ${user[0].lastName}` : null,
+            email: user[0]?.email || null,
+            reputation: user[0]?.reputation?.score ?? null,
+            ...counts
+        }));
+    }
+    
+    /**
+     * Time from submission to verdict of news that reached a final status in the range
+     * News decided before statusChangedAt was recorded has no verdict time and is left out.
+     * @param {Object} range - { from, to }
+     * @returns {Promise<Object>} { overall, byStatus } in hours
+     */
+    static async getTimeToVerdict(range) {
+        const { from, to } = AnalyticsService.resolveRange(range);
+        
+        const rows = await News.aggregate([
+            {
+                $match: {
+                    isDeleted: { $ne: true },
+                    status: { $in: ReputationService.FINAL_STATUSES },
+                    statusChangedAt: { $gte: from, $lte: to }
+                }
+            },
+            { $project: { status: 1, duration: { $subtract: ['$statusChangedAt', '$createdAt'] } } },
+            {
+                $facet: {
+                    overall: [
+                        { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$duration' }, min: { $min: '$duration' }, max: { $max: '$duration' } } }
+                    ],
+                    byStatus: [
+                        { $group: { _id: '$status', count: { $sum: 1 }, average: { $avg: '$duration' }, min: { $min: '$duration' }, max: { $max: '$duration' } } }
+                    ]
+                }
+            }
+        ]);
+        
+        const format = (group) => ({
+            count: group?.count || 0,
+            averageHours: toHours(group?.average ?? null),
+            minHours: toHours(group?.min ?? null),
+            maxHours: toHours(group?.max ?? null)
+        });
+        
+        const [{ overall, byStatus }] = rows;
+        return {
+            from,
+            to,
+            overall: format(overall[0]),
+            byStatus: Object.fromEntries(ReputationService.FINAL_STATUSES.map(status => [
+                status,
+                format(byStatus.find(group => group._id === status))
+            ]))
+        };
+    }
+    
+    /**
+     * Age of the news still waiting for a verdict
+     * @param {number} oldestLimit - Number of oldest pending news listed
+     * @returns {Promise<Object>} { count, averageAgeHours, buckets, oldest }
+     */
+    static async getPendingBacklog(oldestLimit = 5) {
+        const now = new Date();
+        const ageHours = { $divide: [{ $subtract: [now, '$createdAt'] }, HOUR_MS] };
+        
+        const [result] = await News.aggregate([
+            { $match: { isDeleted: { $ne: true }, status: NEWS_STATUS.PENDING } },
+            {
+                $facet: {
+                    summary: [
+                        { $group: { _id: null, count: { $sum: 1 }, averageAgeHours: { $avg: ageHours } } }
+                    ],
+                    buckets: [
+                        {
+                            $group: {
+                                _id: {
+                                    $switch: {
+                                        branches: BACKLOG_BUCKETS.slice(0, -1).map(bucket => ({
+                                            case: { $lt: [ageHours, bucket.maxHours] },
+                                            then: bucket.label
+                                        })),
+                                        default: BACKLOG_BUCKETS[BACKLOG_BUCKETS.length - 1].label
+                                    }
+                                },
+                                count: { $sum: 1 }
+                            }
+                        }
+                    ],
+                    oldest: [
+                        { $sort: { createdAt: 1 } },
+                        { $limit: oldestLimit },
+                        {
+                            $project: {
+                                title: 1,
+                                createdAt: 1,
+                                fakeVoteCount: 1,
+                                notFakeVoteCount: 1,
+                                ageHours
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+        
+        const summary = result.summary[0];
+        return {
+            count: summary?.count || 0,
+            averageAgeHours: summary ? Number(summary.averageAgeHours.toFixed(2)) : null,
+            buckets: BACKLOG_BUCKETS.map(({ label }) => ({
+                label,
+                count: result.buckets.find(bucket => bucket._id === label)?.count || 0
+            })),
+            oldest: result.oldest.map(news => ({ ...news, ageHours: Number(news.ageHours.toFixed(2)) }))
+        };
+    }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { AuditLog } = require('../models/AuditLog');
+const { News } = require('../models/News');
+const { Vote } = require('../models/Vote');
+const { User } = require('../models/User');
+const Comment = require('../models/Comment');
+const { Webhook } = require('../models/Webhook');
+const { Tag } = require('../models/Tag');
+const { Domain } = require('../models/Domain');
+
+// Fields recorded in the before/after snapshot of each audited target type
+const SNAPSHOT_FIELDS = {
+    news: { model: News, fields: 'title status authorId verdictFrozen fakeVoteCount notFakeVoteCount isHidden isDeleted' },
+    vote: { model: Vote, fields: 'userId newsId voteResult weight isInvalid' },
+    user: { model: User, fields: 'firstName lastName email role isEmailVerified warningCount' },
+    comment: { model: Comment, fields: 'userId newsId parentId content isDeleted isHidden replyCount' },
+    webhook: { model: Webhook, fields: 'url events description isActive' },
+    tag: { model: Tag, fields: 'name slug parentId synonyms' },
+    domain: { model: Domain, fields: 'host ratingOverride overrideNote' }
+};
+
+// Request body fields never written to the log
+const SECRET_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken'];
+
+// Columns of the CSV export
+const CSV_COLUMNS = ['createdAt', 'actorId', 'actorEmail', 'action', 'targetType', 'targetId', 'ip', 'userAgent', 'before', 'after', 'metadata'];
+
+/**
+ * Audit Service Class
+ * Takes snapshots of audited targets and writes audit log entries.
+ */
+class AuditService {
+    /**
+     * Escape a value for a CSV cell
+     * Objects are written as JSON; cells starting with a formula character are prefixed so spreadsheets show them as text
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    static toCsvCell(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        
+        let text = value instanceof Date ? value.toISOString()
+            : typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) ? JSON.stringify(value)
+                : String(value);
+        
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Load the current state of audited targets
+     * @param {string|null} targetType - Target type (key of SNAPSHOT_FIELDS)
+     * @param {Array<string>} targetIds - Target IDs
+     * @returns {Promise<Map>} Snapshot per target ID (null for missing targets)
+     */
+    static async takeSnapshots(targetType, targetIds) {
+        const snapshots = new Map(targetIds.map(id => [id, null]));
+        const definition = SNAPSHOT_FIELDS[targetType];
+        const validIds = targetIds.filter(id => mongoose.isValidObjectId(id));
+        
+        if (definition && validIds.length > 0) {
+            const documents = await definition.model
+                .find({ _id: { $in: validIds } })
+                .select(definition.fields)
+                // Snapshots include trashed news, deleting and restoring it are audited actions
+                .setOptions({ withDeleted: true })
+                .lean();
+            
+            documents.forEach(document => snapshots.set(document._id.toString(), document));
+        }
+        
+        return snapshots;
+    }
+    
+    /**
+     * Remove secrets from the request body recorded with an action
+     * @param {Object} body - Request body
+     * @returns {Object|null} Recorded metadata
+     */
+    static sanitizeMetadata(body) {
+        if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+            return null;
+        }
+        
+        return Object.fromEntries(Object.entries(body).filter(([key]) => !SECRET_FIELDS.includes(key)));
+    }
+    
+    /**
+     * Write audit log entries for an action, one per target
+     * @param {Object} entry - Action data ({ actor, action, targetType, targetIds, before, after, metadata, ip, userAgent })
+     * @returns {Promise<Array>} Created entries
+     */
+    static async record({ actor, action, targetType = null, targetIds = [], before = new Map(), after = new Map(), metadata = null, ip = null, userAgent = null }) {
+        const base = {
+            actorId: actor._id,
+            actorEmail: actor.email || null,
+            action,
+            targetType,
+            metadata,
+            ip,
+            userAgent
+        };
+        
+        // Actions without a specific target (e.g. reconciliation of all news) are recorded once
+        const entries = targetIds.length > 0
+            ? targetIds.map(targetId => ({
+                ...base,
+                targetId: mongoose.isValidObjectId(targetId) ? targetId : null,
+                before: before.get(targetId) || null,
+                after: after.get(targetId) || null
+            }))
+            : [base];
+        
+        return await AuditLog.insertMany(entries);
+    }
+    
+    /**
+     * Write the audit log entries matching the filters as CSV
+     * @param {Object} filters - Audit log filters
+     * @param {Object} output - Writable stream (e.g. the response)
+     * @param {number} limit - Maximum number of rows
+     * @returns {Promise<number>} Number of rows written
+     */
+    static async exportCsv(filters, output, limit) {
+        output.write(`${CSV_COLUMNS.join(',')}\r\n`);
+        
+        let rows = 0;
+        for await (const log of AuditLog.cursorLogs(filters, limit)) {
+            output.write(`${CSV_COLUMNS.map(column => AuditService.toCsvCell(log[column])).join(',')}\r\n`);
+            rows++;
+        }
+        
+        return rows;
+    }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const { News, NEWS_STATUS } = require('../models/News');
+const { ClassifierModel } = require('../models/ClassifierModel');
+const { ClassifierJob, JOB_STATUS } = require('../models/ClassifierJob');
+const RelatedNewsService = require('./relatedNewsService');
+const VerdictService = require('./verdictService');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+// Active model loaded for scoring, reloaded when another model becomes active
+let activeModel = null;
+
+/**
+ * Classifier Service Class
+ * Naive Bayes classifier over word n-grams (binary feature counts, Laplace smoothing) trained on news
+ * with a final community verdict. New submissions get a prior fake probability and the terms that
+ * contributed most. The score is advisory: it is shown beside the votes and never sets the status.
+ * Training is CPU heavy, admins queue it as a job that the train:classifier script runs outside the API.
+ */
+class ClassifierService {
+    /**
+     * Features of a news item: its terms and n-grams of consecutive terms
+     * @param {string} title - News title
+     * @param {string} content - News content
+     * @returns {Set<string>} Features
+     */
+    static features(title, content) {
+        const terms = RelatedNewsService.tokenize(`${title || ''} ${content || ''}`);
+        const features = new Set();
+        
+        for (let i = 0; i < terms.length; i++) {
+            for (let n = 1; n <= config.classifier.ngramSize && i + n <= terms.length; n++) {
+                features.add(terms.slice(i, i + n).join(' '));
+            }
+        }
+        
+        return features;
+    }
+    
+    /**
+     * Train a model
+     * @param {Array<Object>} examples - [{ features: Set<string>, fake: boolean }]
+     * @returns {Object} { fakeNews, notFakeNews, fakeFeatureTotal, notFakeFeatureTotal, features: Map<string, [fake, notFake]> }
+     */
+    static train(examples) {
+        const counts = new Map();
+        let fakeNews = 0;
+        
+        examples.forEach(example => {
+            const index = example.fake ? 0 : 1;
+            if (example.fake) {
+                fakeNews++;
+            }
+            example.features.forEach(feature => {
+                const count = counts.get(feature) || [0, 0];
+                count[index]++;
+                counts.set(feature, count);
+            });
+        });
+        
+        // Rare features only add noise, the vocabulary keeps the most frequent ones
+        const features = new Map([...counts.entries()]
+            .filter(([, [fake, notFake]]) => fake + notFake >= config.classifier.minFeatureNews)
+            .sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]) || a[0].localeCompare(b[0]))
+            .slice(0, config.classifier.maxVocabulary));
+        
+        let fakeFeatureTotal = 0;
+        let notFakeFeatureTotal = 0;
+        features.forEach(([fake, notFake]) => {
+            fakeFeatureTotal += fake;
+            notFakeFeatureTotal += notFake;
+        });
+        
+        return {
+            fakeNews,
+            notFakeNews: examples.length - fakeNews,
+            fakeFeatureTotal,
+            notFakeFeatureTotal,
+            features
+        };
+    }
+    
+    /**
+     * Score the features of a news item
+     * @param {Object} model - Trained model (see train)
+     * @param {Set<string>} features - Features of the news item
+     * @returns {Object} { fakeProbability, topTerms: [{ term, weight }] } (positive weights lean towards Fake)
+     */
+    static predict(model, features) {
+        const alpha = config.classifier.smoothing;
+        const vocabularySize = model.features.size;
+        const fakeDenominator = model.fakeFeatureTotal + alpha * vocabularySize;
+        const notFakeDenominator = model.notFakeFeatureTotal + alpha * vocabularySize;
+        
+        let logOdds = Math.log((model.fakeNews + 1) / (model.notFakeNews + 1));
+        const contributions = [];
+        
+        features.forEach(feature => {
+            const count = model.features.get(feature);
+            if (!count) {
+                return;
+            }
+            
+            const weight = Math.log((count[0] + alpha) / fakeDenominator) - Math.log((count[1] + alpha) / notFakeDenominator);
+            logOdds += weight;
+            contributions.push({ term: feature, weight: Math.round(weight * 1000) / 1000 });
+        });
+        
+        return {
+            fakeProbability: Math.round(1000 / (1 + Math.exp(-logOdds))) / 1000,
+            topTerms: contributions
+                .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight) || a.term.localeCompare(b.term))
+                .slice(0, config.classifier.topTerms)
+        };
+    }
+    
+    /**
+     * Measure a model on held-out examples (Fake is the positive class)
+     * @param {Object} model - Trained model
+     * @param {Array<Object>} examples - [{ features, fake }]
+     * @returns {Object} { holdoutSize, accuracy, baselineAccuracy, fakePrecision, fakeRecall, confusion }
+     */
+    static evaluate(model, examples) {
+        const confusion = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+        
+        examples.forEach(example => {
+            const predictedFake = ClassifierService.predict(model, example.features).fakeProbability >= 0.5;
+            if (predictedFake) {
+                confusion[example.fake ? 'truePositive' : 'falsePositive']++;
+            } else {
+                confusion[example.fake ? 'falseNegative' : 'trueNegative']++;
+            }
+        });
+        
+        const ratio = (a, b) => (b > 0 ? Math.round(a / b * 1000) / 1000 : null);
+        const fakeCount = confusion.truePositive + confusion.falseNegative;
+        
+        return {
+            holdoutSize: examples.length,
+            accuracy: ratio(confusion.truePositive + confusion.trueNegative, examples.length),
+            // Accuracy of always answering the more common verdict, the model has to beat it
+            baselineAccuracy: ratio(Math.max(fakeCount, examples.length - fakeCount), examples.length),
+            fakePrecision: ratio(confusion.truePositive, confusion.truePositive + confusion.falsePositive),
+            fakeRecall: ratio(confusion.truePositive, fakeCount),
+            confusion
+        };
+    }
+    
+    /**
+     * Whether a news item belongs to the holdout set; decided by a hash of its ID (IDs themselves are sequential)
+     * so retraining measures on the same news
+     * @param {Object} id - News ID
+     * @returns {boolean} True for held-out news
+     */
+    static isHoldout(id) {
+        const hash = crypto.createHash('md5').update(String(id)).digest().readUInt32BE(0);
+        return hash % 1000 < config.classifier.holdoutRatio * 1000;
+    }
+    
+    /**
+     * Whether the status of a news item is the verdict of its votes
+     * Statuses set by an administrator without or against the votes are not community verdicts.
+     * @param {Object} news - News with its status and stored vote counts
+     * @returns {boolean} True for a community verdict
+     */
+    static isCommunityVerdict(news) {
+        return VerdictService.evaluate({
+            fakeCount: news.fakeVoteCount,
+            notFakeCount: news.notFakeVoteCount,
+            weightedFakeScore: news.weightedFakeScore,
+            weightedNotFakeScore: news.weightedNotFakeScore
+        }).status === news.status;
+    }
+    
+    /**
+     * Train a model on all news with a final community verdict and make it the active model
+     * Accuracy is measured on held-out news first, then the stored model is trained on all news.
+     * Runs in the train:classifier script, see queueTraining for the API.
+     * @param {Object} options - { trainedBy: user ID }
+     * @returns {Promise<Object>} { model, scored } (model without its features, scored = re-scored pending news)
+     */
+    static async trainFromVerdicts({ trainedBy = null } = {}) {
+        const news = await News.find({ status: { $in: [NEWS_STATUS.FAKE, NEWS_STATUS.NOT_FAKE] } })
+            .select('title content status fakeVoteCount notFakeVoteCount weightedFakeScore weightedNotFakeScore')
+            .lean();
+        
+        const examples = news.filter(ClassifierService.isCommunityVerdict).map(item => ({
+            id: item._id,
+            features: ClassifierService.features(item.title, item.content),
+            fake: item.status === NEWS_STATUS.FAKE
+        }));
+        const fakeCount = examples.filter(example => example.fake).length;
+        
+        if (examples.length < config.classifier.minTrainingNews) {
+            throw httpError(`At least ${config.classifier.minTrainingNews} news with a community verdict are needed, found ${examples.length}`, 400);
+        }
+        if (fakeCount === 0 || fakeCount === examples.length) {
+            throw httpError('Training needs news with both Fake and Not Fake verdicts', 400);
+        }
+        
+        const holdout = examples.filter(example => ClassifierService.isHoldout(example.id));
+        const training = examples.filter(example => !ClassifierService.isHoldout(example.id));
+        const metrics = {
+            trainingSize: training.length,
+            ...ClassifierService.evaluate(ClassifierService.train(training), holdout)
+        };
+        
+        const trained = ClassifierService.train(examples);
+        const model = await ClassifierModel.create({
+            trainedBy,
+            fakeNews: trained.fakeNews,
+            notFakeNews: trained.notFakeNews,
+            fakeFeatureTotal: trained.fakeFeatureTotal,
+            notFakeFeatureTotal: trained.notFakeFeatureTotal,
+            features: trained.features,
+            vocabularySize: trained.features.size,
+            metrics
+        });
+        
+        await ClassifierModel.updateMany({ _id: { $ne: model._id } }, { isActive: false });
+        await ClassifierModel.updateOne({ _id: model._id }, { isActive: true });
+        
+        const outdated = await ClassifierModel.find({})
+            .sort({ trainedAt: -1 })
+            .skip(config.classifier.keepModels)
+            .select('_id')
+            .lean();
+        await ClassifierModel.deleteMany({ _id: { $in: outdated.map(item => item._id) } });
+        
+        const scored = await ClassifierService.scorePending();
+        
+        return {
+            model: await ClassifierModel.findById(model._id).lean(),
+            scored
+        };
+    }
+    
+    /**
+     * Queue a training job; a request while a job is still queued returns that job
+     * @param {string|null} requestedBy - Requesting user ID (null for the scheduled script)
+     * @returns {Promise<Object>} Queued job
+     */
+    static async queueTraining(requestedBy = null) {
+        try {
+            return await ClassifierJob.findOneAndUpdate(
+                { status: JOB_STATUS.QUEUED },
+                { $setOnInsert: { requestedBy, createdAt: new Date() } },
+                { upsert: true, new: true }
+            ).lean();
+        } catch (error) {
+            // A concurrent request inserted the queued job first
+            if (error.code !== 11000) {
+                throw error;
+            }
+            return await ClassifierJob.findOne({ status: JOB_STATUS.QUEUED }).lean();
+        }
+    }
+    
+    /**
+     * Fail the jobs left running by a script that crashed or was stopped, and queue their training again
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of failed jobs
+     */
+    static async recoverStaleJobs(now = new Date()) {
+        const startedBefore = new Date(now.getTime() - config.classifier.jobTimeoutMinutes * 60 * 1000);
+        const stale = await ClassifierJob.find({ status: JOB_STATUS.RUNNING, startedAt: { $lt: startedBefore } });
+        let failedCount = 0;
+        
+        for (const job of stale) {
+            const failed = await ClassifierJob.updateOne(
+                { _id: job._id, status: JOB_STATUS.RUNNING },
+                { status: JOB_STATUS.FAILED, error: 'Training did not finish in time', finishedAt: now }
+            );
+            if (failed.modifiedCount > 0) {
+                await ClassifierService.queueTraining(job.requestedBy);
+                failedCount++;
+            }
+        }
+        
+        return failedCount;
+    }
+    
+    /**
+     * Run the queued training jobs, oldest first
+     * Each job is claimed before it runs, so two script runs do not train the same job.
+     * @returns {Promise<Array>} Finished jobs
+     */
+    static async runQueuedJobs() {
+        const finished = [];
+        await ClassifierService.recoverStaleJobs();
+        
+        for (;;) {
+            const job = await ClassifierJob.findOneAndUpdate(
+                { status: JOB_STATUS.QUEUED },
+                { status: JOB_STATUS.RUNNING, startedAt: new Date() },
+                { sort: { createdAt: 1 }, new: true }
+            );
+            if (!job) {
+                break;
+            }
+            
+            try {
+                const { model, scored } = await ClassifierService.trainFromVerdicts({ trainedBy: job.requestedBy });
+                job.set({ status: JOB_STATUS.COMPLETED, modelId: model._id, scored });
+            } catch (error) {
+                job.set({ status: JOB_STATUS.FAILED, error: error.message });
+            }
+            job.finishedAt = new Date();
+            await job.save();
+            
+            finished.push(job.toObject());
+        }
+        
+        return finished;
+    }
+    
+    /**
+     * Get a training job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Job with its requester and trained model
+     */
+    static async getJob(jobId) {
+        const job = await ClassifierJob.findById(jobId)
+            .populate('requestedBy', 'firstName lastName')
+            .populate('modelId')
+            .lean();
+        if (!job) {
+            throw httpError('Training job not found', 404);
+        }
+        
+        return job;
+    }
+    
+    /**
+     * Get the active model for scoring
+     * @returns {Promise<Object|null>} Model with its features as a Map, null before the first training
+     */
+    static async getActiveModel() {
+        const current = await ClassifierModel.findOne({ isActive: true }).select('_id').lean();
+        if (!current) {
+            return null;
+        }
+        
+        if (!activeModel || !activeModel._id.equals(current._id)) {
+            const model = await ClassifierModel.findById(current._id).select('+features').lean();
+            if (!model) {
+                return null;
+            }
+            activeModel = { ...model, features: new Map(Object.entries(model.features || {})) };
+        }
+        
+        return activeModel;
+    }
+    
+    /**
+     * Score a news item with the active model and store the result on it
+     * @param {string} newsId - News ID
+     * @returns {Promise<Object|null>} Stored prescreen, null when no model is trained yet
+     */
+    static async scoreNews(newsId) {
+        const model = await ClassifierService.getActiveModel();
+        if (!model) {
+            return null;
+        }
+        
+        const news = await News.findById(newsId).select('title content').lean();
+        if (!news) {
+            return null;
+        }
+        
+        const prescreen = {
+            ...ClassifierService.predict(model, ClassifierService.features(news.title, news.content)),
+            modelId: model._id,
+            scoredAt: new Date()
+        };
+        await News.updateOne({ _id: news._id }, { prescreen });
+        
+        return prescreen;
+    }
+    
+    /**
+     * Score all pending news with the active model
+     * @returns {Promise<number>} Number of scored news
+     */
+    static async scorePending() {
+        const cursor = News.find({ status: NEWS_STATUS.PENDING }).select('_id').lean().cursor();
+        let scored = 0;
+        
+        for await (const news of cursor) {
+            if (await ClassifierService.scoreNews(news._id)) {
+                scored++;
+            }
+        }
+        
+        return scored;
+    }
+    
+    /**
+     * Get the active model, the previous ones (without their features) and the latest training job
+     * @returns {Promise<Object>} { active, models, latestJob }
+     */
+    static async getModels() {
+        const models = await ClassifierModel.find({})
+            .sort({ trainedAt: -1 })
+            .populate('trainedBy', 'firstName lastName')
+            .lean();
+        const latestJob = await ClassifierJob.findOne({})
+            .sort({ createdAt: -1 })
+            .populate('requestedBy', 'firstName lastName')
+            .lean();
+        
+        return {
+            active: models.find(model => model.isActive) || null,
+            models,
+            latestJob
+        };
+    }
+}
+
+module.exports = ClassifierService;
@@ -1,5 +1,6 @@
-const { Comment } = require('../models/Comment');
+const Comment = require('../models/Comment');
 const { News } = require('../models/News');
+const { httpError } = require('../middlewares/errorHandler');
 
 /**
  * Comment Service Class
@@ -191,37 +192,23 @@ class CommentService {
     
     /**
      * Restore deleted comment (admin permission)
+     * Reply counts of the thread are updated as if the comment had never been deleted
      * @param {string} commentId - Comment ID
-     * @returns {Promise<Object>} Restore result
+     * @returns {Promise<Object>} Restored comment
      */
     static async restoreComment(commentId) {
-        try {
-            // 查找评论
-            const comment = await Comment.findById(commentId);
-            if (!comment) {
-                throw new Error('Comment not found');
-            }
-            
-            // 检查是否已删除
-            if (!comment.isDeleted) {
-                throw new Error('Comment is not deleted, no need to restore');
-            }
-            
-            // 恢复评论
-            comment.isDeleted = false;
-            await comment.save();
-            
-            // 重新填充用户信息
-            await comment.populate('userId', 'firstName lastName email role');
-            
-            return {
-                success: true,
-                message: 'Comment restored successfully',
-                comment
-            };
-        } catch (error) {
-            throw new Error(`Failed to restore comment: ${error.message}`);
+        // 查找评论
+        const comment = await Comment.findById(commentId);
+        if (!comment) {
+            throw httpError('Comment not found', 404);
+        }
+        
+        // 检查是否已删除
+        if (!comment.isDeleted) {
+            throw httpError('Comment is not deleted, no need to restore', 400);
         }
+        
+        return await comment.restoreComment();
     }
     
     /**
@@ -267,30 +254,53 @@ class CommentService {
     }
     
     /**
-     * Batch delete comments (admin permission)
+     * Apply a moderation action to several comments one by one, so that reply counts stay consistent
      * @param {Array<string>} commentIds - Array of comment IDs
-     * @returns {Promise<Object>} Batch operation result
+     * @param {boolean} targetDeleted - Deleted state the comments should end up in
+     * @param {Function} action - Action applied to each comment document
+     * @returns {Promise<Object>} Processed IDs and skipped IDs with the reason
      */
-    static async batchDeleteComments(commentIds) {
-        try {
-            // 批量更新（软删除）
-            const result = await Comment.updateMany(
-                { _id: { $in: commentIds }, isDeleted: false },
-                { $set: { isDeleted: true } }
-            );
+    static async applyToComments(commentIds, targetDeleted, action) {
+        const uniqueIds = [...new Set(commentIds.map(String))];
+        const comments = await Comment.find({ _id: { $in: uniqueIds } });
+        const commentMap = new Map(comments.map(comment => [comment._id.toString(), comment]));
+        
+        const processed = [];
+        const skipped = [];
+        
+        for (const commentId of uniqueIds) {
+            const comment = commentMap.get(commentId);
             
-            if (result.nModified === 0) {
-                throw new Error('No comments found for deletion');
+            if (!comment) {
+                skipped.push({ commentId, reason: 'not_found' });
+            } else if (comment.isDeleted === targetDeleted) {
+                skipped.push({ commentId, reason: targetDeleted ? 'already_deleted' : 'not_deleted' });
+            } else {
+                await action(comment);
+                processed.push(commentId);
             }
-            
-            return {
-                success: true,
-                message: `Successfully deleted ${result.nModified} comments`,
-                deletedCount: result.nModified
-            };
-        } catch (error) {
-            throw new Error(`Failed to batch delete comments: ${error.message}`);
         }
+        
+        return { processedCount: processed.length, processed, skipped };
+    }
+    
+    /**
+     * Batch delete comments (admin permission)
+     * @param {Array<string>} commentIds - Array of comment IDs
+     * @param {string} adminId - ID of the admin deleting the comments
+     * @returns {Promise<Object>} Batch operation result
+     */
+    static async batchDeleteComments(commentIds, adminId) {
+        return await CommentService.applyToComments(commentIds, true, comment => comment.deleteComment(adminId));
+    }
+    
+    /**
+     * Batch restore deleted comments (admin permission)
+     * @param {Array<string>} commentIds - Array of comment IDs
+     * @returns {Promise<Object>} Batch operation result
+     */
+    static async batchRestoreComments(commentIds) {
+        return await CommentService.applyToComments(commentIds, false, comment => comment.restoreComment());
     }
     
     /**
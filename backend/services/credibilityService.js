@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { News, NEWS_STATUS } = require('../models/News');
+const ReputationService = require('./reputationService');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Badge levels of an author
+const CREDIBILITY_LEVELS = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low',
+    UNRATED: 'unrated'
+};
+
+/**
+ * Credibility Service Class
+ * An author's credibility is the share of their decided news that was judged Not Fake.
+ * Every verdict is weighted by its age (halving every config.credibility.halfLifeDays days),
+ * so recent verdicts count more, and the share is smoothed towards 0.5 for authors with little history.
+ */
+class CredibilityService {
+    /**
+     * Calculate the credibility score from recency weighted verdicts
+     * @param {number} notFakeWeight - Weighted number of news judged Not Fake
+     * @param {number} fakeWeight - Weighted number of news judged Fake
+     * @returns {number} Score between 0 and 1
+     */
+    static calculateScore(notFakeWeight, fakeWeight) {
+        const score = (notFakeWeight + 1) / (notFakeWeight + fakeWeight + 2);
+        
+        return Math.round(score * 1000) / 1000;
+    }
+    
+    /**
+     * Badge level of a score
+     * @param {number} score - Credibility score
+     * @param {number} decidedCount - Number of decided news
+     * @returns {string} One of CREDIBILITY_LEVELS
+     */
+    static getLevel(score, decidedCount) {
+        const { minDecidedNews, highThreshold, lowThreshold } = config.credibility;
+        
+        if (decidedCount < minDecidedNews) {
+            return CREDIBILITY_LEVELS.UNRATED;
+        }
+        if (score >= highThreshold) {
+            return CREDIBILITY_LEVELS.HIGH;
+        }
+        if (score < lowThreshold) {
+            return CREDIBILITY_LEVELS.LOW;
+        }
+        return CREDIBILITY_LEVELS.MEDIUM;
+    }
+    
+    /**
+     * Get the credibility of several authors in one aggregation
+     * @param {Array<string>} authorIds - Author IDs
+     * @returns {Promise<Map>} Credibility by author ID (authors without decided news included)
+     */
+    static async getAuthorsCredibility(authorIds) {
+        const ids = [...new Set(authorIds.filter(Boolean).map(String))];
+        const now = new Date();
+        
+        // News decided before statusChangedAt was recorded fall back to their last update
+        const rows = ids.length === 0 ? [] : await News.aggregate([
+            {
+                $match: {
+                    authorId: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) },
+                    status: { $in: ReputationService.FINAL_STATUSES },
+                    isDeleted: { $ne: true }
+                }
+            },
+            {
+                $project: {
+                    authorId: 1,
+                    status: 1,
+                    weight: {
+                        $pow: [0.5, {
+                            $divide: [
+                                { $max: [0, { $subtract: [now, { $ifNull: ['$statusChangedAt', '$updatedAt'] }] }] },
+                                config.credibility.halfLifeDays * DAY_MS
+                            ]
+                        }]
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: '$authorId',
+                    fakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.FAKE] }, 1, 0] } },
+                    notFakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.NOT_FAKE] }, 1, 0] } },
+                    fakeWeight: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.FAKE] }, '$weight', 0] } },
+                    notFakeWeight: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.NOT_FAKE] }, '$weight', 0] } }
+                }
+            }
+        ]);
+        
+        const credibility = new Map();
+        ids.forEach(id => {
+            const row = rows.find(item => item._id.toString() === id) || {};
+            const { fakeCount = 0, notFakeCount = 0, fakeWeight = 0, notFakeWeight = 0 } = row;
+            const score = CredibilityService.calculateScore(notFakeWeight, fakeWeight);
+            const decidedCount = fakeCount + notFakeCount;
+            
+            credibility.set(id, {
+                score,
+                level: CredibilityService.getLevel(score, decidedCount),
+                decidedCount,
+                fakeCount,
+                notFakeCount
+            });
+        });
+        
+        return credibility;
+    }
+    
+    /**
+     * Get the credibility of one author
+     * @param {string} authorId - Author ID
+     * @returns {Promise<Object>} Credibility summary
+     */
+    static async getAuthorCredibility(authorId) {
+        const credibility = await CredibilityService.getAuthorsCredibility([authorId]);
+        
+        return credibility.get(String(authorId));
+    }
+}
+
+CredibilityService.CREDIBILITY_LEVELS = CREDIBILITY_LEVELS;
+
+module.exports = CredibilityService;
@@ -198,6 +198,41 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Check whether the connected deployment supports multi-document transactions
+     * (replica sets and sharded clusters do, standalone servers do not)
+     */
+    supportsTransactions() {
+        try {
+            const topologyType = mongoose.connection.getClient()?.topology?.description?.type;
+            return ['ReplicaSetWithPrimary', 'Sharded', 'LoadBalanced'].includes(topologyType);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Run work inside a transaction when supported, otherwise run it directly
+     * @param {Function} work - async (session) => result, session is null without transaction support
+     * @returns {Promise<*>} Result of work
+     */
+    async withTransaction(work) {
+        if (!this.supportsTransactions()) {
+            return work(null);
+        }
+        
+        const session = await mongoose.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await work(session);
+            });
+            return result;
+        } finally {
+            await session.endSession();
+        }
+    }
+
     /**
      * Check database connection health status
      */
@@ -307,7 +342,9 @@ class DatabaseService {
                     lastName: 'Admin',
                     email: 'admin@example.com',
                     password: 'admin123', // 仅用于开发环境
-                    role: ROLES.ADMINISTRATOR
+                    role: ROLES.ADMINISTRATOR,
+                    isEmailVerified: true,
+                    emailVerifiedAt: Date.now()
                 });
                 
                 await defaultAdmin.save();
@@ -375,7 +412,9 @@ class DatabaseService {
                 lastName: 'User',
                 email: 'sample@example.com',
                 password: 'password123',
-                role: ROLES.MEMBER
+                role: ROLES.MEMBER,
+                isEmailVerified: true,
+                emailVerifiedAt: Date.now()
             });
             await user.save();
             console.log('✅ Sample user created successfully');
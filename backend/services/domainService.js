@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const { Domain, DOMAIN_RATINGS } = require('../models/Domain');
+const { News, NEWS_STATUS } = require('../models/News');
+const CredibilityService = require('./credibilityService');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Reputation levels of a domain: the administrator ratings plus unrated
+const DOMAIN_LEVELS = {
+    ...DOMAIN_RATINGS,
+    UNRATED: 'unrated'
+};
+
+// Sort orders of the domain list
+const DOMAIN_SORTS = {
+    newsCount: (a, b) => b.reputation.newsCount - a.reputation.newsCount,
+    // Worst record first, unrated domains last
+    score: (a, b) => (a.reputation.decidedCount === 0) - (b.reputation.decidedCount === 0) || a.reputation.score - b.reputation.score,
+    lastSeenAt: (a, b) => b.lastSeenAt - a.lastSeenAt
+};
+
+/**
+ * Domain Service Class
+ * Normalizes the source links of news and rates the cited domains. A domain's reputation is the
+ * share of the decided news citing it that was judged Not Fake (smoothed towards 0.5 like author
+ * credibility); administrators can override the resulting rating.
+ */
+class DomainService {
+    /**
+     * Canonical form of a host: lower case, without a trailing dot and without prefixes such as www.
+     * @param {string} hostname - Host name
+     * @returns {string} Canonical host
+     */
+    static canonicalizeHost(hostname) {
+        let host = String(hostname).trim().toLowerCase().replace(/\.+$/, '');
+        
+        // Only strip while a registrable name remains (m.co stays m.co)
+        let prefix = config.sources.strippedHostPrefixes.find(item => host.startsWith(item));
+        while (prefix && host.slice(prefix.length).includes('.')) {
+            host = host.slice(prefix.length);
+            prefix = config.sources.strippedHostPrefixes.find(item => host.startsWith(item));
+        }
+        
+        return host;
+    }
+    
+    /**
+     * Whether a query parameter only tracks the visitor (see config.sources.trackingParams)
+     * @param {string} name - Parameter name
+     * @returns {boolean} True if the parameter is removed
+     */
+    static isTrackingParam(name) {
+        const lowerName = name.toLowerCase();
+        
+        return config.sources.trackingParams.some(param => (param.endsWith('*')
+            ? lowerName.startsWith(param.slice(0, -1))
+            : lowerName === param));
+    }
+    
+    /**
+     * Normalize a source link: http(s) only, canonical host, no credentials, fragment, tracking
+     * parameters or trailing slash, remaining parameters sorted by name
+     * @param {string} value - Link as entered (the scheme may be left out)
+     * @returns {Object} { url, host }
+     */
+    static normalizeUrl(value) {
+        const input = String(value).trim();
+        if (input.length > config.sources.maxUrlLength) {
+            throw httpError(`Source URLs cannot exceed ${config.sources.maxUrlLength} characters`, 400);
+        }
+        
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+        } catch (error) {
+            throw httpError(`Invalid source URL: ${input}`, 400);
+        }
+        
+        if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+            throw httpError(`Invalid source URL: ${input}`, 400);
+        }
+        
+        url.hostname = DomainService.canonicalizeHost(url.hostname);
+        url.username = '';
+        url.password = '';
+        url.hash = '';
+        
+        const params = [...url.searchParams.entries()]
+            .filter(([name]) => !DomainService.isTrackingParam(name))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        url.search = new URLSearchParams(params).toString();
+        
+        if (url.pathname.length > 1) {
+            url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+        }
+        
+        return {
+            url: url.toString(),
+            host: url.hostname
+        };
+    }
+    
+    /**
+     * Normalize the source links of a news item
+     * @param {Array<string>} urls - Links as entered
+     * @returns {Object} { sourceUrls, sourceDomains } without duplicates
+     */
+    static normalizeUrls(urls = []) {
+        const normalized = urls.map(DomainService.normalizeUrl);
+        
+        return {
+            sourceUrls: [...new Set(normalized.map(item => item.url))],
+            sourceDomains: [...new Set(normalized.map(item => item.host))]
+        };
+    }
+    
+    /**
+     * Add cited domains to the registry and record when they were last cited
+     * @param {Array<string>} hosts - Canonical hosts
+     */
+    static async registerDomains(hosts) {
+        if (hosts.length === 0) {
+            return;
+        }
+        
+        const now = new Date();
+        await Domain.bulkWrite(hosts.map(host => ({
+            updateOne: {
+                filter: { host },
+                update: { $set: { lastSeenAt: now }, $setOnInsert: { firstSeenAt: now } },
+                upsert: true
+            }
+        })));
+    }
+    
+    /**
+     * Level derived from the verdicts of the news citing a domain
+     * @param {number} score - Reputation score
+     * @param {number} decidedCount - Number of decided news
+     * @returns {string} One of DOMAIN_LEVELS
+     */
+    static getLevel(score, decidedCount) {
+        const { minDecidedNews, highThreshold, lowThreshold } = config.sources;
+        
+        if (decidedCount < minDecidedNews) {
+            return DOMAIN_LEVELS.UNRATED;
+        }
+        if (score >= highThreshold) {
+            return DOMAIN_LEVELS.HIGH;
+        }
+        if (score < lowThreshold) {
+            return DOMAIN_LEVELS.LOW;
+        }
+        return DOMAIN_LEVELS.MEDIUM;
+    }
+    
+    /**
+     * Reputation of a domain from its verdict counts and the administrator override
+     * @param {Object} counts - { newsCount, fakeCount, notFakeCount }
+     * @param {Object|null} domain - Registered domain
+     * @returns {Object} Reputation
+     */
+    static formatReputation({ newsCount = 0, fakeCount = 0, notFakeCount = 0 } = {}, domain = null) {
+        const decidedCount = fakeCount + notFakeCount;
+        const score = CredibilityService.calculateScore(notFakeCount, fakeCount);
+        const computedLevel = DomainService.getLevel(score, decidedCount);
+        const level = domain?.ratingOverride || computedLevel;
+        
+        return {
+            newsCount,
+            pendingCount: newsCount - decidedCount,
+            decidedCount,
+            fakeCount,
+            notFakeCount,
+            fakeRatio: decidedCount > 0 ? Math.round(fakeCount / decidedCount * 1000) / 1000 : null,
+            score,
+            computedLevel,
+            level,
+            overridden: Boolean(domain?.ratingOverride),
+            overrideNote: domain?.ratingOverride ? domain.overrideNote : '',
+            poorRecord: level === DOMAIN_LEVELS.LOW
+        };
+    }
+    
+    /**
+     * Get the reputation of several domains in one aggregation
+     * @param {Array<string>|null} hosts - Canonical hosts, null for every cited domain
+     * @returns {Promise<Map>} Reputation by host (hosts never cited included)
+     */
+    static async getReputations(hosts = null) {
+        const hostMatch = hosts ? { sourceDomains: { $in: hosts } } : {};
+        
+        const [rows, domains] = await Promise.all([
+            hosts && hosts.length === 0 ? [] : News.aggregate([
+                { $match: { ...hostMatch, isDeleted: { $ne: true } } },
+                { $unwind: '$sourceDomains' },
+                { $match: hostMatch },
+                {
+                    $group: {
+                        _id: '$sourceDomains',
+                        newsCount: { $sum: 1 },
+                        fakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.FAKE] }, 1, 0] } },
+                        notFakeCount: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.NOT_FAKE] }, 1, 0] } }
+                    }
+                }
+            ]),
+            Domain.find(hosts ? { host: { $in: hosts } } : {}).select('host ratingOverride overrideNote').lean()
+        ]);
+        
+        const counts = new Map(rows.map(row => [row._id, row]));
+        const registered = new Map(domains.map(domain => [domain.host, domain]));
+        const reputations = new Map();
+        
+        (hosts || [...new Set([...counts.keys(), ...registered.keys()])]).forEach(host => {
+            reputations.set(host, DomainService.formatReputation(counts.get(host), registered.get(host)));
+        });
+        
+        return reputations;
+    }
+    
+    /**
+     * Check links before submitting news: normalized form and reputation of each domain
+     * @param {Array<string>} urls - Links as entered
+     * @returns {Promise<Array>} { input, url, host, reputation } or { input, error } per link
+     */
+    static async checkUrls(urls) {
+        const results = urls.map(input => {
+            try {
+                return { input, ...DomainService.normalizeUrl(input) };
+            } catch (error) {
+                return { input, error: error.message };
+            }
+        });
+        
+        const hosts = [...new Set(results.filter(result => result.host).map(result => result.host))];
+        const reputations = await DomainService.getReputations(hosts);
+        
+        return results.map(result => (result.host ? { ...result, reputation: reputations.get(result.host) } : result));
+    }
+    
+    /**
+     * Get the source links of a news item with the reputation of their domains
+     * @param {Array<string>} sourceUrls - Normalized links
+     * @returns {Promise<Array>} { url, host, reputation } per link
+     */
+    static async getSources(sourceUrls = []) {
+        const sources = sourceUrls.map(url => ({ url, host: new URL(url).hostname }));
+        const reputations = await DomainService.getReputations([...new Set(sources.map(source => source.host))]);
+        
+        return sources.map(source => ({ ...source, reputation: reputations.get(source.host) }));
+    }
+    
+    /**
+     * List registered domains with their reputation
+     * @param {Object} options - { search, level, sortBy, page, pageSize }
+     * @returns {Promise<Object>} { items, total }
+     */
+    static async listDomains({ search = '', level = null, sortBy = 'newsCount', page = 1, pageSize = 10 } = {}) {
+        const query = search ? { host: { $regex: escapeRegex(DomainService.canonicalizeHost(search)) } } : {};
+        
+        const [domains, reputations] = await Promise.all([
+            Domain.find(query).lean(),
+            DomainService.getReputations()
+        ]);
+        
+        const items = domains
+            .map(domain => ({ ...domain, reputation: reputations.get(domain.host) || DomainService.formatReputation({}, domain) }))
+            .filter(domain => !level || domain.reputation.level === level)
+            .sort((a, b) => DOMAIN_SORTS[sortBy](a, b) || a.host.localeCompare(b.host));
+        
+        return {
+            items: items.slice((page - 1) * pageSize, page * pageSize),
+            total: items.length
+        };
+    }
+    
+    /**
+     * Find a registered domain by ID or host
+     * @param {string} value - ID, host or link
+     * @returns {Promise<Object|null>} Domain
+     */
+    static async findDomain(value) {
+        if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+            const domain = await Domain.findById(value);
+            if (domain) {
+                return domain;
+            }
+        }
+        
+        return Domain.findOne({ host: DomainService.canonicalizeHost(value) });
+    }
+    
+    /**
+     * Domain page: the domain, its reputation and the latest news citing it
+     * @param {string} value - ID or host
+     * @param {boolean} includeHidden - Also list news hidden after reports
+     * @returns {Promise<Object|null>} Domain page data or null if not found
+     */
+    static async getDomainPage(value, includeHidden = false) {
+        const domain = await DomainService.findDomain(value);
+        if (!domain) {
+            return null;
+        }
+        
+        const newsQuery = { sourceDomains: domain.host };
+        if (!includeHidden) {
+            newsQuery.isHidden = { $ne: true };
+        }
+        
+        const [reputations, recentNews] = await Promise.all([
+            DomainService.getReputations([domain.host]),
+            News.find(newsQuery)
+                .sort({ createdAt: -1 })
+                .limit(config.sources.recentNews)
+                .select('title status sourceUrls createdAt')
+                .lean()
+        ]);
+        
+        return {
+            ...domain.toObject(),
+            reputation: reputations.get(domain.host),
+            recentNews
+        };
+    }
+    
+    /**
+     * Override the rating of a domain
+     * @param {string} domainId - Domain ID
+     * @param {Object} data - { rating, note }
+     * @param {string} userId - Administrator ID
+     * @returns {Promise<Object>} Domain with its reputation
+     */
+    static async setRatingOverride(domainId, { rating, note = '' }, userId) {
+        const domain = await Domain.findByIdAndUpdate(domainId, {
+            ratingOverride: rating,
+            overrideNote: note,
+            overriddenBy: userId,
+            overriddenAt: new Date()
+        }, { new: true, runValidators: true });
+        
+        return DomainService.withReputation(domain);
+    }
+    
+    /**
+     * Remove the rating override of a domain, the rating is derived from verdicts again
+     * @param {string} domainId - Domain ID
+     * @returns {Promise<Object>} Domain with its reputation
+     */
+    static async clearRatingOverride(domainId) {
+        const domain = await Domain.findByIdAndUpdate(domainId, {
+            ratingOverride: null,
+            overrideNote: '',
+            overriddenBy: null,
+            overriddenAt: null
+        }, { new: true });
+        
+        return DomainService.withReputation(domain);
+    }
+    
+    /**
+     * Add the reputation to a domain (404 error when the domain does not exist)
+     * @param {Object|null} domain - Domain document
+     * @returns {Promise<Object>} Domain with its reputation
+     */
+    static async withReputation(domain) {
+        if (!domain) {
+            throw httpError('Domain not found', 404);
+        }
+        
+        const reputations = await DomainService.getReputations([domain.host]);
+        
+        return {
+            ...domain.toObject(),
+            reputation: reputations.get(domain.host)
+        };
+    }
+}
+
+DomainService.DOMAIN_LEVELS = DOMAIN_LEVELS;
+DomainService.DOMAIN_SORTS = Object.keys(DOMAIN_SORTS);
+
+module.exports = DomainService;
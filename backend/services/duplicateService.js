@@ -0,0 +1,193 @@
+const { News } = require('../models/News');
+const { Vote } = require('../models/Vote');
+const { VoteHistory } = require('../models/VoteHistory');
+const { NewsRevision } = require('../models/NewsRevision');
+const { Report } = require('../models/Report');
+const { Notification } = require('../models/Notification');
+const Comment = require('../models/Comment');
+const FingerprintService = require('./fingerprintService');
+const ReputationService = require('./reputationService');
+const TrashService = require('./trashService');
+const RelatedNewsService = require('./relatedNewsService');
+const WebhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+/**
+ * Duplicate Service Class
+ * Finds news that is likely the same story as a submitted text and merges duplicates into
+ * a canonical news item. Merging moves votes (one per user, the canonical vote wins),
+ * comments and notifications over; the duplicate's ID keeps leading to the canonical news.
+ */
+class DuplicateService {
+    /**
+     * Find news similar to a text
+     * @param {Object} text - { title, content }
+     * @param {Object} options - { excludeId: news to leave out, includeHidden: also return news hidden after reports }
+     * @returns {Promise<Array>} [{ _id, title, status, createdAt, similarity }], most similar first
+     */
+    static async findDuplicates({ title, content }, { excludeId = null, includeHidden = false } = {}) {
+        const { fingerprint, fingerprintBands } = FingerprintService.fingerprint(title, content);
+        
+        // News sharing at least one band is a candidate, compare the full fingerprints of those
+        const query = { fingerprintBands: { $in: fingerprintBands } };
+        if (excludeId) {
+            query._id = { $ne: excludeId };
+        }
+        if (!includeHidden) {
+            query.isHidden = { $ne: true };
+        }
+        
+        const candidates = await News.find(query)
+            .select('title status createdAt +fingerprint')
+            .sort({ createdAt: -1 })
+            .limit(config.duplicates.maxCandidates)
+            .lean();
+        
+        return candidates
+            .map(({ fingerprint: candidate, ...news }) => ({
+                ...news,
+                similarity: FingerprintService.similarity(fingerprint, candidate)
+            }))
+            .filter(news => news.similarity >= config.duplicates.minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, config.duplicates.maxResults);
+    }
+    
+    /**
+     * Compute missing fingerprints, e.g. of news submitted before duplicate detection
+     * @param {Object} options - { all: recompute every fingerprint (after changing the fingerprint settings) }
+     * @returns {Promise<number>} Number of fingerprinted news
+     */
+    static async fingerprintNews({ all = false } = {}) {
+        const query = all ? {} : { 'fingerprintBands.0': { $exists: false } };
+        const cursor = News.find(query)
+            .select('title content')
+            .setOptions({ withDeleted: true })
+            .lean()
+            .cursor();
+        let updated = 0;
+        
+        for await (const news of cursor) {
+            await News.updateOne(
+                { _id: news._id },
+                FingerprintService.fingerprint(news.title, news.content)
+            ).setOptions({ withDeleted: true });
+            updated++;
+        }
+        
+        return updated;
+    }
+    
+    /**
+     * Find the news a merged duplicate ID now belongs to
+     * @param {string} newsId - ID of a merged news item
+     * @returns {Promise<Object|null>} Canonical news ({ _id }) or null
+     */
+    static async findMergedInto(newsId) {
+        return await News.findOne({ mergedIds: newsId }).select('_id').lean();
+    }
+    
+    /**
+     * Merge a duplicate into a canonical news item
+     * The duplicate's votes are reverted before they move, the canonical verdict then settles them again.
+     * @param {string} canonicalId - ID of the news item that is kept
+     * @param {string} duplicateId - ID of the news item merged into it
+     * @param {Object|null} user - User who merged the news
+     * @returns {Promise<Object>} { newsId, mergedId, votesMoved, votesDropped, comments, notifications, images, newStatus }
+     */
+    static async merge(canonicalId, duplicateId, user = null) {
+        if (String(canonicalId) === String(duplicateId)) {
+            throw httpError('A news item cannot be merged into itself', 400);
+        }
+        
+        const [canonical, duplicate] = await Promise.all([
+            News.findById(canonicalId),
+            News.findById(duplicateId)
+        ]);
+        if (!canonical) {
+            throw httpError('News not found', 404);
+        }
+        if (!duplicate) {
+            throw httpError('Duplicate news not found', 404);
+        }
+        
+        // Votes that were invalid before the merge (e.g. reset after an edit) stay invalid
+        const invalidIds = new Set((await Vote.distinct('_id', { newsId: duplicate._id, isInvalid: true })).map(String));
+        
+        // Take back the reputation the duplicate's votes earned under its own verdict
+        await Vote.updateMany({ newsId: duplicate._id }, { isInvalid: true });
+        await ReputationService.settleNewsVotes(duplicate._id, null);
+        
+        // A user who voted on both keeps the canonical vote
+        const canonicalVoters = await Vote.distinct('userId', { newsId: canonical._id });
+        const dropped = await Vote.deleteMany({ newsId: duplicate._id, userId: { $in: canonicalVoters } });
+        let votesDropped = dropped.deletedCount;
+        let votesMoved = 0;
+        
+        const votes = await Vote.find({ newsId: duplicate._id }).select('_id').lean();
+        for (const vote of votes) {
+            try {
+                await Vote.updateOne(
+                    { _id: vote._id },
+                    { newsId: canonical._id, isInvalid: invalidIds.has(String(vote._id)) }
+                );
+                votesMoved++;
+            } catch (error) {
+                // The user voted on the canonical news meanwhile
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                await Vote.deleteOne({ _id: vote._id });
+                votesDropped++;
+            }
+        }
+        await VoteHistory.updateMany({ newsId: duplicate._id }, { newsId: canonical._id });
+        
+        const comments = await Comment.updateMany({ newsId: duplicate._id }, { newsId: canonical._id });
+        const notifications = await Notification.updateMany({ newsId: duplicate._id }, { newsId: canonical._id });
+        
+        // Reports and revisions are about the duplicate's own text
+        await Report.deleteMany({ targetId: duplicate._id });
+        const revisions = await NewsRevision.find({ newsId: duplicate._id }).select('images').lean();
+        await NewsRevision.deleteMany({ newsId: duplicate._id });
+        
+        // Links to the duplicate and to news merged into it before lead to the canonical news
+        await News.updateOne(
+            { _id: canonical._id },
+            { $addToSet: { mergedIds: { $each: [duplicate._id, ...(duplicate.mergedIds || [])] } } }
+        );
+        await RelatedNewsService.removeNews(duplicate._id);
+        await News.deleteOne({ _id: duplicate._id });
+        
+        const images = await TrashService.deleteUnusedImages([
+            ...(duplicate.images || []),
+            ...revisions.flatMap(revision => revision.images || [])
+        ]);
+        
+        // Recount the canonical votes, which settles the moved ones under its verdict
+        const result = await Vote.recalculateNewsVotes(canonical._id);
+        const newStatus = result.success ? result.newStatus : canonical.status;
+        
+        await WebhookService.dispatchModeration(WEBHOOK_EVENTS.NEWS_MERGED, {
+            news: { ...WebhookService.newsSummary(canonical), status: newStatus },
+            merged: WebhookService.newsSummary(duplicate),
+            votesMoved,
+            votesDropped
+        }, user?._id);
+        
+        return {
+            newsId: canonical._id,
+            mergedId: duplicate._id,
+            votesMoved,
+            votesDropped,
+            comments: comments.modifiedCount,
+            notifications: notifications.modifiedCount,
+            images,
+            newStatus
+        };
+    }
+}
+
+module.exports = DuplicateService;
@@ -0,0 +1,138 @@
+const config = require('../config/config');
+
+// 32-bit finalizer of MurmurHash3, spreads the bits of a hash
+const mix32 = (value) => {
+    let hash = value >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+// FNV-1a hash of a string
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Seeds of the MinHash functions; they never change, stored fingerprints depend on them
+const seeds = Array.from({ length: config.duplicates.numHashes }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b9)));
+
+/**
+ * Fingerprint Service Class
+ * MinHash fingerprints of news text. The text is cut into overlapping character shingles
+ * (so it works for Chinese as well as space separated languages); the share of equal positions
+ * in two fingerprints estimates the Jaccard similarity of their shingle sets. Fingerprints are
+ * split into bands, news sharing a band are the candidates compared when looking for duplicates.
+ */
+class FingerprintService {
+    /**
+     * Normalize text for comparison: lower case, letters and digits only, single spaces
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+    
+    /**
+     * Overlapping character shingles of a text
+     * @param {string} text - Text
+     * @returns {Set<string>} Shingles
+     */
+    static shingles(text) {
+        const normalized = FingerprintService.normalize(text);
+        const size = config.duplicates.shingleSize;
+        const shingles = new Set();
+        
+        if (normalized.length <= size) {
+            if (normalized) {
+                shingles.add(normalized);
+            }
+            return shingles;
+        }
+        
+        for (let i = 0; i + size <= normalized.length; i++) {
+            shingles.add(normalized.slice(i, i + size));
+        }
+        
+        return shingles;
+    }
+    
+    /**
+     * MinHash signature of a text
+     * @param {string} text - Text
+     * @returns {Array<number>} Minimum hash per hash function
+     */
+    static signature(text) {
+        const signature = new Array(seeds.length).fill(0xffffffff);
+        
+        FingerprintService.shingles(text).forEach(shingle => {
+            const hash = hashString(shingle);
+            for (let i = 0; i < seeds.length; i++) {
+                const value = mix32(hash ^ seeds[i]);
+                if (value < signature[i]) {
+                    signature[i] = value;
+                }
+            }
+        });
+        
+        return signature;
+    }
+    
+    /**
+     * Band keys of a signature (band number and a hash of its rows)
+     * @param {Array<number>} signature - MinHash signature
+     * @returns {Array<string>} Band keys
+     */
+    static bands(signature) {
+        const rows = Math.floor(signature.length / config.duplicates.bands);
+        const bands = [];
+        
+        for (let band = 0; band < config.duplicates.bands; band++) {
+            const key = signature.slice(band * rows, (band + 1) * rows).join(',');
+            bands.push(`${band}:${hashString(key).toString(36)}`);
+        }
+        
+        return bands;
+    }
+    
+    /**
+     * Estimated similarity of two signatures
+     * @param {Array<number>} a - Signature
+     * @param {Array<number>} b - Signature
+     * @returns {number} Share of equal positions (0-1), 0 if the signatures do not match in length
+     */
+    static similarity(a, b) {
+        if (!a || !b || a.length === 0 || a.length !== b.length) {
+            return 0;
+        }
+        
+        const equal = a.reduce((count, value, i) => count + (value === b[i] ? 1 : 0), 0);
+        
+        return Math.round(equal / a.length * 1000) / 1000;
+    }
+    
+    /**
+     * Fingerprint fields of a news item
+     * @param {string} title - News title
+     * @param {string} content - News content
+     * @returns {Object} { fingerprint, fingerprintBands }
+     */
+    static fingerprint(title, content) {
+        const fingerprint = FingerprintService.signature(`${title || ''} ${content || ''}`);
+        
+        return {
+            fingerprint,
+            fingerprintBands: FingerprintService.bands(fingerprint)
+        };
+    }
+}
+
+module.exports = FingerprintService;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * Console transport - prints emails to the server log (default for development)
+ */
+class ConsoleTransport {
+    async send(message) {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+    }
+}
+
+/**
+ * File transport - writes each email as a JSON file, useful offline and in tests
+ */
+class FileTransport {
+    constructor(options = {}) {
+        this.outputDir = path.resolve(__dirname, '..', options.outputDir || config.mail.outputDir);
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+        const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 8)}.json`;
+        const filePath = path.join(this.outputDir, filename);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+        return { transport: 'file', path: filePath };
+    }
+}
+
+/**
+ * SMTP transport - delivers emails through nodemailer
+ */
+class SmtpTransport {
+    constructor(options = config.mail.smtp) {
+        // Loaded lazily so the other transports work without SMTP configuration
+        const nodemailer = require('nodemailer');
+
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.password } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+    }
+}
+
+// Registered transport factories, keyed by the MAIL_TRANSPORT name
+const transportFactories = {
+    console: () => new ConsoleTransport(),
+    file: () => new FileTransport(),
+    smtp: () => new SmtpTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Mail Service Class
+ */
+class MailService {
+    /**
+     * Register a custom transport factory
+     * @param {string} name - Transport name
+     * @param {Function} factory - Returns an object with an async send(message) method
+     */
+    static registerTransport(name, factory) {
+        transportFactories[name] = factory;
+    }
+
+    /**
+     * Replace the active transport (e.g. with a stub in tests)
+     * @param {Object|null} transport - Transport instance, null to reset to the configured one
+     */
+    static setTransport(transport) {
+        activeTransport = transport;
+    }
+
+    /**
+     * Get the active transport, created from configuration on first use
+     * @returns {Object} Transport instance
+     */
+    static getTransport() {
+        if (!activeTransport) {
+            const factory = transportFactories[config.mail.transport];
+            if (!factory) {
+                throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+            }
+            activeTransport = factory();
+        }
+        return activeTransport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - Message ({ to, subject, text, html })
+     * @returns {Promise<Object>} Transport result
+     */
+    static async send(message) {
+        return MailService.getTransport().send({
+            from: config.mail.from,
+            ...message
+        });
+    }
+
+    /**
+     * Send password reset email
+     * @param {Object} user - User document
+     * @param {string} token - Password reset token
+     * @returns {Promise<Object>} Transport result
+     */
+    static async sendPasswordResetEmail(user, token) {
+        const link = `${config.frontendUrl}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+        return MailService.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hello ${user.firstName},\n\n` +
+                `Use the link below to reset your password. It expires in ${config.actionTokens.passwordResetExpiration} and can only be used once.\n\n` +
+                `${link}\n\n` +
+                'If you did not request a password reset, you can ignore this email.'
+        });
+    }
+
+    /**
+     * Send email verification email
+     * @param {Object} user - User document
+     * @param {string} token - Email verification token
+     * @returns {Promise<Object>} Transport result
+     */
+    static async sendVerificationEmail(user, token) {
+        const link = `${config.frontendUrl}/verify-email.html?token=${encodeURIComponent(token)}`;
+
+        return MailService.send({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Hello ${user.firstName},\n\n` +
+                `Please confirm your email address to start voting. The link expires in ${config.actionTokens.emailVerificationExpiration}.\n\n` +
+                `${link}`
+        });
+    }
+}
+
+MailService.ConsoleTransport = ConsoleTransport;
+MailService.FileTransport = FileTransport;
+MailService.SmtpTransport = SmtpTransport;
+
+module.exports = MailService;
@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const config = require('../config/config');
+
+// Event types sent on the stream of a news item
+const NEWS_EVENTS = {
+    VOTES: 'votes',
+    STATUS: 'status',
+    COMMENT_CREATED: 'comment.created',
+    COMMENT_DELETED: 'comment.deleted',
+    COMMENT_RESTORED: 'comment.restored',
+    // Sent instead of a replay when the missed events are no longer available
+    RESYNC: 'resync'
+};
+
+/**
+ * In-process broadcaster
+ * Delivers events to the subscribers of this process. A broadcaster backed by a shared bus
+ * (e.g. Redis pub/sub) only has to provide the same publish/subscribe methods.
+ */
+class InProcessBroadcaster {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+    
+    /**
+     * Publish an event to all subscribers
+     * @param {Object} event - Event ({ id, newsId, type, data, createdAt })
+     * @returns {Promise<void>}
+     */
+    async publish(event) {
+        this.emitter.emit('event', event);
+    }
+    
+    /**
+     * Subscribe to all published events
+     * @param {Function} listener - Called with every event
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.off('event', listener);
+    }
+}
+
+// Streams connected to this process, keyed by news ID
+const streams = new EventEmitter();
+streams.setMaxListeners(0);
+
+// Recent events per news ID; Map order doubles as least recently active first
+const histories = new Map();
+
+let broadcaster = null;
+let detachBroadcaster = null;
+let sequence = 0;
+
+/**
+ * News Event Service Class
+ * Publishes vote, status and comment changes of news and feeds them to the connected streams.
+ * Every event received from the broadcaster is kept in a short per-news history, so a client
+ * reconnecting with Last-Event-ID gets the events it missed.
+ */
+class NewsEventService {
+    /**
+     * Replace the broadcaster events are published through
+     * @param {Object} next - Broadcaster with publish(event) and subscribe(listener)
+     */
+    static setBroadcaster(next) {
+        if (detachBroadcaster) {
+            detachBroadcaster();
+        }
+        
+        broadcaster = next;
+        detachBroadcaster = broadcaster.subscribe(NewsEventService.receive);
+    }
+    
+    /**
+     * Publish an event for news
+     * Publishing never fails the caller, a lost event is repaired by the client's next reload.
+     * @param {string} newsId - News ID
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    static publish(newsId, type, data) {
+        const event = {
+            id: `${Date.now()}-${++sequence}`,
+            newsId: String(newsId),
+            type,
+            data,
+            createdAt: new Date()
+        };
+        
+        Promise.resolve()
+            .then(() => broadcaster.publish(event))
+            .catch(error => console.error(`Failed to publish ${type} event for news ${newsId}:`, error));
+    }
+    
+    /**
+     * Record an event from the broadcaster and pass it to the streams of its news
+     * @param {Object} event - Event
+     */
+    static receive(event) {
+        const history = histories.get(event.newsId) || [];
+        history.push(event);
+        if (history.length > config.events.historySize) {
+            history.shift();
+        }
+        
+        histories.delete(event.newsId);
+        histories.set(event.newsId, history);
+        if (histories.size > config.events.maxHistoryChannels) {
+            histories.delete(histories.keys().next().value);
+        }
+        
+        streams.emit(event.newsId, event);
+    }
+    
+    /**
+     * Subscribe to the events of news
+     * @param {string} newsId - News ID
+     * @param {string|null} lastEventId - ID of the last event the client received
+     * @param {Function} listener - Called with every event
+     * @returns {Function} Unsubscribe function
+     */
+    static subscribe(newsId, lastEventId, listener) {
+        const key = String(newsId);
+        
+        if (lastEventId) {
+            const history = histories.get(key) || [];
+            const index = history.findIndex(event => event.id === lastEventId);
+            
+            if (index === -1) {
+                listener({ newsId: key, type: NEWS_EVENTS.RESYNC, data: { newsId: key } });
+            } else {
+                history.slice(index + 1).forEach(listener);
+            }
+        }
+        
+        streams.on(key, listener);
+        return () => streams.off(key, listener);
+    }
+    
+    /**
+     * Serialize an event in the Server-Sent Events format
+     * @param {Object} event - Event
+     * @returns {string} Event frame
+     */
+    static formatEvent(event) {
+        const id = event.id ? `id: ${event.id}\n` : '';
+        return `${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    }
+    
+    /**
+     * Vote statistics of news, in the shape of the vote statistics API
+     * @param {Object} news - News document
+     * @returns {Object} Vote statistics
+     */
+    static voteStats(news) {
+        const percentage = (part, total) => total > 0 ? ((part / total) * 100).toFixed(1) + '%' : '0%';
+        const totalCount = news.fakeVoteCount + news.notFakeVoteCount;
+        const weightedTotal = news.weightedFakeScore + news.weightedNotFakeScore;
+        
+        return {
+            newsId: news._id,
+            fakeCount: news.fakeVoteCount,
+            notFakeCount: news.notFakeVoteCount,
+            totalCount,
+            fakePercentage: percentage(news.fakeVoteCount, totalCount),
+            notFakePercentage: percentage(news.notFakeVoteCount, totalCount),
+            weighted: {
+                fakeScore: news.weightedFakeScore,
+                notFakeScore: news.weightedNotFakeScore,
+                totalScore: weightedTotal,
+                fakePercentage: percentage(news.weightedFakeScore, weightedTotal),
+                notFakePercentage: percentage(news.weightedNotFakeScore, weightedTotal)
+            },
+            verdictFrozen: news.verdictFrozen,
+            voteChangesLocked: news.areVoteChangesLocked(),
+            newsStatus: news.status
+        };
+    }
+    
+    /**
+     * Publish the vote counts of news, and its status if the change moved it
+     * @param {Object} news - News document with the updated counts
+     * @param {string} previousStatus - Status before the change
+     */
+    static publishVoteChange(news, previousStatus) {
+        NewsEventService.publish(news._id, NEWS_EVENTS.VOTES, NewsEventService.voteStats(news));
+        
+        if (news.status !== previousStatus) {
+            NewsEventService.publishStatus(news, previousStatus);
+        }
+    }
+    
+    /**
+     * Publish the status of news after it changed or its verdict was frozen
+     * @param {Object} news - News document with the new status
+     * @param {string} previousStatus - Status before the change
+     */
+    static publishStatus(news, previousStatus) {
+        NewsEventService.publish(news._id, NEWS_EVENTS.STATUS, {
+            newsId: news._id,
+            status: news.status,
+            previousStatus,
+            verdictFrozen: news.verdictFrozen,
+            voteChangesLocked: news.areVoteChangesLocked()
+        });
+    }
+    
+    /**
+     * Publish a new comment
+     * @param {Object} comment - Formatted comment
+     */
+    static publishCommentCreated(comment) {
+        NewsEventService.publish(comment.newsId, NEWS_EVENTS.COMMENT_CREATED, comment);
+    }
+    
+    /**
+     * Publish the deletion of a comment
+     * @param {Object} comment - Deleted comment
+     */
+    static publishCommentDeleted(comment) {
+        NewsEventService.publish(comment.newsId, NEWS_EVENTS.COMMENT_DELETED, {
+            commentId: comment._id,
+            parentId: comment.parentId,
+            deletedAt: comment.deletedAt
+        });
+    }
+    
+    /**
+     * Publish the restoration of a deleted comment
+     * @param {Object} comment - Restored comment
+     */
+    static publishCommentRestored(comment) {
+        NewsEventService.publish(comment.newsId, NEWS_EVENTS.COMMENT_RESTORED, {
+            commentId: comment._id,
+            parentId: comment.parentId
+        });
+    }
+}
+
+NewsEventService.NEWS_EVENTS = NEWS_EVENTS;
+NewsEventService.InProcessBroadcaster = InProcessBroadcaster;
+
+NewsEventService.setBroadcaster(new InProcessBroadcaster());
+
+module.exports = NewsEventService;
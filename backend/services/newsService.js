@@ -271,22 +271,14 @@ class NewsService {
             // 获取投票统计
             const voteStats = await Vote.getNewsVoteStats(newsId);
             
-            // 重新计算状态
-            let newStatus = NEWS_STATUS.PENDING;
-            const totalVotes = voteStats.fakeCount + voteStats.notFakeCount;
-            
-            // 只有当投票数达到阈值时才改变状态
-            if (totalVotes >= 5) {
-                // 计算假新闻投票比例
-                const fakeRatio = voteStats.fakeCount / totalVotes;
-                
-                if (fakeRatio >= 0.6) {
-                    newStatus = NEWS_STATUS.FAKE;
-                } else if (fakeRatio <= 0.4) {
-                    newStatus = NEWS_STATUS.NOT_FAKE;
-                }
-                // 如果比例在0.4-0.6之间，保持PENDING状态
-            }
+            // 使用统一的判定引擎重新计算状态
+            news.updateVoteCounts(
+                voteStats.fakeCount,
+                voteStats.notFakeCount,
+                voteStats.weightedFakeScore,
+                voteStats.weightedNotFakeScore
+            );
+            const newStatus = news.evaluateVerdict().status;
             
             // 更新新闻状态
             news.status = newStatus;
@@ -0,0 +1,154 @@
+const { Notification, NOTIFICATION_TYPES } = require('../models/Notification');
+const { User } = require('../models/User');
+const { httpError } = require('../middlewares/errorHandler');
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Notification Service Class
+ * Notifications are sent after the action they report has been saved. A notification that
+ * cannot be created is logged and skipped, it never fails the action itself.
+ */
+class NotificationService {
+    /**
+     * Send a notification unless the recipient caused it or switched the type off
+     * @param {string} userId - Recipient ID
+     * @param {string} type - Notification type
+     * @param {Object} details - { actorId, newsId, commentId, data }
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notify(userId, type, { actorId = null, newsId = null, commentId = null, data = {} } = {}) {
+        try {
+            if (!userId || sameId(userId, actorId)) {
+                return null;
+            }
+            
+            const user = await User.findById(userId).select('notificationPreferences');
+            if (!user || user.notificationPreferences?.get(type) === false) {
+                return null;
+            }
+            
+            return await Notification.create({ userId, type, actorId, newsId, commentId, data });
+        } catch (error) {
+            console.error(`Failed to send ${type} notification to user ${userId}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Notify the author that the status of their news changed
+     * @param {Object} news - News document with the new status
+     * @param {string} previousStatus - Status before the change
+     * @param {string|null} actorId - Administrator who set the status, null when the votes decided
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notifyStatusChange(news, previousStatus, actorId = null) {
+        if (news.status === previousStatus) {
+            return null;
+        }
+        
+        return await NotificationService.notify(news.authorId?._id || news.authorId, NOTIFICATION_TYPES.NEWS_STATUS, {
+            actorId,
+            newsId: news._id,
+            data: { title: news.title, status: news.status, previousStatus }
+        });
+    }
+    
+    /**
+     * Notify the author of a comment about a reply
+     * @param {Object} reply - Reply comment
+     * @param {Object} parent - Comment replied to
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notifyReply(reply, parent) {
+        return await NotificationService.notify(parent.userId, NOTIFICATION_TYPES.COMMENT_REPLY, {
+            actorId: reply.userId,
+            newsId: reply.newsId,
+            commentId: reply._id,
+            data: { parentId: parent._id }
+        });
+    }
+    
+    /**
+     * Notify the author of a comment that an administrator deleted it
+     * @param {Object} comment - Deleted comment
+     * @param {string} deletedBy - ID of the administrator
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notifyCommentDeleted(comment, deletedBy) {
+        return await NotificationService.notify(comment.userId, NOTIFICATION_TYPES.COMMENT_DELETED, {
+            actorId: deletedBy,
+            newsId: comment.newsId,
+            commentId: comment._id,
+            data: { excerpt: comment.content.slice(0, 100) }
+        });
+    }
+    
+    /**
+     * Notify a user that an administrator changed their role
+     * @param {string} userId - User ID
+     * @param {string} previousRole - Role before the change
+     * @param {string} role - New role
+     * @param {string} actorId - ID of the administrator
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notifyRoleChanged(userId, previousRole, role, actorId) {
+        return await NotificationService.notify(userId, NOTIFICATION_TYPES.ROLE_CHANGED, {
+            actorId,
+            data: { previousRole, role }
+        });
+    }
+    
+    /**
+     * Notify a voter that an administrator invalidated their vote
+     * @param {Object} vote - Invalidated vote
+     * @param {string} actorId - ID of the administrator
+     * @returns {Promise<Object|null>} Created notification or null
+     */
+    static async notifyVoteInvalidated(vote, actorId) {
+        return await NotificationService.notify(vote.userId, NOTIFICATION_TYPES.VOTE_INVALIDATED, {
+            actorId,
+            newsId: vote.newsId,
+            data: { voteResult: vote.voteResult }
+        });
+    }
+    
+    /**
+     * Get a user's notification preferences for every type
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Map of type to enabled
+     */
+    static async getPreferences(userId) {
+        const user = await User.findById(userId).select('notificationPreferences');
+        if (!user) {
+            throw httpError('User not found', 404);
+        }
+        
+        return Object.fromEntries(Object.values(NOTIFICATION_TYPES).map(type => [
+            type,
+            user.notificationPreferences?.get(type) !== false
+        ]));
+    }
+    
+    /**
+     * Switch notification types on or off
+     * @param {string} userId - User ID
+     * @param {Object} changes - Map of type to enabled
+     * @returns {Promise<Object>} Preferences for every type
+     */
+    static async updatePreferences(userId, changes) {
+        const update = Object.fromEntries(Object.entries(changes).map(([type, enabled]) => [
+            `notificationPreferences.${type}`,
+            enabled
+        ]));
+        
+        const user = await User.findByIdAndUpdate(userId, { $set: update });
+        if (!user) {
+            throw httpError('User not found', 404);
+        }
+        
+        return await NotificationService.getPreferences(userId);
+    }
+}
+
+module.exports = NotificationService;
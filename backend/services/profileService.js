@@ -0,0 +1,105 @@
+const { User, ROLES, PRIVACY_SETTINGS } = require('../models/User');
+const { News, NEWS_STATUS } = require('../models/News');
+const CredibilityService = require('./credibilityService');
+const ReputationService = require('./reputationService');
+const config = require('../config/config');
+
+/**
+ * Profile Service Class
+ * Builds the public profile of a user. Parts the user switched off in their privacy
+ * settings are returned as null, except to the user themselves and to administrators.
+ */
+class ProfileService {
+    /**
+     * Privacy settings of a user with defaults filled in
+     * @param {Object} user - User document
+     * @returns {Object} Setting name to boolean
+     */
+    static getPrivacy(user) {
+        return Object.fromEntries(PRIVACY_SETTINGS.map(setting => [setting, user.privacy?.[setting] !== false]));
+    }
+    
+    /**
+     * Get the public profile of a user
+     * @param {string} userId - User ID
+     * @param {Object|null} viewer - Logged in user viewing the profile
+     * @returns {Promise<Object|null>} Profile or null if user not found
+     */
+    static async getPublicProfile(userId, viewer = null) {
+        const user = await User.findById(userId);
+        
+        if (!user) {
+            return null;
+        }
+        
+        const isSelf = Boolean(viewer) && viewer._id.toString() === user._id.toString();
+        const canSeeAll = isSelf || viewer?.role === ROLES.ADMINISTRATOR;
+        const privacy = ProfileService.getPrivacy(user);
+        const visible = setting => canSeeAll || privacy[setting];
+        
+        const profile = {
+            id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            avatar: user.avatar,
+            role: user.role,
+            joinedAt: visible('showJoinDate') ? user.createdAt : null,
+            // Credibility follows from the verdicts on the user's published news, so it is always shown
+            credibility: await CredibilityService.getAuthorCredibility(user._id),
+            submissions: null,
+            votingAccuracy: null
+        };
+        
+        if (visible('showSubmissions')) {
+            profile.submissions = await ProfileService.getSubmissions(user._id, canSeeAll);
+        }
+        
+        if (visible('showVotingAccuracy')) {
+            profile.votingAccuracy = await ReputationService.getUserReputation(user._id);
+        }
+        
+        if (isSelf) {
+            profile.privacy = privacy;
+        }
+        
+        return profile;
+    }
+    
+    /**
+     * Submission counts by status and the latest submissions of an author
+     * @param {string} authorId - Author ID
+     * @param {boolean} includeHidden - Include news hidden after reports
+     * @returns {Promise<Object>} { total, byStatus, recent }
+     */
+    static async getSubmissions(authorId, includeHidden = false) {
+        const query = { authorId };
+        if (!includeHidden) {
+            query.isHidden = { $ne: true };
+        }
+        
+        const [counts, recent] = await Promise.all([
+            News.aggregate([
+                { $match: { ...query, isDeleted: { $ne: true } } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            News.find(query)
+                .sort({ createdAt: -1 })
+                .limit(config.credibility.recentSubmissions)
+                .select('title status createdAt')
+        ]);
+        
+        // Every status is listed, also when the author has no news with it
+        const byStatus = Object.fromEntries(Object.values(NEWS_STATUS).map(status => [status, 0]));
+        counts.forEach(({ _id, count }) => {
+            byStatus[_id] = count;
+        });
+        
+        return {
+            total: counts.reduce((sum, { count }) => sum + count, 0),
+            byStatus,
+            recent
+        };
+    }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,254 @@
+const { News, NEWS_STATUS } = require('../models/News');
+const { NewsTerm } = require('../models/NewsTerm');
+const FingerprintService = require('./fingerprintService');
+const config = require('../config/config');
+
+// Runs of CJK characters (cut into bigrams) and words of other letters and digits
+const TERM_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]+|[^\s\u3400-\u9fff\uf900-\ufaff]+/g;
+const CJK_PATTERN = /^[\u3400-\u9fff\uf900-\ufaff]/;
+
+// Frequent English words that say nothing about the story
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+    'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'they', 'this', 'to',
+    'was', 'were', 'will', 'with', 'you'
+]);
+
+/**
+ * Related News Service Class
+ * TF-IDF index of news text: every news item stores the counts of its terms, NewsTerm the number of
+ * news containing each term. Both are updated when news is created, edited, trashed, restored or removed.
+ * Related news are the decided news (Fake or Not Fake) with the highest cosine similarity, so readers see precedent.
+ */
+class RelatedNewsService {
+    /**
+     * Split a text into terms: words, and character bigrams of Chinese text (single characters say too little)
+     * @param {string} text - Text
+     * @returns {Array<string>} Terms, in order and with repetitions
+     */
+    static tokenize(text) {
+        const terms = [];
+        
+        (FingerprintService.normalize(text).match(TERM_PATTERN) || []).forEach(run => {
+            if (!CJK_PATTERN.test(run)) {
+                if (run.length > 1 && !STOP_WORDS.has(run)) {
+                    terms.push(run);
+                }
+                return;
+            }
+            
+            if (run.length === 1) {
+                terms.push(run);
+            }
+            for (let i = 0; i + 2 <= run.length; i++) {
+                terms.push(run.slice(i, i + 2));
+            }
+        });
+        
+        return terms;
+    }
+    
+    /**
+     * Term counts of a news item, title terms counting config.related.titleWeight times
+     * @param {string} title - News title
+     * @param {string} content - News content
+     * @returns {Array<Object>} [{ term, count }], the config.related.maxTermsPerNews most frequent terms
+     */
+    static countTerms(title, content) {
+        const counts = new Map();
+        const add = (term, count) => counts.set(term, (counts.get(term) || 0) + count);
+        
+        RelatedNewsService.tokenize(title).forEach(term => add(term, config.related.titleWeight));
+        RelatedNewsService.tokenize(content).forEach(term => add(term, 1));
+        
+        return [...counts.entries()]
+            .map(([term, count]) => ({ term, count }))
+            .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+            .slice(0, config.related.maxTermsPerNews);
+    }
+    
+    /**
+     * Change the document frequencies of terms
+     * @param {Array<string>} terms - Terms
+     * @param {number} delta - +1 for added news, -1 for removed news
+     */
+    static async updateDocCounts(terms, delta) {
+        if (terms.length === 0) {
+            return;
+        }
+        
+        await NewsTerm.bulkWrite(terms.map(term => ({
+            updateOne: {
+                filter: { term },
+                update: { $inc: { docCount: delta } },
+                upsert: delta > 0
+            }
+        })), { ordered: false });
+    }
+    
+    /**
+     * Index the current text of a news item (replaces its previous terms)
+     * The stored terms are swapped in one update, so concurrent indexing of the same news changes the
+     * document frequencies once per change. Trashed news is not indexed.
+     * @param {string} newsId - News ID
+     * @returns {Promise<Array>} Stored terms ([{ term, count }]), empty if the news does not exist
+     */
+    static async indexNews(newsId) {
+        const news = await News.findById(newsId).select('title content').lean();
+        if (!news) {
+            return [];
+        }
+        
+        const terms = RelatedNewsService.countTerms(news.title, news.content);
+        const replaced = await News.findOneAndUpdate({ _id: news._id }, { terms })
+            .select('+terms')
+            .lean();
+        if (!replaced) {
+            return [];
+        }
+        
+        const previous = new Set((replaced.terms || []).map(item => item.term));
+        const current = new Set(terms.map(item => item.term));
+        
+        await RelatedNewsService.updateDocCounts([...current].filter(term => !previous.has(term)), 1);
+        await RelatedNewsService.updateDocCounts([...previous].filter(term => !current.has(term)), -1);
+        
+        return terms;
+    }
+    
+    /**
+     * Take a news item out of the index, when it is trashed or before it is deleted
+     * @param {string} newsId - News ID
+     */
+    static async removeNews(newsId) {
+        const removed = await News.findOneAndUpdate({ _id: newsId }, { terms: [] })
+            .select('+terms')
+            .setOptions({ withDeleted: true })
+            .lean();
+        
+        if (removed) {
+            await RelatedNewsService.updateDocCounts((removed.terms || []).map(item => item.term), -1);
+        }
+    }
+    
+    /**
+     * Rebuild the whole index, e.g. for news created before related news or after changing the settings
+     * @returns {Promise<number>} Number of indexed news
+     */
+    static async rebuildIndex() {
+        await NewsTerm.deleteMany({});
+        await News.updateMany({}, { terms: [] }).setOptions({ withDeleted: true });
+        
+        const cursor = News.find({}).select('_id').lean().cursor();
+        let indexed = 0;
+        
+        for await (const news of cursor) {
+            await RelatedNewsService.indexNews(news._id);
+            indexed++;
+        }
+        
+        return indexed;
+    }
+    
+    /**
+     * TF-IDF weights of term counts
+     * @param {Array<Object>} terms - [{ term, count }]
+     * @param {Map<string, number>} docCounts - Document frequency per term
+     * @param {number} totalDocs - Number of indexed news
+     * @returns {Map<string, number>} Weight per term
+     */
+    static weigh(terms, docCounts, totalDocs) {
+        return new Map(terms.map(({ term, count }) => {
+            const idf = Math.log((totalDocs + 1) / ((docCounts.get(term) || 0) + 1)) + 1;
+            return [term, (1 + Math.log(count)) * idf];
+        }));
+    }
+    
+    /**
+     * Cosine similarity of two weight vectors
+     * @param {Map<string, number>} a - Weights
+     * @param {Map<string, number>} b - Weights
+     * @returns {number} Similarity (0-1)
+     */
+    static cosine(a, b) {
+        const norm = (weights) => Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0));
+        const normProduct = norm(a) * norm(b);
+        if (normProduct === 0) {
+            return 0;
+        }
+        
+        let dot = 0;
+        a.forEach((weight, term) => {
+            dot += weight * (b.get(term) || 0);
+        });
+        
+        return dot / normProduct;
+    }
+    
+    /**
+     * Get the decided news most similar to a news item
+     * @param {string} newsId - News ID
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array>} [{ _id, title, status, statusChangedAt, createdAt, similarity, sharedTerms }], most similar first
+     */
+    static async getRelated(newsId, { limit = config.related.defaultLimit } = {}) {
+        const news = await News.findById(newsId).select('+terms').lean();
+        if (!news) {
+            return [];
+        }
+        
+        // News submitted before the index existed is indexed on first use
+        const terms = news.terms && news.terms.length > 0 ? news.terms : await RelatedNewsService.indexNews(news._id);
+        if (terms.length === 0) {
+            return [];
+        }
+        
+        const totalDocs = await News.estimatedDocumentCount();
+        const ownCounts = await NewsTerm.find({ term: { $in: terms.map(item => item.term) } }).lean();
+        const ownWeights = RelatedNewsService.weigh(terms, new Map(ownCounts.map(item => [item.term, item.docCount])), totalDocs);
+        
+        // Look up candidates by the most distinctive terms only
+        const queryTerms = [...ownWeights.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, config.related.queryTerms)
+            .map(([term]) => term);
+        
+        const candidates = await News.find({
+            _id: { $ne: news._id },
+            status: { $in: [NEWS_STATUS.FAKE, NEWS_STATUS.NOT_FAKE] },
+            isHidden: { $ne: true },
+            'terms.term': { $in: queryTerms }
+        })
+            .select('title status statusChangedAt createdAt +terms')
+            .sort({ statusChangedAt: -1 })
+            .limit(config.related.maxCandidates)
+            .lean();
+        
+        if (candidates.length === 0) {
+            return [];
+        }
+        
+        const candidateTerms = [...new Set(candidates.flatMap(candidate => candidate.terms.map(item => item.term)))];
+        const docCounts = new Map(
+            (await NewsTerm.find({ term: { $in: candidateTerms } }).lean()).map(item => [item.term, item.docCount])
+        );
+        ownCounts.forEach(item => docCounts.set(item.term, item.docCount));
+        
+        return candidates
+            .map(({ terms: candidateTermCounts, ...candidate }) => {
+                const weights = RelatedNewsService.weigh(candidateTermCounts, docCounts, totalDocs);
+                const sharedTerms = queryTerms.filter(term => weights.has(term));
+                
+                return {
+                    ...candidate,
+                    similarity: Math.round(RelatedNewsService.cosine(ownWeights, weights) * 1000) / 1000,
+                    sharedTerms: sharedTerms.slice(0, 5)
+                };
+            })
+            .filter(candidate => candidate.similarity >= config.related.minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+}
+
+module.exports = RelatedNewsService;
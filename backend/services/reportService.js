@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const { Report, REPORT_TARGETS, REPORT_STATUS } = require('../models/Report');
+const { ReportResolution, RESOLUTION_ACTIONS } = require('../models/ReportResolution');
+const { News } = require('../models/News');
+const { User } = require('../models/User');
+const Comment = require('../models/Comment');
+const TrashService = require('./trashService');
+const WebhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+// Model and author field of each reportable content type
+const TARGET_MODELS = {
+    [REPORT_TARGETS.NEWS]: { model: News, authorField: 'authorId' },
+    [REPORT_TARGETS.COMMENT]: { model: Comment, authorField: 'userId' }
+};
+
+/**
+ * Report Service Class
+ * Files user reports, hides content that reached the report threshold and resolves the moderation queue.
+ */
+class ReportService {
+    /**
+     * Find the reported content
+     * @param {string} targetType - 'news' or 'comment'
+     * @param {string} targetId - Content ID
+     * @returns {Promise<Object|null>} News or comment document
+     */
+    static async findTarget(targetType, targetId) {
+        return await TARGET_MODELS[targetType].model.findById(targetId);
+    }
+    
+    /**
+     * Get the author of reported content
+     * @param {string} targetType - 'news' or 'comment'
+     * @param {Object} target - News or comment document
+     * @returns {Object|null} Author ID
+     */
+    static getAuthorId(targetType, target) {
+        return target[TARGET_MODELS[targetType].authorField] || null;
+    }
+    
+    /**
+     * Report news or a comment
+     * @param {Object} data - Report data ({ targetType, targetId, reason, note })
+     * @param {Object} reporter - Reporting user
+     * @returns {Promise<Object>} Report and whether the content is now hidden ({ report, hidden })
+     */
+    static async createReport({ targetType, targetId, reason, note = '' }, reporter) {
+        const target = await ReportService.findTarget(targetType, targetId);
+        if (!target || target.isDeleted) {
+            throw httpError('Reported content not found', 404);
+        }
+        
+        const authorId = ReportService.getAuthorId(targetType, target);
+        if (authorId && authorId.toString() === reporter._id.toString()) {
+            throw httpError('You cannot report your own content', 400);
+        }
+        
+        const { report, created } = await Report.fileReport({
+            targetType,
+            targetId: target._id,
+            reporterId: reporter._id,
+            reason,
+            note
+        });
+        
+        if (!created) {
+            throw httpError('You have already reported this content', 409);
+        }
+        
+        // Hide the content once enough different users reported it
+        let hidden = target.isHidden;
+        if (!hidden) {
+            const openReports = await Report.countOpenReports(targetType, target._id);
+            
+            if (openReports >= config.reports.hideThreshold) {
+                await TARGET_MODELS[targetType].model.updateOne(
+                    { _id: target._id },
+                    { isHidden: true, hiddenAt: Date.now() }
+                );
+                hidden = true;
+                
+                await WebhookService.dispatchModeration(WEBHOOK_EVENTS.CONTENT_HIDDEN, {
+                    target: { type: targetType, id: target._id.toString() },
+                    reportCount: openReports
+                });
+            }
+        }
+        
+        return { report, hidden };
+    }
+    
+    /**
+     * Get the moderation queue with a preview of each reported item
+     * @param {Object} options - Query options ({ page, pageSize, targetType, sortBy })
+     * @returns {Promise<Object>} Queue items and pagination info
+     */
+    static async getQueue(options = {}) {
+        const result = await Report.getQueue(options);
+        
+        const idsByType = (type) => result.items.filter(item => item.targetType === type).map(item => item.targetId);
+        
+        const [newsList, comments] = await Promise.all([
+            News.find({ _id: { $in: idsByType(REPORT_TARGETS.NEWS) } })
+                .select('title authorId isHidden status')
+                .populate('authorId', 'firstName lastName warningCount')
+                .lean(),
+            Comment.find({ _id: { $in: idsByType(REPORT_TARGETS.COMMENT) } })
+                .select('content newsId userId isHidden isDeleted')
+                .populate('userId', 'firstName lastName warningCount')
+                .lean()
+        ]);
+        
+        const previews = new Map([
+            ...newsList.map(news => [news._id.toString(), {
+                title: news.title,
+                author: news.authorId,
+                isHidden: news.isHidden
+            }]),
+            ...comments.map(comment => [comment._id.toString(), {
+                content: comment.content,
+                newsId: comment.newsId,
+                author: comment.userId,
+                isHidden: comment.isHidden,
+                isDeleted: comment.isDeleted
+            }])
+        ]);
+        
+        result.items = result.items.map(item => ({
+            ...item,
+            // null when the content was removed by other means
+            target: previews.get(item.targetId.toString()) || null
+        }));
+        
+        return result;
+    }
+    
+    /**
+     * Get the open reports of an item
+     * @param {string} targetType - 'news' or 'comment'
+     * @param {string} targetId - Content ID
+     * @returns {Promise<Array>} Reports, oldest first
+     */
+    static async getTargetReports(targetType, targetId) {
+        return await Report.find({ targetType, targetId, status: REPORT_STATUS.OPEN })
+            .populate('reporterId', 'firstName lastName email')
+            .sort({ createdAt: 1 })
+            .lean();
+    }
+    
+    /**
+     * Resolve all open reports of an item
+     * dismiss: the content is fine and shown again; delete: the content is removed;
+     * warn: the content is shown again and its author receives a warning
+     * @param {string} targetType - 'news' or 'comment'
+     * @param {string} targetId - Content ID
+     * @param {Object} data - Resolution ({ action, note })
+     * @param {Object} admin - Resolving administrator
+     * @returns {Promise<Object>} Resolution record
+     */
+    static async resolveTarget(targetType, targetId, { action, note = '' }, admin) {
+        const openReports = await Report.countOpenReports(targetType, targetId);
+        if (openReports === 0) {
+            throw httpError('No open reports for this content', 404);
+        }
+        
+        const { model } = TARGET_MODELS[targetType];
+        const target = await ReportService.findTarget(targetType, targetId);
+        const authorId = target ? ReportService.getAuthorId(targetType, target) : null;
+        
+        if (target) {
+            if (action === RESOLUTION_ACTIONS.DELETE) {
+                if (targetType === REPORT_TARGETS.NEWS) {
+                    // Same as an admin deletion: the news goes to the trash and can be restored until it is purged
+                    await TrashService.moveToTrash(target._id, admin);
+                } else if (!target.isDeleted) {
+                    await target.deleteComment(admin._id);
+                    await WebhookService.dispatchModeration(WEBHOOK_EVENTS.COMMENT_MODERATED, {
+                        comment: WebhookService.commentSummary(target),
+                        action: 'delete'
+                    }, admin._id);
+                }
+            }
+            
+            if (target.isHidden && action !== RESOLUTION_ACTIONS.DELETE) {
+                await model.updateOne({ _id: target._id }, { isHidden: false, hiddenAt: null });
+            }
+        }
+        
+        if (action === RESOLUTION_ACTIONS.WARN && authorId) {
+            await User.updateOne({ _id: authorId }, { $inc: { warningCount: 1 } });
+        }
+        
+        // Close the open reports first, so the resolution records exactly the reports it closed
+        const resolutionId = new mongoose.Types.ObjectId();
+        const closed = await Report.updateMany(
+            { targetType, targetId, status: REPORT_STATUS.OPEN },
+            { status: REPORT_STATUS.RESOLVED, resolutionId }
+        );
+        
+        const resolution = await ReportResolution.create({
+            _id: resolutionId,
+            targetType,
+            targetId,
+            authorId,
+            action,
+            note,
+            reportCount: closed.modifiedCount,
+            resolvedBy: admin._id
+        });
+        
+        await WebhookService.dispatchModeration(WEBHOOK_EVENTS.REPORT_RESOLVED, {
+            target: { type: targetType, id: targetId.toString() },
+            action,
+            reportCount: resolution.reportCount,
+            resolutionId: resolution._id.toString()
+        }, admin._id);
+        
+        return resolution;
+    }
+}
+
+module.exports = ReportService;
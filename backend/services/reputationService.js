@@ -0,0 +1,139 @@
+const { User } = require('../models/User');
+const { Vote } = require('../models/Vote');
+const { NEWS_STATUS } = require('../models/News');
+const config = require('../config/config');
+
+// News statuses that count as a final verdict
+const FINAL_STATUSES = [NEWS_STATUS.FAKE, NEWS_STATUS.NOT_FAKE];
+
+/**
+ * Reputation Service Class
+ * A user's reputation is derived from how often their votes matched the final news status.
+ * Every vote records the status it was scored against, so settling is idempotent and
+ * a status that flips later (or a vote that is invalidated) moves the counters back.
+ */
+class ReputationService {
+    /**
+     * Calculate the vote weight for given accuracy counters
+     * @param {number} correctVotes - Votes that matched the final status
+     * @param {number} resolvedVotes - Votes on news with a final status
+     * @returns {number} Reputation score
+     */
+    static calculateScore(correctVotes, resolvedVotes) {
+        const { minWeight, maxWeight } = config.voting.reputation;
+
+        // Laplace smoothing: users without history sit at half of maxWeight
+        const accuracy = (correctVotes + 1) / (resolvedVotes + 2);
+        const score = Math.max(minWeight, Math.min(maxWeight, maxWeight * accuracy));
+
+        return Math.round(score * 1000) / 1000;
+    }
+
+    /**
+     * Apply counter changes to a user's reputation and recompute the score
+     * @param {string} userId - User ID
+     * @param {number} correctDelta - Change of correct votes
+     * @param {number} resolvedDelta - Change of resolved votes
+     * @returns {Promise<Object|null>} Updated reputation or null if user not found
+     */
+    static async adjustUserReputation(userId, correctDelta, resolvedDelta) {
+        const user = await User.findByIdAndUpdate(
+            userId,
+            {
+                $inc: {
+                    'reputation.correctVotes': correctDelta,
+                    'reputation.resolvedVotes': resolvedDelta
+                }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return null;
+        }
+
+        const { correctVotes, resolvedVotes } = user.reputation;
+        const score = ReputationService.calculateScore(correctVotes, resolvedVotes);
+
+        await User.updateOne({ _id: userId }, { 'reputation.score': score });
+
+        return { score, correctVotes, resolvedVotes };
+    }
+
+    /**
+     * Bring voters' reputation in line with the current status of a news item
+     * @param {string} newsId - News ID
+     * @param {string} status - Current news status
+     * @returns {Promise<Object>} Number of votes settled and reverted
+     */
+    static async settleNewsVotes(newsId, status) {
+        const outcome = FINAL_STATUSES.includes(status) ? status : null;
+
+        // Only votes whose recorded outcome differs from the target need work
+        const votes = await Vote.find({
+            newsId,
+            $or: [
+                { isInvalid: false, countsTowardReputation: { $ne: false }, settledOutcome: { $ne: outcome } },
+                { $or: [{ isInvalid: true }, { countsTowardReputation: false }], settledOutcome: { $ne: null } }
+            ]
+        });
+
+        let settled = 0;
+        let reverted = 0;
+
+        for (const vote of votes) {
+            const previous = vote.settledOutcome;
+            const target = vote.isInvalid || vote.countsTowardReputation === false ? null : outcome;
+
+            // Conditional update so concurrent settlements never count a vote twice
+            const result = await Vote.updateOne(
+                { _id: vote._id, settledOutcome: previous },
+                { settledOutcome: target }
+            );
+
+            if (result.modifiedCount === 0) {
+                continue;
+            }
+
+            const correctDelta = (target && vote.voteResult === target ? 1 : 0) -
+                (previous && vote.voteResult === previous ? 1 : 0);
+            const resolvedDelta = (target ? 1 : 0) - (previous ? 1 : 0);
+
+            await ReputationService.adjustUserReputation(vote.userId, correctDelta, resolvedDelta);
+
+            if (target) {
+                settled++;
+            } else {
+                reverted++;
+            }
+        }
+
+        return { settled, reverted };
+    }
+
+    /**
+     * Get a user's reputation summary
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} Reputation summary or null if user not found
+     */
+    static async getUserReputation(userId) {
+        const user = await User.findById(userId).select('reputation');
+
+        if (!user) {
+            return null;
+        }
+
+        const { score = 1, correctVotes = 0, resolvedVotes = 0 } = user.reputation || {};
+
+        return {
+            score,
+            correctVotes,
+            resolvedVotes,
+            accuracy: resolvedVotes > 0 ? Math.round((correctVotes / resolvedVotes) * 1000) / 1000 : null
+        };
+    }
+}
+
+ReputationService.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = ReputationService;
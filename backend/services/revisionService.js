@@ -0,0 +1,363 @@
+const { News, NEWS_STATUS } = require('../models/News');
+const { Vote } = require('../models/Vote');
+const { VoteHistory, VOTE_ACTIONS } = require('../models/VoteHistory');
+const { NewsRevision, VOTE_EDIT_POLICIES } = require('../models/NewsRevision');
+const ReputationService = require('./reputationService');
+const FingerprintService = require('./fingerprintService');
+const RelatedNewsService = require('./relatedNewsService');
+const ClassifierService = require('./classifierService');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+// Diff tokens: every CJK character is a word of its own, other text splits into words and whitespace runs
+const TOKEN_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]|[^\s\u3400-\u9fff\uf900-\ufaff]+|\s+/g;
+
+// Query matching the revision currently stored on a news document (news saved before revisions has none)
+const revisionFilter = (news) => (news.revision === 1 ? { $in: [1, null] } : news.revision);
+
+/**
+ * Revision Service Class
+ * Every edit of a news item is stored as a revision; revision 1 (the original text) is saved
+ * on the first edit. Edits that change the content substantially after votes were cast are
+ * handled by the configured vote policy.
+ */
+class RevisionService {
+    /**
+     * Split a text into diff tokens
+     * @param {string} text - Text
+     * @returns {Array<string>} Tokens
+     */
+    static tokenize(text) {
+        return (text || '').match(TOKEN_PATTERN) || [];
+    }
+    
+    /**
+     * Word-level diff of two texts
+     * @param {string} oldText - Older text
+     * @param {string} newText - Newer text
+     * @returns {Object} { segments: [{ type: 'equal'|'insert'|'delete', text }], changedWords, totalWords, changeRatio }
+     */
+    static diffWords(oldText, newText) {
+        const a = RevisionService.tokenize(oldText);
+        const b = RevisionService.tokenize(newText);
+        const operations = [];
+        
+        // The common beginning and end need no table, most edits only touch the middle
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            operations.push(['equal', a[start]]);
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        
+        const n = endA - start;
+        const m = endB - start;
+        
+        if (n * m > config.revisions.maxDiffCells) {
+            a.slice(start, endA).forEach(token => operations.push(['delete', token]));
+            b.slice(start, endB).forEach(token => operations.push(['insert', token]));
+        } else {
+            // lcs[i * (m + 1) + j]: longest common subsequence of the remaining tokens from a[start + i] and b[start + j]
+            const width = m + 1;
+            const lcs = new Uint32Array((n + 1) * width);
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i * width + j] = a[start + i] === b[start + j]
+                        ? lcs[(i + 1) * width + j + 1] + 1
+                        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+                }
+            }
+            
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[start + i] === b[start + j]) {
+                    operations.push(['equal', a[start + i]]);
+                    i++;
+                    j++;
+                } else if (j >= m || (i < n && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                    operations.push(['delete', a[start + i]]);
+                    i++;
+                } else {
+                    operations.push(['insert', b[start + j]]);
+                    j++;
+                }
+            }
+        }
+        
+        a.slice(endA).forEach(token => operations.push(['equal', token]));
+        
+        // Merge runs of the same type; whitespace does not count as a changed word
+        const segments = [];
+        let changedWords = 0;
+        operations.forEach(([type, token]) => {
+            if (type !== 'equal' && token.trim()) {
+                changedWords++;
+            }
+            
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += token;
+            } else {
+                segments.push({ type, text: token });
+            }
+        });
+        
+        const totalWords = [...a, ...b].filter(token => token.trim()).length;
+        
+        return {
+            segments,
+            changedWords,
+            totalWords,
+            changeRatio: totalWords > 0 ? Math.round((changedWords / totalWords) * 1000) / 1000 : 0
+        };
+    }
+    
+    /**
+     * Compare two versions of a news item
+     * @param {Object} from - Older version ({ title, content, images })
+     * @param {Object} to - Newer version ({ title, content, images })
+     * @returns {Object} { title, content, images: { added, removed }, changeRatio }
+     */
+    static compare(from, to) {
+        const title = RevisionService.diffWords(from.title, to.title);
+        const content = RevisionService.diffWords(from.content, to.content);
+        const fromImages = from.images || [];
+        const toImages = to.images || [];
+        const totalWords = title.totalWords + content.totalWords;
+        
+        return {
+            title: title.segments,
+            content: content.segments,
+            images: {
+                added: toImages.filter(url => !fromImages.includes(url)),
+                removed: fromImages.filter(url => !toImages.includes(url))
+            },
+            changeRatio: totalWords > 0
+                ? Math.round(((title.changedWords + content.changedWords) / totalWords) * 1000) / 1000
+                : 0
+        };
+    }
+    
+    /**
+     * Revision 1 of a news item that was never edited (not stored until the first edit)
+     * @param {Object} news - News document
+     * @returns {Object} Revision
+     */
+    static initialRevision(news) {
+        return {
+            newsId: news._id,
+            revision: 1,
+            title: news.title,
+            content: news.content,
+            images: news.images || [],
+            editorId: news.authorId,
+            changeRatio: null,
+            votesAtEdit: 0,
+            votePolicy: null,
+            createdAt: news.createdAt
+        };
+    }
+    
+    /**
+     * Get the revision list of a news item (oldest first, without the full texts)
+     * @param {Object} news - News document
+     * @returns {Promise<Array>} Revisions
+     */
+    static async getRevisions(news) {
+        if (news.revision === 1) {
+            const { content, ...revision } = RevisionService.initialRevision(news);
+            return [revision];
+        }
+        
+        return await NewsRevision.getRevisions(news._id);
+    }
+    
+    /**
+     * Get one revision of a news item
+     * @param {Object} news - News document
+     * @param {number} revision - Revision number
+     * @returns {Promise<Object>} Revision
+     */
+    static async getRevision(news, revision) {
+        const found = news.revision === 1
+            ? (revision === 1 ? RevisionService.initialRevision(news) : null)
+            : await NewsRevision.getRevision(news._id, revision);
+        
+        if (!found) {
+            throw httpError('Revision not found', 404);
+        }
+        
+        return found;
+    }
+    
+    /**
+     * Diff two revisions of a news item
+     * @param {Object} news - News document
+     * @param {number} from - Older revision (defaults to the one before to)
+     * @param {number} to - Newer revision (defaults to the current revision)
+     * @returns {Promise<Object>} { from, to, title, content, images, changeRatio }
+     */
+    static async diffRevisions(news, from, to) {
+        const toNumber = to || news.revision;
+        const fromNumber = from || Math.max(1, toNumber - 1);
+        
+        const [fromRevision, toRevision] = await Promise.all([
+            RevisionService.getRevision(news, fromNumber),
+            RevisionService.getRevision(news, toNumber)
+        ]);
+        
+        const summary = ({ content, title, images, ...revision }) => revision;
+        
+        return {
+            from: summary(fromRevision),
+            to: summary(toRevision),
+            ...RevisionService.compare(fromRevision, toRevision)
+        };
+    }
+    
+    /**
+     * Edit a news item and store the new text as a revision
+     * @param {string} newsId - News ID
+     * @param {Object} changes - Changed fields ({ title, content, images })
+     * @param {Object} editor - Editing user
+     * @returns {Promise<Object>} { news, revision, votesReset } (revision is null when nothing changed)
+     */
+    static async updateNews(newsId, changes, editor) {
+        const news = await News.findById(newsId);
+        if (!news) {
+            throw httpError('News not found', 404);
+        }
+        
+        // The schema trims title and content, compare the values that would be stored
+        const next = {
+            title: changes.title !== undefined ? String(changes.title).trim() : news.title,
+            content: changes.content !== undefined ? String(changes.content).trim() : news.content,
+            images: changes.images !== undefined ? changes.images : news.images
+        };
+        
+        if (next.title === news.title && next.content === news.content &&
+            JSON.stringify(next.images) === JSON.stringify(news.images)) {
+            return { news, revision: null, votesReset: 0 };
+        }
+        
+        // Save the original text before the first edit overwrites it
+        if (news.revision === 1) {
+            const { title, content, images, editorId, createdAt } = RevisionService.initialRevision(news);
+            await NewsRevision.updateOne(
+                { newsId: news._id, revision: 1 },
+                { $setOnInsert: { title, content, images, editorId, createdAt } },
+                { upsert: true }
+            );
+        }
+        
+        const { changeRatio } = RevisionService.compare(news, next);
+        const votesAtEdit = news.getTotalVotes();
+        const substantial = votesAtEdit > 0 && changeRatio >= config.revisions.substantialChangeRatio;
+        const votePolicy = substantial ? config.revisions.votePolicy : null;
+        const editedAt = new Date();
+        
+        const update = {
+            ...next,
+            revision: news.revision + 1,
+            updatedAt: editedAt
+        };
+        if (next.title !== news.title || next.content !== news.content) {
+            Object.assign(update, FingerprintService.fingerprint(next.title, next.content));
+        }
+        if (votePolicy === VOTE_EDIT_POLICIES.FLAG) {
+            update.contentChangedAfterVotes = true;
+            update.contentChangedAt = editedAt;
+        } else if (votePolicy === VOTE_EDIT_POLICIES.RESET) {
+            // The votes on the old text are removed, the remaining votes all judge the new one
+            update.contentChangedAfterVotes = false;
+            update.contentChangedAt = editedAt;
+        }
+        
+        // Compare-and-set on the revision number so concurrent edits cannot share a revision
+        let updatedNews = await News.findOneAndUpdate(
+            { _id: news._id, revision: revisionFilter(news) },
+            update,
+            { new: true, runValidators: true }
+        );
+        
+        if (!updatedNews) {
+            throw httpError('News was edited by another request, please reload', 409);
+        }
+        
+        const revision = await NewsRevision.create({
+            newsId: updatedNews._id,
+            revision: updatedNews.revision,
+            title: updatedNews.title,
+            content: updatedNews.content,
+            images: updatedNews.images,
+            editorId: editor._id,
+            changeRatio,
+            votesAtEdit,
+            votePolicy,
+            createdAt: editedAt
+        });
+        
+        if (next.title !== news.title || next.content !== news.content) {
+            await RelatedNewsService.indexNews(updatedNews._id);
+            // Only pending news is pre-screened, the score of decided news stays as it was
+            if (updatedNews.status === NEWS_STATUS.PENDING) {
+                await ClassifierService.scoreNews(updatedNews._id);
+                updatedNews = await News.findById(updatedNews._id);
+            }
+        }
+        
+        let votesReset = 0;
+        if (votePolicy === VOTE_EDIT_POLICIES.RESET) {
+            votesReset = await RevisionService.resetVotes(updatedNews, editedAt);
+            updatedNews = await News.findById(updatedNews._id);
+        }
+        
+        return { news: updatedNews, revision, votesReset };
+    }
+    
+    /**
+     * Remove the votes cast before an edit, so users vote again on the new text
+     * @param {Object} news - News document
+     * @param {Date} editedAt - Time of the edit
+     * @returns {Promise<number>} Number of removed votes
+     */
+    static async resetVotes(news, editedAt) {
+        const votes = await Vote.find({ newsId: news._id, isInvalid: false, createdAt: { $lte: editedAt } });
+        let removed = 0;
+        
+        for (const vote of votes) {
+            const deletedVote = await Vote.findOneAndDelete({ _id: vote._id, isInvalid: false });
+            if (!deletedVote) {
+                continue;
+            }
+            
+            removed++;
+            await VoteHistory.record(deletedVote, VOTE_ACTIONS.RESET, deletedVote.voteResult, null, news.status);
+            
+            // Same as a retraction: a settled vote takes its effect on the voter's reputation with it
+            if (deletedVote.settledOutcome) {
+                await ReputationService.adjustUserReputation(
+                    deletedVote.userId,
+                    deletedVote.voteResult === deletedVote.settledOutcome ? -1 : 0,
+                    -1
+                );
+            }
+        }
+        
+        // Recount from the remaining votes, the status goes back to pending unless the verdict is frozen
+        const recalculation = await Vote.recalculateNewsVotes(news._id);
+        if (!recalculation.success) {
+            console.error(`❌ Failed to recalculate votes of news ${news._id} after reset: ${recalculation.error}`);
+        }
+        
+        return removed;
+    }
+}
+
+module.exports = RevisionService;
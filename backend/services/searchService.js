@@ -0,0 +1,206 @@
+const config = require('../config/config');
+
+// Characters that have a meaning in MongoDB $text search strings
+const TEXT_SEARCH_SPECIAL = /["\\]/g;
+
+// A quoted phrase or a single term, each optionally negated with a leading "-"
+const TOKEN_PATTERN = /(-?)"([^"]*)"?|(\S+)/g;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape HTML special characters
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Search Service Class
+ * Parses user search queries into MongoDB $text search strings and builds highlighted snippets.
+ * Supported syntax: plain terms, "quoted phrases" and -excluded terms or -"excluded phrases".
+ */
+class SearchService {
+    /**
+     * Parse a raw search query
+     * @param {string} rawQuery - Query typed by the user
+     * @returns {Object} Parsed query ({ terms, phrases, excludedTerms, excludedPhrases })
+     */
+    static parseQuery(rawQuery) {
+        const { maxQueryLength, maxTerms } = config.search;
+        const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+        const input = String(rawQuery || '').slice(0, maxQueryLength);
+
+        let match;
+        let count = 0;
+        TOKEN_PATTERN.lastIndex = 0;
+
+        while ((match = TOKEN_PATTERN.exec(input)) !== null && count < maxTerms) {
+            const [, phraseNegation, phrase, word] = match;
+
+            if (phrase !== undefined) {
+                const text = phrase.replace(TEXT_SEARCH_SPECIAL, '').replace(/\s+/g, ' ').trim();
+                if (text) {
+                    (phraseNegation ? parsed.excludedPhrases : parsed.phrases).push(text);
+                    count++;
+                }
+                continue;
+            }
+
+            const negated = word.startsWith('-');
+            const text = word.replace(/^-+/, '').replace(TEXT_SEARCH_SPECIAL, '');
+            if (text) {
+                (negated ? parsed.excludedTerms : parsed.terms).push(text);
+                count++;
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Check whether a parsed query has anything to match (exclusions alone cannot be ranked)
+     * @param {Object} parsed - Parsed query
+     * @returns {boolean} Whether the query has positive terms or phrases
+     */
+    static hasPositiveTerms(parsed) {
+        return parsed.terms.length > 0 || parsed.phrases.length > 0;
+    }
+
+    /**
+     * Build the MongoDB $text search string for a parsed query
+     * @param {Object} parsed - Parsed query
+     * @returns {string} $search value
+     */
+    static toTextSearch(parsed) {
+        return [
+            ...parsed.terms,
+            ...parsed.phrases.map(phrase => `"${phrase}"`),
+            ...parsed.excludedTerms.map(term => `-${term}`),
+            ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`)
+        ].join(' ');
+    }
+
+    /**
+     * Build a query condition excluding documents that contain the excluded terms
+     * Used when a query consists only of exclusions, which $text does not support
+     * @param {Object} parsed - Parsed query
+     * @param {Array<string>} fields - Fields to check
+     * @returns {Object|null} MongoDB condition or null if nothing is excluded
+     */
+    static toExclusionCondition(parsed, fields) {
+        const excluded = [...parsed.excludedTerms, ...parsed.excludedPhrases];
+        if (excluded.length === 0) {
+            return null;
+        }
+
+        return {
+            $nor: excluded.flatMap(text => fields.map(field => ({
+                [field]: new RegExp(escapeRegex(text), 'i')
+            })))
+        };
+    }
+
+    /**
+     * Build a regular expression matching the positive terms and phrases of a query
+     * Terms also match longer words starting with them, roughly following the stemming of the text index
+     * @param {Object} parsed - Parsed query
+     * @returns {RegExp|null} Global, case-insensitive expression or null if nothing to highlight
+     */
+    static buildHighlightPattern(parsed) {
+        const alternatives = [
+            ...parsed.phrases.map(phrase => escapeRegex(phrase).replace(/ /g, '\\s+')),
+            ...parsed.terms.map(term => escapeRegex(term) + (/[a-z0-9]$/i.test(term) ? '[a-z0-9]*' : ''))
+        ].sort((a, b) => b.length - a.length);
+
+        return alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'gi') : null;
+    }
+
+    /**
+     * Escape text and wrap every match in <mark>
+     * @param {string} text - Raw text
+     * @param {RegExp|null} pattern - Pattern from buildHighlightPattern
+     * @returns {string} HTML-escaped text with highlighted matches
+     */
+    static markMatches(text, pattern) {
+        if (!pattern) {
+            return escapeHtml(text);
+        }
+
+        let result = '';
+        let lastIndex = 0;
+        pattern.lastIndex = 0;
+
+        for (const match of text.matchAll(pattern)) {
+            if (match[0].length === 0) {
+                continue;
+            }
+            result += escapeHtml(text.slice(lastIndex, match.index));
+            result += `<mark>${escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+
+        return result + escapeHtml(text.slice(lastIndex));
+    }
+
+    /**
+     * Cut a snippet of the text around the first match
+     * @param {string} text - Full text
+     * @param {RegExp|null} pattern - Pattern from buildHighlightPattern
+     * @param {number} length - Snippet length
+     * @returns {string} Snippet, with ellipses where text was cut
+     */
+    static extractSnippet(text, pattern, length = config.search.snippetLength) {
+        if (text.length <= length) {
+            return text;
+        }
+
+        let start = 0;
+        if (pattern) {
+            pattern.lastIndex = 0;
+            const match = pattern.exec(text);
+            // Keep some context before the match
+            if (match) {
+                start = Math.max(0, Math.min(match.index - Math.floor(length / 3), text.length - length));
+            }
+        }
+
+        // Avoid cutting words in half where the text has spaces
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space - start < 20) {
+                start = space + 1;
+            }
+        }
+
+        const end = Math.min(text.length, start + length);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Build highlighted title and content snippet for a search result
+     * @param {Object} news - News item ({ title, content })
+     * @param {Object} parsed - Parsed query
+     * @returns {Object} Highlights ({ title, snippet }), both HTML-escaped with <mark> around matches
+     */
+    static highlight(news, parsed) {
+        const pattern = SearchService.buildHighlightPattern(parsed);
+
+        return {
+            title: SearchService.markMatches(news.title || '', pattern),
+            snippet: SearchService.markMatches(SearchService.extractSnippet(news.content || '', pattern), pattern)
+        };
+    }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { Session, REVOKE_REASONS } = require('../models/Session');
+const { User } = require('../models/User');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Raw refresh token secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Session Service Class
+ * Refresh tokens have the form `<sessionId>.<secret>`; only a hash of the secret is stored.
+ */
+class SessionService {
+    /**
+     * Create a new session for a logged-in user
+     * @param {Object} user - User document
+     * @param {Object} req - Express request (used for device information)
+     * @returns {Promise<Object>} Access token, refresh token and session
+     */
+    static async createSession(user, req) {
+        const secret = crypto.randomBytes(48).toString('base64url');
+
+        const session = await Session.create({
+            userId: user._id,
+            refreshTokenHash: hashSecret(secret),
+            userAgent: (req.get('User-Agent') || '').substring(0, 300),
+            ipAddress: req.ip || '',
+            expiresAt: new Date(Date.now() + config.refreshTokenExpirationDays * 24 * 60 * 60 * 1000)
+        });
+
+        return SessionService.buildTokens(user, session, secret);
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (the refresh token is rotated)
+     * @param {string} refreshToken - Refresh token presented by the client
+     * @returns {Promise<Object>} New access token, refresh token, session and user
+     */
+    static async refreshSession(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+            throw httpError('Invalid refresh token', 401);
+        }
+
+        const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+        if (!session || !session.isActive()) {
+            throw httpError('Session has expired or been revoked', 401);
+        }
+
+        const presentedHash = hashSecret(secret);
+
+        // An already rotated token being replayed means it has leaked: revoke the whole session
+        if (presentedHash === session.previousRefreshTokenHash) {
+            await session.revoke(REVOKE_REASONS.TOKEN_REUSE);
+            throw httpError('Refresh token has already been used, session revoked', 401);
+        }
+
+        if (presentedHash !== session.refreshTokenHash) {
+            throw httpError('Invalid refresh token', 401);
+        }
+
+        const user = await User.findById(session.userId);
+        if (!user) {
+            throw httpError('User does not exist or has been deleted', 401);
+        }
+
+        // Conditional update so two concurrent refreshes cannot both rotate the same token
+        const newSecret = crypto.randomBytes(48).toString('base64url');
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                refreshTokenHash: hashSecret(newSecret),
+                previousRefreshTokenHash: presentedHash,
+                lastUsedAt: Date.now(),
+                $inc: { rotationCount: 1 }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            throw httpError('Refresh token has already been used', 401);
+        }
+
+        return {
+            ...SessionService.buildTokens(user, rotated, newSecret),
+            user
+        };
+    }
+
+    /**
+     * Build the token pair returned to clients
+     * @param {Object} user - User document
+     * @param {Object} session - Session document
+     * @param {string} secret - Raw refresh token secret
+     * @returns {Object} Token pair and session
+     */
+    static buildTokens(user, session, secret) {
+        // Required lazily: the auth middleware depends on this service
+        const { generateToken } = require('../middlewares/auth');
+
+        return {
+            token: generateToken(user, session._id),
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: config.jwtExpiration,
+            session
+        };
+    }
+
+    /**
+     * Load the active session referenced by an access token
+     * @param {string} sessionId - Session ID from the token
+     * @param {string} userId - User ID from the token
+     * @returns {Promise<Object|null>} Active session or null
+     */
+    static async getActiveSession(sessionId, userId) {
+        if (!sessionId) {
+            return null;
+        }
+
+        const session = await Session.findById(sessionId);
+        if (!session || !session.isActive() || session.userId.toString() !== String(userId)) {
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Revoke a single session belonging to a user
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revoke reason
+     * @returns {Promise<Object|null>} Revoked session or null if not found
+     */
+    static async revokeSession(userId, sessionId, reason = REVOKE_REASONS.USER_REVOKED) {
+        const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+        if (!session) {
+            return null;
+        }
+
+        return session.revoke(reason);
+    }
+
+    /**
+     * Revoke every session of a user, e.g. after a password or role change
+     * @param {string} userId - User ID
+     * @param {string} reason - Revoke reason
+     * @param {string|null} exceptSessionId - Session to keep (the caller's own)
+     * @returns {Promise<number>} Number of revoked sessions
+     */
+    static async revokeAllSessions(userId, reason, exceptSessionId = null) {
+        const result = await Session.revokeUserSessions(userId, reason, exceptSessionId);
+        return result.modifiedCount;
+    }
+
+    /**
+     * List active sessions of a user
+     * @param {string} userId - User ID
+     * @param {string|null} currentSessionId - Session of the current request
+     * @returns {Promise<Array>} Session summaries
+     */
+    static async listSessions(userId, currentSessionId = null) {
+        const sessions = await Session.getActiveSessions(userId);
+
+        return sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+        }));
+    }
+}
+
+module.exports = SessionService;
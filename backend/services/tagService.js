@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const { Tag } = require('../models/Tag');
+const { News, NEWS_STATUS } = require('../models/News');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields returned for a tag
+const TAG_FIELDS = 'name slug description parentId ancestors synonyms createdAt updatedAt';
+
+/**
+ * Tag Service Class
+ * Tags form a tree of topics. Each tag stores the path of its ancestors, so news tagged with
+ * a subtopic is found when filtering by, and counted in the statistics of, every topic above it.
+ */
+class TagService {
+    /**
+     * Normalize a tag name or synonym for comparison
+     * @param {string} term - Name or synonym
+     * @returns {string} Lower case term with single spaces
+     */
+    static normalize(term) {
+        return String(term).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    
+    /**
+     * URL form of a tag name (letters of any script, digits and dashes)
+     * @param {string} name - Tag name
+     * @returns {string} Slug
+     */
+    static slugify(name) {
+        return TagService.normalize(name)
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/[\s-]+/g, '-');
+    }
+    
+    /**
+     * Clean a list of synonyms: normalized, without duplicates and without the tag's own name
+     * @param {Array<string>} synonyms - Synonyms
+     * @param {string} name - Tag name
+     * @returns {Array<string>} Synonyms to store
+     */
+    static cleanSynonyms(synonyms = [], name = '') {
+        const own = TagService.normalize(name);
+        const cleaned = [...new Set(synonyms.map(TagService.normalize))].filter(term => term && term !== own);
+        
+        if (cleaned.length > config.tags.maxSynonyms) {
+            throw httpError(`A tag can have at most ${config.tags.maxSynonyms} synonyms`, 400);
+        }
+        
+        return cleaned;
+    }
+    
+    /**
+     * Make sure the name has a slug and no other tag uses one of the terms as its name or synonym
+     * @param {Array<string>} terms - Name followed by the synonyms of the tag
+     * @param {string|null} excludeId - Tag being updated
+     */
+    static async assertTermsAvailable(terms, excludeId = null) {
+        if (!TagService.slugify(terms[0])) {
+            throw httpError('Tag name must contain letters or digits', 400);
+        }
+        
+        const normalized = terms.map(TagService.normalize);
+        const conflict = await Tag.findOne({
+            ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+            $or: [
+                { slug: { $in: normalized.map(TagService.slugify) } },
+                { synonyms: { $in: normalized } }
+            ]
+        });
+        
+        if (conflict) {
+            throw httpError(`"${conflict.name}" already uses this name or synonym`, 409);
+        }
+    }
+    
+    /**
+     * Find the parent of a tag and check the resulting tree
+     * @param {string|null} parentId - Parent tag ID (null for a top-level topic)
+     * @param {Object|null} tag - Tag being moved (null when creating)
+     * @returns {Promise<Array>} Ancestors of the tag below the parent
+     */
+    static async resolveAncestors(parentId, tag = null) {
+        if (!parentId) {
+            return [];
+        }
+        
+        const parent = await Tag.findById(parentId);
+        if (!parent) {
+            throw httpError('Parent tag not found', 400);
+        }
+        
+        if (tag && (parent._id.equals(tag._id) || parent.ancestors.some(id => id.equals(tag._id)))) {
+            throw httpError('A tag cannot be moved below itself', 400);
+        }
+        
+        // Levels used below the moved tag
+        let subtreeHeight = 0;
+        if (tag) {
+            const descendants = await Tag.find({ ancestors: tag._id }).select('ancestors');
+            subtreeHeight = Math.max(0, ...descendants.map(item => item.ancestors.length - tag.ancestors.length));
+        }
+        
+        if (parent.ancestors.length + 2 + subtreeHeight > config.tags.maxDepth) {
+            throw httpError(`Tags can be nested at most ${config.tags.maxDepth} levels deep`, 400);
+        }
+        
+        return [...parent.ancestors, parent._id];
+    }
+    
+    /**
+     * Admin: Create a tag
+     * @param {Object} data - { name, description, parentId, synonyms }
+     * @param {string} userId - Administrator ID
+     * @returns {Promise<Object>} Created tag
+     */
+    static async createTag({ name, description = '', parentId = null, synonyms = [] }, userId) {
+        const cleanedSynonyms = TagService.cleanSynonyms(synonyms, name);
+        await TagService.assertTermsAvailable([name, ...cleanedSynonyms]);
+        
+        const ancestors = await TagService.resolveAncestors(parentId);
+        
+        return Tag.create({
+            name,
+            slug: TagService.slugify(name),
+            description,
+            parentId: parentId || null,
+            ancestors,
+            synonyms: cleanedSynonyms,
+            createdBy: userId
+        });
+    }
+    
+    /**
+     * Admin: Update a tag, moving its subtopics along when the parent changes
+     * @param {string} tagId - Tag ID
+     * @param {Object} changes - { name, description, parentId, synonyms }
+     * @returns {Promise<Object>} Updated tag
+     */
+    static async updateTag(tagId, changes) {
+        const tag = await Tag.findById(tagId);
+        if (!tag) {
+            throw httpError('Tag not found', 404);
+        }
+        
+        const name = changes.name !== undefined ? changes.name : tag.name;
+        const synonyms = TagService.cleanSynonyms(changes.synonyms !== undefined ? changes.synonyms : tag.synonyms, name);
+        await TagService.assertTermsAvailable([name, ...synonyms], tag._id);
+        
+        const previousDepth = tag.ancestors.length;
+        const parentChanged = changes.parentId !== undefined &&
+            String(changes.parentId || '') !== String(tag.parentId || '');
+        
+        if (parentChanged) {
+            tag.ancestors = await TagService.resolveAncestors(changes.parentId, tag);
+            tag.parentId = changes.parentId || null;
+        }
+        
+        tag.name = name;
+        tag.slug = TagService.slugify(name);
+        tag.synonyms = synonyms;
+        if (changes.description !== undefined) {
+            tag.description = changes.description;
+        }
+        
+        await tag.save();
+        
+        // Replace the old path above the tag in the path of every subtopic
+        if (parentChanged) {
+            const descendants = await Tag.find({ ancestors: tag._id }).select('ancestors');
+            if (descendants.length > 0) {
+                await Tag.bulkWrite(descendants.map(descendant => ({
+                    updateOne: {
+                        filter: { _id: descendant._id },
+                        update: {
+                            ancestors: [...tag.ancestors, ...descendant.ancestors.slice(previousDepth)]
+                        }
+                    }
+                })));
+            }
+        }
+        
+        return tag;
+    }
+    
+    /**
+     * Admin: Delete a tag; its subtopics move up to its parent and news lose the tag
+     * @param {string} tagId - Tag ID
+     * @returns {Promise<Object>} Deleted tag and number of news that lost it
+     */
+    static async deleteTag(tagId) {
+        const tag = await Tag.findById(tagId);
+        if (!tag) {
+            throw httpError('Tag not found', 404);
+        }
+        
+        await Tag.updateMany({ parentId: tag._id }, { parentId: tag.parentId });
+        await Tag.updateMany({ ancestors: tag._id }, { $pull: { ancestors: tag._id } });
+        
+        // Trashed news loses the tag as well, so a restored item never points to a missing tag
+        const result = await News.updateMany(
+            { tags: tag._id },
+            { $pull: { tags: tag._id } },
+            { withDeleted: true }
+        );
+        
+        await tag.deleteOne();
+        
+        return { tag, newsUpdated: result.modifiedCount };
+    }
+    
+    /**
+     * Get all tags as a tree
+     * @returns {Promise<Array>} Top-level tags, each with nested children
+     */
+    static async getTree() {
+        const tags = await Tag.find().sort({ name: 1 }).select(TAG_FIELDS).lean();
+        
+        const byId = new Map(tags.map(tag => [tag._id.toString(), { ...tag, children: [] }]));
+        const roots = [];
+        
+        byId.forEach(tag => {
+            const parent = tag.parentId && byId.get(tag.parentId.toString());
+            if (parent) {
+                parent.children.push(tag);
+            } else {
+                roots.push(tag);
+            }
+        });
+        
+        return roots;
+    }
+    
+    /**
+     * Find a tag by slug or ID
+     * @param {string} value - Slug or ID
+     * @returns {Promise<Object|null>} Tag
+     */
+    static async findTag(value) {
+        if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+            const tag = await Tag.findById(value);
+            if (tag) {
+                return tag;
+            }
+        }
+        
+        return Tag.findOne({ slug: TagService.slugify(value) });
+    }
+    
+    /**
+     * IDs of a tag and all of its subtopics
+     * @param {Object} tag - Tag document
+     * @returns {Promise<Array>} Tag IDs
+     */
+    static async getSubtreeIds(tag) {
+        const descendantIds = await Tag.distinct('_id', { ancestors: tag._id });
+        
+        return [tag._id, ...descendantIds];
+    }
+    
+    /**
+     * Suggest tags whose name or a synonym starts with the query
+     * @param {string} q - Typed text
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Promise<Array>} Tags with their path and the synonym that matched
+     */
+    static async autocomplete(q, limit = config.tags.autocompleteLimit) {
+        const term = TagService.normalize(q);
+        if (!term) {
+            return [];
+        }
+        
+        const prefix = new RegExp(`^${escapeRegex(term)}`, 'i');
+        const tags = await Tag.find({ $or: [{ name: prefix }, { synonyms: prefix }] })
+            .sort({ name: 1 })
+            .limit(limit)
+            .populate('ancestors', 'name')
+            .lean();
+        
+        return tags.map(tag => ({
+            _id: tag._id,
+            name: tag.name,
+            slug: tag.slug,
+            path: tag.ancestors.map(ancestor => ancestor.name),
+            matchedSynonym: prefix.test(tag.name) ? null : tag.synonyms.find(synonym => prefix.test(synonym)) || null
+        }));
+    }
+    
+    /**
+     * Turn the tags given for a news item (IDs, names or synonyms) into tag IDs
+     * @param {Array<string>} values - Tag IDs, names or synonyms
+     * @returns {Promise<Array>} Tag IDs without duplicates
+     */
+    static async resolveTags(values) {
+        const tagIds = [];
+        
+        for (const value of values) {
+            const tag = await TagService.findTag(value) ||
+                await Tag.findOne({ synonyms: TagService.normalize(value) });
+            
+            if (!tag) {
+                throw httpError(`Unknown tag: ${value}`, 400);
+            }
+            if (!tagIds.some(id => id.equals(tag._id))) {
+                tagIds.push(tag._id);
+            }
+        }
+        
+        if (tagIds.length > config.tags.maxPerNews) {
+            throw httpError(`A news item can have at most ${config.tags.maxPerNews} tags`, 400);
+        }
+        
+        return tagIds;
+    }
+    
+    /**
+     * Count visible news per tag by status; news counts once for its tag and once for every topic above it
+     * @param {Array|null} tagIds - Only these tags (all tags when null)
+     * @returns {Promise<Map>} Statistics by tag ID
+     */
+    static async getStats(tagIds = null) {
+        const rows = await News.aggregate([
+            { $match: { isDeleted: { $ne: true }, isHidden: { $ne: true }, 'tags.0': { $exists: true } } },
+            { $lookup: { from: 'tags', localField: 'tags', foreignField: '_id', as: 'tagDocs' } },
+            {
+                $project: {
+                    status: 1,
+                    topics: {
+                        $setUnion: [
+                            '$tags',
+                            { $reduce: { input: '$tagDocs.ancestors', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } }
+                        ]
+                    }
+                }
+            },
+            { $unwind: '$topics' },
+            ...(tagIds ? [{ $match: { topics: { $in: tagIds } } }] : []),
+            {
+                $group: {
+                    _id: '$topics',
+                    total: { $sum: 1 },
+                    fake: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.FAKE] }, 1, 0] } },
+                    notFake: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.NOT_FAKE] }, 1, 0] } },
+                    pending: { $sum: { $cond: [{ $eq: ['$status', NEWS_STATUS.PENDING] }, 1, 0] } }
+                }
+            }
+        ]);
+        
+        return new Map(rows.map(({ _id, ...counts }) => [_id.toString(), TagService.formatStats(counts)]));
+    }
+    
+    /**
+     * Add the fake ratio to status counts
+     * @param {Object} counts - { total, fake, notFake, pending }
+     * @returns {Object} Counts with fakeRatio (share of decided news judged Fake, null when none is decided)
+     */
+    static formatStats({ total = 0, fake = 0, notFake = 0, pending = 0 } = {}) {
+        const decided = fake + notFake;
+        
+        return {
+            total,
+            fake,
+            notFake,
+            pending,
+            fakeRatio: decided > 0 ? Math.round((fake / decided) * 1000) / 1000 : null
+        };
+    }
+    
+    /**
+     * Statistics of every tag, busiest first
+     * @returns {Promise<Array>} Tags with their statistics
+     */
+    static async getAllStats() {
+        const [tags, stats] = await Promise.all([
+            Tag.find().select('name slug parentId').lean(),
+            TagService.getStats()
+        ]);
+        
+        return tags
+            .map(tag => ({ ...tag, stats: stats.get(tag._id.toString()) || TagService.formatStats() }))
+            .sort((a, b) => b.stats.total - a.stats.total || a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Tag page: the tag, its path, its subtopics and statistics
+     * @param {string} value - Slug or ID
+     * @returns {Promise<Object|null>} Tag page data or null if not found
+     */
+    static async getTagPage(value) {
+        const tag = await TagService.findTag(value);
+        if (!tag) {
+            return null;
+        }
+        
+        const [path, children] = await Promise.all([
+            Tag.find({ _id: { $in: tag.ancestors } }).select('name slug').lean(),
+            Tag.find({ parentId: tag._id }).sort({ name: 1 }).select('name slug').lean()
+        ]);
+        
+        const stats = await TagService.getStats([tag._id, ...children.map(child => child._id)]);
+        
+        return {
+            ...tag.toObject(),
+            // Ancestors in order from the top-level topic down
+            path: tag.ancestors.map(id => path.find(item => item._id.equals(id))).filter(Boolean),
+            children: children.map(child => ({ ...child, stats: stats.get(child._id.toString()) || TagService.formatStats() })),
+            stats: stats.get(tag._id.toString()) || TagService.formatStats()
+        };
+    }
+}
+
+module.exports = TagService;
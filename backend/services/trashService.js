@@ -0,0 +1,231 @@
+const { News } = require('../models/News');
+const { Vote } = require('../models/Vote');
+const { VoteHistory } = require('../models/VoteHistory');
+const { NewsRevision } = require('../models/NewsRevision');
+const { Report } = require('../models/Report');
+const { Notification } = require('../models/Notification');
+const Comment = require('../models/Comment');
+const ReputationService = require('./reputationService');
+const UploadService = require('./uploadService');
+const RelatedNewsService = require('./relatedNewsService');
+const WebhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash Service Class
+ * Deleting news moves it to the trash, where it can be restored until the retention period ends.
+ * Purging removes the news together with its votes, comments, revisions, open reports and
+ * the uploaded images nothing else refers to.
+ */
+class TrashService {
+    /**
+     * Time after which trashed news is purged
+     * @param {Date} deletedAt - Time the news was moved to the trash
+     * @returns {Date} Purge time
+     */
+    static purgeDate(deletedAt) {
+        return new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS);
+    }
+    
+    /**
+     * Move news to the trash
+     * @param {string} newsId - News ID
+     * @param {Object} user - Deleting user
+     * @returns {Promise<Object>} Trashed news
+     */
+    static async moveToTrash(newsId, user) {
+        const news = await News.findOneAndUpdate(
+            { _id: newsId, isDeleted: { $ne: true } },
+            { isDeleted: true, deletedAt: new Date(), deletedBy: user._id },
+            { new: true }
+        );
+        
+        if (!news) {
+            throw httpError('News not found', 404);
+        }
+        
+        // Trashed news does not count for related news
+        await RelatedNewsService.removeNews(news._id);
+        await WebhookService.dispatchModeration(WEBHOOK_EVENTS.NEWS_TRASHED, {
+            news: WebhookService.newsSummary(news)
+        }, user._id);
+        
+        return news;
+    }
+    
+    /**
+     * Restore news from the trash
+     * @param {string} newsId - News ID
+     * @param {Object|null} user - Restoring administrator
+     * @returns {Promise<Object>} Restored news
+     */
+    static async restore(newsId, user = null) {
+        const news = await News.findOneAndUpdate(
+            { _id: newsId, isDeleted: true },
+            { isDeleted: false, deletedAt: null, deletedBy: null },
+            { new: true }
+        );
+        
+        if (!news) {
+            throw httpError('News not found in trash', 404);
+        }
+        
+        await RelatedNewsService.indexNews(news._id);
+        await WebhookService.dispatchModeration(WEBHOOK_EVENTS.NEWS_RESTORED, {
+            news: WebhookService.newsSummary(news)
+        }, user?._id);
+        
+        return news;
+    }
+    
+    /**
+     * Get a page of trashed news (most recently deleted first)
+     * @param {Object} options - Pagination options ({ page, pageSize })
+     * @returns {Promise<Object>} { items, total, page, pageSize, pageCount }
+     */
+    static async getTrash({ page = 1, pageSize = 20 } = {}) {
+        const query = { isDeleted: true };
+        const total = await News.countDocuments(query);
+        
+        const news = await News.find(query)
+            .select('-content')
+            .sort({ deletedAt: -1, _id: -1 })
+            .skip((page - 1) * pageSize)
+            .limit(pageSize)
+            .populate('authorId', 'firstName lastName email')
+            .populate('deletedBy', 'firstName lastName email')
+            .lean();
+        
+        const items = news.map(item => ({
+            ...item,
+            purgeAt: TrashService.purgeDate(item.deletedAt)
+        }));
+        
+        return {
+            items,
+            total,
+            page,
+            pageSize,
+            pageCount: Math.ceil(total / pageSize)
+        };
+    }
+    
+    /**
+     * Permanently delete trashed news and everything attached to it
+     * The news document goes last, so a purge that fails halfway can simply be run again.
+     * @param {string} newsId - News ID
+     * @param {Object|null} user - Purging administrator, null when the retention period ended
+     * @returns {Promise<Object>} Number of removed votes, comments, revisions, reports and images
+     */
+    static async purgeNews(newsId, user = null) {
+        const news = await News.findOne({ _id: newsId, isDeleted: true });
+        if (!news) {
+            throw httpError('News not found in trash', 404);
+        }
+        
+        // Take back the reputation the votes earned, then remove them
+        await Vote.updateMany({ newsId: news._id }, { isInvalid: true });
+        await ReputationService.settleNewsVotes(news._id, null);
+        const votes = await Vote.deleteMany({ newsId: news._id });
+        await VoteHistory.deleteMany({ newsId: news._id });
+        
+        const comments = await Comment.find({ newsId: news._id }).select('images').lean();
+        const commentIds = comments.map(comment => comment._id);
+        const reports = await Report.deleteMany({ targetId: { $in: [news._id, ...commentIds] } });
+        await Comment.deleteMany({ newsId: news._id });
+        
+        const revisions = await NewsRevision.find({ newsId: news._id }).select('images').lean();
+        await NewsRevision.deleteMany({ newsId: news._id });
+        await Notification.deleteMany({ newsId: news._id });
+        
+        await RelatedNewsService.removeNews(news._id);
+        await News.deleteOne({ _id: news._id, isDeleted: true });
+        
+        const images = await TrashService.deleteUnusedImages([
+            ...(news.images || []),
+            ...comments.flatMap(comment => comment.images || []),
+            ...revisions.flatMap(revision => revision.images || [])
+        ]);
+        
+        await WebhookService.dispatchModeration(WEBHOOK_EVENTS.NEWS_PURGED, {
+            news: WebhookService.newsSummary(news)
+        }, user?._id);
+        
+        return {
+            newsId: news._id,
+            title: news.title,
+            votes: votes.deletedCount,
+            comments: commentIds.length,
+            revisions: revisions.length,
+            reports: reports.deletedCount,
+            images
+        };
+    }
+    
+    /**
+     * Purge all news whose retention period has ended
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { purged: [summary], failed: [{ newsId, error }] }
+     */
+    static async purgeExpired(now = new Date()) {
+        const cutoff = new Date(now.getTime() - config.trash.retentionDays * DAY_MS);
+        const purged = [];
+        const failed = [];
+        
+        // Failed items stay in the trash, leave them out of the next batch
+        for (;;) {
+            const batch = await News.find({
+                isDeleted: true,
+                deletedAt: { $lte: cutoff },
+                _id: { $nin: failed.map(item => item.newsId) }
+            })
+                .select('_id')
+                .limit(config.trash.purgeBatchSize)
+                .lean();
+            
+            if (batch.length === 0) {
+                break;
+            }
+            
+            for (const { _id } of batch) {
+                try {
+                    purged.push(await TrashService.purgeNews(_id));
+                } catch (error) {
+                    failed.push({ newsId: _id, error: error.message });
+                }
+            }
+        }
+        
+        return { purged, failed };
+    }
+    
+    /**
+     * Delete uploaded images that no news, revision or comment refers to any more
+     * @param {Array<string>} urls - Image URLs of the purged content
+     * @returns {Promise<number>} Number of deleted files
+     */
+    static async deleteUnusedImages(urls) {
+        let deleted = 0;
+        
+        // Uploads are stored by content hash, the same file can belong to other content
+        for (const url of new Set(urls)) {
+            const [newsUse, revisionUse, commentUse] = await Promise.all([
+                News.exists({ images: url }).setOptions({ withDeleted: true }),
+                NewsRevision.exists({ images: url }),
+                Comment.exists({ images: url })
+            ]);
+            
+            if (!newsUse && !revisionUse && !commentUse && await UploadService.deleteImage(url)) {
+                deleted++;
+            }
+        }
+        
+        return deleted;
+    }
+}
+
+module.exports = TrashService;
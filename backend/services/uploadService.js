@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Absolute directory where uploaded files are stored
+const UPLOAD_DIR = path.join(__dirname, '..', config.uploadPath);
+
+// Image signatures, checked against the file content instead of the client-provided MIME type
+const IMAGE_SIGNATURES = [
+    {
+        mimeType: 'image/jpeg',
+        extension: 'jpg',
+        matches: (buffer) => buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF
+    },
+    {
+        mimeType: 'image/png',
+        extension: 'png',
+        matches: (buffer) => buffer.length > 8 &&
+            buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+    },
+    {
+        mimeType: 'image/gif',
+        extension: 'gif',
+        matches: (buffer) => buffer.length > 6 &&
+            ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))
+    },
+    {
+        mimeType: 'image/webp',
+        extension: 'webp',
+        matches: (buffer) => buffer.length > 12 &&
+            buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+    }
+];
+
+// Matches URLs produced by saveImage: <prefix>/<sha256>.<extension>
+const MANAGED_URL_PATTERN = new RegExp(
+    `^${config.uploadUrlPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([a-f0-9]{64}\\.(?:${IMAGE_SIGNATURES.map(s => s.extension).join('|')}))$`
+);
+
+/**
+ * Upload Service Class
+ */
+class UploadService {
+    /**
+     * Detect image type from magic bytes
+     * @param {Buffer} buffer - File content
+     * @returns {Object|null} Matched signature ({ mimeType, extension }) or null
+     */
+    static detectImageType(buffer) {
+        const signature = IMAGE_SIGNATURES.find(item => item.matches(buffer));
+        return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+    }
+
+    /**
+     * Remove EXIF (and XMP) metadata from an image
+     * @param {Buffer} buffer - File content
+     * @param {string} mimeType - Detected MIME type
+     * @returns {Buffer} Image content without metadata
+     */
+    static stripMetadata(buffer, mimeType) {
+        switch (mimeType) {
+            case 'image/jpeg':
+                return UploadService.stripJpegMetadata(buffer);
+            case 'image/png':
+                return UploadService.stripPngMetadata(buffer);
+            case 'image/webp':
+                return UploadService.stripWebpMetadata(buffer);
+            default:
+                // GIF has no EXIF container
+                return buffer;
+        }
+    }
+
+    /**
+     * Drop APP1 (EXIF/XMP) segments from a JPEG file
+     * @param {Buffer} buffer - JPEG content
+     * @returns {Buffer} JPEG content without APP1 segments
+     */
+    static stripJpegMetadata(buffer) {
+        const parts = [buffer.subarray(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= buffer.length) {
+            if (buffer[offset] !== 0xFF) {
+                throw new Error('Corrupted JPEG file');
+            }
+
+            const marker = buffer[offset + 1];
+
+            // Start of scan: the rest is entropy-coded image data
+            if (marker === 0xDA) {
+                parts.push(buffer.subarray(offset));
+                return Buffer.concat(parts);
+            }
+
+            const segmentLength = buffer.readUInt16BE(offset + 2);
+            const segmentEnd = offset + 2 + segmentLength;
+            if (segmentLength < 2 || segmentEnd > buffer.length) {
+                throw new Error('Corrupted JPEG file');
+            }
+
+            if (marker !== 0xE1) {
+                parts.push(buffer.subarray(offset, segmentEnd));
+            }
+
+            offset = segmentEnd;
+        }
+
+        throw new Error('Corrupted JPEG file');
+    }
+
+    /**
+     * Drop eXIf and textual metadata chunks from a PNG file
+     * @param {Buffer} buffer - PNG content
+     * @returns {Buffer} PNG content without metadata chunks
+     */
+    static stripPngMetadata(buffer) {
+        const removedChunks = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+        const parts = [buffer.subarray(0, 8)];
+        let offset = 8;
+
+        while (offset + 12 <= buffer.length) {
+            const dataLength = buffer.readUInt32BE(offset);
+            const chunkType = buffer.toString('ascii', offset + 4, offset + 8);
+            const chunkEnd = offset + 12 + dataLength;
+            if (chunkEnd > buffer.length) {
+                throw new Error('Corrupted PNG file');
+            }
+
+            if (!removedChunks.includes(chunkType)) {
+                parts.push(buffer.subarray(offset, chunkEnd));
+            }
+
+            offset = chunkEnd;
+            if (chunkType === 'IEND') {
+                return Buffer.concat(parts);
+            }
+        }
+
+        throw new Error('Corrupted PNG file');
+    }
+
+    /**
+     * Drop EXIF and XMP chunks from a WebP file
+     * @param {Buffer} buffer - WebP content
+     * @returns {Buffer} WebP content without metadata chunks
+     */
+    static stripWebpMetadata(buffer) {
+        const parts = [];
+        let offset = 12;
+
+        while (offset + 8 <= buffer.length) {
+            const chunkType = buffer.toString('ascii', offset, offset + 4);
+            const dataLength = buffer.readUInt32LE(offset + 4);
+            // Chunks are padded to an even size
+            const chunkEnd = offset + 8 + dataLength + (dataLength % 2);
+            if (chunkEnd > buffer.length) {
+                throw new Error('Corrupted WebP file');
+            }
+
+            if (chunkType === 'VP8X') {
+                // Clear the EXIF (0x08) and XMP (0x04) presence flags
+                const chunk = Buffer.from(buffer.subarray(offset, chunkEnd));
+                chunk[8] &= ~(0x08 | 0x04);
+                parts.push(chunk);
+            } else if (chunkType !== 'EXIF' && chunkType !== 'XMP ') {
+                parts.push(buffer.subarray(offset, chunkEnd));
+            }
+
+            offset = chunkEnd;
+        }
+
+        const body = Buffer.concat(parts);
+        const header = Buffer.alloc(12);
+        header.write('RIFF', 0, 'ascii');
+        header.writeUInt32LE(body.length + 4, 4);
+        header.write('WEBP', 8, 'ascii');
+
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * Validate, clean and store an uploaded image
+     * @param {Object} file - Multer file object (memory storage)
+     * @returns {Promise<Object>} Stored file information
+     */
+    static async saveImage(file) {
+        const detected = UploadService.detectImageType(file.buffer);
+
+        if (!detected || !config.allowedImageTypes.includes(detected.mimeType)) {
+            const error = new Error(`File ${file.originalname} is not a supported image`);
+            error.status = 400;
+            throw error;
+        }
+
+        let cleaned;
+        try {
+            cleaned = UploadService.stripMetadata(file.buffer, detected.mimeType);
+        } catch (stripError) {
+            const error = new Error(`File ${file.originalname} could not be processed: ${stripError.message}`);
+            error.status = 400;
+            throw error;
+        }
+
+        // Content-hash file names deduplicate identical uploads
+        const hash = crypto.createHash('sha256').update(cleaned).digest('hex');
+        const filename = `${hash}.${detected.extension}`;
+        const filePath = path.join(UPLOAD_DIR, filename);
+
+        await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+        if (!fs.existsSync(filePath)) {
+            await fs.promises.writeFile(filePath, cleaned);
+        }
+
+        return {
+            filename,
+            originalName: file.originalname,
+            url: `${config.uploadUrlPrefix}/${filename}`,
+            size: cleaned.length,
+            type: detected.mimeType
+        };
+    }
+
+    /**
+     * Check whether a URL points to a file stored by this service
+     * @param {string} url - Image URL
+     * @returns {boolean} Whether the URL was produced by saveImage
+     */
+    static isManagedImageUrl(url) {
+        if (typeof url !== 'string') {
+            return false;
+        }
+
+        const match = url.match(MANAGED_URL_PATTERN);
+        return !!match && fs.existsSync(path.join(UPLOAD_DIR, match[1]));
+    }
+
+    /**
+     * Delete a file stored by this service (missing files are ignored)
+     * @param {string} url - Image URL
+     * @returns {Promise<boolean>} Whether a file was deleted
+     */
+    static async deleteImage(url) {
+        const match = typeof url === 'string' && url.match(MANAGED_URL_PATTERN);
+        if (!match) {
+            return false;
+        }
+
+        try {
+            await fs.promises.unlink(path.join(UPLOAD_DIR, match[1]));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Mongoose validator for image URL arrays
+     * @param {Array<string>} urls - Image URLs
+     * @returns {boolean} Whether every URL was produced by this service
+     */
+    static validateImageUrls(urls) {
+        return Array.isArray(urls) && urls.every(url => UploadService.isManagedImageUrl(url));
+    }
+}
+
+UploadService.UPLOAD_DIR = UPLOAD_DIR;
+
+module.exports = UploadService;
@@ -1,7 +1,7 @@
 const { User, ROLES } = require('../models/User');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('../config/config');
+const { REVOKE_REASONS } = require('../models/Session');
+const SessionService = require('./sessionService');
 
 /**
  * User Service Class
@@ -43,52 +43,6 @@ class UserService {
         }
     }
     
-    /**
-     * User login
-     * @param {string} email - User email
-     * @param {string} password - User password
-     * @returns {Promise<Object>} Object containing token and user info
-     */
-    static async login(email, password) {
-        try {
-            // 查找用户
-            const user = await User.findOne({ email });
-            if (!user) {
-                throw new Error('Invalid email or password');
-            }
-            
-            // 验证密码
-            const isMatch = await bcrypt.compare(password, user.password);
-            if (!isMatch) {
-                throw new Error('邮箱或密码错误');
-            }
-            
-            // 生成JWT令牌
-            const token = jwt.sign(
-                {
-                    id: user._id,
-                    email: user.email,
-                    role: user.role
-                },
-                config.jwtSecret,
-                {
-                    expiresIn: config.jwtExpireTime
-                }
-            );
-            
-            // 返回用户信息（不含密码）和token
-            const userObj = user.toObject();
-            delete userObj.password;
-            
-            return {
-                token,
-                user: userObj
-            };
-        } catch (error) {
-            throw new Error(`Login failed: ${error.message}`);
-        }
-    }
-    
     /**
      * Get user info
      * @param {string} userId - User ID
@@ -148,28 +102,38 @@ class UserService {
      * @param {string} userId - User ID
      * @param {string} oldPassword - Old password
      * @param {string} newPassword - New password
+     * @param {string|null} keepSessionId - Session to keep logged in (the caller's own)
      * @returns {Promise<Object>} Update result
      */
-    static async updatePassword(userId, oldPassword, newPassword) {
+    static async updatePassword(userId, oldPassword, newPassword, keepSessionId = null) {
         try {
-            const user = await User.findById(userId);
+            const user = await User.findById(userId).select('+password');
             if (!user) {
-                throw new Error('User not found');
+                const notFound = new Error('User not found');
+                notFound.status = 404;
+                throw notFound;
             }
             
             // 验证旧密码
             const isMatch = await bcrypt.compare(oldPassword, user.password);
             if (!isMatch) {
-                throw new Error('Incorrect old password');
+                const mismatch = new Error('Incorrect old password');
+                mismatch.status = 400;
+                throw mismatch;
             }
             
             // 更新密码
             user.password = newPassword; // 会在保存时自动加密
             await user.save();
             
+            // 撤销其他设备上的会话
+            await SessionService.revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED, keepSessionId);
+            
             return { success: true, message: 'Password updated successfully' };
         } catch (error) {
-            throw new Error(`Failed to update password: ${error.message}`);
+            const wrapped = new Error(`Failed to update password: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
         }
     }
     
@@ -198,6 +162,9 @@ class UserService {
                 throw new Error('User not found');
             }
             
+            // 角色变更后需要重新登录
+            await SessionService.revokeAllSessions(userId, REVOKE_REASONS.ROLE_CHANGED);
+            
             // 不返回密码
             const userObj = user.toObject();
             delete userObj.password;
@@ -287,6 +254,21 @@ class UserService {
         }
     }
     
+    /**
+     * Mark users registered before email verification was introduced as verified,
+     * so existing accounts keep their voting and reporting rights
+     * @param {Date} [before] - Only users created before this date, defaults to now
+     * @returns {Promise<number>} Number of users marked as verified
+     */
+    static async verifyExistingUsers(before = new Date()) {
+        const result = await User.updateMany(
+            { isEmailVerified: false, createdAt: { $lt: before } },
+            { isEmailVerified: true, emailVerifiedAt: Date.now() }
+        );
+        
+        return result.modifiedCount;
+    }
+    
     /**
      * Check user permission
      * @param {string} userId - User ID
@@ -0,0 +1,398 @@
+const config = require('../config/config');
+
+// Verdict statuses, identical to the news status values
+const VERDICTS = {
+    FAKE: 'Fake',
+    NOT_FAKE: 'Not Fake',
+    PENDING: 'Pending'
+};
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const normalQuantile = (p) => {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+const logGamma = (x) => {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+
+    for (const coefficient of coefficients) {
+        series += coefficient / ++y;
+    }
+
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+/**
+ * Continued fraction used by the regularized incomplete beta function
+ */
+const betaContinuedFraction = (x, a, b) => {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        const delta = d * c;
+        h *= delta;
+
+        if (Math.abs(delta - 1) < 1e-12) {
+            break;
+        }
+    }
+
+    return h;
+};
+
+/**
+ * CDF of the Beta(a, b) distribution (regularized incomplete beta function)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Alpha
+ * @param {number} b - Beta
+ * @returns {number} P(X <= x)
+ */
+const betaCdf = (x, a, b) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+    // The continued fraction converges quickly only on one side of the mean
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Quantile of the Beta(a, b) distribution by bisection
+ * @param {number} p - Probability in [0, 1]
+ * @param {number} a - Alpha
+ * @param {number} b - Beta
+ * @returns {number} x such that P(X <= x) = p
+ */
+const betaQuantile = (p, a, b) => {
+    let low = 0;
+    let high = 1;
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (betaCdf(mid, a, b) < p) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return (low + high) / 2;
+};
+
+/**
+ * Wilson score interval for a proportion
+ * @param {number} proportion - Observed proportion
+ * @param {number} n - Sample size
+ * @param {number} confidenceLevel - Two-sided confidence level
+ * @returns {Object} Interval bounds
+ */
+const wilsonInterval = (proportion, n, confidenceLevel) => {
+    if (n <= 0) {
+        return { lower: 0, upper: 1 };
+    }
+
+    const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+    const z2 = z * z;
+    const denominator = 1 + z2 / n;
+    const center = (proportion + z2 / (2 * n)) / denominator;
+    const halfWidth = (z / denominator) * Math.sqrt(proportion * (1 - proportion) / n + z2 / (4 * n * n));
+
+    return {
+        lower: Math.max(0, center - halfWidth),
+        upper: Math.min(1, center + halfWidth)
+    };
+};
+
+/**
+ * Built-in verdict policies. Each policy receives the sample
+ * ({ proportion, n }) and the resolved parameters, and returns
+ * { status, confidenceInterval } plus optional policy specific fields.
+ * The minimum vote floor is applied by the service for every policy.
+ */
+const policies = {
+    // The original rule: decide as soon as enough votes exist, by the observed fake share
+    majority: {
+        description: 'Fake when the observed fake share reaches the threshold',
+        evaluate({ proportion, n }, { threshold, confidenceLevel }) {
+            return {
+                status: proportion >= threshold ? VERDICTS.FAKE : VERDICTS.NOT_FAKE,
+                confidenceInterval: wilsonInterval(proportion, n, confidenceLevel)
+            };
+        }
+    },
+
+    // Decide only when the whole confidence interval is on one side of the threshold
+    wilson: {
+        description: 'Fake when the Wilson lower bound reaches the threshold, Not Fake when the upper bound stays below it',
+        evaluate({ proportion, n }, { threshold, confidenceLevel }) {
+            const interval = wilsonInterval(proportion, n, confidenceLevel);
+            let status = VERDICTS.PENDING;
+
+            if (interval.lower >= threshold) {
+                status = VERDICTS.FAKE;
+            } else if (interval.upper < threshold) {
+                status = VERDICTS.NOT_FAKE;
+            }
+
+            return { status, confidenceInterval: interval };
+        }
+    },
+
+    // Beta posterior over the fake share, starting from a configurable prior
+    bayesian: {
+        description: 'Fake when the posterior probability of a fake share at or above the threshold reaches the confidence level',
+        evaluate({ proportion, n }, { threshold, confidenceLevel, prior }) {
+            const alpha = prior.fake + proportion * n;
+            const beta = prior.notFake + (1 - proportion) * n;
+            const probabilityFake = 1 - betaCdf(threshold, alpha, beta);
+            let status = VERDICTS.PENDING;
+
+            if (probabilityFake >= confidenceLevel) {
+                status = VERDICTS.FAKE;
+            } else if (1 - probabilityFake >= confidenceLevel) {
+                status = VERDICTS.NOT_FAKE;
+            }
+
+            return {
+                status,
+                confidenceInterval: {
+                    lower: betaQuantile((1 - confidenceLevel) / 2, alpha, beta),
+                    upper: betaQuantile((1 + confidenceLevel) / 2, alpha, beta)
+                },
+                probabilityFake: round(probabilityFake)
+            };
+        }
+    }
+};
+
+/**
+ * Verdict Service Class
+ * Turns a news item's vote tally into a status. The fake share is taken from the
+ * reputation-weighted scores, the sample size from the number of voters.
+ */
+class VerdictService {
+    /**
+     * Register a custom verdict policy
+     * @param {string} name - Policy name
+     * @param {Object} policy - Object with an evaluate(sample, params) method
+     */
+    static registerPolicy(name, policy) {
+        policies[name] = policy;
+    }
+
+    /**
+     * Check whether a policy is registered
+     * @param {string} name - Policy name
+     * @returns {boolean} Whether the policy exists
+     */
+    static hasPolicy(name) {
+        return Object.prototype.hasOwnProperty.call(policies, name);
+    }
+
+    /**
+     * List registered policies
+     * @returns {Array<Object>} Policy names and descriptions
+     */
+    static listPolicies() {
+        return Object.entries(policies).map(([name, policy]) => ({
+            name,
+            description: policy.description || ''
+        }));
+    }
+
+    /**
+     * Resolve evaluation parameters from options and configuration
+     * @param {Object} options - Overrides (policy, minVotes, threshold, confidenceLevel, prior)
+     * @returns {Object} Resolved parameters
+     */
+    static resolveParams(options = {}) {
+        const { voting } = config;
+
+        return {
+            policy: options.policy || voting.verdict.policy,
+            minVotes: options.minVotes ?? voting.minVotesForDecision,
+            threshold: options.threshold ?? voting.fakeNewsThreshold,
+            confidenceLevel: options.confidenceLevel ?? voting.verdict.confidenceLevel,
+            prior: options.prior || voting.verdict.prior
+        };
+    }
+
+    /**
+     * Build the sample a policy works on from a vote tally
+     * @param {Object} tally - Vote tally
+     * @returns {Object} Fake proportion and sample size
+     */
+    static toSample(tally) {
+        const fakeCount = tally.fakeCount || 0;
+        const notFakeCount = tally.notFakeCount || 0;
+        const weightedFake = tally.weightedFakeScore ?? fakeCount;
+        const weightedNotFake = tally.weightedNotFakeScore ?? notFakeCount;
+        const weightedTotal = weightedFake + weightedNotFake;
+
+        return {
+            proportion: weightedTotal > 0 ? weightedFake / weightedTotal : 0,
+            n: fakeCount + notFakeCount,
+            weightedFake,
+            weightedTotal
+        };
+    }
+
+    /**
+     * Run a policy on a sample, applying the minimum vote floor
+     * @param {Object} sample - Sample from toSample
+     * @param {Object} params - Resolved parameters
+     * @returns {Object} Policy result
+     */
+    static decide(sample, params) {
+        const result = policies[params.policy].evaluate(sample, params);
+
+        if (sample.n < params.minVotes) {
+            return { ...result, status: VERDICTS.PENDING };
+        }
+        return result;
+    }
+
+    /**
+     * Smallest number of additional unit-weight votes on the leaning side that would settle the verdict
+     * @param {Object} sample - Sample from toSample
+     * @param {Object} params - Resolved parameters
+     * @param {boolean} leansFake - Whether the extra votes are fake votes
+     * @returns {number|null} Votes needed, null if not reachable within the search limit
+     */
+    static votesNeeded(sample, params, leansFake) {
+        const withExtraVotes = (extra) => {
+            const weightedFake = sample.weightedFake + (leansFake ? extra : 0);
+            const weightedTotal = sample.weightedTotal + extra;
+            return {
+                proportion: weightedTotal > 0 ? weightedFake / weightedTotal : 0,
+                n: sample.n + extra,
+                weightedFake,
+                weightedTotal
+            };
+        };
+        const isDecided = (extra) => VerdictService.decide(withExtraVotes(extra), params).status !== VERDICTS.PENDING;
+
+        if (isDecided(0)) {
+            return 0;
+        }
+
+        // Exponential search for an upper bound, then binary search
+        const limit = config.voting.verdict.maxVotesNeeded;
+        let high = 1;
+        while (high < limit && !isDecided(high)) {
+            high *= 2;
+        }
+        high = Math.min(high, limit);
+        if (!isDecided(high)) {
+            return null;
+        }
+
+        let low = Math.floor(high / 2);
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (isDecided(mid)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        return high;
+    }
+
+    /**
+     * Evaluate the verdict for a vote tally
+     * @param {Object} tally - { fakeCount, notFakeCount, weightedFakeScore, weightedNotFakeScore }
+     * @param {Object} options - Parameter overrides
+     * @returns {Object} Status, confidence interval and votes needed to decide
+     */
+    static evaluate(tally, options = {}) {
+        const params = VerdictService.resolveParams(options);
+
+        if (!VerdictService.hasPolicy(params.policy)) {
+            const error = new Error(`Unknown verdict policy: ${params.policy}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const sample = VerdictService.toSample(tally);
+        const result = VerdictService.decide(sample, params);
+        const leansFake = sample.proportion >= params.threshold;
+
+        return {
+            policy: params.policy,
+            status: result.status,
+            decided: result.status !== VERDICTS.PENDING,
+            leaning: leansFake ? VERDICTS.FAKE : VERDICTS.NOT_FAKE,
+            totalVotes: sample.n,
+            fakeProportion: round(sample.proportion),
+            threshold: params.threshold,
+            minVotes: params.minVotes,
+            confidenceLevel: params.confidenceLevel,
+            confidenceInterval: {
+                lower: round(result.confidenceInterval.lower),
+                upper: round(result.confidenceInterval.upper)
+            },
+            probabilityFake: result.probabilityFake ?? null,
+            votesNeeded: VerdictService.votesNeeded(sample, params, leansFake)
+        };
+    }
+}
+
+VerdictService.VERDICTS = VERDICTS;
+VerdictService.wilsonInterval = wilsonInterval;
+VerdictService.betaCdf = betaCdf;
+
+module.exports = VerdictService;
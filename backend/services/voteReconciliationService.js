@@ -0,0 +1,150 @@
+const { News } = require('../models/News');
+const { Vote } = require('../models/Vote');
+const ReputationService = require('./reputationService');
+const NewsEventService = require('./newsEventService');
+const NotificationService = require('./notificationService');
+const WebhookService = require('./webhookService');
+
+// Weighted scores are floating point sums, differences below this are rounding noise
+const WEIGHT_TOLERANCE = 0.001;
+
+/**
+ * Vote Reconciliation Service Class
+ * Vote counts on News are maintained incrementally; this service recounts them from the
+ * Vote collection, reports drift and (unless running dry) repairs it.
+ */
+class VoteReconciliationService {
+    /**
+     * Compare stored counts with a fresh tally
+     * @param {Object} news - News document
+     * @param {Object} tally - Tally from Vote.getVoteTallies
+     * @returns {Object|null} Drift description or null if consistent
+     */
+    static detectDrift(news, tally) {
+        const stored = {
+            fakeCount: news.fakeVoteCount || 0,
+            notFakeCount: news.notFakeVoteCount || 0,
+            weightedFakeScore: news.weightedFakeScore || 0,
+            weightedNotFakeScore: news.weightedNotFakeScore || 0
+        };
+        const actual = {
+            fakeCount: tally.fakeCount,
+            notFakeCount: tally.notFakeCount,
+            weightedFakeScore: tally.weightedFakeScore,
+            weightedNotFakeScore: tally.weightedNotFakeScore
+        };
+
+        const consistent = stored.fakeCount === actual.fakeCount &&
+            stored.notFakeCount === actual.notFakeCount &&
+            Math.abs(stored.weightedFakeScore - actual.weightedFakeScore) < WEIGHT_TOLERANCE &&
+            Math.abs(stored.weightedNotFakeScore - actual.weightedNotFakeScore) < WEIGHT_TOLERANCE;
+
+        if (consistent) {
+            return null;
+        }
+
+        return {
+            newsId: news._id,
+            title: news.title,
+            stored,
+            actual,
+            fakeCountDrift: stored.fakeCount - actual.fakeCount,
+            notFakeCountDrift: stored.notFakeCount - actual.notFakeCount
+        };
+    }
+
+    /**
+     * Reconcile vote counts of all (or selected) news
+     * @param {Object} options - Options
+     * @param {boolean} options.dryRun - Only report drift, do not repair (default true)
+     * @param {Array<string>} options.newsIds - Limit to these news items
+     * @param {number} options.batchSize - News items counted per aggregation
+     * @returns {Promise<Object>} Report
+     */
+    static async reconcile(options = {}) {
+        const { dryRun = true, newsIds = null, batchSize = 200 } = options;
+        const startedAt = new Date();
+
+        const report = {
+            dryRun,
+            startedAt,
+            finishedAt: null,
+            scanned: 0,
+            drifted: 0,
+            repaired: 0,
+            skipped: 0,
+            items: []
+        };
+
+        const query = newsIds ? { _id: { $in: newsIds } } : {};
+        const cursor = News.find(query)
+            .select('title status verdictFrozen fakeVoteCount notFakeVoteCount weightedFakeScore weightedNotFakeScore')
+            .cursor({ batchSize });
+
+        let batch = [];
+        const processBatch = async () => {
+            if (batch.length === 0) {
+                return;
+            }
+
+            const tallies = await Vote.getVoteTallies(batch.map(news => news._id));
+
+            for (const news of batch) {
+                report.scanned++;
+
+                const drift = VoteReconciliationService.detectDrift(news, tallies.get(news._id.toString()));
+                if (!drift) {
+                    continue;
+                }
+
+                report.drifted++;
+
+                if (dryRun) {
+                    report.items.push({ ...drift, action: 'would_repair' });
+                    continue;
+                }
+
+                const { news: repaired } = await News.replaceVoteCounts(news, tallies.get(news._id.toString()));
+
+                // Counts moved while reconciling: the live $inc is newer than our tally, leave it for the next run
+                if (!repaired) {
+                    report.skipped++;
+                    report.items.push({ ...drift, action: 'skipped_concurrent_update' });
+                    continue;
+                }
+
+                if (repaired.status !== news.status) {
+                    await ReputationService.settleNewsVotes(news._id, repaired.status);
+                    await NotificationService.notifyStatusChange(repaired, news.status);
+                    await WebhookService.dispatchStatusChange(repaired, news.status);
+                }
+                NewsEventService.publishVoteChange(repaired, news.status);
+
+                report.repaired++;
+                report.items.push({
+                    ...drift,
+                    action: 'repaired',
+                    previousStatus: news.status,
+                    newStatus: repaired.status
+                });
+            }
+
+            batch = [];
+        };
+
+        for await (const news of cursor) {
+            batch.push(news);
+            if (batch.length >= batchSize) {
+                await processBatch();
+            }
+        }
+        await processBatch();
+
+        report.finishedAt = new Date();
+        return report;
+    }
+}
+
+VoteReconciliationService.WEIGHT_TOLERANCE = WEIGHT_TOLERANCE;
+
+module.exports = VoteReconciliationService;
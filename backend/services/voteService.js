@@ -1,4 +1,4 @@
-const { Vote, VOTE_RESULT } = require('../models/Vote');
+const { Vote, VOTE_RESULTS } = require('../models/Vote');
 const { News, NEWS_STATUS } = require('../models/News');
 const NewsService = require('./newsService');
 
@@ -22,7 +22,7 @@ class VoteService {
             }
             
             // 验证投票结果是否有效
-            const validResults = Object.values(VOTE_RESULT);
+            const validResults = Object.values(VOTE_RESULTS);
             if (!validResults.includes(result)) {
                 throw new Error('Invalid vote result');
             }
@@ -292,10 +292,11 @@ class VoteService {
                         totalVotes: { $sum: 1 },
                         validVotes: { $sum: { $cond: [{ $eq: ['$isInvalid', false] }, 1, 0] } },
                         invalidVotes: { $sum: { $cond: [{ $eq: ['$isInvalid', true] }, 1, 0] } },
-                        fakeVotes: { $sum: { $cond: [{ $and: [{ $eq: ['$result', VOTE_RESULT.FAKE] }, { $eq: ['$isInvalid', false] }] }, 1, 0] } },
-                        notFakeVotes: { $sum: { $cond: [{ $and: [{ $eq: ['$result', VOTE_RESULT.NOT_FAKE] }, { $eq: ['$isInvalid', false] }] }, 1, 0] } }
+                        fakeVotes: { $sum: { $cond: [{ $and: [{ $eq: ['$voteResult', VOTE_RESULTS.FAKE] }, { $eq: ['$isInvalid', false] }] }, 1, 0] } },
+                        notFakeVotes: { $sum: { $cond: [{ $and: [{ $eq: ['$voteResult', VOTE_RESULTS.NOT_FAKE] }, { $eq: ['$isInvalid', false] }] }, 1, 0] } }
                     }
-                }
+                },
+                { $project: { _id: 0 } }
             ]);
             
             return summary.length > 0 ? summary[0] : {
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const { Webhook, WEBHOOK_EVENTS, TEST_EVENT } = require('../models/Webhook');
+const { WebhookDelivery, DELIVERY_STATUS } = require('../models/WebhookDelivery');
+const ReputationService = require('./reputationService');
+const config = require('../config/config');
+const { httpError } = require('../middlewares/errorHandler');
+
+/**
+ * Webhook Service Class
+ * Every event sent to a webhook is stored as a delivery before it is sent, so a delivery
+ * interrupted by a restart is picked up by processDue (scripts/deliverWebhooks.js).
+ * Receivers verify the X-Webhook-Signature header: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * in hex, with the timestamp from the X-Webhook-Timestamp header.
+ */
+class WebhookService {
+    /**
+     * Generate a signing secret
+     * @returns {string} Secret
+     */
+    static generateSecret() {
+        return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+    }
+    
+    /**
+     * Sign a payload
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix time in seconds sent with the payload
+     * @param {string} body - Serialized payload
+     * @returns {string} Hex signature
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+    
+    /**
+     * Delay before the next attempt (exponential backoff)
+     * @param {number} attemptCount - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    static retryDelay(attemptCount) {
+        const { retryBaseDelay, retryMaxDelay } = config.webhooks;
+        return Math.min(retryBaseDelay * 2 ** (attemptCount - 1), retryMaxDelay);
+    }
+    
+    /**
+     * Create a webhook
+     * @param {Object} data - { url, events, description }
+     * @param {string} createdBy - ID of the administrator
+     * @returns {Promise<Object>} Webhook including its secret
+     */
+    static async createWebhook({ url, events, description = '' }, createdBy) {
+        const webhook = await Webhook.create({
+            url,
+            events: [...new Set(events)],
+            description,
+            secret: WebhookService.generateSecret(),
+            createdBy
+        });
+        
+        return webhook.toObject();
+    }
+    
+    /**
+     * Update a webhook
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} changes - { url, events, description, isActive }
+     * @returns {Promise<Object>} Updated webhook
+     */
+    static async updateWebhook(webhookId, changes) {
+        const webhook = await Webhook.findById(webhookId);
+        if (!webhook) {
+            throw httpError('Webhook not found', 404);
+        }
+        
+        ['url', 'description', 'isActive'].forEach(field => {
+            if (changes[field] !== undefined) {
+                webhook[field] = changes[field];
+            }
+        });
+        if (changes.events !== undefined) {
+            webhook.events = [...new Set(changes.events)];
+        }
+        
+        return await webhook.save();
+    }
+    
+    /**
+     * Replace the signing secret of a webhook
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object>} Webhook including its new secret
+     */
+    static async rotateSecret(webhookId) {
+        const webhook = await Webhook.findByIdAndUpdate(
+            webhookId,
+            { secret: WebhookService.generateSecret(), updatedAt: Date.now() },
+            { new: true }
+        ).select('+secret');
+        
+        if (!webhook) {
+            throw httpError('Webhook not found', 404);
+        }
+        
+        return webhook.toObject();
+    }
+    
+    /**
+     * Delete a webhook and its delivery log
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object>} Deleted webhook
+     */
+    static async deleteWebhook(webhookId) {
+        const webhook = await Webhook.findByIdAndDelete(webhookId);
+        if (!webhook) {
+            throw httpError('Webhook not found', 404);
+        }
+        
+        await WebhookDelivery.deleteMany({ webhookId });
+        return webhook;
+    }
+    
+    /**
+     * Queue an event for every active webhook subscribed to it and send it in the background
+     * Never throws, a failure is logged so the action that caused the event is not affected.
+     * @param {string} event - Event name (one of WEBHOOK_EVENTS)
+     * @param {Object} data - Event data
+     * @returns {Promise<Array>} Queued deliveries
+     */
+    static async dispatch(event, data) {
+        try {
+            const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id').lean();
+            if (webhooks.length === 0) {
+                return [];
+            }
+            
+            const occurredAt = new Date().toISOString();
+            const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+                webhookId: webhook._id,
+                event,
+                payload: { event, occurredAt, data }
+            })));
+            
+            deliveries.forEach(delivery => WebhookService.schedule(delivery._id, 0));
+            return deliveries;
+        } catch (error) {
+            console.error(`Failed to dispatch webhook event ${event}:`, error);
+            return [];
+        }
+    }
+    
+    /**
+     * Queue the webhook events for a news status change
+     * @param {Object} news - News document with the new status
+     * @param {string} previousStatus - Status before the change
+     * @param {string|null} actorId - Administrator who set the status, null when the votes decided
+     * @returns {Promise<Array>} Queued deliveries
+     */
+    static async dispatchStatusChange(news, previousStatus, actorId = null) {
+        if (news.status === previousStatus) {
+            return [];
+        }
+        
+        const data = {
+            news: {
+                id: news._id.toString(),
+                title: news.title,
+                status: news.status,
+                previousStatus,
+                fakeVoteCount: news.fakeVoteCount,
+                notFakeVoteCount: news.notFakeVoteCount
+            },
+            decidedBy: actorId ? 'administrator' : 'votes'
+        };
+        
+        const events = [WEBHOOK_EVENTS.NEWS_STATUS_CHANGED];
+        if (ReputationService.FINAL_STATUSES.includes(news.status)) {
+            events.push(WEBHOOK_EVENTS.NEWS_VERDICT);
+        }
+        if (actorId) {
+            events.push(WEBHOOK_EVENTS.NEWS_MODERATED);
+        }
+        
+        const deliveries = await Promise.all(events.map(event => WebhookService.dispatch(event, data)));
+        return deliveries.flat();
+    }
+    
+    /**
+     * Queue a moderation event (trash, merge, comment moderation, reports, vote invalidation)
+     * @param {string} event - Event name (one of WEBHOOK_EVENTS)
+     * @param {Object} data - Event data
+     * @param {string|null} actorId - User who took the action, null when it happened automatically
+     * @returns {Promise<Array>} Queued deliveries
+     */
+    static async dispatchModeration(event, data, actorId = null) {
+        return await WebhookService.dispatch(event, {
+            ...data,
+            actorId: actorId ? actorId.toString() : null
+        });
+    }
+    
+    /**
+     * News fields sent in moderation event payloads
+     * @param {Object} news - News document
+     * @returns {Object} { id, title, status }
+     */
+    static newsSummary(news) {
+        return {
+            id: news._id.toString(),
+            title: news.title,
+            status: news.status
+        };
+    }
+    
+    /**
+     * Comment fields sent in moderation event payloads
+     * @param {Object} comment - Comment document
+     * @returns {Object} { id, newsId, userId, isDeleted }
+     */
+    static commentSummary(comment) {
+        return {
+            id: comment._id.toString(),
+            newsId: comment.newsId.toString(),
+            userId: (comment.userId?._id || comment.userId).toString(),
+            isDeleted: comment.isDeleted
+        };
+    }
+    
+    /**
+     * Send a test event to a webhook and wait for the first attempt
+     * @param {string} webhookId - Webhook ID
+     * @param {string} actorId - ID of the administrator
+     * @returns {Promise<Object>} Delivery after the first attempt
+     */
+    static async sendTest(webhookId, actorId) {
+        const webhook = await Webhook.findById(webhookId).select('_id');
+        if (!webhook) {
+            throw httpError('Webhook not found', 404);
+        }
+        
+        const delivery = await WebhookDelivery.create({
+            webhookId,
+            event: TEST_EVENT,
+            payload: {
+                event: TEST_EVENT,
+                occurredAt: new Date().toISOString(),
+                data: { message: 'This is a test event', sentBy: actorId.toString() }
+            }
+        });
+        
+        return await WebhookService.deliver(delivery._id);
+    }
+    
+    /**
+     * Run a delivery attempt after a delay, in this process
+     * @param {string} deliveryId - Delivery ID
+     * @param {number} delay - Delay in milliseconds
+     */
+    static schedule(deliveryId, delay) {
+        const timer = setTimeout(() => {
+            WebhookService.deliver(deliveryId).catch(error => {
+                console.error(`Webhook delivery ${deliveryId} failed:`, error);
+            });
+        }, delay);
+        
+        // Pending retries must not keep the process alive, processDue picks them up after a restart
+        timer.unref();
+    }
+    
+    /**
+     * Make one attempt to send a delivery if it is due
+     * The delivery is claimed first, so a retry scheduled in this process and the retry script
+     * do not send it twice.
+     * @param {string} deliveryId - Delivery ID
+     * @returns {Promise<Object|null>} Delivery after the attempt, null if it was not due
+     */
+    static async deliver(deliveryId) {
+        const now = Date.now();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { _id: deliveryId, status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: new Date(now) } },
+            // Not due again until the attempt would have timed out
+            { nextAttemptAt: new Date(now + config.webhooks.requestTimeout * 2) },
+            { new: true }
+        );
+        if (!delivery) {
+            return null;
+        }
+        
+        const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+        if (!webhook || !webhook.isActive) {
+            delivery.status = DELIVERY_STATUS.FAILED;
+            delivery.nextAttemptAt = null;
+            delivery.attempts.push({ error: webhook ? 'Webhook is inactive' : 'Webhook was deleted' });
+            return await delivery.save();
+        }
+        
+        const attempt = await WebhookService.send(webhook, delivery);
+        delivery.attempts.push(attempt);
+        
+        if (attempt.responseStatus >= 200 && attempt.responseStatus < 300) {
+            delivery.status = DELIVERY_STATUS.SUCCEEDED;
+            delivery.deliveredAt = Date.now();
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+            delivery.status = DELIVERY_STATUS.FAILED;
+            delivery.nextAttemptAt = null;
+        } else {
+            const delay = WebhookService.retryDelay(delivery.attempts.length);
+            delivery.nextAttemptAt = new Date(Date.now() + delay);
+            WebhookService.schedule(delivery._id, delay);
+        }
+        
+        return await delivery.save();
+    }
+    
+    /**
+     * POST a delivery's payload to its webhook
+     * @param {Object} webhook - Webhook including its secret
+     * @param {Object} delivery - Delivery
+     * @returns {Promise<Object>} Attempt record
+     */
+    static async send(webhook, delivery) {
+        const body = JSON.stringify({ id: delivery._id.toString(), ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'AntiFakeNews-Webhook/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery._id.toString(),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${WebhookService.sign(webhook.secret, timestamp, body)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.webhooks.requestTimeout)
+            });
+            const responseBody = await response.text();
+            
+            return {
+                attemptedAt: startedAt,
+                responseStatus: response.status,
+                responseBody: responseBody.slice(0, config.webhooks.maxResponseBodyLength),
+                durationMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            return {
+                attemptedAt: startedAt,
+                error: error.name === 'TimeoutError' ? 'Request timed out' : (error.cause?.message || error.message),
+                durationMs: Date.now() - startedAt
+            };
+        }
+    }
+    
+    /**
+     * Send every pending delivery whose next attempt is due
+     * @param {Object} options - { limit }
+     * @returns {Promise<Object>} Numbers of attempted, succeeded and failed deliveries
+     */
+    static async processDue({ limit = config.webhooks.retryBatchSize } = {}) {
+        const due = await WebhookDelivery.find({
+            status: DELIVERY_STATUS.PENDING,
+            nextAttemptAt: { $lte: new Date() }
+        })
+            .sort({ nextAttemptAt: 1 })
+            .limit(limit)
+            .select('_id')
+            .lean();
+        
+        const result = { attempted: 0, succeeded: 0, failed: 0 };
+        
+        for (const { _id } of due) {
+            const delivery = await WebhookService.deliver(_id);
+            if (!delivery) {
+                continue;
+            }
+            
+            result.attempted++;
+            if (delivery.status === DELIVERY_STATUS.SUCCEEDED) {
+                result.succeeded++;
+            } else if (delivery.status === DELIVERY_STATUS.FAILED) {
+                result.failed++;
+            }
+        }
+        
+        return result;
+    }
+}
+
+module.exports = WebhookService;
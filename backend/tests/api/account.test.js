@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { Session } = require('../../models/Session');
+const { ActionToken } = require('../../models/ActionToken');
+const MailService = require('../../services/mailService');
+const UserService = require('../../services/userService');
+const dbService = require('../../services/dbService');
+
+describe('密码重置与邮箱验证API测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '账户',
+        lastName: '测试用户',
+        email: 'account_test@example.com',
+        password: 'password123'
+    };
+    const legacyEmails = ['account_legacy_test@example.com', 'account_recent_test@example.com'];
+
+    // 记录发出的邮件而不是真正发送
+    const sentMails = [];
+    const extractToken = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+    let authToken = '';
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            MailService.setTransport({ send: async (message) => { sentMails.push(message); return {}; } });
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+            await User.deleteMany({ email: { $in: legacyEmails } });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            const user = await User.findOne({ email: testUser.email });
+            if (user) {
+                await Session.deleteMany({ userId: user._id });
+                await ActionToken.deleteMany({ userId: user._id });
+            }
+            await User.deleteOne({ email: testUser.email });
+            await User.deleteMany({ email: { $in: legacyEmails } });
+            MailService.setTransport(null);
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    describe('邮箱验证', () => {
+        it('注册后应该发送验证邮件且邮箱未验证', async () => {
+            const response = await request(app)
+                .post('/api/users/register')
+                .send(testUser)
+                .expect(201);
+
+            authToken = response.body.data.token;
+            expect(response.body.data.user.isEmailVerified).toBe(false);
+            expect(sentMails[sentMails.length - 1].to).toBe(testUser.email);
+        });
+
+        it('未验证邮箱的用户不能投票', async () => {
+            const response = await request(app)
+                .post('/api/vote')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ newsId: '000000000000000000000000', voteResult: 'Fake' })
+                .expect(403);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        it('应该使用邮件中的令牌验证邮箱，且令牌只能使用一次', async () => {
+            const token = extractToken(sentMails[sentMails.length - 1]);
+
+            const response = await request(app)
+                .post('/api/users/verify-email')
+                .send({ token })
+                .expect(200);
+            expect(response.body.data.isEmailVerified).toBe(true);
+
+            await request(app)
+                .post('/api/users/verify-email')
+                .send({ token })
+                .expect(400);
+        });
+
+        it('升级前注册的用户应该可以被标记为已验证', async () => {
+            const cutoff = new Date(Date.now() - 60 * 1000);
+            const [legacy, recent] = await User.create(legacyEmails.map((email, index) => ({
+                firstName: '账户',
+                lastName: '历史用户',
+                email,
+                password: 'password123',
+                createdAt: index === 0 ? new Date(cutoff.getTime() - 1000) : new Date()
+            })));
+
+            const verified = await UserService.verifyExistingUsers(cutoff);
+            expect(verified).toBeGreaterThanOrEqual(1);
+
+            expect((await User.findById(legacy._id)).isEmailVerified).toBe(true);
+            expect((await User.findById(recent._id)).isEmailVerified).toBe(false);
+        });
+    });
+
+    describe('密码重置', () => {
+        it('不存在的邮箱也应该返回相同的响应', async () => {
+            const count = sentMails.length;
+
+            const response = await request(app)
+                .post('/api/users/forgot-password')
+                .send({ email: 'nobody_here@example.com' })
+                .expect(200);
+
+            expect(response.body).toHaveProperty('success', true);
+            expect(sentMails.length).toBe(count);
+        });
+
+        it('应该重置密码并撤销所有会话', async () => {
+            await request(app)
+                .post('/api/users/forgot-password')
+                .send({ email: testUser.email })
+                .expect(200);
+
+            const token = extractToken(sentMails[sentMails.length - 1]);
+
+            await request(app)
+                .post('/api/users/reset-password')
+                .send({ token, password: 'newpassword456' })
+                .expect(200);
+
+            // 旧的访问令牌所属会话已被撤销
+            await request(app)
+                .get('/api/users/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(401);
+
+            await request(app)
+                .post('/api/users/login')
+                .send({ email: testUser.email, password: 'newpassword456' })
+                .expect(200);
+
+            // 重置令牌不能重复使用
+            await request(app)
+                .post('/api/users/reset-password')
+                .send({ token, password: 'anotherpassword' })
+                .expect(400);
+        });
+    });
+});
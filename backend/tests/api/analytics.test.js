@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const Comment = require('../../models/Comment');
+const AnalyticsService = require('../../services/analyticsService');
+const dbService = require('../../services/dbService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('数据分析测试', () => {
+    describe('日期范围', () => {
+        it('应该列出范围内的每一天', () => {
+            const days = AnalyticsService.listDays({
+                from: new Date('2026-03-30T12:00:00Z'),
+                to: new Date('2026-04-02T00:00:00Z')
+            });
+            
+            expect(days).toEqual(['2026-03-30', '2026-03-31', '2026-04-01', '2026-04-02']);
+        });
+        
+        it('默认统计最近的天数，并拒绝过长或颠倒的范围', () => {
+            const { from, to } = AnalyticsService.resolveRange();
+            expect(to - from).toBe(config.analytics.defaultDays * 24 * HOUR_MS);
+            
+            expect(() => AnalyticsService.resolveRange({ from: new Date('2026-02-01'), to: new Date('2026-01-01') }))
+                .toThrow('from must be before to');
+            expect(() => AnalyticsService.resolveRange({ from: new Date('2020-01-01'), to: new Date('2026-01-01') }))
+                .toThrow(`Date range cannot exceed ${config.analytics.maxDays} days`);
+        });
+    });
+    
+    describe('数据分析API', () => {
+        const accounts = ['admin', 'author', 'voter'].map(name => ({
+            firstName: '统计',
+            lastName: name,
+            email: `analytics_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        const newsIds = [];
+        
+        const asAdmin = req => req.set('Authorization', `Bearer ${tokens.admin}`);
+        
+        const createNews = async (data = {}) => {
+            const news = await News.create({
+                title: '数据分析测试新闻标题',
+                content: '这是一条用于测试数据分析的新闻内容。',
+                authorId: userIds.author,
+                ...data
+            });
+            newsIds.push(news._id);
+            return news;
+        };
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                await Comment.deleteMany({ newsId: { $in: newsIds } });
+                await Vote.deleteMany({ newsId: { $in: newsIds } });
+                await News.deleteMany({ _id: { $in: newsIds } });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('投票汇总应该按 voteResult 统计虚假和真实票', async () => {
+            const before = await asAdmin(request(app).get('/api/analytics/vote-summary')).expect(200);
+            
+            const news = await createNews();
+            await Vote.create({ userId: userIds.voter, newsId: news._id, voteResult: VOTE_RESULTS.FAKE, weight: 1 });
+            await Vote.create({ userId: userIds.author, newsId: news._id, voteResult: VOTE_RESULTS.NOT_FAKE, weight: 1 });
+            
+            const after = await asAdmin(request(app).get('/api/analytics/vote-summary')).expect(200);
+            expect(after.body.data.fakeVotes - before.body.data.fakeVotes).toBe(1);
+            expect(after.body.data.notFakeVotes - before.body.data.notFakeVotes).toBe(1);
+        });
+        
+        it('每日活动应该包含当天的提交、投票和评论', async () => {
+            const news = await createNews();
+            await Vote.create({ userId: userIds.voter, newsId: news._id, voteResult: VOTE_RESULTS.FAKE, weight: 1 });
+            await Comment.create({ userId: userIds.voter, newsId: news._id, content: '统计评论' });
+            
+            const response = await asAdmin(request(app).get('/api/analytics/activity')).expect(200);
+            const { days, totals } = response.body.data;
+            const today = days[days.length - 1];
+            
+            expect(days).toHaveLength(config.analytics.defaultDays + 1);
+            expect(today.submissions).toBeGreaterThanOrEqual(1);
+            expect(today.votes).toBeGreaterThanOrEqual(1);
+            expect(today.comments).toBeGreaterThanOrEqual(1);
+            expect(totals.submissions).toBeGreaterThanOrEqual(today.submissions);
+        });
+        
+        it('管理员判定后应该计入判定耗时和判定比例', async () => {
+            const news = await createNews({ createdAt: new Date(Date.now() - 5 * HOUR_MS) });
+            
+            await asAdmin(request(app).put(`/api/news/${news._id}/status`))
+                .send({ status: 'Fake' })
+                .expect(200);
+            
+            const stored = await News.findById(news._id);
+            expect(stored.statusChangedAt).not.toBeNull();
+            
+            const timing = await asAdmin(request(app).get('/api/analytics/time-to-verdict')).expect(200);
+            expect(timing.body.data.byStatus.Fake.count).toBeGreaterThanOrEqual(1);
+            expect(timing.body.data.byStatus.Fake.maxHours).toBeGreaterThanOrEqual(5);
+            
+            const ratios = await asAdmin(request(app).get('/api/analytics/verdict-ratios')).expect(200);
+            const today = ratios.body.data.days[ratios.body.data.days.length - 1];
+            expect(today.fakeVerdicts).toBeGreaterThanOrEqual(1);
+        });
+        
+        it('应该列出提交最多的作者和投票最多的用户', async () => {
+            const authors = await asAdmin(request(app).get('/api/analytics/top-authors?limit=50')).expect(200);
+            const author = authors.body.data.find(row => row.userId === userIds.author);
+            expect(author.newsCount).toBe(newsIds.length);
+            expect(author).not.toHaveProperty('password');
+            
+            const voters = await asAdmin(request(app).get('/api/analytics/top-voters?limit=50')).expect(200);
+            const voter = voters.body.data.find(row => row.userId === userIds.voter);
+            expect(voter.voteCount).toBe(2);
+            expect(voter.reputation).toBe(1);
+        });
+        
+        it('待判定积压应该按等待时间分组', async () => {
+            await createNews({ createdAt: new Date(Date.now() - 10 * 24 * HOUR_MS) });
+            
+            const response = await asAdmin(request(app).get('/api/analytics/pending-backlog')).expect(200);
+            const { count, buckets } = response.body.data;
+            
+            expect(buckets.map(bucket => bucket.label)).toEqual(['<1d', '1-7d', '7-30d', '>30d']);
+            expect(buckets.find(bucket => bucket.label === '7-30d').count).toBeGreaterThanOrEqual(1);
+            expect(buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(count);
+        });
+        
+        it('应该验证日期范围并且只允许管理员访问', async () => {
+            await asAdmin(request(app).get('/api/analytics/activity?from=2026-02-01&to=2026-01-01')).expect(400);
+            await asAdmin(request(app).get('/api/analytics/activity?from=not-a-date')).expect(400);
+            await request(app)
+                .get('/api/analytics/activity')
+                .set('Authorization', `Bearer ${tokens.voter}`)
+                .expect(403);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const Comment = require('../../models/Comment');
+const { AuditLog } = require('../../models/AuditLog');
+const AuditService = require('../../services/auditService');
+const dbService = require('../../services/dbService');
+
+describe('审计日志API测试', () => {
+    // 测试数据：一名管理员和一名普通用户
+    const accounts = ['admin', 'member'].map(name => ({
+        firstName: '审计',
+        lastName: name,
+        email: `audit_${name}_test@example.com`,
+        password: 'password123'
+    }));
+    const emails = accounts.map(account => account.email);
+    
+    const tokens = {};
+    const userIds = {};
+    let news = null;
+    
+    const getLogs = (queryString = '') => request(app)
+        .get(`/api/audit-logs${queryString}`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+    
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+            
+            for (const account of accounts) {
+                const response = await request(app).post('/api/users/register').send(account);
+                tokens[account.lastName] = response.body.data.token;
+                userIds[account.lastName] = response.body.data.user.id;
+            }
+            await User.updateMany({ email: { $in: emails } }, { isEmailVerified: true });
+            await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            await AuditLog.collection.deleteMany({ actorId: { $in: Object.values(userIds).map(id => new mongoose.Types.ObjectId(id)) } });
+            
+            news = await News.create({
+                title: '审计测试新闻标题',
+                content: '这是一条用于测试审计日志的新闻内容。',
+                authorId: userIds.member
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+    
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            // 审计日志模型禁止删除，直接通过集合清理测试数据
+            await AuditLog.collection.deleteMany({ actorId: { $in: Object.values(userIds).map(id => new mongoose.Types.ObjectId(id)) } });
+            await Comment.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+    
+    it('管理员修改新闻状态应该记录修改前后的状态', async () => {
+        await request(app)
+            .put(`/api/news/${news._id}/status`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .send({ status: NEWS_STATUS.FAKE })
+            .expect(200);
+        
+        const response = await getLogs(`?targetId=${news._id}`).expect(200);
+        const [entry] = response.body.data.items;
+        
+        expect(response.body.data.items).toHaveLength(1);
+        expect(entry.action).toBe('news.status.update');
+        expect(entry.actorId).toBe(userIds.admin);
+        expect(entry.actorEmail).toBe('audit_admin_test@example.com');
+        expect(entry.before.status).toBe(NEWS_STATUS.PENDING);
+        expect(entry.after.status).toBe(NEWS_STATUS.FAKE);
+        expect(entry.metadata).toEqual({ status: NEWS_STATUS.FAKE });
+    });
+    
+    it('失败的操作和用户删除自己的评论不应该被记录', async () => {
+        await request(app)
+            .put(`/api/news/${news._id}/status`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .send({ status: 'Unknown' })
+            .expect(400);
+        
+        const comment = await Comment.create({ userId: userIds.member, newsId: news._id, content: '用户自己删除的评论' });
+        await request(app)
+            .delete(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.member}`)
+            .expect(200);
+        
+        const response = await getLogs(`?actorId=${userIds.member}`).expect(200);
+        expect(response.body.data.items).toEqual([]);
+        
+        const newsLogs = await getLogs(`?targetId=${news._id}`).expect(200);
+        expect(newsLogs.body.data.items).toHaveLength(1);
+    });
+    
+    it('应该按动作前缀筛选并支持CSV导出', async () => {
+        const comment = await Comment.create({ userId: userIds.member, newsId: news._id, content: '被管理员删除的评论' });
+        await request(app)
+            .delete(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .expect(200);
+        
+        const comments = await getLogs(`?action=comment&actorId=${userIds.admin}`).expect(200);
+        expect(comments.body.data.items.map(entry => entry.action)).toEqual(['comment.delete']);
+        expect(comments.body.data.items[0].after.isDeleted).toBe(true);
+        
+        const csv = await request(app)
+            .get(`/api/audit-logs/export?actorId=${userIds.admin}`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .expect('Content-Type', /text\/csv/)
+            .expect(200);
+        
+        const lines = csv.text.trim().split('\r\n');
+        expect(lines[0]).toBe('createdAt,actorId,actorEmail,action,targetType,targetId,ip,userAgent,before,after,metadata');
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toContain('comment.delete');
+        expect(lines[2]).toContain('news.status.update');
+    });
+    
+    it('审计日志条目不能被修改或删除', async () => {
+        await expect(AuditLog.updateMany({ actorId: userIds.admin }, { action: 'forged' })).rejects.toThrow();
+        await expect(AuditLog.deleteMany({ actorId: userIds.admin })).rejects.toThrow();
+        
+        const entry = await AuditLog.findOne({ actorId: userIds.admin });
+        entry.action = 'forged';
+        await expect(entry.save()).rejects.toThrow();
+    });
+    
+    it('应该拒绝非管理员访问和无效的筛选参数', async () => {
+        await request(app)
+            .get('/api/audit-logs')
+            .set('Authorization', `Bearer ${tokens.member}`)
+            .expect(403);
+        
+        await getLogs('?actorId=invalid').expect(400);
+        await getLogs('?dateFrom=yesterday').expect(400);
+    });
+    
+    it('CSV单元格应该转义引号并中和公式', () => {
+        expect(AuditService.toCsvCell('a,"b"')).toBe('"a,""b"""');
+        expect(AuditService.toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(AuditService.toCsvCell({ status: 'Fake' })).toBe('"{""status"":""Fake""}"');
+        expect(AuditService.toCsvCell(null)).toBe('');
+    });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { ClassifierModel } = require('../../models/ClassifierModel');
+const { ClassifierJob, JOB_STATUS } = require('../../models/ClassifierJob');
+const ClassifierService = require('../../services/classifierService');
+const dbService = require('../../services/dbService');
+
+// 谣言和真实新闻各自常用的说法
+const FAKE_TEXTS = ['震惊！喝热水可以杀死病毒，赶快转发', '紧急通知：吃大蒜能预防病毒，转发给家人', '震惊！微波炉加热会致癌，赶快转发'];
+const NOT_FAKE_TEXTS = ['市政府发布明年道路维修预算报告', '统计局发布本季度居民消费价格数据', '教育局公布今年中考招生计划'];
+
+const examples = (texts, fake) => texts.map(text => ({ features: ClassifierService.features(text, ''), fake }));
+
+describe('投稿预判测试', () => {
+    describe('朴素贝叶斯分类器', () => {
+        const model = ClassifierService.train([...examples(FAKE_TEXTS, true), ...examples(NOT_FAKE_TEXTS, false)]);
+        
+        it('应该按训练数据给出假新闻概率和贡献最大的词', () => {
+            const fake = ClassifierService.predict(model, ClassifierService.features('震惊！喝醋可以杀死病毒，赶快转发', ''));
+            const notFake = ClassifierService.predict(model, ClassifierService.features('财政局发布明年预算报告', ''));
+            
+            expect(fake.fakeProbability).toBeGreaterThan(0.5);
+            expect(notFake.fakeProbability).toBeLessThan(0.5);
+            expect(fake.topTerms.length).toBeGreaterThan(0);
+            expect(fake.topTerms[0].weight).toBeGreaterThan(0);
+        });
+        
+        it('没有已知特征时只按类别先验判断', () => {
+            expect(ClassifierService.predict(model, new Set(['完全无关'])).fakeProbability).toBe(0.5);
+        });
+        
+        it('留出集评估应该给出准确率、基线和混淆矩阵', () => {
+            const metrics = ClassifierService.evaluate(model, [
+                ...examples(['震惊！喝盐水可以杀死病毒，赶快转发'], true),
+                ...examples(['统计局发布本月居民消费价格数据'], false)
+            ]);
+            
+            expect(metrics).toMatchObject({ holdoutSize: 2, accuracy: 1, baselineAccuracy: 0.5, fakePrecision: 1, fakeRecall: 1 });
+        });
+        
+        it('只有投票结果与状态一致的新闻才是社区判定', () => {
+            const tally = { fakeVoteCount: 10, notFakeVoteCount: 0, weightedFakeScore: 10, weightedNotFakeScore: 0 };
+            
+            expect(ClassifierService.isCommunityVerdict({ ...tally, status: NEWS_STATUS.FAKE })).toBe(true);
+            expect(ClassifierService.isCommunityVerdict({ ...tally, status: NEWS_STATUS.NOT_FAKE })).toBe(false);
+            expect(ClassifierService.isCommunityVerdict({
+                fakeVoteCount: 0, notFakeVoteCount: 0, weightedFakeScore: 0, weightedNotFakeScore: 0, status: NEWS_STATUS.FAKE
+            })).toBe(false);
+        });
+    });
+    
+    describe('预判API', () => {
+        const accounts = ['admin', 'author'].map(name => ({
+            firstName: '预判',
+            lastName: name,
+            email: `classifier_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+                await User.updateOne({ _id: userIds.author }, { role: ROLES.MEMBER });
+                
+                // 训练数据：作者的已判定新闻
+                const decided = [];
+                for (let i = 0; i < 12; i++) {
+                    decided.push({ title: `${FAKE_TEXTS[i % 3]}（${i}）`, content: '网传消息，未经证实，请大家赶快转发。', status: NEWS_STATUS.FAKE });
+                    decided.push({ title: `${NOT_FAKE_TEXTS[i % 3]}（${i}）`, content: '据官方网站发布的公告，具体内容如下。', status: NEWS_STATUS.NOT_FAKE });
+                }
+                // 投票结果与状态一致才是社区判定；另加几条管理员直接设置、没有投票的新闻
+                const votes = news => (news.status === NEWS_STATUS.FAKE
+                    ? { fakeVoteCount: 10, weightedFakeScore: 10 }
+                    : { notFakeVoteCount: 10, weightedNotFakeScore: 10 });
+                await News.insertMany([
+                    ...decided.map(news => ({ ...news, ...votes(news), authorId: userIds.author })),
+                    ...NOT_FAKE_TEXTS.map(title => ({ title, content: '管理员直接判定的新闻。', status: NEWS_STATUS.FAKE, authorId: userIds.author }))
+                ]);
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                await ClassifierModel.deleteMany({ trainedBy: userIds.admin });
+                await ClassifierJob.deleteMany({ requestedBy: userIds.admin });
+                await News.deleteMany({ authorId: userIds.author });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('只有管理员可以提交训练任务，任务完成后包含留出集准确率', async () => {
+            await request(app)
+                .post('/api/classifier/train')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .expect(403);
+            
+            const response = await request(app)
+                .post('/api/classifier/train')
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(202);
+            expect(response.body.data.status).toBe(JOB_STATUS.QUEUED);
+            
+            // 排队中的任务只有一个
+            const again = await request(app)
+                .post('/api/classifier/train')
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(202);
+            expect(again.body.data._id).toBe(response.body.data._id);
+            
+            // 训练脚本执行排队的任务
+            await ClassifierService.runQueuedJobs();
+            
+            const job = await request(app)
+                .get(`/api/classifier/jobs/${response.body.data._id}`)
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(200);
+            expect(job.body.data.status).toBe(JOB_STATUS.COMPLETED);
+            
+            const model = job.body.data.modelId;
+            expect(model.isActive).toBe(true);
+            expect(model).not.toHaveProperty('features');
+            // 只用社区判定的新闻训练，管理员直接设置的状态不算
+            const decided = await News.find({ status: { $in: [NEWS_STATUS.FAKE, NEWS_STATUS.NOT_FAKE] } }).lean();
+            const community = decided.filter(ClassifierService.isCommunityVerdict);
+            expect(community.length).toBeLessThanOrEqual(decided.length - NOT_FAKE_TEXTS.length);
+            expect(model.fakeNews + model.notFakeNews).toBe(community.length);
+            expect(model.metrics.trainingSize + model.metrics.holdoutSize).toBe(model.fakeNews + model.notFakeNews);
+            
+            const models = await request(app)
+                .get('/api/classifier')
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(200);
+            expect(models.body.data.active._id).toBe(model._id);
+            expect(models.body.data.latestJob.status).toBe(JOB_STATUS.COMPLETED);
+        });
+        
+        it('同时提交的训练请求只应该产生一个排队中的任务', async () => {
+            await ClassifierJob.init();
+            
+            const jobs = await Promise.all([1, 2, 3].map(() => ClassifierService.queueTraining(userIds.admin)));
+            expect(new Set(jobs.map(job => String(job._id))).size).toBe(1);
+            expect(await ClassifierJob.countDocuments({ status: JOB_STATUS.QUEUED })).toBe(1);
+            
+            await ClassifierJob.deleteMany({ status: JOB_STATUS.QUEUED });
+        });
+        
+        it('超时未完成的任务应该被标记为失败并重新排队', async () => {
+            const startedAt = new Date(Date.now() - (config.classifier.jobTimeoutMinutes + 1) * 60 * 1000);
+            const stale = await ClassifierJob.create({ status: JOB_STATUS.RUNNING, requestedBy: userIds.admin, startedAt });
+            const recent = await ClassifierJob.create({ status: JOB_STATUS.RUNNING, requestedBy: userIds.admin, startedAt: new Date() });
+            
+            expect(await ClassifierService.recoverStaleJobs()).toBe(1);
+            
+            expect((await ClassifierJob.findById(stale._id)).status).toBe(JOB_STATUS.FAILED);
+            expect((await ClassifierJob.findById(recent._id)).status).toBe(JOB_STATUS.RUNNING);
+            const queued = await ClassifierJob.findOne({ status: JOB_STATUS.QUEUED });
+            expect(String(queued.requestedBy)).toBe(userIds.admin);
+            
+            await ClassifierJob.deleteMany({ _id: { $in: [recent._id, queued._id] } });
+        });
+        
+        it('新提交的新闻应该得到预判分数，但状态仍为待判定', async () => {
+            const response = await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '震惊！喝醋可以杀死病毒，赶快转发', content: '网传消息，未经证实，请大家赶快转发。' })
+                .expect(201);
+            
+            const news = response.body.data;
+            expect(news.status).toBe(NEWS_STATUS.PENDING);
+            expect(news.prescreen.fakeProbability).toBeGreaterThan(0.5);
+            expect(news.prescreen.topTerms.length).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const Comment = require('../../models/Comment');
+const dbService = require('../../services/dbService');
+
+describe('评论管理API测试', () => {
+    // 测试数据
+    const adminUser = {
+        firstName: '评论管理',
+        lastName: '管理员',
+        email: 'comment_moderation_admin@example.com',
+        password: 'password123'
+    };
+
+    const normalUser = {
+        firstName: '评论管理',
+        lastName: '普通用户',
+        email: 'comment_moderation_user@example.com',
+        password: 'password123'
+    };
+
+    let adminToken = '';
+    let userToken = '';
+    let news = null;
+
+    const postComment = (content, parentId) => request(app)
+        .post('/api/comments')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ newsId: news._id, content, parentId })
+        .expect(201)
+        .then(response => response.body.data._id);
+
+    const listComments = (queryString) => request(app)
+        .get(`/api/comments?newsId=${news._id}&${queryString}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: [adminUser.email, normalUser.email] } });
+
+            const adminResponse = await request(app).post('/api/users/register').send(adminUser);
+            adminToken = adminResponse.body.data.token;
+            await User.updateOne({ email: adminUser.email }, { role: ROLES.ADMINISTRATOR });
+
+            const userResponse = await request(app).post('/api/users/register').send(normalUser);
+            userToken = userResponse.body.data.token;
+
+            news = await News.create({
+                title: '评论管理测试新闻标题',
+                content: '这是一条用于测试评论管理功能的新闻内容。',
+                authorId: userResponse.body.data.user.id
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Comment.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteMany({ email: { $in: [adminUser.email, normalUser.email] } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('应该按状态和关键词筛选评论并返回各状态数量', async () => {
+        await postComment('关于疫苗的讨论');
+        const deletedId = await postComment('需要删除的广告');
+
+        await request(app)
+            .delete(`/api/comments/${deletedId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        const deleted = await listComments('status=deleted').expect(200);
+        expect(deleted.body.data.items.map(item => item._id)).toEqual([deletedId]);
+        expect(deleted.body.data.items[0].newsTitle).toBe('评论管理测试新闻标题');
+        expect(deleted.body.data.counts).toEqual({ active: 1, deleted: 1 });
+
+        const byKeyword = await listComments('status=all&keyword=疫苗').expect(200);
+        expect(byKeyword.body.data.items.map(item => item.content)).toEqual(['关于疫苗的讨论']);
+    });
+
+    it('恢复评论应该重新计入父评论的回复数', async () => {
+        const parentId = await postComment('恢复测试父评论');
+        const replyId = await postComment('恢复测试回复', parentId);
+
+        await request(app)
+            .delete(`/api/comments/${replyId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect((await Comment.findById(parentId)).replyCount).toBe(0);
+
+        const response = await request(app)
+            .put(`/api/comments/${replyId}/restore`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(response.body.data.isDeleted).toBe(false);
+        expect((await Comment.findById(parentId)).replyCount).toBe(1);
+
+        // 未删除的评论不能恢复
+        await request(app)
+            .put(`/api/comments/${replyId}/restore`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(400);
+    });
+
+    it('应该批量删除和恢复评论并跳过无需处理的评论', async () => {
+        const firstId = await postComment('批量操作评论一');
+        const secondId = await postComment('批量操作评论二');
+
+        const deleted = await request(app)
+            .post('/api/comments/batch-delete')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ commentIds: [firstId, secondId] })
+            .expect(200);
+        expect(deleted.body.data.processedCount).toBe(2);
+
+        const restored = await request(app)
+            .post('/api/comments/batch-restore')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ commentIds: [firstId, firstId, '507f1f77bcf86cd799439011'] })
+            .expect(200);
+        expect(restored.body.data.processed).toEqual([firstId]);
+        expect(restored.body.data.skipped).toEqual([{ commentId: '507f1f77bcf86cd799439011', reason: 'not_found' }]);
+    });
+
+    it('非管理员不能使用评论管理接口', async () => {
+        await request(app)
+            .get('/api/comments')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+
+        await request(app)
+            .post('/api/comments/batch-delete')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ commentIds: [] })
+            .expect(403);
+    });
+
+    it('应该拒绝无效的筛选和批量参数', async () => {
+        await listComments('status=hidden').expect(400);
+        await listComments('sortBy=likes').expect(400);
+
+        await request(app)
+            .post('/api/comments/batch-restore')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ commentIds: ['not-an-id'] })
+            .expect(400);
+    });
+});
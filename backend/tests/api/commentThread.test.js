@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User } = require('../../models/User');
+const { News } = require('../../models/News');
+const Comment = require('../../models/Comment');
+const dbService = require('../../services/dbService');
+
+describe('评论回复（楼中楼）API测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '回复',
+        lastName: '测试用户',
+        email: 'comment_thread_test@example.com',
+        password: 'password123'
+    };
+
+    let authToken = '';
+    let news = null;
+
+    const postComment = (content, parentId) => request(app)
+        .post('/api/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ newsId: news._id, content, parentId });
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+
+            const response = await request(app).post('/api/users/register').send(testUser);
+            authToken = response.body.data.token;
+
+            news = await News.create({
+                title: '回复测试新闻标题',
+                content: '这是一条用于测试评论回复功能的新闻内容。',
+                authorId: response.body.data.user.id
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Comment.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteOne({ email: testUser.email });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('应该返回顶层评论和回复预览', async () => {
+        const parent = await postComment('这是一条顶层评论').expect(201);
+        const parentId = parent.body.data._id;
+
+        for (let i = 1; i <= 3; i++) {
+            await postComment(`第${i}条回复`, parentId).expect(201);
+        }
+
+        const response = await request(app)
+            .get(`/api/comments/news/${news._id}/threads`)
+            .expect(200);
+
+        const [thread] = response.body.data.items;
+        expect(response.body.data.pagination.total).toBe(1);
+        expect(thread.replyCount).toBe(3);
+        expect(thread.replies).toHaveLength(config.comments.replyPreviewCount);
+        expect(thread.replies[0].content).toBe('第1条回复');
+        expect(thread.hasMoreReplies).toBe(true);
+
+        const replies = await request(app)
+            .get(`/api/comments/${parentId}/replies?pageSize=2&page=2`)
+            .expect(200);
+        expect(replies.body.data.items.map(reply => reply.content)).toEqual(['第3条回复']);
+    });
+
+    it('超过最大嵌套层数的回复应该返回400', async () => {
+        let parentId = (await postComment('嵌套测试评论').expect(201)).body.data._id;
+
+        for (let depth = 1; depth <= config.comments.maxDepth; depth++) {
+            const reply = await postComment(`第${depth}层回复`, parentId).expect(201);
+            expect(reply.body.data.depth).toBe(depth);
+            parentId = reply.body.data._id;
+        }
+
+        await postComment('太深的回复', parentId).expect(400);
+    });
+
+    it('删除父评论后回复应该仍然可读', async () => {
+        const parentId = (await postComment('将被删除的评论').expect(201)).body.data._id;
+        await postComment('保留的回复', parentId).expect(201);
+
+        await request(app)
+            .delete(`/api/comments/${parentId}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        const response = await request(app)
+            .get(`/api/comments/news/${news._id}/threads`)
+            .expect(200);
+
+        const tombstone = response.body.data.items.find(item => item._id === parentId);
+        expect(tombstone.isDeleted).toBe(true);
+        expect(tombstone.content).toBe('');
+        expect(tombstone.replies[0].content).toBe('保留的回复');
+
+        // 不能回复已删除的评论
+        await postComment('回复已删除的评论', parentId).expect(400);
+    });
+
+    it('删除没有回复的评论应该减少父评论的回复数', async () => {
+        const parentId = (await postComment('回复数测试评论').expect(201)).body.data._id;
+        const replyId = (await postComment('将被删除的回复', parentId).expect(201)).body.data._id;
+
+        await request(app)
+            .delete(`/api/comments/${replyId}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        const parent = await Comment.findById(parentId);
+        expect(parent.replyCount).toBe(0);
+    });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { Domain } = require('../../models/Domain');
+const DomainService = require('../../services/domainService');
+const dbService = require('../../services/dbService');
+
+describe('来源链接和网站信誉测试', () => {
+    describe('链接规范化', () => {
+        it('应该去除跟踪参数并统一域名', () => {
+            expect(DomainService.normalizeUrl('HTTPS://WWW.Example.COM:443/a/b/?utm_source=x&b=2&a=1&fbclid=z#top')).toEqual({
+                url: 'https://example.com/a/b?a=1&b=2',
+                host: 'example.com'
+            });
+            expect(DomainService.normalizeUrl('m.bbc.co.uk/news').host).toBe('bbc.co.uk');
+            expect(DomainService.canonicalizeHost('m.co')).toBe('m.co');
+        });
+        
+        it('同一条新闻中重复的链接只保留一次，无效链接返回400', () => {
+            expect(DomainService.normalizeUrls(['example.com/a?utm_medium=social', 'https://www.example.com/a/'])).toEqual({
+                sourceUrls: ['https://example.com/a'],
+                sourceDomains: ['example.com']
+            });
+            
+            expect(() => DomainService.normalizeUrl('ftp://example.com/file')).toThrow('Invalid source URL');
+            expect(() => DomainService.normalizeUrl('localhost')).toThrow('Invalid source URL');
+        });
+        
+        it('判定数量不足时网站为未评级', () => {
+            const reputation = DomainService.formatReputation({ newsCount: 3, fakeCount: 2, notFakeCount: 0 });
+            expect(reputation.level).toBe('unrated');
+            expect(DomainService.formatReputation({ newsCount: 4, fakeCount: 4 }).poorRecord).toBe(true);
+            expect(DomainService.formatReputation({ newsCount: 4, fakeCount: 4 }, { ratingOverride: 'high', overrideNote: '官方网站' }))
+                .toMatchObject({ computedLevel: 'low', level: 'high', overridden: true, poorRecord: false });
+        });
+    });
+    
+    describe('网站信誉API', () => {
+        const accounts = ['admin', 'author'].map(name => ({
+            firstName: '来源',
+            lastName: name,
+            email: `domain_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        const hosts = ['rumors.example', 'daily.example'];
+        
+        const tokens = {};
+        const userIds = {};
+        
+        const submitNews = async (sourceUrls, status = NEWS_STATUS.PENDING) => {
+            const response = await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '来源测试新闻标题', content: '这是一条用于测试来源链接的新闻内容。', sourceUrls })
+                .expect(201);
+            
+            if (status !== NEWS_STATUS.PENDING) {
+                await News.updateOne({ _id: response.body.data._id }, { status });
+            }
+            return response.body.data;
+        };
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+                await User.updateOne({ _id: userIds.author }, { role: ROLES.MEMBER });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空测试网站和作者的新闻
+        beforeEach(async () => {
+            await Domain.deleteMany({ host: { $in: hosts } });
+            await News.deleteMany({ authorId: userIds.author });
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                await Domain.deleteMany({ host: { $in: hosts } });
+                await News.deleteMany({ authorId: userIds.author });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('提交新闻时应该保存规范化的来源链接并登记网站', async () => {
+            const news = await submitNews(['www.rumors.example/story/?utm_campaign=share', 'https://daily.example/a']);
+            
+            expect(news.sourceUrls).toEqual(['https://rumors.example/story', 'https://daily.example/a']);
+            expect(news.sourceDomains).toEqual(['rumors.example', 'daily.example']);
+            expect(await Domain.countDocuments({ host: { $in: hosts } })).toBe(2);
+            
+            await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '来源测试新闻标题', content: '这是一条用于测试来源链接的新闻内容。', sourceUrls: ['not a link'] })
+                .expect(400);
+        });
+        
+        it('网站信誉应该来自引用它的新闻的最终判定', async () => {
+            await submitNews(['rumors.example/1'], NEWS_STATUS.FAKE);
+            await submitNews(['rumors.example/2'], NEWS_STATUS.FAKE);
+            await submitNews(['rumors.example/3', 'daily.example/3'], NEWS_STATUS.FAKE);
+            await submitNews(['rumors.example/4']);
+            
+            const response = await request(app).get('/api/domains/rumors.example').expect(200);
+            expect(response.body.data.reputation).toMatchObject({
+                newsCount: 4,
+                pendingCount: 1,
+                fakeCount: 3,
+                fakeRatio: 1,
+                level: 'low',
+                poorRecord: true
+            });
+            expect(response.body.data.recentNews).toHaveLength(4);
+            
+            // 提交表单用来提示来源网站记录不佳
+            const check = await request(app)
+                .post('/api/domains/check')
+                .send({ urls: ['https://www.rumors.example/new-story', 'bad link'] })
+                .expect(200);
+            expect(check.body.data[0]).toMatchObject({ host: 'rumors.example', reputation: { poorRecord: true } });
+            expect(check.body.data[1].error).toContain('Invalid source URL');
+            
+            const list = await request(app).get(`/api/news?sourceDomain=www.rumors.example&authorId=${userIds.author}`).expect(200);
+            expect(list.body.data.pagination.total).toBe(4);
+        });
+        
+        it('管理员可以覆盖网站评级', async () => {
+            await submitNews(['daily.example/a'], NEWS_STATUS.FAKE);
+            const domain = await Domain.findOne({ host: 'daily.example' });
+            
+            await request(app)
+                .put(`/api/domains/${domain._id}/rating`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ rating: 'high' })
+                .expect(403);
+            
+            const response = await request(app)
+                .put(`/api/domains/${domain._id}/rating`)
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .send({ rating: 'high', note: '官方通讯社' })
+                .expect(200);
+            expect(response.body.data.reputation).toMatchObject({ computedLevel: 'unrated', level: 'high', overridden: true });
+            
+            const cleared = await request(app)
+                .delete(`/api/domains/${domain._id}/rating`)
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(200);
+            expect(cleared.body.data.reputation).toMatchObject({ level: 'unrated', overridden: false });
+        });
+    });
+});
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const Comment = require('../../models/Comment');
+const FingerprintService = require('../../services/fingerprintService');
+const dbService = require('../../services/dbService');
+
+const STORY = {
+    title: '武汉医生证实每15分钟喝一次热水可以杀死冠状病毒',
+    content: '网传武汉医生证实：每15分钟喝一次热水可以杀死冠状病毒，请转发给家人朋友。'
+};
+const REWORDED = {
+    title: '紧急！武汉医生证实：每15分钟喝一次热水可以杀死冠状病毒',
+    content: '网传武汉医生证实：每15分钟喝一次热水可以杀死冠状病毒，请马上转发给家人朋友！'
+};
+
+describe('重复新闻测试', () => {
+    describe('指纹相似度', () => {
+        it('改写过的同一条新闻相似度高，无关新闻相似度低', () => {
+            const story = FingerprintService.fingerprint(STORY.title, STORY.content);
+            const reworded = FingerprintService.fingerprint(REWORDED.title, REWORDED.content);
+            const other = FingerprintService.fingerprint('本市通过明年道路维修预算', '市议会通过了明年道路维修和学校修缮的新预算。');
+            
+            expect(FingerprintService.similarity(story.fingerprint, reworded.fingerprint)).toBeGreaterThanOrEqual(0.5);
+            expect(FingerprintService.similarity(story.fingerprint, other.fingerprint)).toBeLessThan(0.2);
+            expect(story.fingerprintBands.some(band => reworded.fingerprintBands.includes(band))).toBe(true);
+        });
+        
+        it('标点、大小写和全角字符不影响指纹', () => {
+            const a = FingerprintService.fingerprint('Hot water kills the virus', 'Doctors confirm it.');
+            const b = FingerprintService.fingerprint('HOT WATER — kills the virus!', 'Ｄoctors confirm it');
+            
+            expect(FingerprintService.similarity(a.fingerprint, b.fingerprint)).toBe(1);
+            expect(FingerprintService.similarity(a.fingerprint, [1, 2, 3])).toBe(0);
+        });
+    });
+    
+    describe('重复新闻API', () => {
+        const accounts = ['admin', 'author', 'voter'].map(name => ({
+            firstName: '重复',
+            lastName: name,
+            email: `duplicate_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        
+        const submitNews = async (token, text) => {
+            const response = await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${token}`)
+                .send(text)
+                .expect(201);
+            return response.body.data;
+        };
+        
+        const vote = (name, newsId, voteResult) => request(app)
+            .post('/api/vote')
+            .set('Authorization', `Bearer ${tokens[name]}`)
+            .send({ newsId, voteResult })
+            .expect(201);
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateMany({ email: { $in: emails } }, { role: ROLES.MEMBER, isEmailVerified: true });
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空测试用户的新闻和投票
+        beforeEach(async () => {
+            const ids = Object.values(userIds);
+            await News.deleteMany({ authorId: { $in: ids } }).setOptions({ withDeleted: true });
+            await Vote.deleteMany({ userId: { $in: ids } });
+            await Comment.deleteMany({ userId: { $in: ids } });
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                const ids = Object.values(userIds);
+                await News.deleteMany({ authorId: { $in: ids } }).setOptions({ withDeleted: true });
+                await Vote.deleteMany({ userId: { $in: ids } });
+                await Comment.deleteMany({ userId: { $in: ids } });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('提交相似的新闻时应该返回可能重复的已有新闻', async () => {
+            const original = await submitNews(tokens.admin, STORY);
+            const duplicate = await submitNews(tokens.author, REWORDED);
+            
+            expect(duplicate.possibleDuplicates[0]).toMatchObject({ _id: original._id, title: STORY.title });
+            expect(duplicate.possibleDuplicates[0].similarity).toBeGreaterThanOrEqual(0.5);
+            expect(duplicate).not.toHaveProperty('fingerprint');
+            
+            const check = await request(app)
+                .post('/api/news/duplicates/check')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '本市通过明年道路维修预算', content: '市议会通过了明年道路维修和学校修缮的新预算。' })
+                .expect(200);
+            expect(check.body.data).toEqual([]);
+        });
+        
+        it('管理员合并时应该按用户去重投票、移动评论并跳转旧ID', async () => {
+            const canonical = await submitNews(tokens.admin, STORY);
+            const duplicate = await submitNews(tokens.author, REWORDED);
+            
+            // voter 两条都投了票，合并后只保留保留新闻上的票
+            await vote('voter', canonical._id, VOTE_RESULTS.FAKE);
+            await vote('voter', duplicate._id, VOTE_RESULTS.NOT_FAKE);
+            await vote('admin', duplicate._id, VOTE_RESULTS.FAKE);
+            await Comment.create({ newsId: duplicate._id, userId: userIds.voter, content: '这条和另一条是同一个谣言' });
+            
+            await request(app)
+                .post(`/api/news/${canonical._id}/merge`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ duplicateId: duplicate._id })
+                .expect(403);
+            
+            const response = await request(app)
+                .post(`/api/news/${canonical._id}/merge`)
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .send({ duplicateId: duplicate._id })
+                .expect(200);
+            expect(response.body.data).toMatchObject({ votesMoved: 1, votesDropped: 1, comments: 1 });
+            
+            const votes = await Vote.find({ newsId: canonical._id }).lean();
+            expect(votes).toHaveLength(2);
+            expect(votes.find(item => item.userId.toString() === userIds.voter).voteResult).toBe(VOTE_RESULTS.FAKE);
+            expect(await Comment.countDocuments({ newsId: canonical._id })).toBe(1);
+            
+            const merged = await News.findById(canonical._id);
+            expect(merged.fakeVoteCount).toBe(2);
+            
+            const redirect = await request(app).get(`/api/news/${duplicate._id}`).expect(308);
+            expect(redirect.headers.location).toBe(`/api/news/${canonical._id}`);
+        });
+        
+        it('作者只能把尚无投票的新闻关联到已有新闻', async () => {
+            const existing = await submitNews(tokens.admin, STORY);
+            const own = await submitNews(tokens.author, REWORDED);
+            
+            await vote('voter', own._id, VOTE_RESULTS.FAKE);
+            await request(app)
+                .post(`/api/news/${own._id}/duplicate-of`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ targetId: existing._id })
+                .expect(409);
+            
+            const fresh = await submitNews(tokens.author, { ...REWORDED, title: `${REWORDED.title}（转发）` });
+            await request(app)
+                .post(`/api/news/${fresh._id}/duplicate-of`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ targetId: existing._id })
+                .expect(200);
+            
+            expect(await News.exists({ _id: fresh._id })).toBeNull();
+            const target = await News.findById(existing._id);
+            expect(target.mergedIds.map(String)).toContain(fresh._id);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote } = require('../../models/Vote');
+const { VoteHistory } = require('../../models/VoteHistory');
+const Comment = require('../../models/Comment');
+const NewsEventService = require('../../services/newsEventService');
+const dbService = require('../../services/dbService');
+
+const { NEWS_EVENTS, InProcessBroadcaster } = NewsEventService;
+
+// 等待已发布的事件送达订阅者
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('新闻实时事件测试', () => {
+    describe('事件服务', () => {
+        it('应该把事件推送给订阅了该新闻的监听者', async () => {
+            const received = [];
+            const unsubscribe = NewsEventService.subscribe('news-a', null, event => received.push(event));
+            
+            NewsEventService.publish('news-a', NEWS_EVENTS.VOTES, { totalCount: 1 });
+            NewsEventService.publish('news-b', NEWS_EVENTS.VOTES, { totalCount: 2 });
+            await flush();
+            unsubscribe();
+            
+            NewsEventService.publish('news-a', NEWS_EVENTS.VOTES, { totalCount: 3 });
+            await flush();
+            
+            expect(received.map(event => event.data)).toEqual([{ totalCount: 1 }]);
+        });
+        
+        it('重连时应该补发Last-Event-ID之后的事件，事件已不可用时要求重新加载', async () => {
+            const first = [];
+            const unsubscribe = NewsEventService.subscribe('news-c', null, event => first.push(event));
+            NewsEventService.publish('news-c', NEWS_EVENTS.COMMENT_CREATED, { _id: 'c1' });
+            NewsEventService.publish('news-c', NEWS_EVENTS.COMMENT_DELETED, { commentId: 'c1' });
+            await flush();
+            unsubscribe();
+            
+            const replayed = [];
+            NewsEventService.subscribe('news-c', first[0].id, event => replayed.push(event))();
+            expect(replayed.map(event => event.type)).toEqual([NEWS_EVENTS.COMMENT_DELETED]);
+            
+            const unknown = [];
+            NewsEventService.subscribe('news-c', 'unknown-id', event => unknown.push(event))();
+            expect(unknown.map(event => event.type)).toEqual([NEWS_EVENTS.RESYNC]);
+        });
+        
+        it('应该可以替换广播器', async () => {
+            const published = [];
+            const broadcaster = new InProcessBroadcaster();
+            const originalPublish = broadcaster.publish.bind(broadcaster);
+            broadcaster.publish = async (event) => {
+                published.push(event);
+                await originalPublish(event);
+            };
+            
+            NewsEventService.setBroadcaster(broadcaster);
+            try {
+                const received = [];
+                const unsubscribe = NewsEventService.subscribe('news-d', null, event => received.push(event));
+                NewsEventService.publish('news-d', NEWS_EVENTS.STATUS, { status: 'Fake' });
+                await flush();
+                unsubscribe();
+                
+                expect(published).toHaveLength(1);
+                expect(received.map(event => event.id)).toEqual([published[0].id]);
+            } finally {
+                NewsEventService.setBroadcaster(new InProcessBroadcaster());
+            }
+        });
+        
+        it('应该按照Server-Sent Events格式序列化事件', () => {
+            const frame = NewsEventService.formatEvent({ id: '1-1', type: NEWS_EVENTS.VOTES, data: { totalCount: 1 } });
+            expect(frame).toBe('id: 1-1\nevent: votes\ndata: {"totalCount":1}\n\n');
+            
+            expect(NewsEventService.formatEvent({ type: NEWS_EVENTS.RESYNC, data: {} })).toBe('event: resync\ndata: {}\n\n');
+        });
+    });
+    
+    describe('事件流API', () => {
+        const testUser = {
+            firstName: '实时',
+            lastName: '用户',
+            email: 'events_test@example.com',
+            password: 'password123'
+        };
+        
+        let server;
+        let authToken;
+        let userId;
+        let news;
+        
+        // 打开新闻的事件流，读取到包含指定文本的内容为止
+        const readStream = (path, headers, until) => new Promise((resolve, reject) => {
+            const req = http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+                    if (until(body)) {
+                        req.destroy();
+                        resolve({ status: res.statusCode, headers: res.headers, body });
+                    }
+                });
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+            });
+            req.on('error', reject);
+        });
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: testUser.email });
+                
+                const response = await request(app).post('/api/users/register').send(testUser);
+                authToken = response.body.data.token;
+                userId = response.body.data.user.id;
+                await User.updateOne({ _id: userId }, { isEmailVerified: true });
+                
+                news = await News.create({
+                    title: '实时事件测试新闻标题',
+                    content: '这是一条用于测试实时事件推送的新闻内容。',
+                    authorId: userId
+                });
+                
+                server = app.listen(0);
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                server?.close();
+                await Comment.deleteMany({ newsId: news._id });
+                await VoteHistory.deleteMany({ newsId: news._id });
+                await Vote.deleteMany({ newsId: news._id });
+                await News.deleteMany({ _id: news._id });
+                await User.deleteMany({ email: testUser.email });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('投票和评论应该推送到新闻的事件流', async () => {
+            const stream = readStream(`/api/news/${news._id}/events`, {}, body => body.includes('event: comment.created'));
+            
+            // 等待连接建立后再投票和评论
+            await new Promise(resolve => setTimeout(resolve, 200));
+            await request(app)
+                .post('/api/vote')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ newsId: news._id, voteResult: 'Fake' })
+                .expect(201);
+            await request(app)
+                .post('/api/comments')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ newsId: news._id, content: '实时推送的评论' })
+                .expect(201);
+            
+            const { status, headers, body } = await stream;
+            expect(status).toBe(200);
+            expect(headers['content-type']).toMatch(/text\/event-stream/);
+            expect(body).toMatch(/event: votes\ndata: .*"fakeCount":1/);
+            expect(body).toContain('实时推送的评论');
+        });
+        
+        it('携带Last-Event-ID重连时应该补发错过的事件', async () => {
+            const received = [];
+            const unsubscribe = NewsEventService.subscribe(news._id, null, event => received.push(event));
+            
+            await request(app)
+                .delete(`/api/vote/${news._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            await request(app)
+                .post('/api/comments')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ newsId: news._id, content: '断线期间的评论' })
+                .expect(201);
+            await flush();
+            unsubscribe();
+            
+            // 从撤销投票的事件之后补发
+            expect(received[0].type).toBe(NEWS_EVENTS.VOTES);
+            const { body } = await readStream(
+                `/api/news/${news._id}/events`,
+                { 'Last-Event-ID': received[0].id },
+                text => text.includes('event: comment.created') || text.includes('event: resync')
+            );
+            expect(body).toContain('断线期间的评论');
+            expect(body).not.toContain('event: resync');
+        });
+        
+        it('不存在的新闻应该返回404', async () => {
+            await request(app).get('/api/news/64b7f0c2a1b2c3d4e5f60718/events').expect(404);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const dbService = require('../../services/dbService');
+
+describe('新闻多条件筛选API测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '筛选',
+        lastName: '测试用户',
+        email: 'news_filter_test@example.com',
+        password: 'password123'
+    };
+
+    let authorId = null;
+    let authToken = '';
+
+    const listNews = (queryString) => request(app)
+        .get(`/api/news?authorId=${authorId}&${queryString}`)
+        .expect(200);
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+
+            const response = await request(app).post('/api/users/register').send(testUser);
+            authToken = response.body.data.token;
+            authorId = response.body.data.user.id;
+
+            await News.create([
+                {
+                    title: '筛选测试：票数最多的新闻',
+                    content: '这是一条票数很多但意见一致的新闻内容。',
+                    authorId,
+                    fakeVoteCount: 30,
+                    notFakeVoteCount: 0,
+                    status: NEWS_STATUS.FAKE,
+                    createdAt: new Date('2024-01-15T00:00:00Z')
+                },
+                {
+                    title: '筛选测试：争议最大的新闻',
+                    content: '这是一条正反票数接近的新闻内容。',
+                    authorId,
+                    fakeVoteCount: 10,
+                    notFakeVoteCount: 9,
+                    createdAt: new Date('2024-02-10T00:00:00Z')
+                },
+                {
+                    title: '筛选测试：没有投票的新闻',
+                    content: '这是一条还没有人投票的新闻内容。',
+                    authorId,
+                    createdAt: new Date('2024-02-20T00:00:00Z')
+                }
+            ]);
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await News.deleteMany({ authorId });
+            await User.deleteOne({ email: testUser.email });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('应该返回各状态和各月份的数量', async () => {
+        const response = await listNews('status=Pending');
+
+        expect(response.body.data.pagination.total).toBe(2);
+        // 状态分面不受状态筛选影响
+        expect(response.body.data.facets.status).toEqual({ Fake: 1, 'Not Fake': 0, Pending: 2 });
+        expect(response.body.data.facets.month).toEqual([{ month: '2024-02', count: 2 }]);
+    });
+
+    it('应该按日期、票数和假新闻比例筛选', async () => {
+        const byDate = await listNews('dateFrom=2024-02-01&dateTo=2024-02-10');
+        expect(byDate.body.data.items.map(item => item.title)).toEqual(['筛选测试：争议最大的新闻']);
+
+        const byVotes = await listNews('minVotes=20');
+        expect(byVotes.body.data.items.map(item => item.title)).toEqual(['筛选测试：票数最多的新闻']);
+
+        const byPercentage = await listNews('minFakePercentage=40&maxFakePercentage=60');
+        expect(byPercentage.body.data.items.map(item => item.title)).toEqual(['筛选测试：争议最大的新闻']);
+    });
+
+    it('应该支持按票数和争议程度排序', async () => {
+        const mostVoted = await listNews('sortBy=mostVoted');
+        expect(mostVoted.body.data.items[0].title).toBe('筛选测试：票数最多的新闻');
+
+        const mostControversial = await listNews('sortBy=mostControversial');
+        expect(mostControversial.body.data.items[0].title).toBe('筛选测试：争议最大的新闻');
+    });
+
+    it('按自己的活动筛选应该需要登录', async () => {
+        await request(app).get('/api/news?votedByMe=true').expect(401);
+
+        const response = await request(app)
+            .get('/api/news?votedByMe=true')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(response.body.data.items).toEqual([]);
+    });
+
+    it('应该拒绝无效的筛选参数', async () => {
+        await request(app).get('/api/news?minFakePercentage=150').expect(400);
+        await request(app).get('/api/news?dateFrom=yesterday').expect(400);
+        await request(app).get('/api/news?sortBy=random').expect(400);
+    });
+});
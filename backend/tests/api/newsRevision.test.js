@@ -0,0 +1,178 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const { VoteHistory } = require('../../models/VoteHistory');
+const { NewsRevision } = require('../../models/NewsRevision');
+const RevisionService = require('../../services/revisionService');
+const dbService = require('../../services/dbService');
+
+describe('新闻修订历史API测试', () => {
+    // 测试数据：一名作者和一名投票用户
+    const accounts = ['author', 'voter'].map(name => ({
+        firstName: '修订',
+        lastName: name,
+        email: `revision_${name}_test@example.com`,
+        password: 'password123'
+    }));
+    const emails = accounts.map(account => account.email);
+    
+    const tokens = {};
+    const userIds = {};
+    const newsIds = [];
+    const originalPolicy = config.revisions.votePolicy;
+    
+    const createNews = async (data = {}) => {
+        const news = await News.create({
+            title: '修订测试新闻标题',
+            content: 'The city council approved the new budget on Monday.',
+            authorId: userIds.author,
+            ...data
+        });
+        newsIds.push(news._id);
+        return news;
+    };
+    
+    // 为新闻添加一张已计入计数的投票
+    const addVote = async (news) => {
+        await Vote.create({ userId: userIds.voter, newsId: news._id, voteResult: VOTE_RESULTS.FAKE, weight: 1 });
+        await News.updateOne({ _id: news._id }, { $inc: { fakeVoteCount: 1, weightedFakeScore: 1 } });
+    };
+    
+    const editNews = (news, data) => request(app)
+        .put(`/api/news/${news._id}`)
+        .set('Authorization', `Bearer ${tokens.author}`)
+        .send(data);
+    
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+            
+            for (const account of accounts) {
+                const response = await request(app).post('/api/users/register').send(account);
+                tokens[account.lastName] = response.body.data.token;
+                userIds[account.lastName] = response.body.data.user.id;
+            }
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+    
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            config.revisions.votePolicy = originalPolicy;
+            
+            await NewsRevision.deleteMany({ newsId: { $in: newsIds } });
+            await VoteHistory.deleteMany({ newsId: { $in: newsIds } });
+            await Vote.deleteMany({ newsId: { $in: newsIds } });
+            await News.deleteMany({ _id: { $in: newsIds } });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+    
+    it('未编辑的新闻应该只有原始版本', async () => {
+        const news = await createNews();
+        
+        const response = await request(app).get(`/api/news/${news._id}/revisions`).expect(200);
+        expect(response.body.data.currentRevision).toBe(1);
+        expect(response.body.data.revisions.map(revision => revision.revision)).toEqual([1]);
+        
+        await request(app).get(`/api/news/${news._id}/revisions/2`).expect(404);
+    });
+    
+    it('每次编辑都应该保存修订版本并可以查看任意两个版本的差异', async () => {
+        const news = await createNews();
+        
+        await editNews(news, { content: 'The city council approved the new budget on Tuesday.' }).expect(200);
+        await editNews(news, { title: '修订测试新闻标题（更新）' }).expect(200);
+        
+        const list = await request(app).get(`/api/news/${news._id}/revisions`).expect(200);
+        expect(list.body.data.currentRevision).toBe(3);
+        expect(list.body.data.revisions.map(revision => revision.revision)).toEqual([1, 2, 3]);
+        
+        const original = await request(app).get(`/api/news/${news._id}/revisions/1`).expect(200);
+        expect(original.body.data.content).toBe('The city council approved the new budget on Monday.');
+        
+        const diff = await request(app).get(`/api/news/${news._id}/revisions/diff?from=1&to=2`).expect(200);
+        expect(diff.body.data.content).toEqual([
+            { type: 'equal', text: 'The city council approved the new budget on ' },
+            { type: 'delete', text: 'Monday.' },
+            { type: 'insert', text: 'Tuesday.' }
+        ]);
+        
+        // 默认比较最新的一次修改
+        const latest = await request(app).get(`/api/news/${news._id}/revisions/diff`).expect(200);
+        expect(latest.body.data.from.revision).toBe(2);
+        expect(latest.body.data.to.revision).toBe(3);
+        expect(latest.body.data.title.map(segment => segment.type)).toEqual(['equal', 'insert']);
+    });
+    
+    it('投票后大幅修改内容应该标记新闻', async () => {
+        config.revisions.votePolicy = 'flag';
+        const news = await createNews();
+        await addVote(news);
+        
+        // 小幅修改不触发策略
+        const minor = await editNews(news, { content: 'The city council approved the new budget on Monday evening.' }).expect(200);
+        expect(minor.body.data.edit.votePolicy).toBeNull();
+        expect(minor.body.data.contentChangedAfterVotes).toBe(false);
+        
+        const major = await editNews(news, { content: 'The mayor vetoed every spending plan and dissolved the council.' }).expect(200);
+        expect(major.body.data.edit.votePolicy).toBe('flag');
+        expect(major.body.data.contentChangedAfterVotes).toBe(true);
+        expect(major.body.data.fakeVoteCount).toBe(1);
+    });
+    
+    it('重置策略应该移除修改前的投票', async () => {
+        config.revisions.votePolicy = 'reset';
+        const news = await createNews();
+        await addVote(news);
+        
+        const response = await editNews(news, { content: 'The mayor vetoed every spending plan and dissolved the council.' }).expect(200);
+        expect(response.body.data.edit.votePolicy).toBe('reset');
+        expect(response.body.data.edit.votesReset).toBe(1);
+        expect(response.body.data.fakeVoteCount).toBe(0);
+        expect(response.body.data.status).toBe(NEWS_STATUS.PENDING);
+        
+        expect(await Vote.countDocuments({ newsId: news._id })).toBe(0);
+        const history = await VoteHistory.find({ newsId: news._id });
+        expect(history.map(entry => entry.action)).toEqual(['reset']);
+    });
+    
+    it('隐藏新闻的修订历史只对作者可见，无效版本号应该被拒绝', async () => {
+        const news = await createNews({ isHidden: true });
+        
+        await request(app).get(`/api/news/${news._id}/revisions`).expect(404);
+        await request(app)
+            .get(`/api/news/${news._id}/revisions`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(200);
+        
+        await request(app)
+            .get(`/api/news/${news._id}/revisions/diff?from=0`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(400);
+    });
+    
+    it('词级差异应该把中文按字比较并忽略空白的变化比例', () => {
+        const diff = RevisionService.diffWords('今天天气很好', '今天天气不好');
+        expect(diff.segments).toEqual([
+            { type: 'equal', text: '今天天气' },
+            { type: 'delete', text: '很' },
+            { type: 'insert', text: '不' },
+            { type: 'equal', text: '好' }
+        ]);
+        expect(diff.changedWords).toBe(2);
+        
+        expect(RevisionService.diffWords('same text', 'same  text').changeRatio).toBe(0);
+        expect(RevisionService.diffWords('', 'new words').changeRatio).toBe(1);
+    });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const { NewsRevision } = require('../../models/NewsRevision');
+const { Report } = require('../../models/Report');
+const Comment = require('../../models/Comment');
+const TrashService = require('../../services/trashService');
+const dbService = require('../../services/dbService');
+
+describe('新闻回收站API测试', () => {
+    // 测试数据：一名管理员、一名作者和一名投票用户
+    const accounts = ['admin', 'author', 'voter'].map(name => ({
+        firstName: '回收站',
+        lastName: name,
+        email: `trash_${name}_test@example.com`,
+        password: 'password123'
+    }));
+    const emails = accounts.map(account => account.email);
+    
+    const tokens = {};
+    const userIds = {};
+    const newsIds = [];
+    
+    const createNews = async (data = {}) => {
+        const news = await News.create({
+            title: '回收站测试新闻标题',
+            content: '这是一条用于测试回收站的新闻内容。',
+            authorId: userIds.author,
+            ...data
+        });
+        newsIds.push(news._id);
+        return news;
+    };
+    
+    const asAdmin = req => req.set('Authorization', `Bearer ${tokens.admin}`);
+    
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+            
+            for (const account of accounts) {
+                const response = await request(app).post('/api/users/register').send(account);
+                tokens[account.lastName] = response.body.data.token;
+                userIds[account.lastName] = response.body.data.user.id;
+            }
+            
+            await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+    
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Report.deleteMany({ reporterId: { $in: Object.values(userIds) } });
+            await Comment.deleteMany({ newsId: { $in: newsIds } });
+            await NewsRevision.deleteMany({ newsId: { $in: newsIds } });
+            await Vote.deleteMany({ newsId: { $in: newsIds } });
+            await News.deleteMany({ _id: { $in: newsIds } });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+    
+    it('删除的新闻应该进入回收站并从列表和详情中消失', async () => {
+        const news = await createNews();
+        
+        const response = await asAdmin(request(app).delete(`/api/news/${news._id}`)).expect(200);
+        expect(response.body.data).toHaveProperty('purgeAt');
+        
+        await request(app).get(`/api/news/${news._id}`).expect(404);
+        const list = await request(app).get('/api/news?pageSize=100').expect(200);
+        expect(list.body.data.items.map(item => item._id)).not.toContain(String(news._id));
+        
+        // 文档仍然保留在数据库中
+        const stored = await News.findById(news._id).setOptions({ withDeleted: true });
+        expect(stored.isDeleted).toBe(true);
+        expect(String(stored.deletedBy)).toBe(userIds.admin);
+        
+        const trash = await asAdmin(request(app).get('/api/news/trash')).expect(200);
+        expect(trash.body.data.items.map(item => item._id)).toContain(String(news._id));
+        expect(trash.body.data.retentionDays).toBe(config.trash.retentionDays);
+    });
+    
+    it('恢复的新闻应该重新可见', async () => {
+        const news = await createNews();
+        await asAdmin(request(app).delete(`/api/news/${news._id}`)).expect(200);
+        
+        await asAdmin(request(app).put(`/api/news/${news._id}/restore`)).expect(200);
+        await request(app).get(`/api/news/${news._id}`).expect(200);
+        
+        // 不在回收站中的新闻不能再次恢复
+        await asAdmin(request(app).put(`/api/news/${news._id}/restore`)).expect(404);
+    });
+    
+    it('永久删除应该一并清理投票、评论、修订版本和举报', async () => {
+        const news = await createNews();
+        await Vote.create({ userId: userIds.voter, newsId: news._id, voteResult: VOTE_RESULTS.FAKE, weight: 1 });
+        const comment = await Comment.create({ userId: userIds.voter, newsId: news._id, content: '一条评论' });
+        await Report.create({ targetType: 'comment', targetId: comment._id, reporterId: userIds.voter, reason: 'spam' });
+        await NewsRevision.create({ newsId: news._id, revision: 1, title: news.title, content: news.content, editorId: userIds.author });
+        
+        // 只能永久删除回收站中的新闻
+        await asAdmin(request(app).delete(`/api/news/${news._id}/purge`)).expect(404);
+        
+        await asAdmin(request(app).delete(`/api/news/${news._id}`)).expect(200);
+        const response = await asAdmin(request(app).delete(`/api/news/${news._id}/purge`)).expect(200);
+        expect(response.body.data).toMatchObject({ votes: 1, comments: 1, revisions: 1, reports: 1 });
+        
+        expect(await News.exists({ _id: news._id }).setOptions({ withDeleted: true })).toBeNull();
+        expect(await Vote.countDocuments({ newsId: news._id })).toBe(0);
+        expect(await Comment.countDocuments({ newsId: news._id })).toBe(0);
+        expect(await Report.countDocuments({ targetId: comment._id })).toBe(0);
+    });
+    
+    it('超过保留期的新闻应该被自动清除', async () => {
+        const expired = await createNews({ isDeleted: true, deletedAt: new Date(Date.now() - (config.trash.retentionDays + 1) * 24 * 60 * 60 * 1000) });
+        const recent = await createNews({ isDeleted: true, deletedAt: new Date() });
+        
+        const response = await asAdmin(request(app).post('/api/news/trash/purge')).expect(200);
+        expect(response.body.data.purged.map(item => String(item.newsId))).toContain(String(expired._id));
+        
+        expect(await News.exists({ _id: expired._id }).setOptions({ withDeleted: true })).toBeNull();
+        expect(await News.exists({ _id: recent._id }).setOptions({ withDeleted: true })).not.toBeNull();
+    });
+    
+    it('非管理员不能访问回收站', async () => {
+        const news = await createNews({ isDeleted: true, deletedAt: new Date() });
+        
+        await request(app)
+            .get('/api/news/trash')
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(403);
+        await request(app)
+            .put(`/api/news/${news._id}/restore`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(403);
+        await request(app)
+            .delete(`/api/news/${news._id}/purge`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(403);
+    });
+    
+    it('清除时间应该是删除时间加上保留天数', () => {
+        const deletedAt = new Date('2024-01-01T00:00:00Z');
+        const purgeAt = TrashService.purgeDate(deletedAt);
+        expect(purgeAt.getTime() - deletedAt.getTime()).toBe(config.trash.retentionDays * 24 * 60 * 60 * 1000);
+    });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Notification, NOTIFICATION_TYPES } = require('../../models/Notification');
+const Comment = require('../../models/Comment');
+const dbService = require('../../services/dbService');
+
+describe('通知API测试', () => {
+    // 测试数据：一名管理员、一名作者和一名评论用户
+    const accounts = ['admin', 'author', 'replier'].map(name => ({
+        firstName: '通知',
+        lastName: name,
+        email: `notification_${name}_test@example.com`,
+        password: 'password123'
+    }));
+    const emails = accounts.map(account => account.email);
+    
+    const tokens = {};
+    const userIds = {};
+    let news;
+    
+    const as = (name, req) => req.set('Authorization', `Bearer ${tokens[name]}`);
+    
+    const notificationsOf = (name, type) => Notification.find({ userId: userIds[name], type });
+    
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+            
+            for (const account of accounts) {
+                const response = await request(app).post('/api/users/register').send(account);
+                tokens[account.lastName] = response.body.data.token;
+                userIds[account.lastName] = response.body.data.user.id;
+            }
+            
+            await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            await User.updateMany({ email: { $in: emails } }, { isEmailVerified: true });
+            
+            news = await News.create({
+                title: '通知测试新闻标题',
+                content: '这是一条用于测试通知的新闻内容。',
+                authorId: userIds.author
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+    
+    // 每个测试前清空通知
+    beforeEach(async () => {
+        await Notification.deleteMany({ userId: { $in: Object.values(userIds) } });
+    });
+    
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Notification.deleteMany({ userId: { $in: Object.values(userIds) } });
+            await Comment.deleteMany({ newsId: news._id });
+            await News.deleteMany({ _id: news._id });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+    
+    it('管理员修改新闻状态时应该通知作者', async () => {
+        await as('admin', request(app).put(`/api/news/${news._id}/status`))
+            .send({ status: 'Fake' })
+            .expect(200);
+        
+        const [notification] = await notificationsOf('author', NOTIFICATION_TYPES.NEWS_STATUS);
+        expect(notification.data).toMatchObject({ status: 'Fake', previousStatus: 'Pending' });
+        expect(String(notification.actorId)).toBe(userIds.admin);
+        
+        // 状态没有变化时不再通知
+        await as('admin', request(app).put(`/api/news/${news._id}/status`))
+            .send({ status: 'Fake' })
+            .expect(200);
+        expect(await notificationsOf('author', NOTIFICATION_TYPES.NEWS_STATUS)).toHaveLength(1);
+    });
+    
+    it('回复评论时应该通知被回复的用户，回复自己的评论则不通知', async () => {
+        const parent = await as('author', request(app).post('/api/comments'))
+            .send({ newsId: news._id, content: '作者的评论' })
+            .expect(201);
+        
+        await as('replier', request(app).post('/api/comments'))
+            .send({ newsId: news._id, content: '别人的回复', parentId: parent.body.data._id })
+            .expect(201);
+        await as('author', request(app).post('/api/comments'))
+            .send({ newsId: news._id, content: '自己的回复', parentId: parent.body.data._id })
+            .expect(201);
+        
+        const notifications = await notificationsOf('author', NOTIFICATION_TYPES.COMMENT_REPLY);
+        expect(notifications).toHaveLength(1);
+        expect(String(notifications[0].actorId)).toBe(userIds.replier);
+    });
+    
+    it('管理员删除评论时应该通知评论作者', async () => {
+        const comment = await Comment.create({ userId: userIds.replier, newsId: news._id, content: '将被删除的评论' });
+        
+        await as('admin', request(app).delete(`/api/comments/${comment._id}`)).expect(200);
+        
+        const [notification] = await notificationsOf('replier', NOTIFICATION_TYPES.COMMENT_DELETED);
+        expect(String(notification.commentId)).toBe(String(comment._id));
+    });
+    
+    it('关闭的通知类型不应该再发送', async () => {
+        const response = await as('replier', request(app).put('/api/notifications/preferences'))
+            .send({ [NOTIFICATION_TYPES.ROLE_CHANGED]: false })
+            .expect(200);
+        expect(response.body.data[NOTIFICATION_TYPES.ROLE_CHANGED]).toBe(false);
+        expect(response.body.data[NOTIFICATION_TYPES.COMMENT_REPLY]).toBe(true);
+        
+        await as('admin', request(app).put(`/api/users/${userIds.replier}/role`))
+            .send({ role: ROLES.MEMBER })
+            .expect(200);
+        expect(await notificationsOf('replier', NOTIFICATION_TYPES.ROLE_CHANGED)).toHaveLength(0);
+    });
+    
+    it('应该拒绝未知的通知类型和非布尔值', async () => {
+        await as('author', request(app).put('/api/notifications/preferences'))
+            .send({ unknown_type: false })
+            .expect(400);
+        await as('author', request(app).put('/api/notifications/preferences'))
+            .send({ [NOTIFICATION_TYPES.NEWS_STATUS]: 'no' })
+            .expect(400);
+    });
+    
+    it('应该可以查看通知并标记为已读', async () => {
+        const [first, second] = await Notification.create([
+            { userId: userIds.author, type: NOTIFICATION_TYPES.COMMENT_REPLY },
+            { userId: userIds.author, type: NOTIFICATION_TYPES.NEWS_STATUS }
+        ]);
+        
+        const list = await as('author', request(app).get('/api/notifications')).expect(200);
+        expect(list.body.data.items).toHaveLength(2);
+        expect(list.body.data.unreadCount).toBe(2);
+        
+        const read = await as('author', request(app).put(`/api/notifications/${first._id}/read`)).expect(200);
+        expect(read.body.data.notification.isRead).toBe(true);
+        expect(read.body.data.unreadCount).toBe(1);
+        
+        const unread = await as('author', request(app).get('/api/notifications?unreadOnly=true')).expect(200);
+        expect(unread.body.data.items.map(item => item._id)).toEqual([String(second._id)]);
+        
+        await as('author', request(app).put('/api/notifications/read-all')).expect(200);
+        const count = await as('author', request(app).get('/api/notifications/unread-count')).expect(200);
+        expect(count.body.data.unreadCount).toBe(0);
+    });
+    
+    it('不能标记其他用户的通知', async () => {
+        const notification = await Notification.create({ userId: userIds.author, type: NOTIFICATION_TYPES.COMMENT_REPLY });
+        
+        await as('admin', request(app).put(`/api/notifications/${notification._id}/read`)).expect(404);
+        await request(app).get('/api/notifications').expect(401);
+    });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const CredibilityService = require('../../services/credibilityService');
+const dbService = require('../../services/dbService');
+
+const { CREDIBILITY_LEVELS } = CredibilityService;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('作者可信度和公开资料测试', () => {
+    describe('可信度评分', () => {
+        it('没有判定记录时应该为 0.5，并随判定结果变化', () => {
+            expect(CredibilityService.calculateScore(0, 0)).toBe(0.5);
+            expect(CredibilityService.calculateScore(8, 0)).toBe(0.9);
+            expect(CredibilityService.calculateScore(0, 8)).toBe(0.1);
+        });
+        
+        it('判定数量不足时应该显示为未评级', () => {
+            const { minDecidedNews, highThreshold, lowThreshold } = config.credibility;
+            
+            expect(CredibilityService.getLevel(0.9, minDecidedNews - 1)).toBe(CREDIBILITY_LEVELS.UNRATED);
+            expect(CredibilityService.getLevel(highThreshold, minDecidedNews)).toBe(CREDIBILITY_LEVELS.HIGH);
+            expect(CredibilityService.getLevel(lowThreshold, minDecidedNews)).toBe(CREDIBILITY_LEVELS.MEDIUM);
+            expect(CredibilityService.getLevel(lowThreshold - 0.01, minDecidedNews)).toBe(CREDIBILITY_LEVELS.LOW);
+        });
+    });
+    
+    describe('公开资料API', () => {
+        const accounts = ['admin', 'author', 'reader'].map(name => ({
+            firstName: '资料',
+            lastName: name,
+            email: `profile_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        
+        const createNews = (status, decidedDaysAgo = 0, data = {}) => News.create({
+            title: '可信度测试新闻标题',
+            content: '这是一条用于测试作者可信度的新闻内容。',
+            authorId: userIds.author,
+            status,
+            statusChangedAt: status === NEWS_STATUS.PENDING ? null : new Date(Date.now() - decidedDaysAgo * DAY_MS),
+            ...data
+        });
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空作者的新闻并恢复隐私设置
+        beforeEach(async () => {
+            await News.deleteMany({ authorId: userIds.author });
+            await User.updateOne({ _id: userIds.author }, { $unset: { privacy: 1 } });
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                await News.deleteMany({ authorId: userIds.author });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('未登录用户也可以查看公开资料', async () => {
+            await createNews(NEWS_STATUS.NOT_FAKE);
+            await createNews(NEWS_STATUS.PENDING);
+            
+            const response = await request(app)
+                .get(`/api/users/${userIds.author}/profile`)
+                .expect(200);
+            
+            const profile = response.body.data;
+            expect(profile).not.toHaveProperty('email');
+            expect(profile).not.toHaveProperty('privacy');
+            expect(profile.joinedAt).toBeTruthy();
+            expect(profile.submissions.total).toBe(2);
+            expect(profile.submissions.byStatus).toEqual({ Fake: 0, 'Not Fake': 1, Pending: 1 });
+            expect(profile.submissions.recent).toHaveLength(2);
+            expect(profile.credibility).toMatchObject({ decidedCount: 1, level: CREDIBILITY_LEVELS.UNRATED });
+            expect(profile.votingAccuracy).toMatchObject({ resolvedVotes: 0, accuracy: null });
+        });
+        
+        it('近期的判定应该比很久以前的判定权重更大', async () => {
+            // 很久以前的真实新闻，近期的虚假新闻
+            for (let i = 0; i < 3; i++) {
+                await createNews(NEWS_STATUS.NOT_FAKE, config.credibility.halfLifeDays * 4);
+                await createNews(NEWS_STATUS.FAKE, 1);
+            }
+            
+            const credibility = await CredibilityService.getAuthorCredibility(userIds.author);
+            expect(credibility).toMatchObject({ decidedCount: 6, fakeCount: 3, notFakeCount: 3 });
+            expect(credibility.score).toBeLessThan(config.credibility.lowThreshold);
+            expect(credibility.level).toBe(CREDIBILITY_LEVELS.LOW);
+        });
+        
+        it('应该隐藏用户关闭的资料，但本人和管理员仍可查看', async () => {
+            await createNews(NEWS_STATUS.FAKE);
+            
+            const update = await request(app)
+                .put('/api/users/me')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ privacy: { showSubmissions: false, showJoinDate: false } })
+                .expect(200);
+            expect(update.body.data.privacy).toEqual({ showSubmissions: false, showVotingAccuracy: true, showJoinDate: false });
+            
+            const publicProfile = await request(app)
+                .get(`/api/users/${userIds.author}/profile`)
+                .set('Authorization', `Bearer ${tokens.reader}`)
+                .expect(200);
+            expect(publicProfile.body.data.submissions).toBeNull();
+            expect(publicProfile.body.data.joinedAt).toBeNull();
+            expect(publicProfile.body.data.votingAccuracy).not.toBeNull();
+            // 可信度来自已公开的新闻判定，不受隐私设置影响
+            expect(publicProfile.body.data.credibility.fakeCount).toBe(1);
+            
+            const ownProfile = await request(app)
+                .get(`/api/users/${userIds.author}/profile`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .expect(200);
+            expect(ownProfile.body.data.submissions.total).toBe(1);
+            expect(ownProfile.body.data.privacy.showSubmissions).toBe(false);
+            
+            const adminView = await request(app)
+                .get(`/api/users/${userIds.author}/profile`)
+                .set('Authorization', `Bearer ${tokens.admin}`)
+                .expect(200);
+            expect(adminView.body.data.submissions.total).toBe(1);
+        });
+        
+        it('应该拒绝非布尔值的隐私设置', async () => {
+            await request(app)
+                .put('/api/users/me')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ privacy: { showSubmissions: 'no' } })
+                .expect(400);
+        });
+        
+        it('新闻列表和详情应该包含作者可信度', async () => {
+            const news = await createNews(NEWS_STATUS.NOT_FAKE);
+            
+            const list = await request(app)
+                .get(`/api/news?authorId=${userIds.author}`)
+                .expect(200);
+            expect(list.body.data.items[0].authorCredibility).toMatchObject({ decidedCount: 1, notFakeCount: 1 });
+            
+            const detail = await request(app)
+                .get(`/api/news/${news._id}`)
+                .expect(200);
+            expect(detail.body.data.authorCredibility).toMatchObject({ decidedCount: 1, notFakeCount: 1 });
+        });
+        
+        it('不存在的用户应该返回404', async () => {
+            await request(app)
+                .get('/api/users/507f1f77bcf86cd799439011/profile')
+                .expect(404);
+            await request(app)
+                .get('/api/users/not-an-id/profile')
+                .expect(400);
+        });
+    });
+});
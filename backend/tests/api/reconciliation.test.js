@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const { VoteHistory } = require('../../models/VoteHistory');
+const VoteReconciliationService = require('../../services/voteReconciliationService');
+const dbService = require('../../services/dbService');
+
+describe('投票计数对账测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '对账',
+        lastName: '测试用户',
+        email: 'reconcile_test@example.com',
+        password: 'password123'
+    };
+
+    let authToken = '';
+    let news = null;
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+
+            const response = await request(app).post('/api/users/register').send(testUser);
+            authToken = response.body.data.token;
+            await User.updateOne({ email: testUser.email }, { isEmailVerified: true });
+
+            news = await News.create({
+                title: '对账测试新闻标题',
+                content: '这是一条用于测试投票计数对账的新闻内容。',
+                authorId: response.body.data.user.id
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Vote.deleteMany({ newsId: news._id });
+            await VoteHistory.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteOne({ email: testUser.email });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('投票后计数应该与投票集合一致', async () => {
+        await request(app)
+            .post('/api/vote')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ newsId: news._id, voteResult: VOTE_RESULTS.FAKE })
+            .expect(201);
+
+        const report = await VoteReconciliationService.reconcile({ newsIds: [news._id] });
+
+        expect(report.scanned).toBe(1);
+        expect(report.drifted).toBe(0);
+    });
+
+    it('试运行应该报告偏差但不修改计数', async () => {
+        await News.updateOne({ _id: news._id }, { fakeVoteCount: 5, weightedFakeScore: 5 });
+
+        const report = await VoteReconciliationService.reconcile({ newsIds: [news._id] });
+
+        expect(report.dryRun).toBe(true);
+        expect(report.drifted).toBe(1);
+        expect(report.items[0]).toMatchObject({
+            action: 'would_repair',
+            fakeCountDrift: 4,
+            actual: { fakeCount: 1, notFakeCount: 0 }
+        });
+
+        const unchanged = await News.findById(news._id);
+        expect(unchanged.fakeVoteCount).toBe(5);
+    });
+
+    it('修复模式应该用投票集合的统计覆盖计数', async () => {
+        const report = await VoteReconciliationService.reconcile({ newsIds: [news._id], dryRun: false });
+
+        expect(report.repaired).toBe(1);
+        expect(report.items[0].action).toBe('repaired');
+
+        const repaired = await News.findById(news._id);
+        expect(repaired.fakeVoteCount).toBe(1);
+        expect(repaired.notFakeVoteCount).toBe(0);
+    });
+
+    it('非管理员调用对账接口应该返回403', async () => {
+        await request(app)
+            .post('/api/vote/reconcile')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ dryRun: true })
+            .expect(403);
+    });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { NewsTerm } = require('../../models/NewsTerm');
+const RelatedNewsService = require('../../services/relatedNewsService');
+const TrashService = require('../../services/trashService');
+const dbService = require('../../services/dbService');
+
+describe('相关新闻测试', () => {
+    describe('词项和相似度', () => {
+        it('中文按相邻两个字切分，英文去掉常见词', () => {
+            expect(RelatedNewsService.tokenize('喝热水，The water')).toEqual(['喝热', '热水', 'water']);
+            expect(RelatedNewsService.tokenize('水')).toEqual(['水']);
+        });
+        
+        it('标题中的词权重更高，相同内容的余弦相似度为1', () => {
+            const terms = RelatedNewsService.countTerms('热水', '热水');
+            expect(terms).toEqual([{ term: '热水', count: 3 }]);
+            
+            const weights = RelatedNewsService.weigh(terms, new Map([['热水', 1]]), 10);
+            expect(RelatedNewsService.cosine(weights, weights)).toBeCloseTo(1);
+            expect(RelatedNewsService.cosine(weights, new Map([['预算', 1]]))).toBe(0);
+        });
+    });
+    
+    describe('相关新闻API', () => {
+        const account = {
+            firstName: '相关',
+            lastName: '测试',
+            email: 'related_test@example.com',
+            password: 'password123'
+        };
+        
+        let authToken;
+        let userId;
+        
+        const submitNews = async (title, content, status = NEWS_STATUS.PENDING) => {
+            const response = await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ title, content })
+                .expect(201);
+            
+            if (status !== NEWS_STATUS.PENDING) {
+                await News.updateOne({ _id: response.body.data._id }, { status });
+            }
+            return response.body.data;
+        };
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: account.email });
+                
+                const response = await request(app).post('/api/users/register').send(account);
+                authToken = response.body.data.token;
+                userId = response.body.data.user.id;
+                await User.updateOne({ _id: userId }, { role: ROLES.MEMBER });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空测试用户的新闻
+        beforeEach(async () => {
+            const news = await News.find({ authorId: userId }).select('_id').setOptions({ withDeleted: true });
+            for (const item of news) {
+                await RelatedNewsService.removeNews(item._id);
+            }
+            await News.deleteMany({ authorId: userId }).setOptions({ withDeleted: true });
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                const news = await News.find({ authorId: userId }).select('_id').setOptions({ withDeleted: true });
+                for (const item of news) {
+                    await RelatedNewsService.removeNews(item._id);
+                }
+                await News.deleteMany({ authorId: userId }).setOptions({ withDeleted: true });
+                await User.deleteMany({ email: account.email });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('应该只返回相似的已判定新闻，最相似的在前', async () => {
+            const debunked = await submitNews('喝热水不能杀死冠状病毒', '世卫组织表示，喝热水不能杀死冠状病毒，也不能预防感染。', NEWS_STATUS.FAKE);
+            await submitNews('每天喝热水可以预防冠状病毒感染', '网传每天多喝热水就能预防冠状病毒感染。');
+            await submitNews('本市通过明年道路维修预算', '市议会通过了明年道路维修和学校修缮的新预算。', NEWS_STATUS.NOT_FAKE);
+            const news = await submitNews('医生说喝热水能杀死冠状病毒', '网传医生证实每15分钟喝一次热水可以杀死冠状病毒。');
+            
+            const response = await request(app).get(`/api/news/${news._id}/related`).expect(200);
+            
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toMatchObject({ _id: debunked._id, status: NEWS_STATUS.FAKE });
+            expect(response.body.data[0].sharedTerms).toContain('热水');
+            
+            await request(app).get(`/api/news/${news._id}/related?limit=0`).expect(400);
+        });
+        
+        it('修改新闻时应该更新词项和文档频率', async () => {
+            const news = await submitNews('喝热水不能杀死冠状病毒', '世卫组织表示喝热水不能杀死冠状病毒。');
+            expect((await NewsTerm.findOne({ term: '热水' })).docCount).toBeGreaterThanOrEqual(1);
+            
+            await request(app)
+                .put(`/api/news/${news._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ title: '本市通过明年道路维修预算', content: '市议会通过了明年道路维修和学校修缮的新预算。' })
+                .expect(200);
+            
+            const updated = await News.findById(news._id).select('+terms').lean();
+            const terms = updated.terms.map(item => item.term);
+            expect(terms).toContain('预算');
+            expect(terms).not.toContain('热水');
+        });
+        
+        it('新闻列表不应该返回索引词项和指纹', async () => {
+            const news = await submitNews('喝热水不能杀死冠状病毒', '世卫组织表示喝热水不能杀死冠状病毒。');
+            expect((await News.findById(news._id).select('+terms').lean()).terms.length).toBeGreaterThan(0);
+            
+            const response = await request(app).get(`/api/news?authorId=${userId}`).expect(200);
+            
+            expect(response.body.data.items).toHaveLength(1);
+            response.body.data.items.forEach(item => {
+                expect(item).not.toHaveProperty('terms');
+                expect(item).not.toHaveProperty('fingerprint');
+                expect(item).not.toHaveProperty('fingerprintBands');
+            });
+        });
+        
+        it('移入回收站的新闻应该移出索引，恢复后重新加入', async () => {
+            const debunked = await submitNews('喝热水不能杀死冠状病毒', '世卫组织表示，喝热水不能杀死冠状病毒，也不能预防感染。', NEWS_STATUS.FAKE);
+            const news = await submitNews('医生说喝热水能杀死冠状病毒', '网传医生证实每15分钟喝一次热水可以杀死冠状病毒。');
+            const docCount = (await NewsTerm.findOne({ term: '热水' })).docCount;
+            
+            await TrashService.moveToTrash(debunked._id, { _id: userId });
+            
+            const trashed = await News.findById(debunked._id).select('+terms').setOptions({ withDeleted: true }).lean();
+            expect(trashed.terms).toEqual([]);
+            expect((await NewsTerm.findOne({ term: '热水' })).docCount).toBe(docCount - 1);
+            expect((await request(app).get(`/api/news/${news._id}/related`).expect(200)).body.data).toEqual([]);
+            
+            await TrashService.restore(debunked._id);
+            
+            expect((await NewsTerm.findOne({ term: '热水' })).docCount).toBe(docCount);
+            const related = await request(app).get(`/api/news/${news._id}/related`).expect(200);
+            expect(related.body.data.map(item => item._id)).toEqual([debunked._id]);
+        });
+    });
+});
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const Comment = require('../../models/Comment');
+const { Report } = require('../../models/Report');
+const { ReportResolution } = require('../../models/ReportResolution');
+const dbService = require('../../services/dbService');
+
+describe('举报与处理队列API测试', () => {
+    // 测试数据：一名作者、两名举报人和一名管理员
+    const accounts = ['author', 'reporter1', 'reporter2', 'admin'].map(name => ({
+        firstName: '举报',
+        lastName: name,
+        email: `report_${name}_test@example.com`,
+        password: 'password123'
+    }));
+    const emails = accounts.map(account => account.email);
+
+    const tokens = {};
+    const userIds = {};
+    const originalThreshold = config.reports.hideThreshold;
+    let news = null;
+
+    const report = (name, data) => request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${tokens[name]}`)
+        .send({ reason: 'spam', ...data });
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            config.reports.hideThreshold = 2;
+
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+
+            for (const account of accounts) {
+                const response = await request(app).post('/api/users/register').send(account);
+                tokens[account.lastName] = response.body.data.token;
+                userIds[account.lastName] = response.body.data.user.id;
+            }
+            await User.updateMany({ email: { $in: emails } }, { isEmailVerified: true });
+            await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+
+            news = await News.create({
+                title: '举报测试新闻标题',
+                content: '这是一条用于测试举报功能的新闻内容。',
+                authorId: userIds.author
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            config.reports.hideThreshold = originalThreshold;
+
+            const comments = await Comment.find({ newsId: news._id }).select('_id');
+            const targetIds = [news._id, ...comments.map(comment => comment._id)];
+            await Report.deleteMany({ targetId: { $in: targetIds } });
+            await ReportResolution.deleteMany({ targetId: { $in: targetIds } });
+            await Comment.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('同一用户不能重复举报，也不能举报自己的内容', async () => {
+        const target = { targetType: 'news', targetId: news._id };
+
+        const response = await report('reporter1', { ...target, note: '标题党广告' }).expect(201);
+        expect(response.body.data.hidden).toBe(false);
+
+        await report('reporter1', target).expect(409);
+        await report('author', target).expect(400);
+    });
+
+    it('达到举报阈值后新闻应该被隐藏', async () => {
+        const response = await report('reporter2', { targetType: 'news', targetId: news._id, reason: 'misinformation' }).expect(201);
+        expect(response.body.data.hidden).toBe(true);
+
+        // 普通用户看不到，作者和管理员可以看到
+        await request(app).get(`/api/news/${news._id}`).expect(404);
+        await request(app)
+            .get(`/api/news/${news._id}`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(200);
+
+        const list = await request(app).get(`/api/news?authorId=${userIds.author}`).expect(200);
+        expect(list.body.data.items).toEqual([]);
+    });
+
+    it('被举报隐藏的新闻的评论串和回复只对作者和管理员可见', async () => {
+        const comment = await Comment.create({ userId: userIds.reporter1, newsId: news._id, content: '隐藏新闻下的评论' });
+        const paths = [
+            `/api/comments/news/${news._id}`,
+            `/api/comments/news/${news._id}/threads`,
+            `/api/comments/${comment._id}/replies`,
+            `/api/comments/${comment._id}`
+        ];
+
+        for (const path of paths) {
+            await request(app).get(path).expect(404);
+            await request(app).get(path).set('Authorization', `Bearer ${tokens.reporter1}`).expect(404);
+            await request(app).get(path).set('Authorization', `Bearer ${tokens.author}`).expect(200);
+            await request(app).get(path).set('Authorization', `Bearer ${tokens.admin}`).expect(200);
+        }
+    });
+
+    it('管理员应该在队列中看到被举报的内容并可以驳回', async () => {
+        const queue = await request(app)
+            .get('/api/reports/queue?targetType=news')
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .expect(200);
+
+        const item = queue.body.data.items.find(entry => entry.targetId === news._id.toString());
+        expect(item.reportCount).toBe(2);
+        expect(item.reasons).toEqual({ spam: 1, misinformation: 1 });
+        expect(item.target.title).toBe('举报测试新闻标题');
+
+        const resolved = await request(app)
+            .post(`/api/reports/queue/news/${news._id}/resolve`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .send({ action: 'dismiss', note: '内容正常' })
+            .expect(200);
+        expect(resolved.body.data.reportCount).toBe(2);
+
+        // 驳回后新闻重新可见，举报人可以再次举报
+        await request(app).get(`/api/news/${news._id}`).expect(200);
+        await report('reporter1', { targetType: 'news', targetId: news._id }).expect(201);
+    });
+
+    it('警告作者应该记录处理历史并增加作者的警告次数', async () => {
+        const comment = await Comment.create({ userId: userIds.author, newsId: news._id, content: '一条被举报的评论' });
+        await report('reporter1', { targetType: 'comment', targetId: comment._id, reason: 'abuse' }).expect(201);
+
+        await request(app)
+            .post(`/api/reports/queue/comment/${comment._id}/resolve`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .send({ action: 'warn' })
+            .expect(200);
+
+        const author = await User.findById(userIds.author);
+        expect(author.warningCount).toBe(1);
+
+        const history = await request(app)
+            .get(`/api/reports/history?targetId=${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .expect(200);
+        expect(history.body.data.items.map(entry => entry.action)).toEqual(['warn']);
+
+        // 没有未处理举报时不能再次处理
+        await request(app)
+            .post(`/api/reports/queue/comment/${comment._id}/resolve`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .send({ action: 'delete' })
+            .expect(404);
+    });
+
+    it('被举报隐藏的评论不应该出现在评论列表和评论详情中', async () => {
+        const comment = await Comment.create({ userId: userIds.author, newsId: news._id, content: '一条会被隐藏的评论' });
+        await report('reporter1', { targetType: 'comment', targetId: comment._id }).expect(201);
+        const response = await report('reporter2', { targetType: 'comment', targetId: comment._id }).expect(201);
+        expect(response.body.data.hidden).toBe(true);
+
+        const listIds = async (token) => {
+            const list = request(app).get(`/api/comments/news/${news._id}?pageSize=50`);
+            const result = await (token ? list.set('Authorization', `Bearer ${token}`) : list).expect(200);
+            return result.body.data.items.map(item => item._id);
+        };
+
+        // 普通用户看不到，管理员可以在列表中看到
+        expect(await listIds(null)).not.toContain(comment._id.toString());
+        expect(await listIds(tokens.reporter1)).not.toContain(comment._id.toString());
+        expect(await listIds(tokens.admin)).toContain(comment._id.toString());
+
+        // 评论详情只对作者和管理员可见
+        await request(app).get(`/api/comments/${comment._id}`).expect(404);
+        await request(app)
+            .get(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.reporter1}`)
+            .expect(404);
+        const own = await request(app)
+            .get(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.author}`)
+            .expect(200);
+        expect(own.body.data.content).toBe('一条会被隐藏的评论');
+        await request(app)
+            .get(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${tokens.admin}`)
+            .expect(200);
+    });
+
+    it('同一用户同时提交的重复举报只应该计数一次', async () => {
+        const comment = await Comment.create({ userId: userIds.author, newsId: news._id, content: '一条被同时举报的评论' });
+        const target = { targetType: 'comment', targetId: comment._id };
+
+        const responses = await Promise.all([report('reporter1', target), report('reporter1', target)]);
+        expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+        expect(await Report.countDocuments({ targetId: comment._id })).toBe(1);
+    });
+
+    it('应该拒绝无效的举报参数和非管理员的队列访问', async () => {
+        await report('reporter1', { targetType: 'user', targetId: news._id }).expect(400);
+        await report('reporter1', { targetType: 'news', targetId: news._id, reason: 'boring' }).expect(400);
+
+        await request(app)
+            .get('/api/reports/queue')
+            .set('Authorization', `Bearer ${tokens.reporter1}`)
+            .expect(403);
+    });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const ReputationService = require('../../services/reputationService');
+const dbService = require('../../services/dbService');
+
+describe('投票信誉API测试', () => {
+    const emails = ['reputation_veteran@example.com', 'reputation_newbie@example.com'];
+
+    let veteran = null;
+    let newbie = null;
+    let news = null;
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteMany({ email: { $in: emails } });
+
+            [veteran, newbie] = await Promise.all(emails.map(email => User.create({
+                firstName: '信誉',
+                lastName: '测试用户',
+                email,
+                password: 'password123',
+                isEmailVerified: true
+            })));
+
+            news = await News.create({
+                title: '信誉测试新闻标题',
+                content: '这是一条用于测试投票信誉的新闻内容。',
+                authorId: veteran._id
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Vote.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteMany({ email: { $in: emails } });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    describe('信誉分计算', () => {
+        it('新用户权重为1，准确率越高权重越大', () => {
+            expect(ReputationService.calculateScore(0, 0)).toBe(1);
+            expect(ReputationService.calculateScore(10, 10)).toBeGreaterThan(1);
+            expect(ReputationService.calculateScore(0, 10)).toBe(0.2);
+        });
+    });
+
+    describe('结论确定后的信誉结算', () => {
+        it('应该按最终结论更新信誉，且重复结算不会重复计数', async () => {
+            await Vote.create({ userId: veteran._id, newsId: news._id, voteResult: VOTE_RESULTS.FAKE });
+            await Vote.create({ userId: newbie._id, newsId: news._id, voteResult: VOTE_RESULTS.NOT_FAKE });
+
+            await ReputationService.settleNewsVotes(news._id, NEWS_STATUS.FAKE);
+            await ReputationService.settleNewsVotes(news._id, NEWS_STATUS.FAKE);
+
+            const veteranReputation = await ReputationService.getUserReputation(veteran._id);
+            const newbieReputation = await ReputationService.getUserReputation(newbie._id);
+
+            expect(veteranReputation).toMatchObject({ correctVotes: 1, resolvedVotes: 1 });
+            expect(newbieReputation).toMatchObject({ correctVotes: 0, resolvedVotes: 1 });
+            expect(veteranReputation.score).toBeGreaterThan(newbieReputation.score);
+        });
+
+        it('结论改变时应该撤销之前的结算', async () => {
+            await ReputationService.settleNewsVotes(news._id, NEWS_STATUS.NOT_FAKE);
+
+            const veteranReputation = await ReputationService.getUserReputation(veteran._id);
+            expect(veteranReputation).toMatchObject({ correctVotes: 0, resolvedVotes: 1 });
+
+            await ReputationService.settleNewsVotes(news._id, NEWS_STATUS.PENDING);
+
+            const reverted = await ReputationService.getUserReputation(veteran._id);
+            expect(reverted).toMatchObject({ score: 1, correctVotes: 0, resolvedVotes: 0 });
+        });
+
+        it('投票统计应该同时返回原始票数和加权分数', async () => {
+            await User.updateOne({ _id: veteran._id }, { 'reputation.score': 1.5 });
+
+            const response = await request(app)
+                .get(`/api/vote/news/${news._id}/stats`)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ fakeCount: 1, notFakeCount: 1, totalCount: 2 });
+            expect(response.body.data.weighted).toMatchObject({ fakeScore: 1.5, notFakeScore: 1, totalScore: 2.5 });
+        });
+    });
+
+    describe('投票后编辑新闻', () => {
+        it('已有投票的新闻应该仍然可以被作者编辑', async () => {
+            const loginResponse = await request(app)
+                .post('/api/users/login')
+                .send({ email: emails[0], password: 'password123' })
+                .expect(200);
+
+            await request(app)
+                .put(`/api/news/${news._id}`)
+                .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+                .send({ title: '信誉测试新闻标题（已编辑）' })
+                .expect(200);
+
+            const updated = await News.findById(news._id);
+            expect(updated.title).toBe('信誉测试新闻标题（已编辑）');
+            expect(await Vote.countDocuments({ newsId: news._id })).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../../server');
+const SearchService = require('../../services/searchService');
+
+describe('新闻全文搜索测试', () => {
+    describe('查询解析', () => {
+        it('应该解析词语、短语和排除项', () => {
+            const parsed = SearchService.parseQuery('vaccine "clinical trial" -rumor -"social media"');
+
+            expect(parsed).toEqual({
+                terms: ['vaccine'],
+                phrases: ['clinical trial'],
+                excludedTerms: ['rumor'],
+                excludedPhrases: ['social media']
+            });
+            expect(SearchService.toTextSearch(parsed)).toBe('vaccine "clinical trial" -rumor -"social media"');
+        });
+
+        it('正则特殊字符应该作为普通文本处理', () => {
+            const parsed = SearchService.parseQuery('(a+)+ .*');
+            const pattern = SearchService.buildHighlightPattern(parsed);
+
+            expect(parsed.terms).toEqual(['(a+)+', '.*']);
+            expect(pattern.test('.*')).toBe(true);
+            expect(SearchService.markMatches('abc', pattern)).toBe('abc');
+        });
+
+        it('只有排除项时不能使用全文检索', () => {
+            const parsed = SearchService.parseQuery('-rumor');
+
+            expect(SearchService.hasPositiveTerms(parsed)).toBe(false);
+            expect(SearchService.toExclusionCondition(parsed, ['title'])).toEqual({
+                $nor: [{ title: /rumor/i }]
+            });
+        });
+    });
+
+    describe('高亮', () => {
+        it('应该转义HTML并标记匹配内容', () => {
+            const highlights = SearchService.highlight({
+                title: 'New <b>vaccines</b> approved',
+                content: 'Regulators approved two vaccines.'
+            }, SearchService.parseQuery('vaccine'));
+
+            expect(highlights.title).toBe('New &lt;b&gt;<mark>vaccines</mark>&lt;/b&gt; approved');
+            expect(highlights.snippet).toBe('Regulators approved two <mark>vaccines</mark>.');
+        });
+
+        it('摘要应该截取第一个匹配附近的内容', () => {
+            const content = `${'filler text '.repeat(40)}the vaccine works ${'more text '.repeat(40)}`;
+            const highlights = SearchService.highlight({ title: 'Title', content }, SearchService.parseQuery('vaccine'));
+
+            expect(highlights.snippet.startsWith('…')).toBe(true);
+            expect(highlights.snippet.endsWith('…')).toBe(true);
+            expect(highlights.snippet).toContain('<mark>vaccine</mark>');
+        });
+    });
+
+    describe('API', () => {
+        it('应该拒绝未知的排序方式', async () => {
+            await request(app)
+                .get('/api/news?sortBy=unknown')
+                .expect(400);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { Session } = require('../../models/Session');
+const dbService = require('../../services/dbService');
+
+describe('会话与刷新令牌API测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '会话',
+        lastName: '测试用户',
+        email: 'session_test@example.com',
+        password: 'password123'
+    };
+
+    let authToken = '';
+    let refreshToken = '';
+
+    const login = () => request(app)
+        .post('/api/users/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+            await request(app).post('/api/users/register').send(testUser);
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            const user = await User.findOne({ email: testUser.email });
+            if (user) {
+                await Session.deleteMany({ userId: user._id });
+            }
+            await User.deleteOne({ email: testUser.email });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    describe('刷新令牌', () => {
+        it('登录应该返回访问令牌和刷新令牌', async () => {
+            const response = await login().expect(200);
+
+            expect(response.body.data).toHaveProperty('token');
+            expect(response.body.data).toHaveProperty('refreshToken');
+            authToken = response.body.data.token;
+            refreshToken = response.body.data.refreshToken;
+        });
+
+        it('应该轮换刷新令牌并返回新的令牌对', async () => {
+            const response = await request(app)
+                .post('/api/users/refresh')
+                .send({ refreshToken })
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+            // 旧的刷新令牌被重放时应撤销整个会话
+            const replay = await request(app)
+                .post('/api/users/refresh')
+                .send({ refreshToken })
+                .expect(401);
+            expect(replay.body).toHaveProperty('success', false);
+
+            await request(app)
+                .get('/api/users/me')
+                .set('Authorization', `Bearer ${response.body.data.token}`)
+                .expect(401);
+        });
+    });
+
+    describe('会话管理', () => {
+        it('应该列出当前用户的会话并标记当前会话', async () => {
+            const response = await login().expect(200);
+            authToken = response.body.data.token;
+
+            const sessions = await request(app)
+                .get('/api/users/sessions')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(sessions.body.data.some(session => session.current)).toBe(true);
+        });
+
+        it('应该可以撤销其他设备的会话', async () => {
+            const other = await login().expect(200);
+
+            const sessions = await request(app)
+                .get('/api/users/sessions')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            const otherSession = sessions.body.data.find(session => !session.current);
+
+            await request(app)
+                .delete(`/api/users/sessions/${otherSession.id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            await request(app)
+                .get('/api/users/me')
+                .set('Authorization', `Bearer ${other.body.data.token}`)
+                .expect(401);
+        });
+
+        it('登出后访问令牌应立即失效', async () => {
+            await request(app)
+                .post('/api/users/logout')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/users/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(401);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+    });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News, NEWS_STATUS } = require('../../models/News');
+const { Tag } = require('../../models/Tag');
+const TagService = require('../../services/tagService');
+const dbService = require('../../services/dbService');
+
+describe('标签和话题分类测试', () => {
+    describe('名称处理', () => {
+        it('应该生成支持各种文字的URL名称', () => {
+            expect(TagService.slugify('  COVID 19 / Vaccines! ')).toBe('covid-19-vaccines');
+            expect(TagService.slugify('健康 谣言')).toBe('健康-谣言');
+        });
+        
+        it('同义词应该去重并且不包含标签自身的名称', () => {
+            expect(TagService.cleanSynonyms(['Covid', ' covid ', 'Health'], 'health')).toEqual(['covid']);
+            expect(() => TagService.cleanSynonyms(Array.from({ length: config.tags.maxSynonyms + 1 }, (_, i) => `term${i}`)))
+                .toThrow(`A tag can have at most ${config.tags.maxSynonyms} synonyms`);
+        });
+    });
+    
+    describe('标签API', () => {
+        const accounts = ['admin', 'author'].map(name => ({
+            firstName: '标签',
+            lastName: name,
+            email: `tag_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        
+        const asAdmin = req => req.set('Authorization', `Bearer ${tokens.admin}`);
+        
+        const createTag = async (data) => {
+            const response = await asAdmin(request(app).post('/api/tags')).send(data).expect(201);
+            return response.body.data;
+        };
+        
+        const submitNews = async (tags, status = NEWS_STATUS.PENDING) => {
+            const response = await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '标签测试新闻标题', content: '这是一条用于测试标签的新闻内容。', tags })
+                .expect(201);
+            
+            if (status !== NEWS_STATUS.PENDING) {
+                await News.updateOne({ _id: response.body.data._id }, { status });
+            }
+            return response.body.data;
+        };
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+                await User.updateOne({ _id: userIds.author }, { role: ROLES.MEMBER });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空标签和作者的新闻
+        beforeEach(async () => {
+            await Tag.deleteMany({});
+            await News.deleteMany({ authorId: userIds.author });
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                await Tag.deleteMany({});
+                await News.deleteMany({ authorId: userIds.author });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('管理员可以创建多级话题，名称和同义词不能重复', async () => {
+            const health = await createTag({ name: 'Health' });
+            const vaccines = await createTag({ name: 'Vaccines', parentId: health._id, synonyms: ['Vaccination', 'jabs'] });
+            
+            expect(vaccines.slug).toBe('vaccines');
+            expect(vaccines.ancestors).toEqual([health._id]);
+            expect(vaccines.synonyms).toEqual(['vaccination', 'jabs']);
+            
+            await asAdmin(request(app).post('/api/tags')).send({ name: 'Jabs' }).expect(409);
+            await asAdmin(request(app).post('/api/tags')).send({ name: 'Immunity', synonyms: ['health'] }).expect(409);
+            
+            const tree = await request(app).get('/api/tags').expect(200);
+            expect(tree.body.data).toHaveLength(1);
+            expect(tree.body.data[0].children.map(tag => tag.name)).toEqual(['Vaccines']);
+        });
+        
+        it('只有管理员可以管理标签', async () => {
+            await request(app)
+                .post('/api/tags')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ name: 'Elections' })
+                .expect(403);
+        });
+        
+        it('应该限制层级深度并拒绝移动到自己的子话题下', async () => {
+            const levels = [];
+            for (let i = 0; i < config.tags.maxDepth; i++) {
+                levels.push(await createTag({ name: `Level ${i + 1}`, parentId: levels[i - 1]?._id }));
+            }
+            
+            await asAdmin(request(app).post('/api/tags'))
+                .send({ name: 'Too deep', parentId: levels[levels.length - 1]._id })
+                .expect(400);
+            await asAdmin(request(app).put(`/api/tags/${levels[0]._id}`))
+                .send({ parentId: levels[1]._id })
+                .expect(400);
+        });
+        
+        it('移动话题时应该同时更新子话题的路径', async () => {
+            const health = await createTag({ name: 'Health' });
+            const science = await createTag({ name: 'Science' });
+            const vaccines = await createTag({ name: 'Vaccines', parentId: health._id });
+            const mrna = await createTag({ name: 'mRNA', parentId: vaccines._id });
+            
+            await asAdmin(request(app).put(`/api/tags/${vaccines._id}`))
+                .send({ parentId: science._id })
+                .expect(200);
+            
+            const page = await request(app).get('/api/tags/vaccines').expect(200);
+            expect(page.body.data.path.map(tag => tag.name)).toEqual(['Science']);
+            
+            const moved = await Tag.findById(mrna._id);
+            expect(moved.ancestors.map(String)).toEqual([science._id, vaccines._id]);
+        });
+        
+        it('自动补全应该匹配名称和同义词', async () => {
+            const health = await createTag({ name: 'Health' });
+            await createTag({ name: 'Vaccines', parentId: health._id, synonyms: ['jabs'] });
+            
+            const response = await request(app).get('/api/tags/autocomplete?q=JA').expect(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toMatchObject({ name: 'Vaccines', path: ['Health'], matchedSynonym: 'jabs' });
+            
+            await request(app).get('/api/tags/autocomplete').expect(400);
+        });
+        
+        it('提交新闻时可以用名称或同义词选择标签，未知标签返回400', async () => {
+            await createTag({ name: 'Vaccines', synonyms: ['jabs'] });
+            const elections = await createTag({ name: 'Elections' });
+            
+            const news = await submitNews(['Jabs', elections._id, 'vaccines']);
+            expect(news.tags.map(tag => tag.name).sort()).toEqual(['Elections', 'Vaccines']);
+            
+            await request(app)
+                .post('/api/news')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ title: '标签测试新闻标题', content: '这是一条用于测试标签的新闻内容。', tags: ['no-such-tag'] })
+                .expect(400);
+            
+            // 修改标签不产生新的修订版本
+            const updated = await request(app)
+                .put(`/api/news/${news._id}`)
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .send({ tags: ['elections'] })
+                .expect(200);
+            expect(updated.body.data.tags.map(tag => tag.name)).toEqual(['Elections']);
+            expect(updated.body.data.revision).toBe(1);
+        });
+        
+        it('按话题筛选新闻列表时应该包含子话题', async () => {
+            const health = await createTag({ name: 'Health' });
+            await createTag({ name: 'Vaccines', parentId: health._id });
+            await createTag({ name: 'Elections' });
+            
+            await submitNews(['vaccines']);
+            await submitNews(['health']);
+            await submitNews(['elections']);
+            
+            const response = await request(app).get(`/api/news?tag=health&authorId=${userIds.author}`).expect(200);
+            expect(response.body.data.pagination.total).toBe(2);
+            expect(response.body.data.items[0].tags[0]).toHaveProperty('slug');
+            
+            await request(app).get('/api/news?tag=unknown-topic').expect(404);
+        });
+        
+        it('话题统计应该包含子话题的新闻和虚假比例', async () => {
+            const health = await createTag({ name: 'Health' });
+            const vaccines = await createTag({ name: 'Vaccines', parentId: health._id });
+            
+            await submitNews(['vaccines'], NEWS_STATUS.FAKE);
+            await submitNews(['vaccines', 'health'], NEWS_STATUS.FAKE);
+            await submitNews(['health'], NEWS_STATUS.NOT_FAKE);
+            await submitNews(['health']);
+            
+            const page = await request(app).get('/api/tags/health').expect(200);
+            expect(page.body.data.stats).toEqual({ total: 4, fake: 2, notFake: 1, pending: 1, fakeRatio: 0.667 });
+            expect(page.body.data.children[0].stats).toMatchObject({ total: 2, fake: 2, fakeRatio: 1 });
+            
+            const stats = await request(app).get('/api/tags/stats').expect(200);
+            expect(stats.body.data.map(tag => tag._id)).toEqual([health._id, vaccines._id]);
+        });
+        
+        it('删除话题时子话题上移，新闻移除该标签', async () => {
+            const health = await createTag({ name: 'Health' });
+            const vaccines = await createTag({ name: 'Vaccines', parentId: health._id });
+            const news = await submitNews(['health', 'vaccines']);
+            
+            const response = await asAdmin(request(app).delete(`/api/tags/${health._id}`)).expect(200);
+            expect(response.body.data.newsUpdated).toBe(1);
+            
+            const child = await Tag.findById(vaccines._id);
+            expect(child.parentId).toBeNull();
+            expect(child.ancestors).toHaveLength(0);
+            
+            const stored = await News.findById(news._id);
+            expect(stored.tags.map(String)).toEqual([vaccines._id]);
+        });
+    });
+});
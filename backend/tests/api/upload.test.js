@@ -0,0 +1,138 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const UploadService = require('../../services/uploadService');
+const dbService = require('../../services/dbService');
+
+describe('图片上传API测试', () => {
+    // 测试数据
+    let authToken = '';
+    const uploadedFiles = [];
+
+    const testUser = {
+        firstName: '上传',
+        lastName: '测试用户',
+        email: 'upload_test@example.com',
+        password: 'password123'
+    };
+
+    // 带有APP1(EXIF)段的最小JPEG
+    const jpegWithExif = Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        Buffer.from([0xFF, 0xE1, 0x00, 0x08]),
+        Buffer.from('Exif\0\0'),
+        Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0x01, 0x02, 0xFF, 0xD9])
+    ]);
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+            
+            await request(app).post('/api/users/register').send(testUser);
+            const loginResponse = await request(app)
+                .post('/api/users/login')
+                .send({
+                    email: testUser.email,
+                    password: testUser.password
+                });
+            
+            authToken = loginResponse.body.data.token;
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await User.deleteOne({ email: testUser.email });
+            uploadedFiles.forEach(filename => {
+                fs.rmSync(path.join(UploadService.UPLOAD_DIR, filename), { force: true });
+            });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    describe('上传图片', () => {
+        it('应该保存图片、去除EXIF并返回内容哈希URL', async () => {
+            const response = await request(app)
+                .post('/api/uploads')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', jpegWithExif, { filename: 'photo.jpg', contentType: 'image/jpeg' })
+                .expect('Content-Type', /json/)
+                .expect(201);
+
+            expect(response.body).toHaveProperty('success', true);
+            const [file] = response.body.data;
+            uploadedFiles.push(file.filename);
+
+            expect(file.url).toMatch(/^\/uploads\/[a-f0-9]{64}\.jpg$/);
+            expect(file.type).toBe('image/jpeg');
+
+            const stored = fs.readFileSync(path.join(UploadService.UPLOAD_DIR, file.filename));
+            expect(stored.includes(Buffer.from('Exif'))).toBe(false);
+            expect(UploadService.isManagedImageUrl(file.url)).toBe(true);
+        });
+
+        it('应该拒绝伪装成图片的文件并返回400状态码', async () => {
+            const response = await request(app)
+                .post('/api/uploads')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', Buffer.from('<script>alert(1)</script>'), { filename: 'fake.png', contentType: 'image/png' })
+                .expect('Content-Type', /json/)
+                .expect(400);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        it('同时上传图片和不允许的文件类型时应该整体拒绝并返回400状态码', async () => {
+            const response = await request(app)
+                .post('/api/uploads')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', jpegWithExif, { filename: 'photo.jpg', contentType: 'image/jpeg' })
+                .attach('images', Buffer.from('纯文本内容'), { filename: 'notes.txt', contentType: 'text/plain' })
+                .expect('Content-Type', /json/)
+                .expect(400);
+
+            expect(response.body).toHaveProperty('success', false);
+            expect(response.body.message).toContain('notes.txt');
+        });
+
+        it('应该拒绝超过大小限制的文件并返回413状态码', async () => {
+            const oversized = Buffer.concat([jpegWithExif, Buffer.alloc(6 * 1024 * 1024)]);
+
+            const response = await request(app)
+                .post('/api/uploads')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('images', oversized, { filename: 'big.jpg', contentType: 'image/jpeg' })
+                .expect('Content-Type', /json/)
+                .expect(413);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        it('应该拒绝未认证的上传请求并返回401状态码', async () => {
+            const response = await request(app)
+                .post('/api/uploads')
+                .attach('images', jpegWithExif, { filename: 'photo.jpg', contentType: 'image/jpeg' })
+                .expect('Content-Type', /json/)
+                .expect(401);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+    });
+
+    describe('图片URL校验', () => {
+        it('应该拒绝非本服务生成的图片URL', () => {
+            expect(UploadService.validateImageUrls(['https://example.com/a.jpg'])).toBe(false);
+            expect(UploadService.validateImageUrls([`/uploads/${'0'.repeat(64)}.jpg`])).toBe(false);
+            expect(UploadService.validateImageUrls([])).toBe(true);
+        });
+    });
+});
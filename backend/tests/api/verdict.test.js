@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../../server');
+const VerdictService = require('../../services/verdictService');
+
+describe('判定引擎测试', () => {
+    const { VERDICTS } = VerdictService;
+
+    describe('判定策略', () => {
+        it('简单多数策略在达到最少投票数后按比例判定', () => {
+            const verdict = VerdictService.evaluate({ fakeCount: 7, notFakeCount: 3 }, { policy: 'majority' });
+
+            expect(verdict.status).toBe(VERDICTS.FAKE);
+            expect(verdict.votesNeeded).toBe(0);
+        });
+
+        it('Wilson策略在置信区间跨越阈值时保持待定', () => {
+            const verdict = VerdictService.evaluate({ fakeCount: 7, notFakeCount: 3 }, { policy: 'wilson' });
+
+            expect(verdict.status).toBe(VERDICTS.PENDING);
+            expect(verdict.confidenceInterval.lower).toBeLessThan(verdict.threshold);
+            expect(verdict.confidenceInterval.upper).toBeGreaterThan(verdict.threshold);
+            expect(verdict.votesNeeded).toBeGreaterThan(0);
+        });
+
+        it('贝叶斯策略应该返回后验概率', () => {
+            const verdict = VerdictService.evaluate({ fakeCount: 10, notFakeCount: 0 }, { policy: 'bayesian' });
+
+            expect(verdict.status).toBe(VERDICTS.FAKE);
+            expect(verdict.probabilityFake).toBeGreaterThan(0.95);
+        });
+
+        it('投票数不足时所有策略都保持待定', () => {
+            VerdictService.listPolicies().forEach(({ name }) => {
+                const verdict = VerdictService.evaluate({ fakeCount: 3, notFakeCount: 0 }, { policy: name });
+                expect(verdict.status).toBe(VERDICTS.PENDING);
+            });
+        });
+
+        it('判定比例应该使用信誉加权分数', () => {
+            const verdict = VerdictService.evaluate({
+                fakeCount: 5,
+                notFakeCount: 5,
+                weightedFakeScore: 9,
+                weightedNotFakeScore: 1
+            }, { policy: 'majority' });
+
+            expect(verdict.fakeProportion).toBe(0.9);
+            expect(verdict.status).toBe(VERDICTS.FAKE);
+        });
+
+        it('未知策略应该报错', () => {
+            expect(() => VerdictService.evaluate({ fakeCount: 1, notFakeCount: 1 }, { policy: 'unknown' })).toThrow();
+        });
+    });
+
+    describe('API', () => {
+        it('应该列出可用的判定策略', async () => {
+            const response = await request(app)
+                .get('/api/vote/verdict-policies')
+                .expect(200);
+
+            const names = response.body.data.policies.map(policy => policy.name);
+            expect(names).toEqual(expect.arrayContaining(['majority', 'wilson', 'bayesian']));
+        });
+
+        it('统计接口应该拒绝未知的判定策略', async () => {
+            await request(app)
+                .get('/api/vote/news/000000000000000000000000/stats?policy=unknown')
+                .expect(400);
+        });
+    });
+});
@@ -37,6 +37,8 @@ describe('投票API测试', () => {
             
             // 创建测试用户并登录
             await request(app).post('/api/users/register').send(testUser);
+            // 只有已验证邮箱的用户才能投票
+            await User.updateOne({ email: testUser.email }, { isEmailVerified: true });
             const loginResponse = await request(app)
                 .post('/api/users/login')
                 .send({
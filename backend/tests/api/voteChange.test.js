@@ -0,0 +1,115 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User } = require('../../models/User');
+const { News } = require('../../models/News');
+const { Vote, VOTE_RESULTS } = require('../../models/Vote');
+const { VoteHistory, VOTE_ACTIONS } = require('../../models/VoteHistory');
+const dbService = require('../../services/dbService');
+
+describe('修改与撤销投票API测试', () => {
+    // 测试数据
+    const testUser = {
+        firstName: '改票',
+        lastName: '测试用户',
+        email: 'vote_change_test@example.com',
+        password: 'password123'
+    };
+
+    let authToken = '';
+    let news = null;
+
+    const castVote = (voteResult) => request(app)
+        .post('/api/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ newsId: news._id, voteResult });
+
+    // 在所有测试前运行
+    beforeAll(async () => {
+        try {
+            await dbService.connect();
+            await User.deleteOne({ email: testUser.email });
+
+            const response = await request(app).post('/api/users/register').send(testUser);
+            authToken = response.body.data.token;
+            await User.updateOne({ email: testUser.email }, { isEmailVerified: true });
+
+            news = await News.create({
+                title: '改票测试新闻标题',
+                content: '这是一条用于测试修改和撤销投票的新闻内容。',
+                authorId: response.body.data.user.id
+            });
+        } catch (error) {
+            console.error('测试前准备失败:', error);
+        }
+    });
+
+    // 在所有测试后运行
+    afterAll(async () => {
+        try {
+            await Vote.deleteMany({ newsId: news._id });
+            await VoteHistory.deleteMany({ newsId: news._id });
+            await News.deleteOne({ _id: news._id });
+            await User.deleteOne({ email: testUser.email });
+            await dbService.disconnect();
+        } catch (error) {
+            console.error('测试后清理失败:', error);
+        }
+    });
+
+    it('应该允许修改投票并更新计数', async () => {
+        await castVote(VOTE_RESULTS.FAKE).expect(201);
+
+        const response = await request(app)
+            .put(`/api/vote/${news._id}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ voteResult: VOTE_RESULTS.NOT_FAKE })
+            .expect(200);
+
+        expect(response.body.data.vote.voteResult).toBe(VOTE_RESULTS.NOT_FAKE);
+        expect(response.body.data.voteStats).toMatchObject({ fakeCount: 0, notFakeVoteCount: 1 });
+    });
+
+    it('改投相同选项应该返回400', async () => {
+        await request(app)
+            .put(`/api/vote/${news._id}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ voteResult: VOTE_RESULTS.NOT_FAKE })
+            .expect(400);
+    });
+
+    it('应该允许撤销投票并记录历史', async () => {
+        const response = await request(app)
+            .delete(`/api/vote/${news._id}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.data.voteStats.totalCount).toBe(0);
+
+        const history = await request(app)
+            .get(`/api/vote/user/${news._id}/history`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(history.body.data.map(entry => entry.action)).toEqual([
+            VOTE_ACTIONS.CAST,
+            VOTE_ACTIONS.CHANGE,
+            VOTE_ACTIONS.RETRACT
+        ]);
+    });
+
+    it('判定被冻结后不能修改投票', async () => {
+        await castVote(VOTE_RESULTS.FAKE).expect(201);
+        await News.updateOne({ _id: news._id }, { verdictFrozen: true });
+
+        await request(app)
+            .put(`/api/vote/${news._id}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ voteResult: VOTE_RESULTS.NOT_FAKE })
+            .expect(423);
+
+        await request(app)
+            .delete(`/api/vote/${news._id}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(423);
+    });
+});
@@ -0,0 +1,347 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../server');
+const config = require('../../config/config');
+const { User, ROLES } = require('../../models/User');
+const { News } = require('../../models/News');
+const Comment = require('../../models/Comment');
+const { Vote } = require('../../models/Vote');
+const { VoteHistory } = require('../../models/VoteHistory');
+const { Report } = require('../../models/Report');
+const { ReportResolution } = require('../../models/ReportResolution');
+const { Notification } = require('../../models/Notification');
+const { Webhook, WEBHOOK_EVENTS, TEST_EVENT } = require('../../models/Webhook');
+const { WebhookDelivery, DELIVERY_STATUS } = require('../../models/WebhookDelivery');
+const WebhookService = require('../../services/webhookService');
+const dbService = require('../../services/dbService');
+
+describe('Webhook测试', () => {
+    describe('签名和重试', () => {
+        it('签名应该覆盖时间戳和请求体', () => {
+            const signature = WebhookService.sign('secret', 1700000000, '{"event":"news.verdict"}');
+            
+            expect(signature).toMatch(/^[a-f0-9]{64}$/);
+            expect(WebhookService.sign('secret', 1700000000, '{"event":"news.verdict"}')).toBe(signature);
+            expect(WebhookService.sign('secret', 1700000001, '{"event":"news.verdict"}')).not.toBe(signature);
+            expect(WebhookService.sign('other', 1700000000, '{"event":"news.verdict"}')).not.toBe(signature);
+        });
+        
+        it('重试间隔应该指数增长并且不超过上限', () => {
+            const { retryBaseDelay, retryMaxDelay } = config.webhooks;
+            
+            expect(WebhookService.retryDelay(1)).toBe(retryBaseDelay);
+            expect(WebhookService.retryDelay(2)).toBe(retryBaseDelay * 2);
+            expect(WebhookService.retryDelay(3)).toBe(retryBaseDelay * 4);
+            expect(WebhookService.retryDelay(100)).toBe(retryMaxDelay);
+        });
+    });
+    
+    describe('Webhook API', () => {
+        const accounts = ['admin', 'author', 'voter'].map(name => ({
+            firstName: 'Webhook',
+            lastName: name,
+            email: `webhook_${name}_test@example.com`,
+            password: 'password123'
+        }));
+        const emails = accounts.map(account => account.email);
+        
+        const tokens = {};
+        const userIds = {};
+        const newsIds = [];
+        
+        // 接收Webhook的测试服务器，responseStatus 控制返回的状态码
+        let receiver;
+        let receiverUrl;
+        let responseStatus = 200;
+        let received = [];
+        let waiters = [];
+        
+        // 等待接收服务器收到指定数量的请求
+        const waitForRequests = (count) => new Promise(resolve => {
+            const check = () => {
+                if (received.length >= count) {
+                    resolve(received.slice(0, count));
+                    return true;
+                }
+                return false;
+            };
+            if (!check()) {
+                waiters.push(check);
+            }
+        });
+        
+        const asAdmin = req => req.set('Authorization', `Bearer ${tokens.admin}`);
+        
+        const createWebhook = async (events = Object.values(WEBHOOK_EVENTS)) => {
+            const response = await asAdmin(request(app).post('/api/webhooks'))
+                .send({ url: receiverUrl, events, description: '合作媒体' })
+                .expect(201);
+            return response.body.data;
+        };
+        
+        // 在所有测试前运行
+        beforeAll(async () => {
+            try {
+                receiver = http.createServer((req, res) => {
+                    let body = '';
+                    req.on('data', chunk => {
+                        body += chunk;
+                    });
+                    req.on('end', () => {
+                        received.push({ headers: req.headers, body });
+                        waiters = waiters.filter(check => !check());
+                        res.statusCode = responseStatus;
+                        res.end('ok');
+                    });
+                });
+                await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+                receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+                
+                await dbService.connect();
+                await User.deleteMany({ email: { $in: emails } });
+                
+                for (const account of accounts) {
+                    const response = await request(app).post('/api/users/register').send(account);
+                    tokens[account.lastName] = response.body.data.token;
+                    userIds[account.lastName] = response.body.data.user.id;
+                }
+                
+                await User.updateMany({ email: { $in: emails } }, { isEmailVerified: true });
+                await User.updateOne({ _id: userIds.admin }, { role: ROLES.ADMINISTRATOR });
+            } catch (error) {
+                console.error('测试前准备失败:', error);
+            }
+        });
+        
+        // 每个测试前清空Webhook和接收记录
+        beforeEach(async () => {
+            await WebhookDelivery.deleteMany({});
+            await Webhook.deleteMany({});
+            responseStatus = 200;
+            received = [];
+            waiters = [];
+        });
+        
+        // 在所有测试后运行
+        afterAll(async () => {
+            try {
+                receiver?.close();
+                await WebhookDelivery.deleteMany({});
+                await Webhook.deleteMany({});
+                const comments = await Comment.find({ newsId: { $in: newsIds } }).select('_id');
+                const targetIds = [...newsIds, ...comments.map(comment => comment._id)];
+                await Report.deleteMany({ targetId: { $in: targetIds } });
+                await ReportResolution.deleteMany({ targetId: { $in: targetIds } });
+                await Comment.deleteMany({ newsId: { $in: newsIds } });
+                await Vote.deleteMany({ newsId: { $in: newsIds } });
+                await VoteHistory.deleteMany({ newsId: { $in: newsIds } });
+                await Notification.deleteMany({ userId: { $in: Object.values(userIds) } });
+                await News.deleteMany({ _id: { $in: newsIds } });
+                await User.deleteMany({ email: { $in: emails } });
+                await dbService.disconnect();
+            } catch (error) {
+                console.error('测试后清理失败:', error);
+            }
+        });
+        
+        it('只在创建时返回签名密钥', async () => {
+            const webhook = await createWebhook();
+            expect(webhook.secret).toMatch(/^whsec_/);
+            
+            const detail = await asAdmin(request(app).get(`/api/webhooks/${webhook._id}`)).expect(200);
+            expect(detail.body.data).not.toHaveProperty('secret');
+            
+            const list = await asAdmin(request(app).get('/api/webhooks')).expect(200);
+            expect(list.body.data.webhooks[0]).not.toHaveProperty('secret');
+            expect(list.body.data.events).toEqual(Object.values(WEBHOOK_EVENTS));
+        });
+        
+        it('应该拒绝无效的URL和未知的事件', async () => {
+            await asAdmin(request(app).post('/api/webhooks'))
+                .send({ url: 'ftp://example.com/hook', events: [WEBHOOK_EVENTS.NEWS_VERDICT] })
+                .expect(400);
+            await asAdmin(request(app).post('/api/webhooks'))
+                .send({ url: receiverUrl, events: ['news.unknown'] })
+                .expect(400);
+            await asAdmin(request(app).post('/api/webhooks'))
+                .send({ url: receiverUrl, events: [] })
+                .expect(400);
+        });
+        
+        it('只有管理员可以管理Webhook', async () => {
+            await request(app)
+                .get('/api/webhooks')
+                .set('Authorization', `Bearer ${tokens.author}`)
+                .expect(403);
+        });
+        
+        it('管理员判定新闻时应该发送签名的事件', async () => {
+            const webhook = await createWebhook([WEBHOOK_EVENTS.NEWS_VERDICT, WEBHOOK_EVENTS.NEWS_MODERATED]);
+            const news = await News.create({ title: 'Webhook测试新闻标题', content: '这是一条用于测试Webhook的新闻内容。', authorId: userIds.author });
+            newsIds.push(news._id);
+            
+            await asAdmin(request(app).put(`/api/news/${news._id}/status`))
+                .send({ status: 'Fake' })
+                .expect(200);
+            
+            const requests = await waitForRequests(2);
+            const events = requests.map(({ headers }) => headers['x-webhook-event']).sort();
+            expect(events).toEqual([WEBHOOK_EVENTS.NEWS_MODERATED, WEBHOOK_EVENTS.NEWS_VERDICT]);
+            
+            const { headers, body } = requests[0];
+            const expected = WebhookService.sign(webhook.secret, headers['x-webhook-timestamp'], body);
+            expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+            
+            const payload = JSON.parse(body);
+            expect(payload.id).toBe(headers['x-webhook-delivery']);
+            expect(payload.data.news).toMatchObject({ id: String(news._id), status: 'Fake', previousStatus: 'Pending' });
+            expect(payload.data.decidedBy).toBe('administrator');
+        });
+        
+        it('管理员处理评论、举报和投票时应该发送事件', async () => {
+            const originalThreshold = config.reports.hideThreshold;
+            await createWebhook([
+                WEBHOOK_EVENTS.COMMENT_MODERATED,
+                WEBHOOK_EVENTS.CONTENT_HIDDEN,
+                WEBHOOK_EVENTS.REPORT_RESOLVED,
+                WEBHOOK_EVENTS.VOTE_INVALIDATED
+            ]);
+            const news = await News.create({ title: 'Webhook审核测试标题', content: '这是一条用于测试审核事件的新闻内容。', authorId: userIds.author });
+            newsIds.push(news._id);
+            const comment = await Comment.create({ userId: userIds.author, newsId: news._id, content: '一条会被审核的评论' });
+            
+            try {
+                // 管理员删除和恢复评论
+                await asAdmin(request(app).delete(`/api/comments/${comment._id}`)).expect(200);
+                await asAdmin(request(app).put(`/api/comments/${comment._id}/restore`)).expect(200);
+                
+                // 举报达到阈值后自动隐藏，管理员驳回举报
+                config.reports.hideThreshold = 1;
+                await request(app)
+                    .post('/api/reports')
+                    .set('Authorization', `Bearer ${tokens.voter}`)
+                    .send({ targetType: 'comment', targetId: comment._id, reason: 'spam' })
+                    .expect(201);
+                await asAdmin(request(app).post(`/api/reports/queue/comment/${comment._id}/resolve`))
+                    .send({ action: 'dismiss' })
+                    .expect(200);
+            } finally {
+                config.reports.hideThreshold = originalThreshold;
+            }
+            
+            // 管理员将投票标记为无效
+            await request(app)
+                .post('/api/vote')
+                .set('Authorization', `Bearer ${tokens.voter}`)
+                .send({ newsId: news._id, voteResult: 'Fake' })
+                .expect(201);
+            const vote = await Vote.findOne({ newsId: news._id, userId: userIds.voter });
+            await asAdmin(request(app).put(`/api/vote/${vote._id}/invalidate`)).expect(200);
+            
+            const requests = await waitForRequests(5);
+            const payloads = requests.map(({ body }) => JSON.parse(body));
+            expect(payloads.map(payload => payload.event).sort()).toEqual([
+                WEBHOOK_EVENTS.COMMENT_MODERATED,
+                WEBHOOK_EVENTS.COMMENT_MODERATED,
+                WEBHOOK_EVENTS.CONTENT_HIDDEN,
+                WEBHOOK_EVENTS.REPORT_RESOLVED,
+                WEBHOOK_EVENTS.VOTE_INVALIDATED
+            ]);
+            
+            const byEvent = event => payloads.filter(payload => payload.event === event).map(payload => payload.data);
+            expect(byEvent(WEBHOOK_EVENTS.COMMENT_MODERATED).map(data => data.action).sort()).toEqual(['delete', 'restore']);
+            expect(byEvent(WEBHOOK_EVENTS.COMMENT_MODERATED)[0]).toMatchObject({
+                comment: { id: String(comment._id), newsId: String(news._id) },
+                actorId: userIds.admin
+            });
+            expect(byEvent(WEBHOOK_EVENTS.CONTENT_HIDDEN)[0]).toMatchObject({
+                target: { type: 'comment', id: String(comment._id) },
+                actorId: null
+            });
+            expect(byEvent(WEBHOOK_EVENTS.REPORT_RESOLVED)[0]).toMatchObject({ action: 'dismiss', reportCount: 1 });
+            expect(byEvent(WEBHOOK_EVENTS.VOTE_INVALIDATED)[0].vote).toMatchObject({ id: String(vote._id), userId: userIds.voter });
+        });
+        
+        it('移入回收站、恢复、清除和合并新闻时应该发送事件', async () => {
+            await createWebhook([
+                WEBHOOK_EVENTS.NEWS_TRASHED,
+                WEBHOOK_EVENTS.NEWS_RESTORED,
+                WEBHOOK_EVENTS.NEWS_PURGED,
+                WEBHOOK_EVENTS.NEWS_MERGED
+            ]);
+            const [trashed, canonical, duplicate] = await News.create(['回收站', '合并目标', '重复'].map(name => ({
+                title: `Webhook${name}测试新闻标题`,
+                content: `这是一条用于测试${name}事件的新闻内容。`,
+                authorId: userIds.author
+            })));
+            newsIds.push(trashed._id, canonical._id, duplicate._id);
+            
+            await asAdmin(request(app).delete(`/api/news/${trashed._id}`)).expect(200);
+            await asAdmin(request(app).put(`/api/news/${trashed._id}/restore`)).expect(200);
+            await asAdmin(request(app).delete(`/api/news/${trashed._id}`)).expect(200);
+            await asAdmin(request(app).delete(`/api/news/${trashed._id}/purge`)).expect(200);
+            
+            await asAdmin(request(app).post(`/api/news/${canonical._id}/merge`))
+                .send({ duplicateId: duplicate._id })
+                .expect(200);
+            
+            const requests = await waitForRequests(5);
+            const payloads = requests.map(({ body }) => JSON.parse(body));
+            expect(payloads.map(payload => payload.event).sort()).toEqual([
+                WEBHOOK_EVENTS.NEWS_MERGED,
+                WEBHOOK_EVENTS.NEWS_PURGED,
+                WEBHOOK_EVENTS.NEWS_RESTORED,
+                WEBHOOK_EVENTS.NEWS_TRASHED,
+                WEBHOOK_EVENTS.NEWS_TRASHED
+            ]);
+            
+            const purged = payloads.find(payload => payload.event === WEBHOOK_EVENTS.NEWS_PURGED);
+            expect(purged.data).toMatchObject({ news: { id: String(trashed._id) }, actorId: userIds.admin });
+            
+            const merged = payloads.find(payload => payload.event === WEBHOOK_EVENTS.NEWS_MERGED);
+            expect(merged.data).toMatchObject({
+                news: { id: String(canonical._id) },
+                merged: { id: String(duplicate._id) }
+            });
+        });
+        
+        it('测试事件失败时应该记录在投递日志中并安排重试', async () => {
+            const webhook = await createWebhook();
+            responseStatus = 500;
+            
+            const response = await asAdmin(request(app).post(`/api/webhooks/${webhook._id}/test`)).expect(200);
+            const delivery = response.body.data;
+            expect(delivery.event).toBe(TEST_EVENT);
+            expect(delivery.status).toBe(DELIVERY_STATUS.PENDING);
+            expect(delivery.attempts).toHaveLength(1);
+            expect(delivery.attempts[0].responseStatus).toBe(500);
+            expect(new Date(delivery.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+            
+            // 到期后由 processDue 重试
+            responseStatus = 204;
+            await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date() });
+            const result = await WebhookService.processDue();
+            expect(result).toEqual({ attempted: 1, succeeded: 1, failed: 0 });
+            
+            const log = await asAdmin(request(app).get(`/api/webhooks/${webhook._id}/deliveries`)).expect(200);
+            expect(log.body.data.items[0].status).toBe(DELIVERY_STATUS.SUCCEEDED);
+            expect(log.body.data.items[0].attempts.map(attempt => attempt.responseStatus)).toEqual([500, 204]);
+        });
+        
+        it('停用的Webhook不应该收到事件', async () => {
+            const webhook = await createWebhook();
+            await asAdmin(request(app).put(`/api/webhooks/${webhook._id}`))
+                .send({ isActive: false })
+                .expect(200);
+            
+            const news = await News.create({ title: 'Webhook停用测试标题', content: '这是一条用于测试停用Webhook的新闻内容。', authorId: userIds.author });
+            newsIds.push(news._id);
+            
+            await asAdmin(request(app).put(`/api/news/${news._id}/status`))
+                .send({ status: 'Not Fake' })
+                .expect(200);
+            
+            expect(await WebhookDelivery.countDocuments({ webhookId: webhook._id })).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,583 @@
+/**
+ * 数据分析面板组件
+ * 供管理员查看提交、投票和评论趋势、判定比例、活跃用户、判定耗时和待判定积压情况
+ * 图表使用内联SVG绘制，不依赖第三方图表库
+ */
+
+import {
+    getActivityAnalytics,
+    getVerdictRatioAnalytics,
+    getTopAuthors,
+    getTopVoters,
+    getTimeToVerdict,
+    getPendingBacklog,
+    getVoteSummary,
+    getClassifierModels,
+    trainClassifier
+} from '../utils/api.js';
+
+// 图表尺寸
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 40 };
+
+// 数据系列的颜色
+const SERIES_COLORS = {
+    submissions: '#3498db',
+    votes: '#2ecc71',
+    comments: '#f39c12',
+    fakeVotes: '#e74c3c',
+    fakeVerdicts: '#8e44ad'
+};
+
+class AnalyticsDashboard {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.containerId - 容器元素ID
+     * @param {number} options.days - 默认统计的天数
+     * @param {Function} options.onError - 错误处理回调函数
+     */
+    constructor(options = {}) {
+        this.containerId = options.containerId;
+        this.days = options.days || 30;
+        this.onError = options.onError || (error => console.error('加载统计数据失败:', error));
+        
+        // 状态
+        this.container = null;
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化组件
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`容器元素不存在: ${this.containerId}`);
+            return;
+        }
+        
+        AnalyticsDashboard.addStyles();
+        
+        const to = new Date();
+        const from = new Date(to.getTime() - this.days * 24 * 60 * 60 * 1000);
+        
+        this.container.innerHTML = `
+            <div class="analytics-dashboard">
+                <form class="analytics-range">
+                    <label>开始日期 <input type="date" name="from" value="${this.toDateInput(from)}"></label>
+                    <label>结束日期 <input type="date" name="to" value="${this.toDateInput(to)}"></label>
+                    <button type="submit" class="btn btn-primary">刷新</button>
+                </form>
+                <div class="analytics-cards"></div>
+                <section class="analytics-panel">
+                    <h3>每日提交、投票和评论</h3>
+                    <div class="analytics-chart" data-chart="activity"></div>
+                </section>
+                <section class="analytics-panel">
+                    <h3>虚假比例（投票和判定）</h3>
+                    <div class="analytics-chart" data-chart="ratios"></div>
+                </section>
+                <section class="analytics-panel">
+                    <h3>待判定新闻积压</h3>
+                    <div class="analytics-chart" data-chart="backlog"></div>
+                </section>
+                <div class="analytics-tables">
+                    <section class="analytics-panel">
+                        <h3>提交最多的作者</h3>
+                        <div data-table="authors"></div>
+                    </section>
+                    <section class="analytics-panel">
+                        <h3>投票最多的用户</h3>
+                        <div data-table="voters"></div>
+                    </section>
+                </div>
+                <section class="analytics-panel">
+                    <h3>投稿预判模型</h3>
+                    <p class="analytics-note">用已判定新闻训练的朴素贝叶斯模型，为待判定新闻给出假新闻概率，仅供参考，不会改变新闻状态</p>
+                    <div class="analytics-classifier"></div>
+                    <div data-table="classifier"></div>
+                    <button type="button" class="btn btn-secondary" data-train-classifier>重新训练</button>
+                </section>
+            </div>
+        `;
+        
+        this.container.querySelector('.analytics-range').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        
+        this.container.querySelector('[data-train-classifier]').addEventListener('click', () => this.retrainClassifier());
+        
+        this.load();
+        this.loadClassifier();
+    }
+    
+    /**
+     * 读取选择的日期范围
+     * @returns {Object} 查询参数
+     */
+    getRangeParams() {
+        const form = this.container.querySelector('.analytics-range');
+        const params = {};
+        if (form.elements.from.value) params.from = form.elements.from.value;
+        if (form.elements.to.value) params.to = form.elements.to.value;
+        return params;
+    }
+    
+    /**
+     * 加载所有统计数据
+     */
+    async load() {
+        const range = this.getRangeParams();
+        
+        try {
+            const [activity, ratios, authors, voters, verdictTime, backlog, voteSummary] = await Promise.all([
+                getActivityAnalytics(range),
+                getVerdictRatioAnalytics(range),
+                getTopAuthors(range),
+                getTopVoters(range),
+                getTimeToVerdict(range),
+                getPendingBacklog(),
+                getVoteSummary(range)
+            ]);
+            
+            this.renderCards(activity.data, verdictTime.data, backlog.data, voteSummary.data);
+            this.renderActivityChart(activity.data.days);
+            this.renderRatioChart(ratios.data.days);
+            this.renderBacklogChart(backlog.data);
+            this.renderTable('authors', authors.data, [
+                ['作者', row => row.name || '已删除用户'],
+                ['提交', row => row.newsCount],
+                ['虚假', row => row.fakeCount],
+                ['真实', row => row.notFakeCount],
+                ['待定', row => row.pendingCount]
+            ]);
+            this.renderTable('voters', voters.data, [
+                ['用户', row => row.name || '已删除用户'],
+                ['投票', row => row.voteCount],
+                ['虚假', row => row.fakeVotes],
+                ['真实', row => row.notFakeVotes],
+                ['信誉', row => row.reputation === null ? '-' : row.reputation.toFixed(2)]
+            ]);
+        } catch (error) {
+            this.container.querySelector('.analytics-cards').innerHTML =
+                `<div class="error-message">加载统计数据失败: ${this.escapeHtml(error.message)}</div>`;
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 加载预判模型和训练历史（不受日期范围影响）
+     */
+    async loadClassifier() {
+        try {
+            const response = await getClassifierModels();
+            this.renderClassifier(response.data);
+        } catch (error) {
+            this.container.querySelector('.analytics-classifier').innerHTML =
+                `<div class="error-message">加载预判模型失败: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * 提交重新训练任务，由定时运行的训练脚本执行
+     */
+    async retrainClassifier() {
+        const button = this.container.querySelector('[data-train-classifier]');
+        button.disabled = true;
+        
+        try {
+            await trainClassifier();
+            alert('已加入训练队列，训练脚本运行后启用新模型');
+            await this.loadClassifier();
+        } catch (error) {
+            alert('提交训练任务失败: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * 渲染最近的训练任务、当前模型的准确率和训练历史
+     * @param {Object} data - { active, models, latestJob }
+     */
+    renderClassifier({ active, models, latestJob }) {
+        const percent = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+        const element = this.container.querySelector('.analytics-classifier');
+        const jobStatus = {
+            queued: '排队中',
+            running: '训练中',
+            completed: '已完成',
+            failed: '失败'
+        };
+        
+        const job = latestJob ? `
+            <div class="analytics-classifier-job">
+                最近训练任务：${jobStatus[latestJob.status] || this.escapeHtml(latestJob.status)}
+                （${new Date(latestJob.createdAt).toLocaleString()}）
+                ${latestJob.error ? `- ${this.escapeHtml(latestJob.error)}` : ''}
+            </div>
+        ` : '';
+        
+        element.innerHTML = job + (active ? `
+            <div class="analytics-cards">
+                ${[
+                    ['留出集准确率', percent(active.metrics.accuracy)],
+                    ['多数类基线', percent(active.metrics.baselineAccuracy)],
+                    ['假新闻精确率', percent(active.metrics.fakePrecision)],
+                    ['假新闻召回率', percent(active.metrics.fakeRecall)],
+                    ['训练新闻', active.fakeNews + active.notFakeNews]
+                ].map(([label, value]) => `
+                    <div class="analytics-card">
+                        <div class="analytics-card-value">${this.escapeHtml(String(value))}</div>
+                        <div class="analytics-card-label">${label}</div>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '<div class="analytics-empty">尚未训练模型</div>');
+        
+        this.renderTable('classifier', models, [
+            ['训练时间', row => new Date(row.trainedAt).toLocaleString()],
+            ['训练者', row => (row.trainedBy ? `${row.trainedBy.firstName} ${row.trainedBy.lastName}` : '定时任务')],
+            ['假/真', row => `${row.fakeNews}/${row.notFakeNews}`],
+            ['留出集', row => row.metrics.holdoutSize],
+            ['准确率', row => percent(row.metrics.accuracy)],
+            ['当前', row => (row.isActive ? '✓' : '')]
+        ]);
+    }
+    
+    /**
+     * 渲染概览卡片
+     * @param {Object} activity - 每日活动数据
+     * @param {Object} verdictTime - 判定耗时
+     * @param {Object} backlog - 积压数据
+     * @param {Object} voteSummary - 投票汇总
+     */
+    renderCards(activity, verdictTime, backlog, voteSummary) {
+        const cards = [
+            ['新提交', activity.totals.submissions],
+            ['有效投票', voteSummary.validVotes],
+            ['无效投票', voteSummary.invalidVotes],
+            ['评论', activity.totals.comments],
+            ['平均判定耗时', this.formatHours(verdictTime.overall.averageHours)],
+            ['待判定新闻', backlog.count],
+            ['平均等待时间', this.formatHours(backlog.averageAgeHours)]
+        ];
+        
+        this.container.querySelector('.analytics-cards').innerHTML = cards.map(([label, value]) => `
+            <div class="analytics-card">
+                <div class="analytics-card-value">${this.escapeHtml(String(value))}</div>
+                <div class="analytics-card-label">${label}</div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * 渲染每日活动折线图
+     * @param {Array} days - 每日数据
+     */
+    renderActivityChart(days) {
+        this.renderLineChart('activity', days, [
+            { key: 'submissions', label: '提交', color: SERIES_COLORS.submissions },
+            { key: 'votes', label: '投票', color: SERIES_COLORS.votes },
+            { key: 'comments', label: '评论', color: SERIES_COLORS.comments }
+        ]);
+    }
+    
+    /**
+     * 渲染虚假比例折线图（百分比，没有数据的日期不画点）
+     * @param {Array} days - 每日数据
+     */
+    renderRatioChart(days) {
+        const percentages = days.map(day => ({
+            date: day.date,
+            fakeVoteRatio: day.fakeVoteRatio === null ? null : day.fakeVoteRatio * 100,
+            fakeVerdictRatio: day.fakeVerdictRatio === null ? null : day.fakeVerdictRatio * 100
+        }));
+        
+        this.renderLineChart('ratios', percentages, [
+            { key: 'fakeVoteRatio', label: '虚假票占比 %', color: SERIES_COLORS.fakeVotes },
+            { key: 'fakeVerdictRatio', label: '判定为虚假的占比 %', color: SERIES_COLORS.fakeVerdicts }
+        ], 100);
+    }
+    
+    /**
+     * 渲染积压年龄柱状图和最久未判定的新闻
+     * @param {Object} backlog - 积压数据
+     */
+    renderBacklogChart(backlog) {
+        const element = this.container.querySelector('[data-chart="backlog"]');
+        const maxCount = Math.max(1, ...backlog.buckets.map(bucket => bucket.count));
+        const labels = { '<1d': '1天内', '1-7d': '1-7天', '7-30d': '7-30天', '>30d': '30天以上' };
+        
+        element.innerHTML = `
+            <div class="analytics-bars">
+                ${backlog.buckets.map(bucket => `
+                    <div class="analytics-bar-row">
+                        <span class="analytics-bar-label">${labels[bucket.label] || bucket.label}</span>
+                        <span class="analytics-bar" style="width: ${(bucket.count / maxCount) * 100}%"></span>
+                        <span class="analytics-bar-value">${bucket.count}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${backlog.oldest.length > 0 ? `
+                <h4>等待最久的新闻</h4>
+                <ul class="analytics-oldest">
+                    ${backlog.oldest.map(news => `
+                        <li><a href="detail.html?id=${news._id}">${this.escapeHtml(news.title)}</a> - ${this.formatHours(news.ageHours)}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * 渲染折线图
+     * @param {string} name - 图表名称（data-chart属性）
+     * @param {Array} rows - 每日数据
+     * @param {Array} series - 数据系列 { key, label, color }
+     * @param {number|null} fixedMax - 固定的纵轴最大值，默认按数据计算
+     */
+    renderLineChart(name, rows, series, fixedMax = null) {
+        const element = this.container.querySelector(`[data-chart="${name}"]`);
+        if (rows.length === 0) {
+            element.innerHTML = '<div class="analytics-empty">暂无数据</div>';
+            return;
+        }
+        
+        const values = rows.flatMap(row => series.map(({ key }) => row[key])).filter(value => value !== null);
+        const maxValue = fixedMax || Math.max(1, ...values);
+        const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+        const x = index => CHART_PADDING.left + (rows.length === 1 ? plotWidth / 2 : (index / (rows.length - 1)) * plotWidth);
+        const y = value => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+        
+        // 缺少数据的日期会把折线断开
+        const paths = series.map(({ key, color }) => {
+            let d = '';
+            let drawing = false;
+            rows.forEach((row, index) => {
+                if (row[key] === null) {
+                    drawing = false;
+                    return;
+                }
+                d += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)},${y(row[key]).toFixed(1)} `;
+                drawing = true;
+            });
+            return `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"></path>`;
+        });
+        
+        // 横轴最多显示7个日期
+        const labelStep = Math.max(1, Math.ceil(rows.length / 7));
+        const dateLabels = rows
+            .map((row, index) => ({ row, index }))
+            .filter(({ index }) => index % labelStep === 0)
+            .map(({ row, index }) => `<text x="${x(index)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${row.date.slice(5)}</text>`);
+        
+        element.innerHTML = `
+            <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="analytics-svg" role="img">
+                <line x1="${CHART_PADDING.left}" y1="${y(0)}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y(0)}" stroke="#ccc"></line>
+                <line x1="${CHART_PADDING.left}" y1="${y(maxValue)}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y(maxValue)}" stroke="#eee"></line>
+                <text x="${CHART_PADDING.left - 6}" y="${y(0) + 4}" text-anchor="end">0</text>
+                <text x="${CHART_PADDING.left - 6}" y="${y(maxValue) + 4}" text-anchor="end">${Math.round(maxValue)}</text>
+                ${paths.join('')}
+                ${dateLabels.join('')}
+            </svg>
+            <div class="analytics-legend">
+                ${series.map(({ label, color }) => `<span><i style="background-color: ${color}"></i>${label}</span>`).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * 渲染排行表格
+     * @param {string} name - 表格名称（data-table属性）
+     * @param {Array} rows - 数据行
+     * @param {Array} columns - 列定义 [标题, 取值函数]
+     */
+    renderTable(name, rows, columns) {
+        const element = this.container.querySelector(`[data-table="${name}"]`);
+        if (rows.length === 0) {
+            element.innerHTML = '<div class="analytics-empty">暂无数据</div>';
+            return;
+        }
+        
+        element.innerHTML = `
+            <table class="analytics-table">
+                <thead>
+                    <tr>${columns.map(([title]) => `<th>${title}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>${columns.map(([, value]) => `<td>${this.escapeHtml(String(value(row)))}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * 格式化小时数
+     * @param {number|null} hours - 小时数
+     * @returns {string} 格式化后的时长
+     */
+    formatHours(hours) {
+        if (hours === null || hours === undefined) {
+            return '-';
+        }
+        return hours >= 48 ? `${(hours / 24).toFixed(1)} 天` : `${hours.toFixed(1)} 小时`;
+    }
+    
+    /**
+     * 转换为日期输入框的值（本地日期）
+     * @param {Date} date - 日期
+     * @returns {string} YYYY-MM-DD
+     */
+    toDateInput(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 10);
+    }
+    
+    /**
+     * HTML转义
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 添加CSS样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('analytics-dashboard-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'analytics-dashboard-styles';
+        style.textContent = `
+            .analytics-range {
+                display: flex;
+                gap: 12px;
+                align-items: center;
+                margin-bottom: 16px;
+            }
+            
+            .analytics-cards {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+                gap: 12px;
+                margin-bottom: 16px;
+            }
+            
+            .analytics-card {
+                background-color: #fff;
+                border: 1px solid #e5e5e5;
+                border-radius: 8px;
+                padding: 12px;
+                text-align: center;
+            }
+            
+            .analytics-card-value {
+                font-size: 22px;
+                font-weight: 600;
+                color: #2c3e50;
+            }
+            
+            .analytics-card-label {
+                font-size: 13px;
+                color: #777;
+            }
+            
+            .analytics-panel {
+                background-color: #fff;
+                border: 1px solid #e5e5e5;
+                border-radius: 8px;
+                padding: 12px 16px;
+                margin-bottom: 16px;
+            }
+            
+            .analytics-svg {
+                width: 100%;
+                height: auto;
+                font-size: 11px;
+                fill: #777;
+            }
+            
+            .analytics-legend {
+                display: flex;
+                gap: 16px;
+                font-size: 13px;
+            }
+            
+            .analytics-legend i {
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                margin-right: 4px;
+                border-radius: 2px;
+            }
+            
+            .analytics-bar-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin: 6px 0;
+            }
+            
+            .analytics-bar-label {
+                width: 80px;
+                font-size: 13px;
+            }
+            
+            .analytics-bar {
+                height: 14px;
+                min-width: 2px;
+                background-color: #3498db;
+                border-radius: 3px;
+            }
+            
+            .analytics-tables {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+                gap: 16px;
+            }
+            
+            .analytics-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 14px;
+            }
+            
+            .analytics-table th,
+            .analytics-table td {
+                padding: 6px 8px;
+                border-bottom: 1px solid #eee;
+                text-align: left;
+            }
+            
+            .analytics-empty {
+                color: #999;
+                padding: 12px 0;
+            }
+            
+            .analytics-note {
+                color: #666;
+                font-size: 13px;
+                margin: 0 0 12px;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default AnalyticsDashboard;
@@ -0,0 +1,333 @@
+/**
+ * 用户公开资料组件
+ * 展示用户的提交记录、作者可信度、投票准确率和注册时间
+ * 用户查看自己的资料时可以修改隐私设置
+ */
+
+import { getUserProfile, updatePrivacySettings } from '../utils/api.js';
+import { formatDate, credibilityBadge, showMessage } from '../utils/helpers.js';
+
+// 隐私设置项的说明
+const PRIVACY_LABELS = {
+    showSubmissions: '公开我的提交记录',
+    showVotingAccuracy: '公开我的投票准确率',
+    showJoinDate: '公开我的注册时间'
+};
+
+// 新闻状态的显示文字
+const STATUS_TEXT = {
+    'Fake': '假新闻',
+    'Not Fake': '真实新闻',
+    'Pending': '待验证'
+};
+
+class AuthorProfile {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.containerId - 容器元素ID
+     * @param {string} options.userId - 要查看的用户ID
+     * @param {Function} options.onError - 错误处理回调函数
+     */
+    constructor(options = {}) {
+        this.containerId = options.containerId;
+        this.userId = options.userId;
+        this.onError = options.onError || (error => console.error('加载用户资料失败:', error));
+        
+        // 状态
+        this.container = null;
+        this.profile = null;
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化组件
+     */
+    async init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`容器元素不存在: ${this.containerId}`);
+            return;
+        }
+        
+        AuthorProfile.addStyles();
+        
+        await this.load();
+    }
+    
+    /**
+     * 加载用户资料
+     */
+    async load() {
+        this.container.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await getUserProfile(this.userId);
+            this.profile = response.data;
+            this.render();
+        } catch (error) {
+            this.container.innerHTML = `<div class="error-message">${this.escapeHtml(error.status === 404 ? '用户不存在' : error.message)}</div>`;
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 渲染资料页
+     */
+    render() {
+        const { firstName, lastName, role, joinedAt, credibility, submissions, votingAccuracy, privacy } = this.profile;
+        
+        this.container.innerHTML = `
+            <div class="author-profile">
+                <div class="profile-header">
+                    <h2>${this.escapeHtml(`${firstName} ${lastName}`)} ${credibilityBadge(credibility)}</h2>
+                    <div class="profile-meta">
+                        <span>${this.escapeHtml(role)}</span>
+                        <span>${joinedAt ? `注册于 ${formatDate(joinedAt)}` : '注册时间未公开'}</span>
+                    </div>
+                </div>
+                <div class="profile-cards">
+                    ${this.renderCredibility(credibility)}
+                    ${this.renderVotingAccuracy(votingAccuracy)}
+                </div>
+                ${this.renderSubmissions(submissions)}
+                ${privacy ? this.renderPrivacyForm(privacy) : ''}
+            </div>
+        `;
+        
+        this.container.querySelector('.profile-privacy')?.addEventListener('change', (e) => this.handlePrivacyChange(e));
+    }
+    
+    /**
+     * 渲染作者可信度卡片
+     * @param {Object} credibility - 可信度
+     * @returns {string} HTML
+     */
+    renderCredibility(credibility) {
+        return `
+            <div class="profile-card">
+                <div class="profile-card-label">作者可信度</div>
+                <div class="profile-card-value">${Math.round(credibility.score * 100)}%</div>
+                <div class="profile-card-note">
+                    ${credibility.decidedCount} 条已判定：${credibility.notFakeCount} 真实 / ${credibility.fakeCount} 虚假
+                    ${credibility.level === 'unrated' ? '（判定数量不足，暂无评级）' : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 渲染投票准确率卡片
+     * @param {Object|null} votingAccuracy - 投票准确率，未公开时为 null
+     * @returns {string} HTML
+     */
+    renderVotingAccuracy(votingAccuracy) {
+        if (!votingAccuracy) {
+            return `
+                <div class="profile-card">
+                    <div class="profile-card-label">投票准确率</div>
+                    <div class="profile-card-note">未公开</div>
+                </div>
+            `;
+        }
+        
+        const { accuracy, correctVotes, resolvedVotes } = votingAccuracy;
+        
+        return `
+            <div class="profile-card">
+                <div class="profile-card-label">投票准确率</div>
+                <div class="profile-card-value">${accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`}</div>
+                <div class="profile-card-note">${correctVotes} / ${resolvedVotes} 票与最终判定一致</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 渲染提交记录
+     * @param {Object|null} submissions - 提交记录，未公开时为 null
+     * @returns {string} HTML
+     */
+    renderSubmissions(submissions) {
+        if (!submissions) {
+            return '<section class="profile-section"><h3>提交记录</h3><p class="profile-empty">提交记录未公开</p></section>';
+        }
+        
+        const counts = Object.entries(submissions.byStatus)
+            .map(([status, count]) => `<span class="news-status ${this.getStatusClass(status)}">${STATUS_TEXT[status] || status} ${count}</span>`)
+            .join('');
+        
+        const recent = submissions.recent.map(news => `
+            <li>
+                <a href="detail.html?id=${news._id}">${this.escapeHtml(news.title)}</a>
+                <span class="profile-recent-meta">${STATUS_TEXT[news.status] || news.status} · ${formatDate(news.createdAt)}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <section class="profile-section">
+                <h3>提交记录（共 ${submissions.total} 条）</h3>
+                <div class="profile-status-counts">${counts}</div>
+                ${recent ? `<ul class="profile-recent">${recent}</ul>` : '<p class="profile-empty">还没有提交新闻</p>'}
+            </section>
+        `;
+    }
+    
+    /**
+     * 渲染隐私设置（仅本人可见）
+     * @param {Object} privacy - 隐私设置
+     * @returns {string} HTML
+     */
+    renderPrivacyForm(privacy) {
+        const options = Object.entries(PRIVACY_LABELS).map(([setting, label]) => `
+            <label>
+                <input type="checkbox" name="${setting}" ${privacy[setting] ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+        
+        return `
+            <section class="profile-section">
+                <h3>隐私设置</h3>
+                <p class="profile-empty">作者可信度来自已公开新闻的判定结果，始终公开</p>
+                <form class="profile-privacy">${options}</form>
+            </section>
+        `;
+    }
+    
+    /**
+     * 处理隐私设置变化
+     * @param {Event} e - change 事件
+     */
+    async handlePrivacyChange(e) {
+        const { name, checked } = e.target;
+        
+        try {
+            e.target.disabled = true;
+            const response = await updatePrivacySettings({ [name]: checked });
+            this.profile.privacy = response.data.privacy;
+            showMessage('隐私设置已保存', 'success');
+        } catch (error) {
+            // 保存失败时恢复原来的选择
+            e.target.checked = !checked;
+            showMessage(`保存隐私设置失败: ${error.message}`, 'error');
+            this.onError(error);
+        } finally {
+            e.target.disabled = false;
+        }
+    }
+    
+    /**
+     * 获取状态样式类
+     * @param {string} status - 新闻状态
+     * @returns {string} 样式类名
+     */
+    getStatusClass(status) {
+        switch (status) {
+            case 'Fake': return 'status-fake';
+            case 'Not Fake': return 'status-not-fake';
+            case 'Pending': return 'status-pending';
+            default: return '';
+        }
+    }
+    
+    /**
+     * HTML转义
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 添加组件样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('author-profile-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'author-profile-styles';
+        style.textContent = `
+            .author-profile {
+                background: white;
+                border-radius: 8px;
+                padding: 24px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            }
+            
+            .profile-meta {
+                display: flex;
+                gap: 16px;
+                color: #7f8c8d;
+                margin-top: 4px;
+            }
+            
+            .profile-cards {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                gap: 16px;
+                margin: 20px 0;
+            }
+            
+            .profile-card {
+                border: 1px solid #eee;
+                border-radius: 8px;
+                padding: 16px;
+            }
+            
+            .profile-card-label {
+                color: #7f8c8d;
+                font-size: 14px;
+            }
+            
+            .profile-card-value {
+                font-size: 28px;
+                font-weight: 600;
+                color: #2c3e50;
+            }
+            
+            .profile-card-note,
+            .profile-empty,
+            .profile-recent-meta {
+                color: #999;
+                font-size: 13px;
+            }
+            
+            .profile-section {
+                margin-top: 20px;
+            }
+            
+            .profile-status-counts {
+                display: flex;
+                gap: 8px;
+                margin: 8px 0;
+            }
+            
+            .profile-recent {
+                list-style: none;
+            }
+            
+            .profile-recent li {
+                display: flex;
+                justify-content: space-between;
+                padding: 6px 0;
+                border-bottom: 1px solid #eee;
+            }
+            
+            .profile-privacy label {
+                display: block;
+                margin: 6px 0;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default AuthorProfile;
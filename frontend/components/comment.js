@@ -1,12 +1,13 @@
 /**
  * 评论组件
- * 实现新闻评论的展示、提交、删除和分页功能
+ * 实现新闻评论的展示、提交、回复（楼中楼）、删除和分页功能
  */
 
-import { getNewsComments, submitComment, deleteComment, updateComment } from '../utils/api.js';
+import { getCommentThreads, getCommentReplies, submitComment, deleteComment, updateComment, subscribeNewsEvents } from '../utils/api.js';
 import { getToken } from '../utils/storage.js';
 import auth from './auth.js';
 import PaginationComponent from './pagination.js';
+import ReportDialog from './reportDialog.js';
 
 class CommentComponent {
     /**
@@ -15,6 +16,7 @@ class CommentComponent {
      * @param {string} options.containerId - 容器元素ID
      * @param {string} options.newsId - 新闻ID
      * @param {number} options.pageSize - 每页评论数量
+     * @param {number} options.replyPageSize - 每次加载的回复数量
      * @param {Function} options.onCommentAdd - 添加评论成功回调
      * @param {Function} options.onCommentDelete - 删除评论成功回调
      */
@@ -22,6 +24,7 @@ class CommentComponent {
         this.containerId = options.containerId;
         this.newsId = options.newsId;
         this.pageSize = options.pageSize || 10;
+        this.replyPageSize = options.replyPageSize || 10;
         this.onCommentAdd = options.onCommentAdd || function() {};
         this.onCommentDelete = options.onCommentDelete || function() {};
         
@@ -38,6 +41,9 @@ class CommentComponent {
         this.totalPages = 0;
         this.isLoading = false;
         this.pagination = null;
+        // 回复嵌套层数上限，以服务器返回为准
+        this.maxDepth = 3;
+        this.unsubscribeEvents = null; // 取消实时更新订阅
         
         this.init();
     }
@@ -56,6 +62,7 @@ class CommentComponent {
             this.render();
             this.bindEvents();
             await this.loadComments();
+            this.subscribeEvents();
         } catch (error) {
             console.error('评论组件初始化失败:', error);
             this.showError('评论组件初始化失败');
@@ -493,6 +500,49 @@ class CommentComponent {
                 cursor: pointer;
             }
             
+            /* 回复（楼中楼） */
+            .comment-replies {
+                margin-left: 20px;
+                padding-left: 12px;
+                border-left: 2px solid #e9ecef;
+            }
+            
+            .comment-replies:empty {
+                display: none;
+            }
+            
+            .comment-item.comment-reply {
+                margin-top: 10px;
+                margin-bottom: 0;
+            }
+            
+            .comment-item.comment-deleted {
+                background-color: transparent;
+            }
+            
+            .comment-tombstone {
+                color: #adb5bd;
+                font-style: italic;
+            }
+            
+            .comment-reply-form {
+                margin: 10px 0;
+            }
+            
+            .comment-load-replies-btn {
+                margin-top: 8px;
+                padding: 4px 0;
+                background: none;
+                border: none;
+                color: #007bff;
+                font-size: 13px;
+                cursor: pointer;
+            }
+            
+            .comment-load-replies-btn:hover {
+                text-decoration: underline;
+            }
+            
             /* 响应式设计 */
             @media (max-width: 768px) {
                 .comment-header {
@@ -565,6 +615,71 @@ class CommentComponent {
         reader.readAsDataURL(file);
     }
     
+    /**
+     * 订阅实时评论更新
+     */
+    subscribeEvents() {
+        this.unsubscribeEvents = subscribeNewsEvents(this.newsId, {
+            'comment.created': (comment) => this.handleLiveComment(comment),
+            // 删除后是显示占位还是移除由服务器决定，重新加载当前页
+            'comment.deleted': ({ commentId }) => {
+                if (this.findCommentElement(commentId)) {
+                    this.loadComments(this.currentPage);
+                }
+            },
+            'comment.restored': ({ parentId }) => {
+                if (!parentId || this.findCommentElement(parentId)) {
+                    this.loadComments(this.currentPage);
+                }
+            },
+            // 断线期间错过的事件无法补发，重新加载
+            resync: () => this.loadComments(this.currentPage)
+        });
+    }
+    
+    /**
+     * 查找页面上的评论元素
+     * @param {string} commentId - 评论ID
+     * @returns {HTMLElement|null} 评论DOM元素
+     */
+    findCommentElement(commentId) {
+        return this.commentListElement?.querySelector(`.comment-item[data-id="${commentId}"]`) || null;
+    }
+    
+    /**
+     * 显示其他用户新发表的评论
+     * @param {Object} comment - 评论数据
+     */
+    handleLiveComment(comment) {
+        // 已经显示的评论（如自己刚发表的）不重复添加
+        if (this.isLoading || this.findCommentElement(comment._id)) return;
+        
+        if (!comment.parentId) {
+            // 顶层评论按时间倒序，只有第一页需要显示新评论
+            if (this.currentPage !== 1) return;
+            
+            this.comments.unshift(comment);
+            this.totalComments++;
+            this.commentListElement.prepend(this.createCommentElement(comment));
+            this.commentListElement.style.display = 'block';
+            this.noCommentsElement.style.display = 'none';
+            
+            // 保持每页条数不变
+            if (this.comments.length > this.pageSize) {
+                this.comments.pop();
+                this.commentListElement.lastElementChild?.remove();
+            }
+            return;
+        }
+        
+        // 回复按时间顺序排列，还有未加载的回复时新回复不在当前显示范围内
+        const parentElement = this.findCommentElement(comment.parentId);
+        const repliesElement = parentElement?.querySelector(':scope > .comment-replies');
+        if (repliesElement && !repliesElement.querySelector(':scope > .comment-load-replies-btn')) {
+            repliesElement.appendChild(this.createCommentElement(comment));
+        }
+    }
+    
     /**
      * 加载评论列表
      * @param {number} page - 页码
@@ -579,15 +694,19 @@ class CommentComponent {
             this.commentListElement.style.display = 'none';
             this.noCommentsElement.style.display = 'none';
             
-            // 加载评论数据
-            const response = await getNewsComments(this.newsId, {
+            // 加载顶层评论（每条附带前几条回复）
+            const response = await getCommentThreads(this.newsId, {
                 page: this.currentPage,
                 pageSize: this.pageSize
             });
             
-            this.comments = response.comments || [];
-            this.totalComments = response.totalItems || 0;
-            this.totalPages = response.totalPages || 1;
+            const { items = [], pagination = {}, maxDepth } = response.data || {};
+            this.comments = items;
+            this.totalComments = pagination.total || 0;
+            this.totalPages = pagination.pageCount || 1;
+            if (maxDepth !== undefined) {
+                this.maxDepth = maxDepth;
+            }
             
             // 渲染评论列表
             this.renderComments();
@@ -629,56 +748,95 @@ class CommentComponent {
     }
     
     /**
-     * 创建单个评论元素
+     * 创建单个评论元素（包含回复）
      * @param {Object} comment - 评论数据
      * @returns {HTMLElement} 评论DOM元素
      */
     createCommentElement(comment) {
         const commentItem = document.createElement('div');
-        commentItem.className = 'comment-item';
+        commentItem.className = `comment-item${comment.depth ? ' comment-reply' : ''}`;
+        commentItem.dataset.id = comment._id;
         
         // 获取当前用户信息
         const currentUser = auth.getCurrentUser();
         const isCurrentUserComment = currentUser && currentUser._id === comment.userId;
         const isAdmin = auth.hasRole('Administrator');
+        const canReply = auth.isLoggedIn() && !comment.isDeleted && (comment.depth || 0) < this.maxDepth;
+        const canReport = auth.isLoggedIn() && !isCurrentUserComment;
         
-        // 生成用户头像首字母
-        const avatarText = comment.userName ? comment.userName.charAt(0).toUpperCase() : '?';
-        
-        // 构建评论HTML
-        commentItem.innerHTML = `
-            <div class="comment-header">
-                <div class="comment-author-info">
-                    <div class="comment-avatar">${avatarText}</div>
-                    <div>
-                        <span class="comment-author-name">${comment.userName || '匿名用户'}</span>
-                        ${comment.userRole === 'Administrator' ? '<span class="comment-badge admin">管理员</span>' : ''}
-                        ${isCurrentUserComment ? '<span class="comment-badge author">我</span>' : ''}
-                        <span class="comment-time">${this.formatDate(comment.createdAt)}</span>
+        if (comment.isDeleted || comment.isHidden) {
+            // 已删除或被举报隐藏的评论保留为占位，其回复仍可阅读
+            commentItem.classList.add('comment-deleted');
+            commentItem.innerHTML = `
+                <div class="comment-content comment-tombstone">${comment.isDeleted ? '该评论已删除' : '该评论因多次被举报已隐藏，等待管理员处理'}</div>
+            `;
+        } else {
+            // 生成用户头像首字母
+            const avatarText = comment.userName ? comment.userName.charAt(0).toUpperCase() : '?';
+            
+            // 构建评论HTML
+            commentItem.innerHTML = `
+                <div class="comment-header">
+                    <div class="comment-author-info">
+                        <div class="comment-avatar">${this.escapeHtml(avatarText)}</div>
+                        <div>
+                            <span class="comment-author-name">${this.escapeHtml(comment.userName || '匿名用户')}</span>
+                            ${comment.userRole === 'Administrator' ? '<span class="comment-badge admin">管理员</span>' : ''}
+                            ${isCurrentUserComment ? '<span class="comment-badge author">我</span>' : ''}
+                            <span class="comment-time">${this.formatDate(comment.createdAt)}</span>
+                        </div>
+                    </div>
+                    
+                    <div class="comment-actions">
+                        ${canReply ? `<button class="comment-action-btn comment-reply-btn" data-id="${comment._id}">回复</button>` : ''}
+                        ${canReport ? `<button class="comment-action-btn comment-report-btn" data-id="${comment._id}">举报</button>` : ''}
+                        ${(isCurrentUserComment || isAdmin) ? `
+                            <button class="comment-action-btn comment-edit-btn" data-id="${comment._id}">编辑</button>
+                            <button class="comment-action-btn comment-delete-btn" data-id="${comment._id}">删除</button>
+                        ` : ''}
                     </div>
                 </div>
                 
-                <div class="comment-actions">
-                    ${(isCurrentUserComment || isAdmin) ? `
-                        <button class="comment-action-btn comment-edit-btn" data-id="${comment._id}">编辑</button>
-                        <button class="comment-action-btn comment-delete-btn" data-id="${comment._id}">删除</button>
-                    ` : ''}
-                </div>
-            </div>
-            
-            <div class="comment-content">${comment.content}</div>
-            
-            ${comment.imageUrl ? `<img src="${comment.imageUrl}" alt="评论图片" class="comment-image">` : ''}
-        `;
+                <div class="comment-content">${this.escapeHtml(comment.content)}</div>
+                
+                ${comment.imageUrl ? `<img src="${this.escapeHtml(comment.imageUrl)}" alt="评论图片" class="comment-image">` : ''}
+            `;
+        }
+        
+        // 回复区域
+        const repliesElement = document.createElement('div');
+        repliesElement.className = 'comment-replies';
+        commentItem.appendChild(repliesElement);
+        
+        (comment.replies || []).forEach(reply => {
+            repliesElement.appendChild(this.createCommentElement(reply));
+        });
+        
+        const shownReplies = (comment.replies || []).length;
+        if (comment.replyCount > shownReplies) {
+            this.appendLoadRepliesButton(repliesElement, comment, 1, comment.replyCount - shownReplies, shownReplies > 0);
+        }
+        
+        // 绑定回复按钮事件
+        const replyBtn = commentItem.querySelector(':scope > .comment-header .comment-reply-btn');
+        if (replyBtn) {
+            replyBtn.addEventListener('click', () => this.handleReply(commentItem, comment));
+        }
+        
+        // 绑定举报按钮事件
+        const reportBtn = commentItem.querySelector(':scope > .comment-header .comment-report-btn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.handleReportComment(comment._id));
+        }
         
         // 绑定删除按钮事件
-        const deleteBtn = commentItem.querySelector('.comment-delete-btn');
+        const deleteBtn = commentItem.querySelector(':scope > .comment-header .comment-delete-btn');
         if (deleteBtn) {
             deleteBtn.addEventListener('click', () => this.handleDeleteComment(comment._id));
         }
         
         // 绑定编辑按钮事件
-        const editBtn = commentItem.querySelector('.comment-edit-btn');
+        const editBtn = commentItem.querySelector(':scope > .comment-header .comment-edit-btn');
         if (editBtn) {
             editBtn.addEventListener('click', () => this.handleEditComment(commentItem, comment));
         }
@@ -686,6 +844,132 @@ class CommentComponent {
         return commentItem;
     }
     
+    /**
+     * 添加"查看回复"按钮
+     * @param {HTMLElement} repliesElement - 回复容器
+     * @param {Object} comment - 父评论数据
+     * @param {number} page - 要加载的页码
+     * @param {number} remaining - 未显示的回复数量
+     * @param {boolean} replacePreview - 加载第一页时是否替换已显示的预览回复
+     */
+    appendLoadRepliesButton(repliesElement, comment, page, remaining, replacePreview = false) {
+        const button = document.createElement('button');
+        button.className = 'comment-load-replies-btn';
+        button.textContent = `查看更多回复（${remaining}）`;
+        button.addEventListener('click', () => this.loadReplies(repliesElement, comment, page, replacePreview));
+        repliesElement.appendChild(button);
+    }
+    
+    /**
+     * 加载评论的回复
+     * @param {HTMLElement} repliesElement - 回复容器
+     * @param {Object} comment - 父评论数据
+     * @param {number} page - 页码
+     * @param {boolean} replacePreview - 是否清空已显示的回复
+     */
+    async loadReplies(repliesElement, comment, page = 1, replacePreview = false) {
+        try {
+            const response = await getCommentReplies(comment._id, {
+                page,
+                pageSize: this.replyPageSize
+            });
+            
+            const { items = [], pagination = {} } = response.data || {};
+            
+            // 第一页包含预览中的回复，替换而不是追加
+            if (page === 1 && replacePreview) {
+                repliesElement.innerHTML = '';
+            } else {
+                repliesElement.querySelector(':scope > .comment-load-replies-btn')?.remove();
+            }
+            
+            items.forEach(reply => {
+                repliesElement.appendChild(this.createCommentElement(reply));
+            });
+            
+            if (pagination.hasNext) {
+                const shown = (page - 1) * this.replyPageSize + items.length;
+                this.appendLoadRepliesButton(repliesElement, comment, page + 1, pagination.total - shown);
+            }
+        } catch (error) {
+            console.error('加载回复失败:', error);
+            this.showError(error.message || '加载回复失败，请稍后重试');
+        }
+    }
+    
+    /**
+     * 显示回复表单
+     * @param {HTMLElement} commentElement - 被回复的评论DOM元素
+     * @param {Object} comment - 被回复的评论数据
+     */
+    handleReply(commentElement, comment) {
+        const repliesElement = commentElement.querySelector(':scope > .comment-replies');
+        
+        // 已打开的回复表单不重复创建
+        const existingForm = commentElement.querySelector(':scope > .comment-reply-form');
+        if (existingForm) {
+            existingForm.querySelector('textarea').focus();
+            return;
+        }
+        
+        const form = document.createElement('form');
+        form.className = 'comment-reply-form';
+        form.innerHTML = `
+            <textarea class="comment-edit-textarea" placeholder="回复 ${this.escapeHtml(comment.userName || '')}..." required></textarea>
+            <div class="comment-edit-actions">
+                <button type="submit" class="comment-edit-save-btn">回复</button>
+                <button type="button" class="comment-edit-cancel-btn">取消</button>
+            </div>
+        `;
+        commentElement.insertBefore(form, repliesElement);
+        form.querySelector('textarea').focus();
+        
+        form.querySelector('.comment-edit-cancel-btn').addEventListener('click', () => form.remove());
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const content = form.querySelector('textarea').value.trim();
+            if (!content) {
+                this.showError('回复内容不能为空');
+                return;
+            }
+            
+            try {
+                this.showInfo('正在提交回复...');
+                
+                const newComment = await submitComment({
+                    newsId: this.newsId,
+                    content,
+                    parentId: comment._id
+                });
+                
+                form.remove();
+                this.showSuccess('回复成功！');
+                
+                // 重新加载该评论的回复，新回复在最后
+                comment.replyCount = (comment.replyCount || 0) + 1;
+                await this.loadReplies(repliesElement, comment, 1, true);
+                
+                this.onCommentAdd(newComment);
+            } catch (error) {
+                console.error('提交回复失败:', error);
+                this.showError(error.message || '提交回复失败，请稍后重试');
+            }
+        });
+    }
+    
+    /**
+     * HTML转义，防止XSS
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+    
     /**
      * 处理提交评论
      */
@@ -764,6 +1048,22 @@ class CommentComponent {
         }
     }
     
+    /**
+     * 处理举报评论
+     * @param {string} commentId - 评论ID
+     */
+    async handleReportComment(commentId) {
+        const result = await ReportDialog.open({ targetType: 'comment', targetId: commentId });
+        if (!result) return;
+        
+        this.showSuccess('举报已提交，感谢你的反馈');
+        
+        // 举报数达到阈值后评论被隐藏，重新加载以显示占位
+        if (result.hidden) {
+            await this.loadComments(this.currentPage);
+        }
+    }
+    
     /**
      * 处理编辑评论
      * @param {HTMLElement} commentElement - 评论DOM元素
@@ -924,6 +1224,12 @@ class CommentComponent {
      * 销毁组件
      */
     destroy() {
+        // 取消实时更新订阅
+        if (this.unsubscribeEvents) {
+            this.unsubscribeEvents();
+            this.unsubscribeEvents = null;
+        }
+        
         // 销毁分页组件
         if (this.pagination) {
             this.pagination.destroy();
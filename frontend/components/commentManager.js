@@ -3,12 +3,13 @@
  * 用于管理员查看和管理评论数据
  */
 
+import { getAllComments, deleteComment, restoreComment, batchDeleteComments, batchRestoreComments } from '../utils/api.js';
+
 class CommentManager {
     /**
      * 构造函数
      * @param {Object} options - 配置选项
      * @param {string} options.containerId - 容器元素ID
-     * @param {string} options.apiUrl - 评论API地址
      * @param {Function} options.onAction - 操作回调函数
      * @param {Function} options.onError - 错误处理回调函数
      * @param {Object} options.filters - 初始筛选条件
@@ -17,7 +18,6 @@ class CommentManager {
     constructor(options = {}) {
         // 配置项
         this.containerId = options.containerId;
-        this.apiUrl = options.apiUrl || '/api/comments/manage';
         this.onAction = options.onAction || function() {};
         this.onError = options.onError || this.defaultErrorHandler;
         this.filters = options.filters || {};
@@ -30,6 +30,7 @@ class CommentManager {
         this.currentPage = 1;
         this.loading = false;
         this.selectedComments = [];
+        this.counts = { active: 0, deleted: 0 };
         this.filters = {
             status: 'all', // all, active, deleted
             newsId: '',
@@ -90,6 +91,9 @@ class CommentManager {
                         <button type="button" class="btn btn-danger btn-batch-delete" disabled>
                             批量删除 (0)
                         </button>
+                        <button type="button" class="btn btn-secondary btn-batch-restore" disabled>
+                            批量恢复 (0)
+                        </button>
                         <button type="button" class="btn btn-primary btn-refresh">
                             刷新
                         </button>
@@ -133,7 +137,8 @@ class CommentManager {
                             <select id="filter-sortBy" class="form-control">
                                 <option value="createdAt">创建时间</option>
                                 <option value="updatedAt">更新时间</option>
-                                <option value="likes">点赞数</option>
+                                <option value="deletedAt">删除时间</option>
+                                <option value="replyCount">回复数</option>
                             </select>
                         </div>
                         
@@ -226,6 +231,7 @@ class CommentManager {
         this.dom = {
             // 工具栏
             btnBatchDelete: this.container.querySelector('.btn-batch-delete'),
+            btnBatchRestore: this.container.querySelector('.btn-batch-restore'),
             btnRefresh: this.container.querySelector('.btn-refresh'),
             
             // 筛选器
@@ -273,6 +279,9 @@ class CommentManager {
         // 批量删除按钮
         this.dom.btnBatchDelete.addEventListener('click', () => this.handleBatchDelete());
         
+        // 批量恢复按钮
+        this.dom.btnBatchRestore.addEventListener('click', () => this.handleBatchRestore());
+        
         // 刷新按钮
         this.dom.btnRefresh.addEventListener('click', () => this.loadComments());
         
@@ -327,34 +336,13 @@ class CommentManager {
                 sortOrder: this.filters.sortOrder
             };
             
-            // 构建URL
-            const queryString = new URLSearchParams(params).toString();
-            const url = `${this.apiUrl}?${queryString}`;
-            
-            // 模拟API请求
-            // const response = await fetch(url, {
-            //     method: 'GET',
-            //     headers: {
-            //         'Content-Type': 'application/json',
-            //         'Authorization': `Bearer ${this.getAuthToken()}`
-            //     }
-            // });
-            
-            // if (!response.ok) {
-            //     throw new Error(`获取评论失败: ${response.statusText}`);
-            // }
-            
-            // const result = await response.json();
-            
-            // 模拟API延迟
-            await new Promise(resolve => setTimeout(resolve, 800));
-            
-            // 生成模拟数据
-            const mockResult = this.generateMockComments();
+            const response = await getAllComments(params);
+            const { items, pagination, counts } = response.data;
             
             // 更新状态
-            this.data = mockResult.data;
-            this.totalItems = mockResult.total;
+            this.data = items.map(comment => this.toRow(comment));
+            this.totalItems = pagination.total;
+            this.counts = counts || { active: 0, deleted: 0 };
             
             // 渲染评论列表
             this.renderComments();
@@ -375,6 +363,27 @@ class CommentManager {
         }
     }
     
+    /**
+     * 将接口返回的评论转换为列表行数据
+     */
+    toRow(comment) {
+        return {
+            id: comment._id,
+            content: comment.content,
+            images: comment.images || [],
+            userId: comment.userId,
+            userName: comment.userName,
+            newsId: comment.newsId,
+            newsTitle: comment.newsTitle || '（新闻不存在）',
+            replyCount: comment.replyCount || 0,
+            deleted: comment.isDeleted,
+            deletedByUserName: comment.deletedByUserName,
+            deletedAt: comment.deletedAt,
+            createdAt: comment.createdAt,
+            updatedAt: comment.updatedAt
+        };
+    }
+    
     /**
      * 渲染评论列表
      */
@@ -410,7 +419,8 @@ class CommentManager {
                 </td>
                 <td class="id-col">${comment.id}</td>
                 <td class="content-col">
-                    <div class="comment-content">${this.truncateText(comment.content, 100)}</div>
+                    <div class="comment-content">${this.escapeHtml(this.truncateText(comment.content, 100))}</div>
+                    ${comment.replyCount > 0 ? `<div class="reply-count">${comment.replyCount} 条回复</div>` : ''}
                     ${comment.images && comment.images.length > 0 ? 
                         `<div class="comment-images">
                             <span class="image-count">含 ${comment.images.length} 张图片</span>
@@ -419,13 +429,13 @@ class CommentManager {
                 </td>
                 <td class="user-col">
                     <div class="user-info">
-                        <div class="user-name">${comment.userName}</div>
+                        <div class="user-name">${this.escapeHtml(comment.userName)}</div>
                         <div class="user-id">ID: ${comment.userId}</div>
                     </div>
                 </td>
                 <td class="news-col">
                     <div class="news-info">
-                        <div class="news-title">${this.truncateText(comment.newsTitle, 30)}</div>
+                        <div class="news-title">${this.escapeHtml(this.truncateText(comment.newsTitle, 30))}</div>
                         <div class="news-id">ID: ${comment.newsId}</div>
                     </div>
                 </td>
@@ -712,9 +722,28 @@ class CommentManager {
         
         if (confirm(`确定要删除选中的 ${this.selectedComments.length} 条评论吗？`)) {
             try {
-                await this.batchDeleteComments();
+                const ids = [...this.selectedComments];
+                await this.batchDeleteComments(ids);
+                this.loadComments(); // 重新加载数据
+                this.onAction('batchDelete', { ids });
+            } catch (error) {
+                this.onError(error);
+            }
+        }
+    }
+    
+    /**
+     * 处理批量恢复
+     */
+    async handleBatchRestore() {
+        if (this.selectedComments.length === 0) return;
+        
+        if (confirm(`确定要恢复选中的 ${this.selectedComments.length} 条评论吗？`)) {
+            try {
+                const ids = [...this.selectedComments];
+                await this.batchRestoreComments(ids);
                 this.loadComments(); // 重新加载数据
-                this.onAction('batchDelete', { ids: this.selectedComments });
+                this.onAction('batchRestore', { ids });
             } catch (error) {
                 this.onError(error);
             }
@@ -725,67 +754,28 @@ class CommentManager {
      * 删除单个评论
      */
     async deleteComment(commentId) {
-        // 模拟API调用
-        await new Promise(resolve => setTimeout(resolve, 500));
-        console.log('删除评论:', commentId);
-        
-        // 实际项目中的API调用
-        // const response = await fetch(`${this.apiUrl}/${commentId}/delete`, {
-        //     method: 'PUT',
-        //     headers: {
-        //         'Content-Type': 'application/json',
-        //         'Authorization': `Bearer ${this.getAuthToken()}`
-        //     }
-        // });
-        // 
-        // if (!response.ok) {
-        //     throw new Error(`删除评论失败: ${response.statusText}`);
-        // }
+        return await deleteComment(commentId);
     }
     
     /**
      * 恢复评论
      */
     async restoreComment(commentId) {
-        // 模拟API调用
-        await new Promise(resolve => setTimeout(resolve, 500));
-        console.log('恢复评论:', commentId);
-        
-        // 实际项目中的API调用
-        // const response = await fetch(`${this.apiUrl}/${commentId}/restore`, {
-        //     method: 'PUT',
-        //     headers: {
-        //         'Content-Type': 'application/json',
-        //         'Authorization': `Bearer ${this.getAuthToken()}`
-        //     }
-        // });
-        // 
-        // if (!response.ok) {
-        //     throw new Error(`恢复评论失败: ${response.statusText}`);
-        // }
+        return await restoreComment(commentId);
     }
     
     /**
-     * 批量删除评论
+     * 批量删除评论（已删除的评论会被服务端跳过）
      */
-    async batchDeleteComments() {
-        // 模拟API调用
-        await new Promise(resolve => setTimeout(resolve, 800));
-        console.log('批量删除评论:', this.selectedComments);
-        
-        // 实际项目中的API调用
-        // const response = await fetch(`${this.apiUrl}/batch-delete`, {
-        //     method: 'POST',
-        //     headers: {
-        //         'Content-Type': 'application/json',
-        //         'Authorization': `Bearer ${this.getAuthToken()}`
-        //     },
-        //     body: JSON.stringify({ ids: this.selectedComments })
-        // });
-        // 
-        // if (!response.ok) {
-        //     throw new Error(`批量删除失败: ${response.statusText}`);
-        // }
+    async batchDeleteComments(ids) {
+        return await batchDeleteComments(ids);
+    }
+    
+    /**
+     * 批量恢复评论（未删除的评论会被服务端跳过）
+     */
+    async batchRestoreComments(ids) {
+        return await batchRestoreComments(ids);
     }
     
     /**
@@ -810,14 +800,14 @@ class CommentManager {
                         </div>
                         <div class="detail-row">
                             <label>评论内容:</label>
-                            <div class="detail-content">${comment.content}</div>
+                            <div class="detail-content">${this.escapeHtml(comment.content)}</div>
                         </div>
                         ${comment.images && comment.images.length > 0 ? 
                             `<div class="detail-row">
                                 <label>图片:</label>
                                 <div class="detail-images">
                                     ${comment.images.map(img => 
-                                        `<img src="${img}" alt="评论图片" class="comment-image-thumb">`
+                                        `<img src="${this.escapeHtml(img)}" alt="评论图片" class="comment-image-thumb">`
                                     ).join('')}
                                 </div>
                             </div>` : ''
@@ -825,14 +815,14 @@ class CommentManager {
                         <div class="detail-row">
                             <label>用户信息:</label>
                             <div>
-                                <div>用户名: ${comment.userName}</div>
+                                <div>用户名: ${this.escapeHtml(comment.userName)}</div>
                                 <div>用户ID: ${comment.userId}</div>
                             </div>
                         </div>
                         <div class="detail-row">
                             <label>新闻信息:</label>
                             <div>
-                                <div>新闻标题: ${comment.newsTitle}</div>
+                                <div>新闻标题: ${this.escapeHtml(comment.newsTitle)}</div>
                                 <div>新闻ID: ${comment.newsId}</div>
                             </div>
                         </div>
@@ -840,6 +830,16 @@ class CommentManager {
                             <label>状态:</label>
                             <span>${comment.deleted ? '已删除' : '正常'}</span>
                         </div>
+                        ${comment.deleted ? 
+                            `<div class="detail-row">
+                                <label>删除信息:</label>
+                                <span>${this.escapeHtml(comment.deletedByUserName || '未知')} 于 ${this.formatDateTime(comment.deletedAt)}</span>
+                            </div>` : ''
+                        }
+                        <div class="detail-row">
+                            <label>回复数:</label>
+                            <span>${comment.replyCount}</span>
+                        </div>
                         <div class="detail-row">
                             <label>创建时间:</label>
                             <span>${this.formatDateTime(comment.createdAt)}</span>
@@ -878,16 +878,31 @@ class CommentManager {
      * 更新批量操作按钮状态
      */
     updateBatchButtonState() {
-        const count = this.selectedComments.length;
-        this.dom.btnBatchDelete.disabled = count === 0;
-        this.dom.btnBatchDelete.textContent = `批量删除 (${count})`;
+        const selected = this.data.filter(comment => this.selectedComments.includes(comment.id));
+        const deletableCount = selected.filter(comment => !comment.deleted).length;
+        const restorableCount = selected.length - deletableCount;
+        
+        this.dom.btnBatchDelete.disabled = deletableCount === 0;
+        this.dom.btnBatchDelete.textContent = `批量删除 (${deletableCount})`;
+        this.dom.btnBatchRestore.disabled = restorableCount === 0;
+        this.dom.btnBatchRestore.textContent = `批量恢复 (${restorableCount})`;
     }
     
     /**
      * 更新统计信息
      */
     updateStats() {
-        // 这里可以添加更多统计信息的更新逻辑
+        // 在状态筛选中显示当前条件下各状态的评论数
+        const { active, deleted } = this.counts;
+        const labels = {
+            all: `全部状态 (${active + deleted})`,
+            active: `正常 (${active})`,
+            deleted: `已删除 (${deleted})`
+        };
+        
+        Array.from(this.dom.filterStatus.options).forEach(option => {
+            option.textContent = labels[option.value];
+        });
     }
     
     /**
@@ -935,10 +950,12 @@ class CommentManager {
     }
     
     /**
-     * 获取认证令牌
+     * 转义HTML特殊字符
      */
-    getAuthToken() {
-        return localStorage.getItem('auth_token') || '';
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
     }
     
     /**
@@ -949,95 +966,6 @@ class CommentManager {
         alert(`错误: ${error.message || '操作失败'}`);
     }
     
-    /**
-     * 生成模拟评论数据
-     */
-    generateMockComments() {
-        const total = 128; // 模拟总数据量
-        const page = this.currentPage;
-        const pageSize = this.pageSize;
-        
-        const startIdx = (page - 1) * pageSize;
-        const endIdx = Math.min(startIdx + pageSize, total);
-        
-        const comments = [];
-        
-        for (let i = startIdx; i < endIdx; i++) {
-            const id = `comment_${i + 1}`;
-            const isDeleted = Math.random() > 0.8; // 20% 的概率已删除
-            const hasImages = Math.random() > 0.7; // 30% 的概率有图片
-            
-            comments.push({
-                id,
-                content: `这是一条测试评论内容，用于展示评论管理功能。评论ID: ${id}。这里包含了一些随机生成的文本内容，用于测试显示效果和截断功能。`,
-                userId: `user_${Math.floor(Math.random() * 10) + 1}`,
-                userName: `用户${Math.floor(Math.random() * 10) + 1}`,
-                newsId: `news_${Math.floor(Math.random() * 50) + 1}`,
-                newsTitle: `新闻标题 ${Math.floor(Math.random() * 50) + 1}`,
-                images: hasImages ? [
-                    'https://via.placeholder.com/100',
-                    'https://via.placeholder.com/100'
-                ] : [],
-                likes: Math.floor(Math.random() * 100),
-                deleted: isDeleted,
-                createdAt: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(),
-                updatedAt: new Date(Date.now() - Math.random() * 3 * 24 * 60 * 60 * 1000).toISOString()
-            });
-        }
-        
-        // 应用筛选
-        let filteredComments = [...comments];
-        
-        if (this.filters.status === 'active') {
-            filteredComments = filteredComments.filter(c => !c.deleted);
-        } else if (this.filters.status === 'deleted') {
-            filteredComments = filteredComments.filter(c => c.deleted);
-        }
-        
-        if (this.filters.newsId) {
-            filteredComments = filteredComments.filter(c => c.newsId.includes(this.filters.newsId));
-        }
-        
-        if (this.filters.userId) {
-            filteredComments = filteredComments.filter(c => c.userId.includes(this.filters.userId));
-        }
-        
-        if (this.filters.searchKeyword) {
-            const keyword = this.filters.searchKeyword.toLowerCase();
-            filteredComments = filteredComments.filter(c => 
-                c.content.toLowerCase().includes(keyword) ||
-                c.userName.toLowerCase().includes(keyword) ||
-                c.newsTitle.toLowerCase().includes(keyword)
-            );
-        }
-        
-        // 应用排序
-        filteredComments.sort((a, b) => {
-            let compareValue = 0;
-            
-            switch (this.filters.sortBy) {
-                case 'createdAt':
-                    compareValue = new Date(a.createdAt) - new Date(b.createdAt);
-                    break;
-                case 'updatedAt':
-                    compareValue = new Date(a.updatedAt) - new Date(b.updatedAt);
-                    break;
-                case 'likes':
-                    compareValue = a.likes - b.likes;
-                    break;
-            }
-            
-            return this.filters.sortOrder === 'desc' ? -compareValue : compareValue;
-        });
-        
-        return {
-            data: filteredComments,
-            total: this.filters.searchKeyword || this.filters.newsId || this.filters.userId ? filteredComments.length : total,
-            page,
-            pageSize
-        };
-    }
-    
     /**
      * 添加CSS样式
      */
@@ -1277,7 +1205,8 @@ class CommentManager {
                 margin-bottom: 5px;
             }
             
-            .comment-images {
+            .comment-images,
+            .reply-count {
                 font-size: 12px;
                 color: #6c757d;
             }
@@ -3,6 +3,11 @@
  * 用于新闻提交和评论提交时的图片上传功能
  */
 
+import { uploadImages } from '../utils/api.js';
+
+// 后端接受的图片格式（服务端会再次校验文件头）
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
 class ImageUploadComponent {
     /**
      * 构造函数
@@ -11,7 +16,6 @@ class ImageUploadComponent {
      * @param {Function} options.onUpload - 上传成功回调函数
      * @param {Function} options.onError - 错误处理回调函数
      * @param {Function} options.onPreview - 预览回调函数
-     * @param {string} options.uploadUrl - 上传接口URL
      * @param {string} options.accept - 接受的图片格式
      * @param {number} options.maxSize - 最大文件大小(MB)
      * @param {number} options.maxFiles - 最大文件数量
@@ -23,8 +27,7 @@ class ImageUploadComponent {
         this.onUpload = options.onUpload || function() {};
         this.onError = options.onError || this.defaultErrorHandler;
         this.onPreview = options.onPreview || function() {};
-        this.uploadUrl = options.uploadUrl || '/api/upload/image';
-        this.accept = options.accept || 'image/*';
+        this.accept = options.accept || ALLOWED_IMAGE_TYPES.join(',');
         this.maxSize = options.maxSize || 5; // 默认5MB
         this.maxFiles = options.maxFiles || 5;
         this.multiple = options.multiple || false;
@@ -92,7 +95,7 @@ class ImageUploadComponent {
                         <div class="upload-icon">📁</div>
                         <div class="upload-text">
                             <p class="upload-title">点击或拖拽图片到此处上传 ${multipleText}</p>
-                            <p class="upload-hint">支持JPG、PNG、GIF格式，单张不超过${this.maxSize}MB</p>
+                            <p class="upload-hint">支持JPG、PNG、GIF、WebP格式，单张不超过${this.maxSize}MB</p>
                             <p class="upload-count-hint">已选择 0/${this.maxFiles} 张图片</p>
                         </div>
                     </label>
@@ -273,53 +276,15 @@ class ImageUploadComponent {
         }
         
         try {
-            // 创建FormData
-            const formData = new FormData();
-            this.uploadedFiles.forEach((file, index) => {
-                formData.append('images', file);
-            });
-            
-            // 添加CSRF令牌（如果需要）
-            const csrfToken = document.querySelector('meta[name="csrf-token"]');
-            if (csrfToken) {
-                formData.append('csrf_token', csrfToken.getAttribute('content'));
-            }
-            
             // 显示上传中状态
             this.uploadButton.disabled = true;
             this.uploadButton.innerHTML = '<span class="uploading-spinner"></span> 上传中...';
             
-            // 模拟上传（实际项目中应替换为真实的fetch请求）
-            // const response = await fetch(this.uploadUrl, {
-            //     method: 'POST',
-            //     body: formData,
-            //     headers: {
-            //         // 注意：不要设置Content-Type，让浏览器自动处理
-            //     }
-            // });
-            
-            // if (!response.ok) {
-            //     throw new Error(`上传失败: ${response.statusText}`);
-            // }
-            
-            // const result = await response.json();
-            
-            // 模拟上传延迟
-            await new Promise(resolve => setTimeout(resolve, 1500));
-            
-            // 模拟成功响应
-            const mockResult = {
-                success: true,
-                data: this.uploadedFiles.map(file => ({
-                    filename: file.name,
-                    url: URL.createObjectURL(file), // 模拟URL
-                    size: file.size,
-                    type: file.type
-                }))
-            };
+            // 上传到 /api/uploads，返回 { success, data: [{ filename, url, size, type }] }
+            const result = await uploadImages(this.uploadedFiles);
             
             // 触发上传成功回调
-            this.onUpload(mockResult);
+            this.onUpload(result);
             
             // 重置上传状态
             this.resetUpload();
@@ -330,6 +295,7 @@ class ImageUploadComponent {
             
             // 恢复按钮状态
             this.uploadButton.innerHTML = '上传图片';
+            this.uploadButton.disabled = false;
         }
     }
     
@@ -422,8 +388,8 @@ class ImageUploadComponent {
      * @returns {boolean} 是否有效
      */
     isValidFileType(file) {
-        // 检查MIME类型是否以image/开头
-        return file.type.startsWith('image/');
+        // 只允许后端支持的格式
+        return ALLOWED_IMAGE_TYPES.includes(file.type);
     }
     
     /**
@@ -55,6 +55,12 @@ class NewsDetail {
             throw new Error(`获取新闻详情失败: ${response.statusText}`);
         }
         
+        // 已合并的重复新闻跳转到保留的新闻，地址改为保留的新闻
+        if (response.redirected) {
+            this.newsId = response.url.split('/').pop();
+            history.replaceState(null, '', `#news/${this.newsId}`);
+        }
+        
         return await response.json();
     }
     
@@ -80,9 +86,14 @@ class NewsDetail {
                 <h1 class="news-title">${this.escapeHtml(news.title)}</h1>
                 <div class="news-meta">
                     <span class="news-status ${statusInfo.className}">${statusInfo.text}</span>
-                    <span class="news-author">by ${this.escapeHtml(news.author?.firstName || '')} ${this.escapeHtml(news.author?.lastName || '')}</span>
+                    <span class="news-author">by ${news.authorId
+                        ? `<a href="profile.html?id=${news.authorId}" class="author-link">${this.escapeHtml(news.authorName || '')}</a>`
+                        : this.escapeHtml(news.authorName || '')} ${this.renderCredibilityBadge(news.authorCredibility)}</span>
                     <span class="news-time">${this.formatDate(news.createdAt)}</span>
+                    ${news.revision > 1 ? `<button id="show-revisions-btn" class="news-revisions-link">已编辑 ${news.revision - 1} 次</button>` : ''}
                 </div>
+                ${news.isHidden ? '<div class="news-hidden-notice">该新闻因多次被举报已隐藏，仅作者和管理员可见</div>' : ''}
+                ${news.contentChangedAfterVotes ? '<div class="news-edited-notice">新闻内容在投票后被大幅修改，部分投票针对的是修改前的内容</div>' : ''}
             </div>
             
             ${news.imageUrl ? `
@@ -93,6 +104,11 @@ class NewsDetail {
             <div class="news-content">
                 ${this.formatContent(news.content)}
             </div>
+            ${this.renderTags(news.tags)}
+            ${this.renderSources(news.sources)}
+            
+            <!-- 修订历史区域 -->
+            <div id="revisions-container" class="revisions-section hidden"></div>
             
             <div class="news-stats">
                 <div class="vote-stats">
@@ -100,6 +116,7 @@ class NewsDetail {
                     <span class="stat-item fake-count">假新闻: ${news.voteStats?.fakeCount || 0}</span>
                     <span class="stat-item not-fake-count">真实新闻: ${news.voteStats?.notFakeCount || 0}</span>
                 </div>
+                ${this.renderPrescreen(news)}
                 <div class="comment-count">
                     <span class="stat-label">评论数:</span>
                     <span class="stat-item">${news.commentCount || 0}</span>
@@ -115,6 +132,9 @@ class NewsDetail {
                 <!-- 将由投票组件填充 -->
             </div>
             
+            <!-- 相关核查区域 -->
+            <div id="related-news-container" class="related-news hidden"></div>
+            
             <!-- 评论区域 -->
             <div id="comments-container" class="comments-section">
                 <h3>评论 (${news.commentCount || 0})</h3>
@@ -151,6 +171,11 @@ class NewsDetail {
             buttons += `<button id="delete-news-btn" class="btn btn-danger">删除新闻</button>`;
         }
         
+        // 举报按钮（登录用户，不能举报自己的新闻）
+        if (this.currentUser && !isAuthor) {
+            buttons += `<button id="report-news-btn" class="btn btn-secondary">举报</button>`;
+        }
+        
         // 状态管理按钮（管理员）
         if (isAdmin) {
             buttons += `
@@ -162,6 +187,7 @@ class NewsDetail {
                     </select>
                     <button id="update-status-btn" class="btn btn-secondary">更新状态</button>
                     <button id="recalculate-votes-btn" class="btn btn-warning">重新计算投票</button>
+                    <button id="merge-duplicate-btn" class="btn btn-secondary">合并重复新闻</button>
                 </div>
             `;
         }
@@ -185,6 +211,9 @@ class NewsDetail {
             }
         }
         
+        // 加载相关核查（失败不影响详情页）
+        this.loadRelatedNews();
+        
         // 初始化评论组件
         const commentsContainer = document.getElementById('comments-container');
         if (commentsContainer) {
@@ -214,6 +243,18 @@ class NewsDetail {
             deleteBtn.addEventListener('click', () => this.handleDeleteNews());
         }
         
+        // 修订历史按钮
+        const revisionsBtn = document.getElementById('show-revisions-btn');
+        if (revisionsBtn) {
+            revisionsBtn.addEventListener('click', () => this.toggleRevisions());
+        }
+        
+        // 举报按钮
+        const reportBtn = document.getElementById('report-news-btn');
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.handleReportNews());
+        }
+        
         // 更新状态按钮
         const updateStatusBtn = document.getElementById('update-status-btn');
         if (updateStatusBtn) {
@@ -225,6 +266,12 @@ class NewsDetail {
         if (recalculateBtn) {
             recalculateBtn.addEventListener('click', () => this.handleRecalculateVotes());
         }
+        
+        // 合并重复新闻按钮
+        const mergeBtn = document.getElementById('merge-duplicate-btn');
+        if (mergeBtn) {
+            mergeBtn.addEventListener('click', () => this.handleMergeDuplicate());
+        }
     }
     
     /**
@@ -252,7 +299,7 @@ class NewsDetail {
      * 处理删除新闻
      */
     async handleDeleteNews() {
-        if (!confirm('确定要删除这条新闻吗？此操作不可撤销。')) {
+        if (!confirm('确定要删除这条新闻吗？新闻将移入回收站，保留期内管理员可以恢复。')) {
             return;
         }
         
@@ -269,13 +316,127 @@ class NewsDetail {
                 throw new Error('删除失败');
             }
             
-            alert('新闻删除成功');
+            alert('新闻已移入回收站');
             this.handleBackToList();
         } catch (error) {
             alert('删除失败: ' + error.message);
         }
     }
     
+    /**
+     * 处理举报新闻
+     */
+    async handleReportNews() {
+        // 动态导入举报弹窗
+        const ReportDialog = await import('./reportDialog.js').then(module => module.default);
+        const result = await ReportDialog.open({ targetType: 'news', targetId: this.newsId });
+        
+        if (result) {
+            alert(result.hidden ? '举报已提交，该新闻已被隐藏，等待管理员处理' : '举报已提交，感谢你的反馈');
+        }
+    }
+    
+    /**
+     * 显示或隐藏修订历史
+     */
+    async toggleRevisions() {
+        const container = document.getElementById('revisions-container');
+        if (!container) return;
+        
+        if (!container.classList.contains('hidden')) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        container.innerHTML = '<div class="loading">加载中...</div>';
+        container.classList.remove('hidden');
+        
+        try {
+            const response = await fetch(`/api/news/${this.newsId}/revisions`);
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+            
+            const { data } = await response.json();
+            const options = data.revisions.map(revision => `
+                <option value="${revision.revision}">
+                    版本 ${revision.revision}（${this.formatDate(revision.createdAt)}）
+                </option>
+            `).join('');
+            
+            container.innerHTML = `
+                <h3>修订历史</h3>
+                <div class="revision-compare">
+                    <select id="revision-from" class="revision-select">${options}</select>
+                    <span>→</span>
+                    <select id="revision-to" class="revision-select">${options}</select>
+                    <button id="compare-revisions-btn" class="btn btn-secondary">比较</button>
+                </div>
+                <div id="revision-diff" class="revision-diff"></div>
+            `;
+            
+            // 默认比较最近一次修改
+            const fromSelect = document.getElementById('revision-from');
+            const toSelect = document.getElementById('revision-to');
+            toSelect.value = String(data.currentRevision);
+            fromSelect.value = String(Math.max(1, data.currentRevision - 1));
+            
+            document.getElementById('compare-revisions-btn').addEventListener('click', () => {
+                this.loadRevisionDiff(fromSelect.value, toSelect.value);
+            });
+            
+            await this.loadRevisionDiff(fromSelect.value, toSelect.value);
+        } catch (error) {
+            container.innerHTML = `<div class="error-message">加载修订历史失败: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * 加载并显示两个版本之间的差异
+     * @param {string} from - 较早的版本号
+     * @param {string} to - 较新的版本号
+     */
+    async loadRevisionDiff(from, to) {
+        const diffContainer = document.getElementById('revision-diff');
+        if (!diffContainer) return;
+        
+        try {
+            const response = await fetch(`/api/news/${this.newsId}/revisions/diff?from=${from}&to=${to}`);
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+            
+            const { data } = await response.json();
+            const imageChanges = data.images.added.length + data.images.removed.length > 0
+                ? `<p class="revision-images">图片：新增 ${data.images.added.length} 张，移除 ${data.images.removed.length} 张</p>`
+                : '';
+            
+            diffContainer.innerHTML = `
+                <p class="revision-ratio">变化比例：${Math.round(data.changeRatio * 100)}%</p>
+                <h4 class="revision-diff-title">${this.renderDiffSegments(data.title)}</h4>
+                <div class="revision-diff-content">${this.renderDiffSegments(data.content)}</div>
+                ${imageChanges}
+            `;
+        } catch (error) {
+            diffContainer.innerHTML = `<div class="error-message">加载版本差异失败: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * 渲染差异片段（新增内容用<ins>，删除内容用<del>）
+     * @param {Array} segments - 差异片段
+     * @returns {string} 差异HTML
+     */
+    renderDiffSegments(segments) {
+        const tags = { insert: 'ins', delete: 'del' };
+        
+        return segments.map(segment => {
+            const text = this.formatContent(segment.text);
+            const tag = tags[segment.type];
+            return tag ? `<${tag} class="diff-${segment.type}">${text}</${tag}>` : text;
+        }).join('');
+    }
+    
     /**
      * 处理更新状态
      */
@@ -332,6 +493,41 @@ class NewsDetail {
         }
     }
     
+    /**
+     * 处理合并重复新闻：把另一条新闻的投票和评论合并到这条新闻
+     */
+    async handleMergeDuplicate() {
+        const duplicateId = prompt('请输入要合并到这条新闻的重复新闻ID');
+        if (!duplicateId || !duplicateId.trim()) return;
+        
+        if (!confirm('合并后重复新闻将被删除，其投票（同一用户只保留一票）和评论移到这条新闻，确定合并吗？')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/news/${this.newsId}/merge`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ duplicateId: duplicateId.trim() })
+            });
+            
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.message || '合并失败');
+            }
+            
+            const { votesMoved, votesDropped, comments } = result.data;
+            alert(`合并成功：移入 ${votesMoved} 票（去除重复 ${votesDropped} 票）、${comments} 条评论`);
+            // 重新加载新闻详情
+            this.init(this.newsId);
+        } catch (error) {
+            alert('合并失败: ' + error.message);
+        }
+    }
+    
     /**
      * 显示加载状态
      */
@@ -362,6 +558,155 @@ class NewsDetail {
         }
     }
     
+    /**
+     * 渲染作者可信度徽章
+     * @param {Object|null} credibility - 作者可信度
+     * @returns {string} 徽章HTML
+     */
+    renderCredibilityBadge(credibility) {
+        if (!credibility) return '';
+        
+        const labels = {
+            'high': '可信',
+            'medium': '一般',
+            'low': '常发假新闻',
+            'unrated': '暂无评级'
+        };
+        const title = `可信度 ${Math.round(credibility.score * 100)}%（${credibility.notFakeCount} 真实 / ${credibility.fakeCount} 虚假）`;
+        
+        return `<span class="credibility-badge credibility-${credibility.level}" title="${title}">${labels[credibility.level] || credibility.level}</span>`;
+    }
+    
+    /**
+     * 渲染话题标签，链接到话题页
+     * @param {Array} tags - 新闻的标签
+     * @returns {string} 标签HTML
+     */
+    renderTags(tags) {
+        if (!tags || tags.length === 0) return '';
+        
+        const chips = tags.map(tag =>
+            `<a href="tag.html?slug=${encodeURIComponent(tag.slug)}" class="tag-chip">${this.escapeHtml(tag.name)}</a>`
+        ).join('');
+        
+        return `<div class="news-tags">${chips}</div>`;
+    }
+    
+    /**
+     * 渲染模型预判（只在待判定新闻上显示，仅供参考）
+     * @param {Object} news - 新闻数据
+     * @returns {string} 预判HTML
+     */
+    renderPrescreen(news) {
+        const prescreen = news.prescreen;
+        if (!prescreen || news.status !== 'Pending') return '';
+        
+        const terms = prescreen.topTerms
+            .map(({ term, weight }) => `${term}（${weight > 0 ? '偏向假新闻' : '偏向真实'}）`)
+            .join('、');
+        
+        return `
+            <div class="prescreen" title="${this.escapeHtml(terms ? `主要依据：${terms}` : '')}">
+                <span class="stat-label">模型预判:</span>
+                <span class="stat-item">假新闻概率 ${Math.round(prescreen.fakeProbability * 100)}%</span>
+                <span class="prescreen-note">仅供参考，以社区投票为准</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * 加载与这条新闻相似的已判定新闻
+     */
+    async loadRelatedNews() {
+        const container = document.getElementById('related-news-container');
+        if (!container) return;
+        
+        try {
+            const response = await fetch(`/api/news/${this.newsId}/related`);
+            
+            if (!response.ok) {
+                throw new Error(`获取相关核查失败: ${response.statusText}`);
+            }
+            
+            const result = await response.json();
+            this.renderRelatedNews(container, result.data);
+        } catch (error) {
+            console.error('加载相关核查失败:', error);
+        }
+    }
+    
+    /**
+     * 渲染相关核查面板
+     * @param {HTMLElement} container - 面板容器
+     * @param {Array} related - 相似的已判定新闻
+     */
+    renderRelatedNews(container, related) {
+        if (!related || related.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const statusConfig = {
+            'Fake': { text: '假新闻', className: 'status-fake' },
+            'Not Fake': { text: '真实新闻', className: 'status-not-fake' }
+        };
+        
+        const items = related.map(item => {
+            const statusInfo = statusConfig[item.status] || { text: item.status, className: 'status-unknown' };
+            const terms = item.sharedTerms.length > 0 ? `共同关键词：${item.sharedTerms.join('、')}` : '';
+            
+            return `
+                <li class="related-news-item">
+                    <span class="news-status ${statusInfo.className}">${statusInfo.text}</span>
+                    <a href="#news/${item._id}" class="related-news-link">${this.escapeHtml(item.title)}</a>
+                    <span class="related-news-meta" title="${this.escapeHtml(terms)}">相似度 ${Math.round(item.similarity * 100)}%</span>
+                </li>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <h3>相关核查</h3>
+            <ul>${items}</ul>
+        `;
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * 渲染来源链接，标出记录不佳的网站
+     * @param {Array} sources - 来源链接及其网站信誉
+     * @returns {string} 来源HTML
+     */
+    renderSources(sources) {
+        if (!sources || sources.length === 0) return '';
+        
+        const labels = {
+            'high': '可靠来源',
+            'medium': '一般来源',
+            'low': '记录不佳',
+            'unrated': '暂无评级'
+        };
+        
+        const items = sources.map(({ url, host, reputation }) => {
+            const title = reputation.overridden
+                ? `管理员评级${reputation.overrideNote ? `：${reputation.overrideNote}` : ''}`
+                : `${reputation.decidedCount} 条已判定新闻中 ${reputation.fakeCount} 条为假新闻`;
+            
+            return `
+                <li>
+                    <a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${this.escapeHtml(host)}</a>
+                    <span class="credibility-badge credibility-${reputation.level}" title="${this.escapeHtml(title)}">${labels[reputation.level] || reputation.level}</span>
+                </li>
+            `;
+        }).join('');
+        
+        return `
+            <div class="news-sources">
+                <span class="stat-label">来源:</span>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }
+    
     /**
      * HTML转义
      * @param {string} text - 原始文本
@@ -1,5 +1,6 @@
 import { fetchNews } from '../utils/api.js';
-import { formatDate } from '../utils/helpers.js';
+import { formatDate, credibilityBadge, tagChips } from '../utils/helpers.js';
+import { isLoggedIn } from '../utils/auth.js';
 
 // News List Container
 let newsListContainer = null;
@@ -7,28 +8,57 @@ let loadingIndicator = null;
 let errorMessageElement = null;
 let emptyStateElement = null;
 let paginationElement = null;
+let filterSidebarElement = null;
 
 // State Management
 let currentPage = 1;
 let currentPageSize = 10;
 let currentFilter = 'all';
 let currentSearch = '';
+let currentSort = 'createdAt';
+let currentFilters = {};
 let totalItems = 0;
 let totalPages = 1;
 
+// Sidebar filters, also the URL parameter names (empty string = not set)
+const DEFAULT_FILTERS = {
+    dateFrom: '',
+    dateTo: '',
+    minVotes: '',
+    maxVotes: '',
+    minFakePercentage: '',
+    maxFakePercentage: '',
+    hasImages: '',
+    votedByMe: '',
+    commentedByMe: '',
+    // 话题（标签的slug，包含子话题）
+    tag: ''
+};
+
+// News statuses shown in the sidebar
+const STATUS_OPTIONS = ['Fake', 'Not Fake', 'Pending'];
+
+// Set while state is being restored from the URL, so the URL is replaced instead of pushed
+let restoringFromUrl = false;
+let popstateBound = false;
+
+currentFilters = { ...DEFAULT_FILTERS };
+
 /**
  * Initialize News List
  * @param {number} page - Current page number
  * @param {number} pageSize - Items per page
  * @param {string} searchQuery - Search keyword
  * @param {string} filter - Filter condition
+ * @param {string} sort - Sort order ('createdAt', 'relevance', 'mostVoted', 'mostControversial' or 'mostDiscussed')
  */
-export async function initNewsList(page = 1, pageSize = 10, searchQuery = '', filter = 'all') {
+export async function initNewsList(page = 1, pageSize = 10, searchQuery = '', filter = 'all', sort = currentSort) {
     // 更新状态
     currentPage = page;
     currentPageSize = pageSize;
-    currentSearch = searchQuery;
-    currentFilter = filter;
+    currentSearch = searchQuery || '';
+    currentFilter = filter || 'all';
+    currentSort = sort;
     
     // 获取DOM元素
     newsListContainer = document.getElementById('news-list');
@@ -36,6 +66,11 @@ export async function initNewsList(page = 1, pageSize = 10, searchQuery = '', fi
     errorMessageElement = document.getElementById('error-message');
     emptyStateElement = document.getElementById('empty-state');
     paginationElement = document.getElementById('pagination');
+    filterSidebarElement = document.getElementById('news-filter-sidebar');
+    
+    // 同步URL和控件状态
+    syncUrlState();
+    syncControls();
     
     // Validate required elements
     if (!newsListContainer || !loadingIndicator) {
@@ -53,17 +88,22 @@ export async function initNewsList(page = 1, pageSize = 10, searchQuery = '', fi
         const params = {
             page,
             pageSize,
-            search: searchQuery,
-            status: filter !== 'all' ? filter : undefined
+            search: currentSearch,
+            status: currentFilter !== 'all' ? currentFilter : undefined,
+            sortBy: currentSort,
+            ...currentFilters
         };
         
         // 调用API获取新闻数据
         const response = await fetchNews(params);
         
         if (response.success && response.data) {
-            const { news, total, pageCount } = response.data;
-            totalItems = total || 0;
-            totalPages = pageCount || 1;
+            const { items: news, pagination, facets } = response.data;
+            totalItems = pagination?.total || 0;
+            totalPages = pagination?.pageCount || 1;
+            
+            // 渲染筛选侧栏（含各状态和月份的数量）
+            renderFilterSidebar(facets);
             
             if (news && news.length > 0) {
                 // 渲染新闻列表
@@ -126,6 +166,7 @@ async function loadMockData() {
             const currentPageNews = filteredNews.slice(startIndex, startIndex + currentPageSize);
             
             // 显示模拟数据提示
+            renderFilterSidebar(null);
             if (newsListContainer) {
                 // 清除错误信息
                 hideError();
@@ -223,6 +264,10 @@ function renderNewsList(news) {
             ? item.content.substring(0, 150) + '...' 
             : item.content;
         
+        // 搜索结果使用服务端生成的高亮（已转义HTML，仅包含<mark>标签）
+        const titleHtml = item.highlights?.title || escapeHtml(item.title);
+        const excerptHtml = item.highlights?.snippet || escapeHtml(excerpt);
+        
         // 获取状态样式类
         const statusClass = getStatusClass(item.status);
         const statusText = getStatusText(item.status);
@@ -230,7 +275,7 @@ function renderNewsList(news) {
         // 构建新闻项HTML
         newsItem.innerHTML = `
             <div class="news-header">
-                <h3 class="news-title">${escapeHtml(item.title)}</h3>
+                <h3 class="news-title">${titleHtml}</h3>
                 <span class="news-status ${statusClass}">${statusText}</span>
             </div>
             ${item.imageUrl ? `
@@ -238,12 +283,16 @@ function renderNewsList(news) {
                     <img src="${escapeHtml(item.imageUrl)}" alt="${escapeHtml(item.title)}">
                 </div>
             ` : ''}
-            <p class="news-content">${escapeHtml(excerpt)}</p>
+            <p class="news-content">${excerptHtml}</p>
+            ${tagChips(item.tags)}
             <div class="news-footer">
                 <div class="news-meta">
-                    <span>Author: ${escapeHtml(item.authorName || 'Unknown')}</span>
+                    <span>Author: ${item.authorId
+                        ? `<a href="profile.html?id=${item.authorId}" class="author-link">${escapeHtml(item.authorName || 'Unknown')}</a>`
+                        : escapeHtml(item.authorName || 'Unknown')} ${credibilityBadge(item.authorCredibility)}</span>
                     <span>Submitted: ${formatDate(item.createdAt)}</span>
                     <span>Votes: ${item.fakeVoteCount || 0} Fake / ${item.notFakeVoteCount || 0} Real</span>
+                    ${item.commentCount !== undefined ? `<span>Comments: ${item.commentCount}</span>` : ''}
                 </div>
                 <a href="detail.html?id=${item._id}" class="read-more">Read More →</a>
             </div>
@@ -252,7 +301,7 @@ function renderNewsList(news) {
         // 添加点击事件
         newsItem.addEventListener('click', (e) => {
             // 如果点击的不是链接元素，则导航到详情页
-            if (!e.target.closest('.read-more')) {
+            if (!e.target.closest('.read-more, .author-link, .tag-chip')) {
                 window.location.href = `detail.html?id=${item._id}`;
             }
         });
@@ -277,13 +326,16 @@ function renderEmptyState() {
     } else if (currentFilter !== 'all') {
         emptyMessage = currentFilter === 'Fake' ? 'No fake news data available' : 'No non-fake news data available';
         subMessage = 'Try changing filter';
+    } else if (hasActiveFilters()) {
+        emptyMessage = 'No news matches the selected filters';
+        subMessage = 'Try changing filter';
     }
     
     newsListContainer.innerHTML = `
         <div class="empty-state-container">
             <p class="empty-state-title">${emptyMessage}</p>
             ${subMessage ? `<p class="empty-state-subtitle">${subMessage}</p>` : ''}
-            ${(currentSearch || currentFilter !== 'all') ? 
+            ${(currentSearch || currentFilter !== 'all' || hasActiveFilters()) ? 
                 `<button id="reset-filters-btn" class="reset-filters-btn">Reset Filters</button>` : ''
             }
         </div>
@@ -325,7 +377,7 @@ function renderErrorState(errorMessage) {
     
     // 绑定重试按钮事件
     document.getElementById('retry-btn').addEventListener('click', () => {
-        initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+        initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
     });
 }
 
@@ -430,7 +482,7 @@ function bindPaginationEvents() {
             const page = parseInt(btn.dataset.page);
             if (!isNaN(page) && page !== currentPage) {
                 currentPage = page;
-                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
             }
         });
     });
@@ -441,7 +493,7 @@ function bindPaginationEvents() {
         prevBtn.addEventListener('click', () => {
             if (currentPage > 1) {
                 currentPage--;
-                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
             }
         });
     }
@@ -452,7 +504,7 @@ function bindPaginationEvents() {
         nextBtn.addEventListener('click', () => {
             if (currentPage < totalPages) {
                 currentPage++;
-                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
             }
         });
     }
@@ -465,7 +517,7 @@ function bindPaginationEvents() {
             if (!isNaN(newPageSize) && newPageSize !== currentPageSize) {
                 currentPageSize = newPageSize;
                 currentPage = 1; // 重置到第一页
-                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+                initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
             }
         });
     }
@@ -477,17 +529,16 @@ function bindPaginationEvents() {
 export function resetFilters() {
     currentFilter = 'all';
     currentSearch = '';
+    currentFilters = { ...DEFAULT_FILTERS };
     currentPage = 1;
     
     // 更新UI元素（如果存在）
-    const filterSelect = document.getElementById('news-filter');
-    const searchInput = document.getElementById('news-search');
+    const searchInput = document.getElementById('search-input');
     
-    if (filterSelect) filterSelect.value = 'all';
     if (searchInput) searchInput.value = '';
     
     // 重新加载数据
-    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
 }
 
 /**
@@ -497,7 +548,7 @@ export function resetFilters() {
 export function setFilter(filter) {
     currentFilter = filter;
     currentPage = 1; // 重置到第一页
-    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
 }
 
 /**
@@ -507,7 +558,259 @@ export function setFilter(filter) {
 export function setSearchQuery(searchQuery) {
     currentSearch = searchQuery;
     currentPage = 1; // 重置到第一页
-    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
+}
+
+/**
+ * Set sort order and reload data
+ * @param {string} sort - Sort order ('createdAt', 'relevance', 'mostVoted', 'mostControversial' or 'mostDiscussed')
+ */
+export function setSort(sort) {
+    currentSort = sort;
+    currentPage = 1; // 重置到第一页
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
+}
+
+/**
+ * Set sidebar filters and reload data
+ * @param {Object} filters - Filters to change (keys of DEFAULT_FILTERS, empty string clears)
+ */
+export function setFilters(filters) {
+    Object.keys(filters).forEach(key => {
+        if (key in DEFAULT_FILTERS) {
+            currentFilters[key] = filters[key] == null ? '' : String(filters[key]);
+        }
+    });
+    currentPage = 1; // 重置到第一页
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
+}
+
+/**
+ * Initialize news list from the state in the URL (and follow browser back/forward)
+ */
+export async function initNewsListFromUrl() {
+    readUrlState();
+    
+    if (!popstateBound) {
+        popstateBound = true;
+        window.addEventListener('popstate', () => {
+            readUrlState();
+            restoringFromUrl = true;
+            initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
+        });
+    }
+    
+    restoringFromUrl = true;
+    await initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
+}
+
+/**
+ * Read list state from the URL query string
+ */
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    
+    currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    currentPageSize = parseInt(params.get('pageSize'), 10) || 10;
+    currentSearch = params.get('search') || '';
+    currentFilter = params.get('status') || 'all';
+    currentSort = params.get('sortBy') || 'createdAt';
+    currentFilters = { ...DEFAULT_FILTERS };
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+        currentFilters[key] = params.get(key) || '';
+    });
+}
+
+/**
+ * Write list state to the URL query string (default values are left out)
+ */
+function syncUrlState() {
+    const params = new URLSearchParams();
+    
+    if (currentSearch) params.set('search', currentSearch);
+    if (currentFilter !== 'all') params.set('status', currentFilter);
+    if (currentSort !== 'createdAt') params.set('sortBy', currentSort);
+    Object.entries(currentFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    if (currentPage > 1) params.set('page', currentPage);
+    if (currentPageSize !== 10) params.set('pageSize', currentPageSize);
+    
+    const queryString = params.toString();
+    const url = `${window.location.pathname}${queryString ? `?${queryString}` : ''}`;
+    
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+        // 恢复状态时替换历史记录，用户操作时新增记录以支持浏览器后退
+        window.history[restoringFromUrl ? 'replaceState' : 'pushState'](null, '', url);
+    }
+    restoringFromUrl = false;
+}
+
+/**
+ * Update search box and sort selector to the current state
+ */
+function syncControls() {
+    const searchInput = document.getElementById('search-input');
+    const sortSelect = document.getElementById('sort-select');
+    
+    if (searchInput && document.activeElement !== searchInput) searchInput.value = currentSearch;
+    if (sortSelect) sortSelect.value = currentSort;
+}
+
+/**
+ * Check whether any sidebar filter is set
+ * @returns {boolean} Whether filters are active
+ */
+function hasActiveFilters() {
+    return Object.values(currentFilters).some(value => value);
+}
+
+/**
+ * Get first and last day of a month facet
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} Date range ({ dateFrom, dateTo })
+ */
+function getMonthRange(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    return {
+        dateFrom: `${month}-01`,
+        dateTo: `${month}-${String(lastDay).padStart(2, '0')}`
+    };
+}
+
+/**
+ * Render filter sidebar
+ * @param {Object|null} facets - Facet counts from the API ({ status, month })
+ */
+function renderFilterSidebar(facets) {
+    if (!filterSidebarElement) return;
+    
+    const statusCounts = facets?.status || {};
+    const months = facets?.month || [];
+    const allCount = facets ? Object.values(statusCounts).reduce((sum, count) => sum + count, 0) : null;
+    const countLabel = (count) => (count === null || count === undefined ? '' : ` <span class="facet-count">${count}</span>`);
+    
+    const statusItems = [['all', 'All News', allCount], ...STATUS_OPTIONS.map(status => [status, status, statusCounts[status]])]
+        .map(([value, label, count]) => `
+            <li>
+                <button type="button" class="facet-option ${currentFilter === value ? 'active' : ''}" data-status="${escapeHtml(value)}">
+                    ${escapeHtml(label)}${countLabel(count)}
+                </button>
+            </li>
+        `).join('');
+    
+    const monthItems = months.map(({ month, count }) => {
+        const range = getMonthRange(month);
+        const active = currentFilters.dateFrom === range.dateFrom && currentFilters.dateTo === range.dateTo;
+        return `
+            <li>
+                <button type="button" class="facet-option ${active ? 'active' : ''}" data-month="${escapeHtml(month)}">
+                    ${escapeHtml(month)}${countLabel(count)}
+                </button>
+            </li>
+        `;
+    }).join('');
+    
+    filterSidebarElement.innerHTML = `
+        <form class="filter-sidebar-form">
+            ${currentFilters.tag ? `
+                <div class="filter-group">
+                    <h4>Topic</h4>
+                    <a href="tag.html?slug=${encodeURIComponent(currentFilters.tag)}" class="tag-chip">${escapeHtml(currentFilters.tag)}</a>
+                    <button type="button" class="facet-option" data-clear-tag>Clear topic</button>
+                </div>
+            ` : ''}
+            <div class="filter-group">
+                <h4>Status</h4>
+                <ul class="facet-list">${statusItems}</ul>
+            </div>
+            ${monthItems ? `
+                <div class="filter-group">
+                    <h4>Month</h4>
+                    <ul class="facet-list">${monthItems}</ul>
+                </div>
+            ` : ''}
+            <div class="filter-group">
+                <h4>Submitted</h4>
+                <label>From <input type="date" name="dateFrom" value="${escapeHtml(currentFilters.dateFrom)}"></label>
+                <label>To <input type="date" name="dateTo" value="${escapeHtml(currentFilters.dateTo)}"></label>
+            </div>
+            <div class="filter-group">
+                <h4>Total Votes</h4>
+                <div class="filter-range">
+                    <input type="number" name="minVotes" min="0" placeholder="Min" value="${escapeHtml(currentFilters.minVotes)}">
+                    <span>-</span>
+                    <input type="number" name="maxVotes" min="0" placeholder="Max" value="${escapeHtml(currentFilters.maxVotes)}">
+                </div>
+            </div>
+            <div class="filter-group">
+                <h4>Fake Votes (%)</h4>
+                <div class="filter-range">
+                    <input type="number" name="minFakePercentage" min="0" max="100" placeholder="0" value="${escapeHtml(currentFilters.minFakePercentage)}">
+                    <span>-</span>
+                    <input type="number" name="maxFakePercentage" min="0" max="100" placeholder="100" value="${escapeHtml(currentFilters.maxFakePercentage)}">
+                </div>
+            </div>
+            <div class="filter-group">
+                <h4>Images</h4>
+                <select name="hasImages">
+                    <option value="" ${currentFilters.hasImages === '' ? 'selected' : ''}>Any</option>
+                    <option value="true" ${currentFilters.hasImages === 'true' ? 'selected' : ''}>With images</option>
+                    <option value="false" ${currentFilters.hasImages === 'false' ? 'selected' : ''}>Without images</option>
+                </select>
+            </div>
+            ${isLoggedIn() ? `
+                <div class="filter-group">
+                    <h4>My Activity</h4>
+                    <label><input type="checkbox" name="votedByMe" ${currentFilters.votedByMe === 'true' ? 'checked' : ''}> Voted by me</label>
+                    <label><input type="checkbox" name="commentedByMe" ${currentFilters.commentedByMe === 'true' ? 'checked' : ''}> Commented by me</label>
+                </div>
+            ` : ''}
+            <div class="filter-actions">
+                <button type="submit" class="filter-apply-btn">Apply</button>
+                <button type="button" class="filter-reset-btn">Reset</button>
+            </div>
+        </form>
+    `;
+    
+    const form = filterSidebarElement.querySelector('.filter-sidebar-form');
+    
+    // 状态分面
+    form.querySelectorAll('[data-status]').forEach(btn => {
+        btn.addEventListener('click', () => setFilter(btn.dataset.status));
+    });
+    
+    // 清除话题筛选
+    const clearTagBtn = form.querySelector('[data-clear-tag]');
+    if (clearTagBtn) {
+        clearTagBtn.addEventListener('click', () => setFilters({ tag: '' }));
+    }
+    
+    // 月份分面（再次点击取消）
+    form.querySelectorAll('[data-month]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const range = btn.classList.contains('active') ? { dateFrom: '', dateTo: '' } : getMonthRange(btn.dataset.month);
+            setFilters(range);
+        });
+    });
+    
+    // 应用范围和其他条件
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const values = {};
+        ['dateFrom', 'dateTo', 'minVotes', 'maxVotes', 'minFakePercentage', 'maxFakePercentage', 'hasImages'].forEach(name => {
+            values[name] = form.elements[name].value.trim();
+        });
+        ['votedByMe', 'commentedByMe'].forEach(name => {
+            if (form.elements[name]) {
+                values[name] = form.elements[name].checked ? 'true' : '';
+            }
+        });
+        setFilters(values);
+    });
+    
+    form.querySelector('.filter-reset-btn').addEventListener('click', () => resetFilters());
 }
 
 /**
@@ -631,6 +934,8 @@ export function getCurrentNewsListState() {
         pageSize: currentPageSize,
         filter: currentFilter,
         search: currentSearch,
+        sort: currentSort,
+        filters: { ...currentFilters },
         totalItems: totalItems,
         totalPages: totalPages
     };
@@ -638,5 +943,5 @@ export function getCurrentNewsListState() {
 
 // 导出刷新函数
 export function refreshNewsList() {
-    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter);
+    initNewsList(currentPage, currentPageSize, currentSearch, currentFilter, currentSort);
 }
\ No newline at end of file
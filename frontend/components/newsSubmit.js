@@ -12,6 +12,18 @@ class NewsSubmit {
         this.imageUpload = document.getElementById('news-image');
         this.imagePreview = document.getElementById('image-preview');
         
+        // 已选择的话题标签（{ _id, name, slug }）
+        this.selectedTags = [];
+        this.maxTags = 5;
+        this.tagSuggestions = [];
+        this.tagSearchTimer = null;
+        this.tagPicker = this.createTagPicker();
+        
+        // 来源链接，输入后检查网站的信誉
+        this.maxSources = 5;
+        this.sourceCheckTimer = null;
+        this.sourceInput = this.createSourceInput();
+        
         this.initialize();
     }
     
@@ -82,6 +94,21 @@ class NewsSubmit {
             this.imageUpload.addEventListener('change', this.handleImagePreview.bind(this));
         }
         
+        // 话题标签自动补全
+        if (this.tagPicker) {
+            this.tagPicker.input.addEventListener('input', this.handleTagInput.bind(this));
+            this.tagPicker.input.addEventListener('keydown', this.handleTagKeydown.bind(this));
+            this.tagPicker.input.addEventListener('blur', () => {
+                // 延迟隐藏，让建议项的点击先生效
+                setTimeout(() => this.hideTagSuggestions(), 150);
+            });
+        }
+        
+        // 来源链接信誉提示
+        if (this.sourceInput) {
+            this.sourceInput.input.addEventListener('input', this.handleSourceInput.bind(this));
+        }
+        
         // ESC键关闭模态框
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.submitModal && !this.submitModal.classList.contains('hidden')) {
@@ -142,10 +169,306 @@ class NewsSubmit {
             this.imagePreview.classList.add('hidden');
         }
         
+        // 清除已选择的标签
+        this.selectedTags = [];
+        this.renderSelectedTags();
+        this.hideTagSuggestions();
+        
+        // 清除来源提示
+        if (this.sourceInput) {
+            clearTimeout(this.sourceCheckTimer);
+            this.sourceInput.warnings.innerHTML = '';
+        }
+        
         // 清除错误提示
         this.clearErrors();
     }
     
+    /**
+     * 在内容输入框后创建话题标签选择器
+     * @returns {Object|null} 选择器的元素
+     */
+    createTagPicker() {
+        if (!this.formContainer) return null;
+        
+        const group = document.createElement('div');
+        group.className = 'form-group tag-picker';
+        group.innerHTML = `
+            <label for="news-tags-input">话题标签（最多${this.maxTags}个）</label>
+            <div class="selected-tags"></div>
+            <input type="text" id="news-tags-input" autocomplete="off" placeholder="输入话题名称或同义词">
+            <ul class="tag-suggestions hidden"></ul>
+        `;
+        
+        // 放在内容输入框所在的表单组后面
+        const contentInput = document.getElementById('news-content');
+        const contentGroup = contentInput ? contentInput.closest('.form-group') : null;
+        if (contentGroup && contentGroup.parentNode) {
+            contentGroup.parentNode.insertBefore(group, contentGroup.nextSibling);
+        } else {
+            this.formContainer.appendChild(group);
+        }
+        
+        return {
+            input: group.querySelector('#news-tags-input'),
+            selected: group.querySelector('.selected-tags'),
+            suggestions: group.querySelector('.tag-suggestions')
+        };
+    }
+    
+    /**
+     * 在话题标签选择器后创建来源链接输入框
+     * @returns {Object|null} 输入框和提示区域
+     */
+    createSourceInput() {
+        if (!this.formContainer) return null;
+        
+        const group = document.createElement('div');
+        group.className = 'form-group source-input';
+        group.innerHTML = `
+            <label for="news-sources">来源链接（每行一个，最多${this.maxSources}个）</label>
+            <textarea id="news-sources" rows="3" placeholder="https://"></textarea>
+            <ul class="source-warnings"></ul>
+        `;
+        
+        const previous = this.tagPicker ? this.tagPicker.input.closest('.form-group') : null;
+        if (previous && previous.parentNode) {
+            previous.parentNode.insertBefore(group, previous.nextSibling);
+        } else {
+            this.formContainer.appendChild(group);
+        }
+        
+        return {
+            input: group.querySelector('#news-sources'),
+            warnings: group.querySelector('.source-warnings')
+        };
+    }
+    
+    /**
+     * 获取输入的来源链接
+     * @returns {Array<string>} 非空的行
+     */
+    getSourceUrls() {
+        if (!this.sourceInput) return [];
+        
+        return this.sourceInput.input.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+    
+    /**
+     * 输入来源链接时延迟检查网站信誉
+     */
+    handleSourceInput() {
+        clearTimeout(this.sourceCheckTimer);
+        this.sourceCheckTimer = setTimeout(() => this.checkSources(), 500);
+    }
+    
+    /**
+     * 检查来源链接，提示无效的链接和记录不佳的网站
+     */
+    async checkSources() {
+        const urls = this.getSourceUrls().slice(0, this.maxSources);
+        const warnings = this.sourceInput.warnings;
+        
+        if (urls.length === 0) {
+            warnings.innerHTML = '';
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/domains/check', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ urls })
+            });
+            
+            if (!response.ok) {
+                throw new Error('检查来源链接失败');
+            }
+            
+            const data = await response.json();
+            
+            warnings.innerHTML = '';
+            data.data.forEach(result => {
+                let message = null;
+                
+                if (result.error) {
+                    message = `无效的链接：${result.input}`;
+                } else if (result.reputation.poorRecord) {
+                    const { fakeCount, decidedCount, overridden, overrideNote } = result.reputation;
+                    message = overridden
+                        ? `${result.host} 被管理员标记为不可靠来源${overrideNote ? `（${overrideNote}）` : ''}`
+                        : `${result.host} 记录不佳：引用它的 ${decidedCount} 条已判定新闻中有 ${fakeCount} 条为假新闻`;
+                }
+                
+                if (message) {
+                    const item = document.createElement('li');
+                    item.className = 'source-warning';
+                    item.textContent = message;
+                    warnings.appendChild(item);
+                }
+            });
+        } catch (error) {
+            // 检查失败不影响提交
+            console.error('检查来源链接失败:', error);
+        }
+    }
+    
+    /**
+     * 输入话题时延迟查询建议
+     */
+    handleTagInput() {
+        clearTimeout(this.tagSearchTimer);
+        
+        const q = this.tagPicker.input.value.trim();
+        if (!q) {
+            this.hideTagSuggestions();
+            return;
+        }
+        
+        this.tagSearchTimer = setTimeout(() => this.searchTags(q), 250);
+    }
+    
+    /**
+     * 回车选择第一个建议，输入框为空时退格删除最后一个标签
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    handleTagKeydown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const first = this.tagSuggestions && this.tagSuggestions[0];
+            if (first) {
+                this.addTag(first);
+            }
+        } else if (e.key === 'Backspace' && !this.tagPicker.input.value && this.selectedTags.length > 0) {
+            this.removeTag(this.selectedTags[this.selectedTags.length - 1]._id);
+        }
+    }
+    
+    /**
+     * 查询匹配名称或同义词的话题
+     * @param {string} q - 输入的文字
+     */
+    async searchTags(q) {
+        try {
+            const response = await fetch(`/api/tags/autocomplete?q=${encodeURIComponent(q)}`);
+            if (!response.ok) {
+                throw new Error('获取话题建议失败');
+            }
+            
+            const data = await response.json();
+            
+            // 输入已经变化时忽略过期的结果
+            if (this.tagPicker.input.value.trim() !== q) return;
+            
+            const selectedIds = this.selectedTags.map(tag => tag._id);
+            this.tagSuggestions = data.data.filter(tag => !selectedIds.includes(tag._id));
+            this.renderTagSuggestions();
+        } catch (error) {
+            console.error('获取话题建议失败:', error);
+            this.hideTagSuggestions();
+        }
+    }
+    
+    /**
+     * 渲染话题建议列表
+     */
+    renderTagSuggestions() {
+        const list = this.tagPicker.suggestions;
+        list.innerHTML = '';
+        
+        if (this.tagSuggestions.length === 0) {
+            list.innerHTML = '<li class="tag-suggestion-empty">没有匹配的话题</li>';
+            list.classList.remove('hidden');
+            return;
+        }
+        
+        this.tagSuggestions.forEach(tag => {
+            const item = document.createElement('li');
+            item.className = 'tag-suggestion';
+            
+            // 显示上级话题和匹配到的同义词
+            const path = [...tag.path, tag.name].join(' › ');
+            item.textContent = tag.matchedSynonym ? `${path}（${tag.matchedSynonym}）` : path;
+            
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.addTag(tag);
+            });
+            list.appendChild(item);
+        });
+        
+        list.classList.remove('hidden');
+    }
+    
+    /**
+     * 隐藏话题建议列表
+     */
+    hideTagSuggestions() {
+        this.tagSuggestions = [];
+        if (this.tagPicker) {
+            this.tagPicker.suggestions.innerHTML = '';
+            this.tagPicker.suggestions.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * 添加话题标签
+     * @param {Object} tag - 选择的话题
+     */
+    addTag(tag) {
+        if (this.selectedTags.length >= this.maxTags) {
+            alert(`最多只能选择${this.maxTags}个话题标签`);
+            return;
+        }
+        
+        if (!this.selectedTags.some(selected => selected._id === tag._id)) {
+            this.selectedTags.push({ _id: tag._id, name: tag.name, slug: tag.slug });
+        }
+        
+        this.tagPicker.input.value = '';
+        this.hideTagSuggestions();
+        this.renderSelectedTags();
+    }
+    
+    /**
+     * 移除话题标签
+     * @param {string} tagId - 标签ID
+     */
+    removeTag(tagId) {
+        this.selectedTags = this.selectedTags.filter(tag => tag._id !== tagId);
+        this.renderSelectedTags();
+    }
+    
+    /**
+     * 渲染已选择的话题标签
+     */
+    renderSelectedTags() {
+        if (!this.tagPicker) return;
+        
+        const container = this.tagPicker.selected;
+        container.innerHTML = '';
+        
+        this.selectedTags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = tag.name;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'tag-chip-remove';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => this.removeTag(tag._id));
+            
+            chip.appendChild(removeBtn);
+            container.appendChild(chip);
+        });
+    }
+    
     /**
      * 处理图片预览
      * @param {Event} e - 文件选择事件
@@ -234,14 +557,16 @@ class NewsSubmit {
             const newsData = {
                 title: formData.title,
                 content: formData.content,
-                imageUrl
+                images: imageUrl ? [imageUrl] : [],
+                tags: this.selectedTags.map(tag => tag._id),
+                sourceUrls: formData.sourceUrls
             };
             
             const result = await this.submitNews(newsData);
             
             // 显示成功消息
             this.showSuccess(result);
-            
+        
         } catch (error) {
             this.showError(error);
         } finally {
@@ -286,6 +611,15 @@ class NewsSubmit {
             formData.content = contentInput.value.trim();
         }
         
+        // 验证来源链接数量
+        const sourceUrls = this.getSourceUrls();
+        if (sourceUrls.length > this.maxSources) {
+            this.showErrorForField(this.sourceInput.input, `最多只能填写${this.maxSources}个来源链接`);
+            isValid = false;
+        } else {
+            formData.sourceUrls = sourceUrls;
+        }
+        
         return isValid ? formData : null;
     }
     
@@ -331,9 +665,9 @@ class NewsSubmit {
      */
     async uploadImage(file) {
         const formData = new FormData();
-        formData.append('image', file);
+        formData.append('images', file);
         
-        const response = await fetch('/api/upload/image', {
+        const response = await fetch('/api/uploads', {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${localStorage.getItem('token')}`
@@ -342,11 +676,12 @@ class NewsSubmit {
         });
         
         if (!response.ok) {
-            throw new Error('图片上传失败');
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || '图片上传失败');
         }
         
         const data = await response.json();
-        return data.imageUrl;
+        return data.data[0].url;
     }
     
     /**
@@ -426,6 +761,90 @@ class NewsSubmit {
         document.getElementById('submit-another-btn').addEventListener('click', () => {
             this.resetForm();
         });
+        
+        // 提示可能重复的已有新闻
+        const news = result.data || result;
+        if (news.possibleDuplicates && news.possibleDuplicates.length > 0) {
+            this.renderDuplicates(successMessage, news);
+        }
+    }
+    
+    /**
+     * 显示可能重复的已有新闻，提交者可以改为关联到其中一条
+     * @param {HTMLElement} container - 成功消息元素
+     * @param {Object} news - 刚提交的新闻
+     */
+    renderDuplicates(container, news) {
+        const section = document.createElement('div');
+        section.className = 'possible-duplicates';
+        section.innerHTML = `
+            <h4>以下已有新闻可能与您提交的内容相同</h4>
+            <ul></ul>
+        `;
+        
+        const list = section.querySelector('ul');
+        news.possibleDuplicates.forEach(duplicate => {
+            const item = document.createElement('li');
+            item.className = 'duplicate-item';
+            
+            const link = document.createElement('a');
+            link.href = `#news/${duplicate._id}`;
+            link.textContent = duplicate.title;
+            
+            const similarity = document.createElement('span');
+            similarity.className = 'duplicate-similarity';
+            similarity.textContent = `相似度 ${Math.round(duplicate.similarity * 100)}%`;
+            
+            const linkBtn = document.createElement('button');
+            linkBtn.className = 'btn btn-secondary btn-sm';
+            linkBtn.textContent = '改为关联到这条新闻';
+            linkBtn.addEventListener('click', () => this.linkToExisting(news._id, duplicate._id, section));
+            
+            item.append(link, similarity, linkBtn);
+            list.appendChild(item);
+        });
+        
+        container.appendChild(section);
+    }
+    
+    /**
+     * 把刚提交的新闻合并到已有新闻，然后跳转到已有新闻
+     * @param {string} newsId - 刚提交的新闻ID
+     * @param {string} targetId - 已有新闻ID
+     * @param {HTMLElement} section - 重复新闻提示区域
+     */
+    async linkToExisting(newsId, targetId, section) {
+        section.querySelectorAll('button').forEach(btn => {
+            btn.disabled = true;
+        });
+        
+        try {
+            const response = await fetch(`/api/news/${newsId}/duplicate-of`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ targetId })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.message || '关联失败');
+            }
+            
+            this.closeModal();
+            window.location.hash = `#news/${targetId}`;
+        } catch (error) {
+            section.querySelectorAll('button').forEach(btn => {
+                btn.disabled = false;
+            });
+            
+            const errorMessage = document.createElement('div');
+            errorMessage.className = 'form-error';
+            errorMessage.textContent = error.message;
+            section.appendChild(errorMessage);
+        }
     }
     
     /**
@@ -0,0 +1,311 @@
+/**
+ * 新闻回收站组件
+ * 用于管理员查看已删除的新闻，恢复新闻或永久清除
+ */
+
+import { getNewsTrash, restoreNews, purgeNews, purgeExpiredTrash } from '../utils/api.js';
+
+class NewsTrash {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.containerId - 容器元素ID
+     * @param {number} options.pageSize - 每页条数
+     * @param {Function} options.onError - 错误处理回调函数
+     */
+    constructor(options = {}) {
+        this.containerId = options.containerId;
+        this.pageSize = options.pageSize || 20;
+        this.onError = options.onError || (error => alert(error.message));
+        
+        // 状态
+        this.container = null;
+        this.items = [];
+        this.currentPage = 1;
+        this.pageCount = 0;
+        this.retentionDays = null;
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化组件
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`容器元素不存在: ${this.containerId}`);
+            return;
+        }
+        
+        NewsTrash.addStyles();
+        
+        this.container.innerHTML = `
+            <div class="news-trash">
+                <div class="news-trash-toolbar">
+                    <h2>新闻回收站</h2>
+                    <span class="news-trash-retention"></span>
+                    <button type="button" class="btn btn-danger news-trash-purge-expired">清除已过期</button>
+                </div>
+                <div class="news-trash-list"></div>
+                <div class="news-trash-pagination">
+                    <button type="button" class="btn btn-secondary news-trash-prev">上一页</button>
+                    <span class="news-trash-page"></span>
+                    <button type="button" class="btn btn-secondary news-trash-next">下一页</button>
+                </div>
+            </div>
+        `;
+        
+        this.bindEvents();
+        this.loadTrash();
+    }
+    
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        this.container.querySelector('.news-trash-prev').addEventListener('click', () => this.goToPage(this.currentPage - 1));
+        this.container.querySelector('.news-trash-next').addEventListener('click', () => this.goToPage(this.currentPage + 1));
+        this.container.querySelector('.news-trash-purge-expired').addEventListener('click', () => this.handlePurgeExpired());
+        
+        // 列表中的按钮使用事件委托
+        this.container.querySelector('.news-trash-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'restore') {
+                this.handleRestore(button.dataset.id);
+            } else if (button.dataset.action === 'purge') {
+                this.handlePurge(button.dataset.id);
+            }
+        });
+    }
+    
+    /**
+     * 加载回收站数据
+     */
+    async loadTrash() {
+        const list = this.container.querySelector('.news-trash-list');
+        list.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await getNewsTrash({ page: this.currentPage, pageSize: this.pageSize });
+            const { items, pagination, retentionDays } = response.data;
+            
+            this.items = items;
+            this.pageCount = pagination.pageCount;
+            this.retentionDays = retentionDays;
+            this.render();
+        } catch (error) {
+            list.innerHTML = `<div class="error-message">加载回收站失败: ${this.escapeHtml(error.message)}</div>`;
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 渲染回收站列表
+     */
+    render() {
+        const list = this.container.querySelector('.news-trash-list');
+        
+        this.container.querySelector('.news-trash-retention').textContent = `删除 ${this.retentionDays} 天后自动清除`;
+        this.container.querySelector('.news-trash-page').textContent = `${this.currentPage} / ${Math.max(this.pageCount, 1)}`;
+        this.container.querySelector('.news-trash-prev').disabled = this.currentPage <= 1;
+        this.container.querySelector('.news-trash-next').disabled = this.currentPage >= this.pageCount;
+        
+        if (this.items.length === 0) {
+            list.innerHTML = '<div class="news-trash-empty">回收站是空的</div>';
+            return;
+        }
+        
+        list.innerHTML = `
+            <table class="news-trash-table">
+                <thead>
+                    <tr>
+                        <th>标题</th>
+                        <th>作者</th>
+                        <th>删除者</th>
+                        <th>删除时间</th>
+                        <th>清除时间</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.items.map(item => `
+                        <tr>
+                            <td>${this.escapeHtml(item.title)}</td>
+                            <td>${this.escapeHtml(this.formatUser(item.authorId))}</td>
+                            <td>${this.escapeHtml(this.formatUser(item.deletedBy))}</td>
+                            <td>${this.formatDate(item.deletedAt)}</td>
+                            <td>${this.formatDate(item.purgeAt)}</td>
+                            <td class="news-trash-actions">
+                                <button type="button" class="btn btn-primary" data-action="restore" data-id="${item._id}">恢复</button>
+                                <button type="button" class="btn btn-danger" data-action="purge" data-id="${item._id}">永久删除</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * 跳转到指定页
+     * @param {number} page - 页码
+     */
+    goToPage(page) {
+        if (page < 1 || page > this.pageCount) return;
+        
+        this.currentPage = page;
+        this.loadTrash();
+    }
+    
+    /**
+     * 处理恢复新闻
+     * @param {string} newsId - 新闻ID
+     */
+    async handleRestore(newsId) {
+        try {
+            await restoreNews(newsId);
+            await this.loadTrash();
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 处理永久删除新闻
+     * @param {string} newsId - 新闻ID
+     */
+    async handlePurge(newsId) {
+        if (!confirm('永久删除后，新闻的投票、评论和图片也会被删除，且无法恢复。确定继续吗？')) {
+            return;
+        }
+        
+        try {
+            await purgeNews(newsId);
+            
+            // 删除当前页最后一条时回到上一页
+            if (this.items.length === 1 && this.currentPage > 1) {
+                this.currentPage--;
+            }
+            await this.loadTrash();
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 处理清除已过期的新闻
+     */
+    async handlePurgeExpired() {
+        if (!confirm(`确定要清除删除超过 ${this.retentionDays} 天的新闻吗？此操作无法恢复。`)) {
+            return;
+        }
+        
+        try {
+            const response = await purgeExpiredTrash();
+            const { purged, failed } = response.data;
+            
+            alert(failed.length > 0
+                ? `已清除 ${purged.length} 条新闻，${failed.length} 条清除失败`
+                : `已清除 ${purged.length} 条新闻`);
+            
+            this.currentPage = 1;
+            await this.loadTrash();
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 格式化用户名
+     * @param {Object|null} user - 用户信息
+     * @returns {string} 用户名
+     */
+    formatUser(user) {
+        return user ? `${user.firstName} ${user.lastName}` : '未知用户';
+    }
+    
+    /**
+     * 格式化日期
+     * @param {string} dateString - 日期字符串
+     * @returns {string} 格式化后的日期
+     */
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleString('zh-CN');
+    }
+    
+    /**
+     * HTML转义
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 添加CSS样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('news-trash-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'news-trash-styles';
+        style.textContent = `
+            .news-trash-toolbar {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                margin-bottom: 16px;
+            }
+            
+            .news-trash-retention {
+                flex: 1;
+                color: #6c757d;
+                font-size: 13px;
+            }
+            
+            .news-trash-table {
+                width: 100%;
+                border-collapse: collapse;
+            }
+            
+            .news-trash-table th,
+            .news-trash-table td {
+                padding: 8px;
+                border-bottom: 1px solid #dee2e6;
+                text-align: left;
+            }
+            
+            .news-trash-actions {
+                display: flex;
+                gap: 6px;
+            }
+            
+            .news-trash-empty {
+                padding: 24px;
+                color: #6c757d;
+                text-align: center;
+            }
+            
+            .news-trash-pagination {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 12px;
+                margin-top: 16px;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default NewsTrash;
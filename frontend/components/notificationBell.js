@@ -0,0 +1,471 @@
+/**
+ * 通知铃铛组件
+ * 显示在页头的用户菜单中，展示未读数量、通知列表和通知偏好设置
+ */
+
+import {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences
+} from '../utils/api.js';
+
+// 新闻状态显示文本
+const STATUS_LABELS = {
+    Fake: '虚假',
+    'Not Fake': '真实',
+    Pending: '待定'
+};
+
+// 通知类型显示文本（与后端 NOTIFICATION_TYPES 一致）
+const NOTIFICATION_TYPE_LABELS = {
+    news_status: '新闻状态变化',
+    comment_reply: '评论被回复',
+    comment_deleted: '评论被管理员删除',
+    role_changed: '账号角色变化',
+    vote_invalidated: '投票被判为无效'
+};
+
+class NotificationBell {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {HTMLElement} options.container - 放置铃铛的元素
+     * @param {number} options.pageSize - 下拉列表显示的通知条数
+     * @param {number} options.pollInterval - 刷新未读数量的间隔（毫秒）
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.pageSize = options.pageSize || 10;
+        this.pollInterval = options.pollInterval || 60000;
+        
+        // 状态
+        this.element = null;
+        this.unreadCount = 0;
+        this.items = [];
+        this.isOpen = false;
+        this.pollTimer = null;
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化组件
+     */
+    init() {
+        if (!this.container) {
+            console.error('通知铃铛的容器元素不存在');
+            return;
+        }
+        
+        NotificationBell.addStyles();
+        
+        this.element = document.createElement('div');
+        this.element.className = 'notification-bell';
+        this.element.innerHTML = `
+            <button type="button" class="notification-bell-toggle" title="通知">
+                🔔<span class="notification-bell-badge" style="display: none;"></span>
+            </button>
+            <div class="notification-bell-dropdown" style="display: none;">
+                <div class="notification-bell-header">
+                    <span>通知</span>
+                    <div>
+                        <button type="button" class="notification-bell-read-all">全部已读</button>
+                        <button type="button" class="notification-bell-settings-toggle">设置</button>
+                    </div>
+                </div>
+                <div class="notification-bell-settings" style="display: none;"></div>
+                <div class="notification-bell-list"></div>
+            </div>
+        `;
+        this.container.appendChild(this.element);
+        
+        this.bindEvents();
+        this.refreshUnreadCount();
+        this.pollTimer = setInterval(() => this.refreshUnreadCount(), this.pollInterval);
+    }
+    
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        this.element.querySelector('.notification-bell-toggle').addEventListener('click', () => this.toggle());
+        this.element.querySelector('.notification-bell-read-all').addEventListener('click', () => this.handleReadAll());
+        this.element.querySelector('.notification-bell-settings-toggle').addEventListener('click', () => this.toggleSettings());
+        
+        // 通知列表使用事件委托，点击后标记为已读并跳转到相关新闻
+        this.element.querySelector('.notification-bell-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.notification-item');
+            if (item) {
+                this.handleItemClick(item.dataset.id);
+            }
+        });
+        
+        this.element.querySelector('.notification-bell-settings').addEventListener('change', (e) => {
+            if (e.target.matches('input[data-type]')) {
+                this.handlePreferenceChange(e.target);
+            }
+        });
+        
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+    
+    /**
+     * 点击铃铛以外的区域时关闭下拉列表
+     * @param {Event} e - 点击事件
+     */
+    handleDocumentClick(e) {
+        if (this.isOpen && !this.element.contains(e.target)) {
+            this.close();
+        }
+    }
+    
+    /**
+     * 打开或关闭下拉列表
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * 打开下拉列表并加载通知
+     */
+    open() {
+        this.isOpen = true;
+        this.element.querySelector('.notification-bell-dropdown').style.display = 'block';
+        this.loadNotifications();
+    }
+    
+    /**
+     * 关闭下拉列表
+     */
+    close() {
+        this.isOpen = false;
+        this.element.querySelector('.notification-bell-dropdown').style.display = 'none';
+        this.element.querySelector('.notification-bell-settings').style.display = 'none';
+    }
+    
+    /**
+     * 刷新未读数量
+     */
+    async refreshUnreadCount() {
+        try {
+            const response = await getUnreadNotificationCount();
+            this.setUnreadCount(response.data.unreadCount);
+        } catch (error) {
+            console.error('获取未读通知数量失败:', error);
+        }
+    }
+    
+    /**
+     * 更新未读数量徽标
+     * @param {number} count - 未读数量
+     */
+    setUnreadCount(count) {
+        this.unreadCount = count;
+        
+        const badge = this.element.querySelector('.notification-bell-badge');
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+    
+    /**
+     * 加载通知列表
+     */
+    async loadNotifications() {
+        const list = this.element.querySelector('.notification-bell-list');
+        list.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await getNotifications({ page: 1, pageSize: this.pageSize });
+            this.items = response.data.items;
+            this.setUnreadCount(response.data.unreadCount);
+            this.renderList();
+        } catch (error) {
+            list.innerHTML = `<div class="error-message">加载通知失败: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * 渲染通知列表
+     */
+    renderList() {
+        const list = this.element.querySelector('.notification-bell-list');
+        
+        if (this.items.length === 0) {
+            list.innerHTML = '<div class="notification-bell-empty">暂无通知</div>';
+            return;
+        }
+        
+        list.innerHTML = this.items.map(item => `
+            <div class="notification-item ${item.isRead ? '' : 'unread'}" data-id="${item._id}">
+                <div class="notification-item-text">${this.escapeHtml(this.formatNotification(item))}</div>
+                <div class="notification-item-time">${this.formatDate(item.createdAt)}</div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * 生成通知的显示文本
+     * @param {Object} notification - 通知
+     * @returns {string} 显示文本
+     */
+    formatNotification(notification) {
+        const { type, data = {}, actorId } = notification;
+        const actor = actorId ? `${actorId.firstName} ${actorId.lastName}` : '系统';
+        
+        switch (type) {
+            case 'news_status':
+                return actorId
+                    ? `管理员将你的新闻「${data.title}」标记为${STATUS_LABELS[data.status] || data.status}`
+                    : `你的新闻「${data.title}」根据投票结果变为${STATUS_LABELS[data.status] || data.status}`;
+            case 'comment_reply':
+                return `${actor} 回复了你的评论`;
+            case 'comment_deleted':
+                return `你的评论「${data.excerpt}」已被管理员删除`;
+            case 'role_changed':
+                return `你的账号角色已从 ${data.previousRole} 变为 ${data.role}`;
+            case 'vote_invalidated':
+                return '你的一次投票已被管理员判为无效';
+            default:
+                return '你有一条新通知';
+        }
+    }
+    
+    /**
+     * 点击通知：标记为已读，有关联新闻时跳转
+     * @param {string} notificationId - 通知ID
+     */
+    async handleItemClick(notificationId) {
+        const notification = this.items.find(item => item._id === notificationId);
+        if (!notification) return;
+        
+        if (!notification.isRead) {
+            try {
+                const response = await markNotificationRead(notificationId);
+                notification.isRead = true;
+                this.setUnreadCount(response.data.unreadCount);
+                this.renderList();
+            } catch (error) {
+                console.error('标记通知已读失败:', error);
+            }
+        }
+        
+        if (notification.newsId) {
+            window.location.href = `detail.html?id=${notification.newsId}`;
+        }
+    }
+    
+    /**
+     * 全部标记为已读
+     */
+    async handleReadAll() {
+        try {
+            await markAllNotificationsRead();
+            this.items.forEach(item => {
+                item.isRead = true;
+            });
+            this.setUnreadCount(0);
+            this.renderList();
+        } catch (error) {
+            console.error('标记全部通知已读失败:', error);
+        }
+    }
+    
+    /**
+     * 显示或隐藏通知偏好设置
+     */
+    async toggleSettings() {
+        const settings = this.element.querySelector('.notification-bell-settings');
+        if (settings.style.display !== 'none') {
+            settings.style.display = 'none';
+            return;
+        }
+        
+        settings.style.display = 'block';
+        settings.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await getNotificationPreferences();
+            settings.innerHTML = Object.entries(NOTIFICATION_TYPE_LABELS).map(([type, label]) => `
+                <label class="notification-preference">
+                    <input type="checkbox" data-type="${type}" ${response.data[type] !== false ? 'checked' : ''}>
+                    ${label}
+                </label>
+            `).join('');
+        } catch (error) {
+            settings.innerHTML = `<div class="error-message">加载通知设置失败: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    /**
+     * 开启或关闭一种通知
+     * @param {HTMLInputElement} checkbox - 通知类型的复选框
+     */
+    async handlePreferenceChange(checkbox) {
+        checkbox.disabled = true;
+        
+        try {
+            await updateNotificationPreferences({ [checkbox.dataset.type]: checkbox.checked });
+        } catch (error) {
+            // 保存失败时恢复原来的选择
+            checkbox.checked = !checkbox.checked;
+            console.error('更新通知设置失败:', error);
+        } finally {
+            checkbox.disabled = false;
+        }
+    }
+    
+    /**
+     * 格式化日期
+     * @param {string} dateString - 日期字符串
+     * @returns {string} 格式化后的日期
+     */
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleString('zh-CN');
+    }
+    
+    /**
+     * HTML转义
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 销毁组件（退出登录时调用）
+     */
+    destroy() {
+        clearInterval(this.pollTimer);
+        document.removeEventListener('click', this.handleDocumentClick);
+        this.element?.remove();
+    }
+    
+    /**
+     * 添加CSS样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('notification-bell-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'notification-bell-styles';
+        style.textContent = `
+            .notification-bell {
+                position: relative;
+                display: inline-block;
+                margin-right: 1rem;
+            }
+            
+            .notification-bell-toggle {
+                background: none;
+                border: none;
+                cursor: pointer;
+                font-size: 18px;
+                position: relative;
+            }
+            
+            .notification-bell-badge {
+                position: absolute;
+                top: -6px;
+                right: -10px;
+                min-width: 16px;
+                padding: 0 4px;
+                border-radius: 8px;
+                background-color: #dc3545;
+                color: #fff;
+                font-size: 11px;
+                line-height: 16px;
+                text-align: center;
+            }
+            
+            .notification-bell-dropdown {
+                position: absolute;
+                right: 0;
+                top: 100%;
+                width: 320px;
+                max-height: 420px;
+                overflow-y: auto;
+                background-color: #fff;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                z-index: 1000;
+                color: #333;
+            }
+            
+            .notification-bell-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 10px 12px;
+                border-bottom: 1px solid #eee;
+                font-weight: 500;
+            }
+            
+            .notification-bell-header button {
+                background: none;
+                border: none;
+                color: #3498db;
+                cursor: pointer;
+                font-size: 13px;
+            }
+            
+            .notification-bell-settings {
+                padding: 8px 12px;
+                border-bottom: 1px solid #eee;
+                background-color: #f8f9fa;
+            }
+            
+            .notification-preference {
+                display: block;
+                font-size: 13px;
+                margin: 4px 0;
+            }
+            
+            .notification-item {
+                padding: 10px 12px;
+                border-bottom: 1px solid #f1f1f1;
+                cursor: pointer;
+                font-size: 14px;
+            }
+            
+            .notification-item.unread {
+                background-color: #eef6fc;
+            }
+            
+            .notification-item:hover {
+                background-color: #f5f5f5;
+            }
+            
+            .notification-item-time {
+                color: #999;
+                font-size: 12px;
+                margin-top: 4px;
+            }
+            
+            .notification-bell-empty {
+                padding: 20px;
+                text-align: center;
+                color: #999;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default NotificationBell;
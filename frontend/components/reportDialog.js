@@ -0,0 +1,165 @@
+/**
+ * 举报弹窗组件
+ * 供新闻详情和评论组件举报新闻或评论
+ */
+
+import { submitReport } from '../utils/api.js';
+
+// 举报原因及显示文本（与后端 REPORT_REASONS 一致）
+const REPORT_REASON_LABELS = {
+    spam: '垃圾广告',
+    abuse: '辱骂或不友善',
+    harassment: '骚扰他人',
+    misinformation: '虚假或误导信息',
+    off_topic: '与主题无关',
+    other: '其他'
+};
+
+// 举报说明最大长度（与后端 reports.maxNoteLength 一致）
+const MAX_NOTE_LENGTH = 500;
+
+class ReportDialog {
+    /**
+     * 打开举报弹窗
+     * @param {Object} target - 举报对象
+     * @param {string} target.targetType - 'news' 或 'comment'
+     * @param {string} target.targetId - 新闻或评论ID
+     * @returns {Promise<Object|null>} 提交成功时返回举报结果，取消时返回null
+     */
+    static open({ targetType, targetId }) {
+        ReportDialog.addStyles();
+        
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'report-dialog';
+            modal.innerHTML = `
+                <div class="report-dialog-overlay">
+                    <form class="report-dialog-content">
+                        <h3>${targetType === 'news' ? '举报新闻' : '举报评论'}</h3>
+                        <div class="report-reasons">
+                            ${Object.entries(REPORT_REASON_LABELS).map(([reason, label], index) => `
+                                <label class="report-reason">
+                                    <input type="radio" name="reason" value="${reason}" ${index === 0 ? 'checked' : ''}>
+                                    ${label}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <textarea name="note" class="report-note" maxlength="${MAX_NOTE_LENGTH}" placeholder="补充说明（可选）"></textarea>
+                        <div class="report-error" style="display: none;"></div>
+                        <div class="report-dialog-actions">
+                            <button type="button" class="btn btn-secondary report-cancel-btn">取消</button>
+                            <button type="submit" class="btn btn-danger report-submit-btn">提交举报</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            
+            const form = modal.querySelector('form');
+            const errorElement = modal.querySelector('.report-error');
+            const submitButton = modal.querySelector('.report-submit-btn');
+            
+            const close = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+            
+            modal.querySelector('.report-cancel-btn').addEventListener('click', () => close(null));
+            
+            // 点击遮罩层关闭
+            modal.querySelector('.report-dialog-overlay').addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) close(null);
+            });
+            
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                submitButton.disabled = true;
+                errorElement.style.display = 'none';
+                
+                try {
+                    const response = await submitReport({
+                        targetType,
+                        targetId,
+                        reason: form.elements.reason.value,
+                        note: form.elements.note.value.trim()
+                    });
+                    close(response.data);
+                } catch (error) {
+                    // 409 表示已经举报过，等待管理员处理
+                    errorElement.textContent = error.status === 409
+                        ? '你已经举报过该内容，管理员处理前不能重复举报'
+                        : `举报失败: ${error.message}`;
+                    errorElement.style.display = 'block';
+                    submitButton.disabled = false;
+                }
+            });
+            
+            document.body.appendChild(modal);
+        });
+    }
+    
+    /**
+     * 添加CSS样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('report-dialog-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'report-dialog-styles';
+        style.textContent = `
+            .report-dialog-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background-color: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 1000;
+            }
+            
+            .report-dialog-content {
+                background-color: #fff;
+                border-radius: 8px;
+                padding: 20px;
+                width: 90%;
+                max-width: 420px;
+            }
+            
+            .report-reasons {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                margin: 12px 0;
+            }
+            
+            .report-note {
+                width: 100%;
+                min-height: 70px;
+                box-sizing: border-box;
+                resize: vertical;
+            }
+            
+            .report-error {
+                color: #dc3545;
+                font-size: 13px;
+                margin-top: 8px;
+            }
+            
+            .report-dialog-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 10px;
+                margin-top: 12px;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default ReportDialog;
@@ -0,0 +1,351 @@
+/**
+ * 话题页组件
+ * 没有指定话题时显示所有话题的分类树和统计，指定话题时显示上级话题、子话题、
+ * 新闻数量、虚假比例和该话题（含子话题）下的新闻
+ */
+
+import { getTags, getTagStats, getTag, fetchNews } from '../utils/api.js';
+import { formatDate } from '../utils/helpers.js';
+
+// 新闻状态的显示文字
+const STATUS_TEXT = {
+    'Fake': '假新闻',
+    'Not Fake': '真实新闻',
+    'Pending': '待验证'
+};
+
+class TagPage {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.containerId - 容器元素ID
+     * @param {string} options.slug - 话题的slug，为空时显示话题列表
+     * @param {number} options.pageSize - 每页新闻数量
+     * @param {Function} options.onError - 错误处理回调函数
+     */
+    constructor(options = {}) {
+        this.containerId = options.containerId;
+        this.slug = options.slug || '';
+        this.pageSize = options.pageSize || 10;
+        this.onError = options.onError || (error => console.error('加载话题失败:', error));
+        
+        // 状态
+        this.container = null;
+        this.tag = null;
+        this.page = 1;
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化组件
+     */
+    async init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) {
+            console.error(`容器元素不存在: ${this.containerId}`);
+            return;
+        }
+        
+        TagPage.addStyles();
+        
+        if (this.slug) {
+            await this.loadTag();
+        } else {
+            await this.loadIndex();
+        }
+    }
+    
+    /**
+     * 加载所有话题（分类树和统计）
+     */
+    async loadIndex() {
+        this.container.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const [treeResponse, statsResponse] = await Promise.all([getTags(), getTagStats()]);
+            const stats = new Map(statsResponse.data.map(tag => [tag._id, tag.stats]));
+            
+            this.container.innerHTML = `
+                <div class="tag-page">
+                    <h2>话题</h2>
+                    ${treeResponse.data.length > 0
+                        ? `<ul class="tag-tree">${this.renderTree(treeResponse.data, stats)}</ul>`
+                        : '<p class="tag-empty">还没有话题</p>'}
+                </div>
+            `;
+        } catch (error) {
+            this.renderError(error.message);
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 渲染话题分类树
+     * @param {Array} tags - 同一层的话题
+     * @param {Map} stats - 各话题的统计
+     * @returns {string} HTML
+     */
+    renderTree(tags, stats) {
+        return tags.map(tag => `
+            <li>
+                <a href="tag.html?slug=${encodeURIComponent(tag.slug)}" class="tag-chip">${this.escapeHtml(tag.name)}</a>
+                ${this.renderStatsSummary(stats.get(tag._id))}
+                ${tag.children.length > 0 ? `<ul>${this.renderTree(tag.children, stats)}</ul>` : ''}
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * 加载话题详情和第一页新闻
+     */
+    async loadTag() {
+        this.container.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await getTag(this.slug);
+            this.tag = response.data;
+            this.renderTag();
+            await this.loadNews(1);
+        } catch (error) {
+            this.renderError(error.status === 404 ? '话题不存在' : error.message);
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 渲染话题详情
+     */
+    renderTag() {
+        const { name, description, synonyms, path, children, stats } = this.tag;
+        
+        const breadcrumb = [
+            '<a href="tag.html">所有话题</a>',
+            ...path.map(tag => `<a href="tag.html?slug=${encodeURIComponent(tag.slug)}">${this.escapeHtml(tag.name)}</a>`),
+            `<span>${this.escapeHtml(name)}</span>`
+        ].join(' › ');
+        
+        const childItems = children.map(child => `
+            <li>
+                <a href="tag.html?slug=${encodeURIComponent(child.slug)}" class="tag-chip">${this.escapeHtml(child.name)}</a>
+                ${this.renderStatsSummary(child.stats)}
+            </li>
+        `).join('');
+        
+        this.container.innerHTML = `
+            <div class="tag-page">
+                <div class="tag-breadcrumb">${breadcrumb}</div>
+                <h2>${this.escapeHtml(name)}</h2>
+                ${description ? `<p class="tag-description">${this.escapeHtml(description)}</p>` : ''}
+                ${synonyms.length > 0 ? `<p class="tag-synonyms">也称为：${synonyms.map(synonym => this.escapeHtml(synonym)).join('、')}</p>` : ''}
+                <div class="tag-stats">
+                    <div class="tag-stat"><span class="tag-stat-value">${stats.total}</span><span class="tag-stat-label">新闻</span></div>
+                    <div class="tag-stat"><span class="tag-stat-value">${stats.fake}</span><span class="tag-stat-label">假新闻</span></div>
+                    <div class="tag-stat"><span class="tag-stat-value">${stats.notFake}</span><span class="tag-stat-label">真实新闻</span></div>
+                    <div class="tag-stat"><span class="tag-stat-value">${stats.pending}</span><span class="tag-stat-label">待验证</span></div>
+                    <div class="tag-stat"><span class="tag-stat-value">${this.formatRatio(stats.fakeRatio)}</span><span class="tag-stat-label">虚假比例</span></div>
+                </div>
+                ${childItems ? `<section class="tag-section"><h3>子话题</h3><ul class="tag-children">${childItems}</ul></section>` : ''}
+                <section class="tag-section">
+                    <h3>新闻 <a href="index.html?tag=${encodeURIComponent(this.tag.slug)}" class="tag-more-link">在新闻列表中筛选 →</a></h3>
+                    <div class="tag-news"></div>
+                    <div class="tag-news-pagination"></div>
+                </section>
+            </div>
+        `;
+    }
+    
+    /**
+     * 加载该话题（含子话题）的新闻
+     * @param {number} page - 页码
+     */
+    async loadNews(page) {
+        const newsContainer = this.container.querySelector('.tag-news');
+        const paginationContainer = this.container.querySelector('.tag-news-pagination');
+        newsContainer.innerHTML = '<div class="loading">加载中...</div>';
+        
+        try {
+            const response = await fetchNews({ tag: this.tag.slug, page, pageSize: this.pageSize });
+            const { items, pagination } = response.data;
+            this.page = page;
+            
+            newsContainer.innerHTML = items.length > 0
+                ? `<ul class="tag-news-list">${items.map(news => `
+                    <li>
+                        <a href="detail.html?id=${news._id}">${this.escapeHtml(news.title)}</a>
+                        <span class="tag-news-meta">
+                            <span class="news-status ${this.getStatusClass(news.status)}">${STATUS_TEXT[news.status] || news.status}</span>
+                            ${formatDate(news.createdAt)}
+                        </span>
+                    </li>
+                `).join('')}</ul>`
+                : '<p class="tag-empty">该话题下还没有新闻</p>';
+            
+            const pageCount = pagination?.pageCount || 1;
+            paginationContainer.innerHTML = pageCount > 1 ? `
+                <button type="button" class="btn btn-secondary" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>上一页</button>
+                <span>${page} / ${pageCount}</span>
+                <button type="button" class="btn btn-secondary" data-page="${page + 1}" ${page >= pageCount ? 'disabled' : ''}>下一页</button>
+            ` : '';
+            
+            paginationContainer.querySelectorAll('[data-page]').forEach(btn => {
+                btn.addEventListener('click', () => this.loadNews(Number(btn.dataset.page)));
+            });
+        } catch (error) {
+            newsContainer.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * 渲染话题的数量和虚假比例
+     * @param {Object} stats - 话题统计
+     * @returns {string} HTML
+     */
+    renderStatsSummary(stats) {
+        if (!stats) return '';
+        
+        return `<span class="tag-stats-summary">${stats.total} 条新闻 · 虚假比例 ${this.formatRatio(stats.fakeRatio)}</span>`;
+    }
+    
+    /**
+     * 格式化虚假比例（没有已判定的新闻时显示 -）
+     * @param {number|null} ratio - 0-1 的比例
+     * @returns {string} 百分比
+     */
+    formatRatio(ratio) {
+        return ratio === null || ratio === undefined ? '-' : `${Math.round(ratio * 100)}%`;
+    }
+    
+    /**
+     * 渲染错误信息
+     * @param {string} message - 错误信息
+     */
+    renderError(message) {
+        this.container.innerHTML = `<div class="error-message">${this.escapeHtml(message)}</div>`;
+    }
+    
+    /**
+     * 获取状态样式类
+     * @param {string} status - 新闻状态
+     * @returns {string} 样式类名
+     */
+    getStatusClass(status) {
+        switch (status) {
+            case 'Fake': return 'status-fake';
+            case 'Not Fake': return 'status-not-fake';
+            case 'Pending': return 'status-pending';
+            default: return '';
+        }
+    }
+    
+    /**
+     * HTML转义
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 添加组件样式
+     */
+    static addStyles() {
+        // 检查样式是否已添加
+        if (document.getElementById('tag-page-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'tag-page-styles';
+        style.textContent = `
+            .tag-page {
+                background: white;
+                border-radius: 8px;
+                padding: 24px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            }
+            
+            .tag-breadcrumb,
+            .tag-synonyms,
+            .tag-stats-summary,
+            .tag-news-meta,
+            .tag-empty {
+                color: #7f8c8d;
+                font-size: 13px;
+            }
+            
+            .tag-tree ul {
+                margin-left: 20px;
+            }
+            
+            .tag-tree li,
+            .tag-children li {
+                list-style: none;
+                margin: 6px 0;
+            }
+            
+            .tag-stats {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));
+                gap: 12px;
+                margin: 20px 0;
+            }
+            
+            .tag-stat {
+                border: 1px solid #eee;
+                border-radius: 8px;
+                padding: 12px;
+                text-align: center;
+            }
+            
+            .tag-stat-value {
+                display: block;
+                font-size: 24px;
+                font-weight: 600;
+                color: #2c3e50;
+            }
+            
+            .tag-stat-label {
+                color: #7f8c8d;
+                font-size: 13px;
+            }
+            
+            .tag-section {
+                margin-top: 20px;
+            }
+            
+            .tag-more-link {
+                font-size: 13px;
+                font-weight: normal;
+                margin-left: 8px;
+            }
+            
+            .tag-news-list {
+                list-style: none;
+            }
+            
+            .tag-news-list li {
+                display: flex;
+                justify-content: space-between;
+                padding: 6px 0;
+                border-bottom: 1px solid #eee;
+            }
+            
+            .tag-news-pagination {
+                display: flex;
+                gap: 12px;
+                align-items: center;
+                justify-content: center;
+                margin-top: 12px;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
+
+export default TagPage;
@@ -3,7 +3,7 @@
  * 实现用户对新闻的投票功能，包括选择"假新闻"或"非假新闻"
  */
 
-import { submitVote, getUserVoteForNews, getNewsVoteStats } from '../utils/api.js';
+import { submitVote, updateVote, retractVote, getUserVoteForNews, getNewsVoteStats, subscribeNewsEvents } from '../utils/api.js';
 import { getToken } from '../utils/storage.js';
 import auth from './auth.js';
 
@@ -25,12 +25,14 @@ class VoteComponent {
         this.container = null;
         this.fakeVoteButton = null;
         this.notFakeVoteButton = null;
+        this.retractButton = null;
         this.voteStatsElement = null;
         this.messageElement = null;
         
         this.userVote = null; // 存储用户当前投票
         this.voteStats = null; // 存储投票统计
         this.isVoting = false; // 防止重复投票
+        this.unsubscribeEvents = null; // 取消实时更新订阅
         
         this.init();
     }
@@ -49,6 +51,7 @@ class VoteComponent {
             this.render();
             await this.loadData();
             this.bindEvents();
+            this.subscribeEvents();
         } catch (error) {
             console.error('投票组件初始化失败:', error);
             this.showError('投票组件初始化失败');
@@ -74,6 +77,8 @@ class VoteComponent {
                     </button>
                 </div>
                 
+                <button id="vote-retract-${this.newsId}" class="vote-retract" style="display: none;">撤销我的投票</button>
+                
                 <div id="vote-stats-${this.newsId}" class="vote-stats">
                     <div class="loading-stats">加载投票统计中...</div>
                 </div>
@@ -85,6 +90,7 @@ class VoteComponent {
         // 保存DOM引用
         this.fakeVoteButton = document.getElementById(`vote-fake-${this.newsId}`);
         this.notFakeVoteButton = document.getElementById(`vote-not-fake-${this.newsId}`);
+        this.retractButton = document.getElementById(`vote-retract-${this.newsId}`);
         this.voteStatsElement = document.getElementById(`vote-stats-${this.newsId}`);
         this.messageElement = document.getElementById(`vote-message-${this.newsId}`);
         
@@ -182,6 +188,23 @@ class VoteComponent {
                 font-size: 20px;
             }
             
+            .vote-retract {
+                display: block;
+                margin: -10px auto 15px;
+                padding: 4px 12px;
+                border: none;
+                background: none;
+                color: #6c757d;
+                font-size: 14px;
+                text-decoration: underline;
+                cursor: pointer;
+            }
+            
+            .vote-retract:disabled {
+                cursor: not-allowed;
+                opacity: 0.6;
+            }
+            
             .vote-stats {
                 background-color: #ffffff;
                 border-radius: 6px;
@@ -318,6 +341,33 @@ class VoteComponent {
         if (this.notFakeVoteButton) {
             this.notFakeVoteButton.addEventListener('click', () => this.handleVote('Not Fake'));
         }
+        
+        if (this.retractButton) {
+            this.retractButton.addEventListener('click', () => this.handleRetract());
+        }
+    }
+    
+    /**
+     * 订阅实时投票更新，其他用户投票或判定改变时直接刷新统计
+     */
+    subscribeEvents() {
+        this.unsubscribeEvents = subscribeNewsEvents(this.newsId, {
+            votes: (stats) => {
+                this.voteStats = { ...this.voteStats, ...stats };
+                this.updateUI();
+            },
+            status: (data) => {
+                this.voteStats = {
+                    ...this.voteStats,
+                    newsStatus: data.status,
+                    verdictFrozen: data.verdictFrozen,
+                    voteChangesLocked: data.voteChangesLocked
+                };
+                this.updateUI();
+            },
+            // 断线期间错过的事件无法补发，重新加载
+            resync: () => this.loadData()
+        });
     }
     
     /**
@@ -351,8 +401,8 @@ class VoteComponent {
                 return null;
             }
             
-            const vote = await getUserVoteForNews(this.newsId);
-            return vote;
+            const response = await getUserVoteForNews(this.newsId);
+            return response.data || null;
         } catch (error) {
             console.error('加载用户投票失败:', error);
             return null; // 用户未投票时返回null
@@ -364,23 +414,25 @@ class VoteComponent {
      */
     async loadVoteStats() {
         try {
-            const stats = await getNewsVoteStats(this.newsId);
-            return stats;
+            const response = await getNewsVoteStats(this.newsId);
+            return response.data;
         } catch (error) {
             console.error('加载投票统计失败:', error);
             // 返回默认统计数据
             return {
-                fakeVotes: 0,
-                notFakeVotes: 0,
-                totalVotes: 0,
-                fakePercentage: 0,
-                notFakePercentage: 0
+                fakeCount: 0,
+                notFakeCount: 0,
+                totalCount: 0,
+                fakePercentage: '0%',
+                notFakePercentage: '0%',
+                newsStatus: 'Pending',
+                voteChangesLocked: false
             };
         }
     }
     
     /**
-     * 处理投票事件
+     * 处理投票事件（未投票时提交，已投另一选项时改票）
      * @param {string} voteResult - 投票结果 ('Fake' 或 'Not Fake')
      */
     async handleVote(voteResult) {
@@ -393,26 +445,30 @@ class VoteComponent {
         // 防止重复提交
         if (this.isVoting) return;
         
-        // 检查用户是否已经投过票
+        // 检查用户是否已经投过这个选项
         if (this.userVote && this.userVote.voteResult === voteResult) {
             this.showInfo('您已经投过这个选项了');
             return;
         }
         
+        const isChange = !!this.userVote;
+        
         try {
             this.isVoting = true;
-            this.showInfo('提交投票中...');
-            
-            // 提交投票
-            const result = await submitVote({
-                newsId: this.newsId,
-                voteResult: voteResult
-            });
-            
-            this.userVote = result;
-            await this.loadVoteStats(); // 重新加载投票统计
+            this.showInfo(isChange ? '修改投票中...' : '提交投票中...');
+            
+            // 提交投票或修改已有投票
+            const result = isChange
+                ? await updateVote(this.newsId, voteResult)
+                : await submitVote({
+                    newsId: this.newsId,
+                    voteResult: voteResult
+                });
+            
+            this.userVote = result.data.vote;
+            this.voteStats = await this.loadVoteStats(); // 重新加载投票统计
             this.updateUI();
-            this.showSuccess('投票成功！');
+            this.showSuccess(isChange ? '投票已修改！' : '投票成功！');
             
             // 调用成功回调
             this.onVoteSuccess(result);
@@ -427,6 +483,34 @@ class VoteComponent {
         }
     }
     
+    /**
+     * 处理撤销投票事件
+     */
+    async handleRetract() {
+        if (!this.userVote || this.isVoting) return;
+        
+        try {
+            this.isVoting = true;
+            this.showInfo('撤销投票中...');
+            
+            const result = await retractVote(this.newsId);
+            
+            this.userVote = null;
+            this.voteStats = await this.loadVoteStats(); // 重新加载投票统计
+            this.updateUI();
+            this.showSuccess('投票已撤销');
+            
+            this.onVoteSuccess(result);
+        } catch (error) {
+            console.error('撤销投票失败:', error);
+            this.showError(error.message || '撤销投票失败，请稍后重试');
+            
+            this.onVoteError(error);
+        } finally {
+            this.isVoting = false;
+        }
+    }
+    
     /**
      * 更新UI显示
      */
@@ -442,29 +526,34 @@ class VoteComponent {
      * 更新投票按钮状态
      */
     updateVoteButtons() {
-        // 如果用户已登录
-        if (auth.isLoggedIn()) {
-            // 如果用户已投票
-            if (this.userVote) {
-                this.fakeVoteButton.disabled = true;
-                this.notFakeVoteButton.disabled = true;
-                
-                if (this.userVote.voteResult === 'Fake') {
-                    this.fakeVoteButton.classList.add('voted');
-                } else if (this.userVote.voteResult === 'Not Fake') {
-                    this.notFakeVoteButton.classList.add('voted');
-                }
-                
-                this.showInfo('您已经投过票了');
-            } else {
-                // 用户未投票，启用按钮
-                this.fakeVoteButton.disabled = false;
-                this.notFakeVoteButton.disabled = false;
-            }
-        } else {
-            // 用户未登录，禁用按钮
+        const changesLocked = !!this.voteStats?.voteChangesLocked;
+        
+        this.fakeVoteButton.classList.toggle('voted', this.userVote?.voteResult === 'Fake');
+        this.notFakeVoteButton.classList.toggle('voted', this.userVote?.voteResult === 'Not Fake');
+        this.retractButton.style.display = 'none';
+        
+        // 用户未登录，禁用按钮
+        if (!auth.isLoggedIn()) {
+            this.fakeVoteButton.disabled = true;
+            this.notFakeVoteButton.disabled = true;
+            return;
+        }
+        
+        // 管理员冻结判定后，已投的票不能再修改或撤销
+        if (this.userVote && changesLocked) {
             this.fakeVoteButton.disabled = true;
             this.notFakeVoteButton.disabled = true;
+            this.showInfo('该新闻的判定已被管理员冻结，投票不能再修改');
+            return;
+        }
+        
+        // 未投票可直接投票，已投票可改投另一选项或撤销（被判为无效的投票除外）
+        const canChange = !this.userVote || !this.userVote.isInvalid;
+        this.fakeVoteButton.disabled = !canChange;
+        this.notFakeVoteButton.disabled = !canChange;
+        
+        if (this.userVote && canChange) {
+            this.retractButton.style.display = 'block';
         }
     }
     
@@ -474,12 +563,14 @@ class VoteComponent {
     updateVoteStats() {
         if (!this.voteStatsElement || !this.voteStats) return;
         
-        const { fakeVotes, notFakeVotes, totalVotes, fakePercentage, notFakePercentage } = this.voteStats;
+        const { fakeCount, notFakeCount, totalCount, newsStatus } = this.voteStats;
+        const fakePercentage = parseFloat(this.voteStats.fakePercentage) || 0;
+        const notFakePercentage = parseFloat(this.voteStats.notFakePercentage) || 0;
         
         this.voteStatsElement.innerHTML = `
             <div class="vote-stats-item">
                 <span class="vote-stats-label">假新闻投票</span>
-                <span class="vote-stats-value">${fakeVotes}票 (${fakePercentage.toFixed(1)}%)</span>
+                <span class="vote-stats-value">${fakeCount}票 (${fakePercentage.toFixed(1)}%)</span>
             </div>
             <div class="vote-stats-progress">
                 <div 
@@ -490,7 +581,7 @@ class VoteComponent {
             
             <div class="vote-stats-item">
                 <span class="vote-stats-label">非假新闻投票</span>
-                <span class="vote-stats-value">${notFakeVotes}票 (${notFakePercentage.toFixed(1)}%)</span>
+                <span class="vote-stats-value">${notFakeCount}票 (${notFakePercentage.toFixed(1)}%)</span>
             </div>
             <div class="vote-stats-progress">
                 <div 
@@ -501,26 +592,21 @@ class VoteComponent {
             
             <div class="vote-stats-item">
                 <span class="vote-stats-label">总投票数</span>
-                <span class="vote-stats-value">${totalVotes}票</span>
+                <span class="vote-stats-value">${totalCount}票</span>
             </div>
         `;
         
-        // 添加新闻状态标签
-        if (totalVotes > 0) {
-            let statusClass = 'pending';
-            let statusText = '待确认';
-            
-            if (fakePercentage > 70) {
-                statusClass = 'fake';
-                statusText = '假新闻';
-            } else if (notFakePercentage > 70) {
-                statusClass = 'not-fake';
-                statusText = '非假新闻';
-            }
+        // 添加新闻状态标签（由服务端判定引擎决定）
+        if (totalCount > 0) {
+            const statusMap = {
+                'Fake': { className: 'fake', text: '假新闻' },
+                'Not Fake': { className: 'not-fake', text: '非假新闻' }
+            };
+            const { className, text } = statusMap[newsStatus] || { className: 'pending', text: '待确认' };
             
             const statusElement = document.createElement('div');
-            statusElement.className = `vote-status ${statusClass}`;
-            statusElement.textContent = `当前判定: ${statusText}`;
+            statusElement.className = `vote-status ${className}`;
+            statusElement.textContent = `当前判定: ${text}${this.voteStats.verdictFrozen ? '（已冻结）' : ''}`;
             this.voteStatsElement.appendChild(statusElement);
         }
     }
@@ -582,6 +668,12 @@ class VoteComponent {
      * 销毁组件
      */
     destroy() {
+        // 取消实时更新订阅
+        if (this.unsubscribeEvents) {
+            this.unsubscribeEvents();
+            this.unsubscribeEvents = null;
+        }
+        
         // 移除事件监听器
         if (this.fakeVoteButton) {
             this.fakeVoteButton.removeEventListener('click', () => this.handleVote('Fake'));
@@ -591,6 +683,10 @@ class VoteComponent {
             this.notFakeVoteButton.removeEventListener('click', () => this.handleVote('Not Fake'));
         }
         
+        if (this.retractButton) {
+            this.retractButton.removeEventListener('click', () => this.handleRetract());
+        }
+        
         // 清空容器
         if (this.container) {
             this.container.innerHTML = '';
@@ -600,6 +696,7 @@ class VoteComponent {
         this.container = null;
         this.fakeVoteButton = null;
         this.notFakeVoteButton = null;
+        this.retractButton = null;
         this.voteStatsElement = null;
         this.messageElement = null;
         this.userVote = null;
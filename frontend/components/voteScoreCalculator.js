@@ -1,38 +1,41 @@
 /**
  * 投票分数计算组件
- * 基于有效投票数（删除无效投票后）自动计算新闻真假状态
+ * 展示服务端判定引擎（/api/vote/news/:newsId/stats）给出的新闻真假判定结果，
+ * 本地不再自行计算阈值和置信度，保证前后端判定规则一致
  */
 
+import { getNewsVoteStats } from '../utils/api.js';
+
 class VoteScoreCalculator {
     /**
      * 构造函数
      * @param {Object} options - 配置选项
      * @param {Function} options.onStatusChange - 状态变更回调函数
      * @param {Function} options.onScoreUpdate - 分数更新回调函数
-     * @param {number} options.threshold - 判定为假新闻的阈值比例 (0-1)
-     * @param {number} options.minVotes - 最小投票数阈值
-     * @param {string} options.apiUrl - 分数重算API地址
+     * @param {string} options.policy - 预览用的判定策略（majority / wilson / bayesian），默认使用服务端配置
      */
     constructor(options = {}) {
         // 配置项
         this.onStatusChange = options.onStatusChange || function() {};
         this.onScoreUpdate = options.onScoreUpdate || function() {};
-        this.threshold = options.threshold || 0.6; // 默认60%的投票认为是假新闻则判定为假新闻
-        this.minVotes = options.minVotes || 5; // 默认至少5个投票才进行判定
-        this.apiUrl = options.apiUrl || '/api/news/recalculate-score';
+        this.policy = options.policy || null;
         
         // 状态
         this.currentNewsId = null;
         this.voteData = {
-            fakeVotes: 0,      // 假新闻投票数
-            nonFakeVotes: 0,   // 非假新闻投票数
-            totalVotes: 0,     // 总投票数
-            invalidVotes: 0,   // 无效投票数
-            validVotes: 0      // 有效投票数
+            fakeVotes: 0,           // 假新闻投票数
+            nonFakeVotes: 0,        // 非假新闻投票数
+            validVotes: 0,          // 有效投票数
+            weightedFakeScore: 0,   // 按信誉加权的假新闻分数
+            weightedNonFakeScore: 0 // 按信誉加权的非假新闻分数
         };
         this.scoreData = {
-            fakeScore: 0,      // 假新闻得分比例
-            confidence: 0,     // 置信度
+            fakeScore: 0,                                // 加权后的假新闻比例
+            confidenceInterval: { lower: 0, upper: 1 },  // 假新闻比例的置信区间
+            confidenceLevel: 0.95,
+            threshold: 0.6,
+            votesNeeded: null,                           // 达成判定还需要的投票数
+            policy: null,
             status: 'pending'  // 状态: pending, fake, non-fake, insufficient
         };
         
@@ -40,24 +43,25 @@ class VoteScoreCalculator {
     }
     
     /**
-     * 更新投票数据
+     * 使用服务端返回的投票统计更新数据
      * @param {string} newsId - 新闻ID
-     * @param {Object} data - 投票数据
+     * @param {Object} stats - /api/vote/news/:newsId/stats 返回的数据
      */
-    updateVoteData(newsId, data) {
+    updateVoteData(newsId, stats) {
         this.currentNewsId = newsId;
         
         // 更新投票数据
         this.voteData = {
-            fakeVotes: data.fakeVotes || 0,
-            nonFakeVotes: data.nonFakeVotes || 0,
-            totalVotes: data.totalVotes || 0,
-            invalidVotes: data.invalidVotes || 0,
-            validVotes: data.validVotes || (data.fakeVotes || 0) + (data.nonFakeVotes || 0)
+            fakeVotes: stats.fakeCount || 0,
+            nonFakeVotes: stats.notFakeCount || 0,
+            validVotes: stats.totalCount || 0,
+            weightedFakeScore: stats.weighted?.fakeScore || 0,
+            weightedNonFakeScore: stats.weighted?.notFakeScore || 0
         };
         
-        // 重新计算分数
-        this.calculateScore();
+        if (stats.verdict) {
+            this.applyVerdict(stats.verdict);
+        }
         
         console.log(`投票数据更新完成 - 新闻ID: ${newsId}`, this.voteData);
         
@@ -65,32 +69,30 @@ class VoteScoreCalculator {
     }
     
     /**
-     * 计算投票分数和新闻状态
+     * 应用服务端判定结果
+     * @param {Object} verdict - 判定结果
      */
-    calculateScore() {
-        const { fakeVotes, nonFakeVotes, validVotes } = this.voteData;
-        let newStatus = this.scoreData.status;
-        
-        // 计算假新闻得分比例
-        const fakeScore = validVotes > 0 ? fakeVotes / validVotes : 0;
-        
-        // 计算置信度
-        const confidence = this.calculateConfidence(fakeVotes, nonFakeVotes);
+    applyVerdict(verdict) {
+        const statusMap = {
+            'Fake': 'fake',
+            'Not Fake': 'non-fake'
+        };
         
-        // 确定新闻状态
-        if (validVotes < this.minVotes) {
-            newStatus = 'insufficient'; // 投票数不足
-        } else if (fakeScore >= this.threshold) {
-            newStatus = 'fake'; // 判定为假新闻
-        } else {
-            newStatus = 'non-fake'; // 判定为非假新闻
+        // 未达成判定时区分"投票不足"和"结果尚不确定"
+        let newStatus = statusMap[verdict.status];
+        if (!newStatus) {
+            newStatus = verdict.totalVotes < verdict.minVotes ? 'insufficient' : 'pending';
         }
         
         // 更新分数数据
         const oldStatus = this.scoreData.status;
         this.scoreData = {
-            fakeScore,
-            confidence,
+            fakeScore: verdict.fakeProportion,
+            confidenceInterval: verdict.confidenceInterval,
+            confidenceLevel: verdict.confidenceLevel,
+            threshold: verdict.threshold,
+            votesNeeded: verdict.votesNeeded,
+            policy: verdict.policy,
             status: newStatus
         };
         
@@ -107,72 +109,23 @@ class VoteScoreCalculator {
     }
     
     /**
-     * 计算置信度
-     * @param {number} fakeVotes - 假新闻投票数
-     * @param {number} nonFakeVotes - 非假新闻投票数
-     * @returns {number} 置信度 (0-1)
-     */
-    calculateConfidence(fakeVotes, nonFakeVotes) {
-        const total = fakeVotes + nonFakeVotes;
-        
-        if (total === 0) return 0;
-        
-        // 使用比例差异和投票总数计算置信度
-        const ratioDifference = Math.abs(fakeVotes - nonFakeVotes) / total;
-        const voteCountFactor = Math.min(total / (this.minVotes * 5), 1); // 最高提升5倍阈值的权重
-        
-        // 置信度计算: 比例差异 * 投票数量因子
-        const confidence = ratioDifference * voteCountFactor;
-        
-        return Math.round(confidence * 100) / 100; // 保留两位小数
-    }
-    
-    /**
-     * 手动触发API重新计算分数
+     * 从服务端重新获取投票统计和判定结果
      * @param {string} newsId - 新闻ID
-     * @returns {Promise} 操作结果
+     * @returns {Promise<Object>} 投票统计数据
      */
-    async recalculateScore(newsId) {
+    async recalculateScore(newsId = this.currentNewsId) {
         try {
             // 显示加载状态
             this.showLoading(true);
             
-            // 调用API重新计算分数
-            // 实际项目中应替换为真实的fetch请求
-            // const response = await fetch(`${this.apiUrl}/${newsId}`, {
-            //     method: 'POST',
-            //     headers: {
-            //         'Content-Type': 'application/json',
-            //         'Authorization': `Bearer ${this.getAuthToken()}`
-            //     }
-            // });
-            
-            // if (!response.ok) {
-            //     throw new Error(`重新计算失败: ${response.statusText}`);
-            // }
-            
-            // const result = await response.json();
-            
-            // 模拟API延迟
-            await new Promise(resolve => setTimeout(resolve, 800));
-            
-            // 模拟成功响应
-            const mockResult = {
-                success: true,
-                data: {
-                    newsId,
-                    fakeVotes: this.voteData.fakeVotes + Math.floor(Math.random() * 3),
-                    nonFakeVotes: this.voteData.nonFakeVotes + Math.floor(Math.random() * 2),
-                    invalidVotes: this.voteData.invalidVotes,
-                    status: this.scoreData.status
-                }
-            };
+            const response = await getNewsVoteStats(newsId, this.policy);
+            const stats = response.data || response;
             
             // 更新本地数据
-            this.updateVoteData(newsId, mockResult.data);
+            this.updateVoteData(newsId, stats);
             
             console.log(`重新计算分数成功 - 新闻ID: ${newsId}`);
-            return mockResult;
+            return stats;
         } catch (error) {
             console.error('重新计算分数失败:', error);
             throw error;
@@ -182,6 +135,20 @@ class VoteScoreCalculator {
         }
     }
     
+    /**
+     * 切换预览的判定策略并重新获取结果
+     * @param {string|null} policy - 判定策略，null表示使用服务端默认策略
+     * @returns {Promise<Object>} 投票统计数据
+     */
+    async setPolicy(policy) {
+        this.policy = policy || null;
+        
+        if (!this.currentNewsId) {
+            return null;
+        }
+        return this.recalculateScore(this.currentNewsId);
+    }
+    
     /**
      * 获取当前分数数据
      * @returns {Object} 分数数据
@@ -261,56 +228,6 @@ class VoteScoreCalculator {
         };
     }
     
-    /**
-     * 设置判定阈值
-     * @param {number} threshold - 阈值 (0-1)
-     */
-    setThreshold(threshold) {
-        if (threshold >= 0 && threshold <= 1) {
-            this.threshold = threshold;
-            this.calculateScore(); // 重新计算分数
-            console.log(`阈值已更新: ${threshold}`);
-        } else {
-            console.warn('阈值必须在0到1之间');
-        }
-        return this;
-    }
-    
-    /**
-     * 设置最小投票数阈值
-     * @param {number} minVotes - 最小投票数
-     */
-    setMinVotes(minVotes) {
-        if (minVotes >= 0) {
-            this.minVotes = minVotes;
-            this.calculateScore(); // 重新计算分数
-            console.log(`最小投票数已更新: ${minVotes}`);
-        } else {
-            console.warn('最小投票数必须大于或等于0');
-        }
-        return this;
-    }
-    
-    /**
-     * 生成模拟数据（用于测试）
-     * @param {number} totalVotes - 总投票数
-     * @param {number} fakeRatio - 假新闻比例 (0-1)
-     * @returns {Object} 模拟数据
-     */
-    generateMockData(totalVotes = 50, fakeRatio = 0.6) {
-        const fakeVotes = Math.floor(totalVotes * fakeRatio);
-        const nonFakeVotes = totalVotes - fakeVotes;
-        const invalidVotes = Math.floor(totalVotes * 0.1); // 10% 无效投票
-        
-        return {
-            fakeVotes,
-            nonFakeVotes,
-            totalVotes: fakeVotes + nonFakeVotes + invalidVotes,
-            invalidVotes,
-            validVotes: fakeVotes + nonFakeVotes
-        };
-    }
-    
     /**
      * 显示/隐藏加载状态
      * @param {boolean} show - 是否显示
@@ -320,15 +237,6 @@ class VoteScoreCalculator {
         console.log(show ? '正在重新计算分数...' : '计算完成');
     }
     
-    /**
-     * 获取认证令牌（实际项目中实现）
-     * @returns {string} 令牌
-     */
-    getAuthToken() {
-        // 实际项目中应从存储中获取令牌
-        return localStorage.getItem('auth_token') || '';
-    }
-    
     /**
      * 添加CSS样式到文档
      */
@@ -478,18 +386,35 @@ class VoteScoreCalculator {
             }
             
             .confidence-bar {
+                position: relative;
                 flex-grow: 1;
                 height: 8px;
                 background-color: #e9ecef;
                 border-radius: 4px;
                 margin: 0 10px;
-                overflow: hidden;
             }
             
-            .confidence-fill {
+            .confidence-range {
+                position: absolute;
+                top: 0;
                 height: 100%;
-                background: linear-gradient(90deg, #28a745, #ffc107, #dc3545);
-                transition: width 0.6s ease;
+                background-color: #6c757d;
+                border-radius: 4px;
+                transition: left 0.6s ease, width 0.6s ease;
+            }
+            
+            .confidence-threshold {
+                position: absolute;
+                top: -2px;
+                width: 2px;
+                height: 12px;
+                background-color: #dc3545;
+            }
+            
+            .verdict-meta {
+                margin-top: 8px;
+                font-size: 12px;
+                color: #6c757d;
             }
             
             /* 响应式设计 */
@@ -542,9 +467,10 @@ class VoteScoreCalculator {
         // 添加样式
         this.addStyles();
         
-        const { fakeVotes, nonFakeVotes, validVotes, invalidVotes } = this.voteData;
-        const { fakeScore, confidence, status } = this.scoreData;
+        const { fakeVotes, nonFakeVotes, validVotes } = this.voteData;
+        const { confidenceInterval, confidenceLevel, threshold, votesNeeded, policy } = this.scoreData;
         const progressConfig = this.getProgressBarConfig();
+        const rangeWidth = Math.max(confidenceInterval.upper - confidenceInterval.lower, 0.01);
         
         // 创建HTML结构
         const html = `
@@ -570,8 +496,8 @@ class VoteScoreCalculator {
                         <span class="vote-stat-label">非假新闻投票</span>
                     </div>
                     <div class="vote-stat-item">
-                        <span class="vote-stat-value">${invalidVotes}</span>
-                        <span class="vote-stat-label">无效投票</span>
+                        <span class="vote-stat-value">${votesNeeded === null ? '—' : votesNeeded}</span>
+                        <span class="vote-stat-label">还需投票</span>
                     </div>
                 </div>
                 
@@ -585,11 +511,16 @@ class VoteScoreCalculator {
                 </div>
                 
                 <div class="confidence-indicator">
-                    <span>置信度:</span>
+                    <span>${this.formatPercentage(confidenceLevel)} 置信区间:</span>
                     <div class="confidence-bar">
-                        <div class="confidence-fill" style="width: ${this.formatPercentage(confidence)}"></div>
+                        <div class="confidence-range" style="left: ${this.formatPercentage(confidenceInterval.lower)}; width: ${this.formatPercentage(rangeWidth)}"></div>
+                        <div class="confidence-threshold" style="left: ${this.formatPercentage(threshold)}" title="判定阈值"></div>
                     </div>
-                    <span>${this.formatPercentage(confidence)}</span>
+                    <span>${this.formatPercentage(confidenceInterval.lower)} – ${this.formatPercentage(confidenceInterval.upper)}</span>
+                </div>
+                
+                <div class="verdict-meta">
+                    判定策略: ${policy || '—'}，假新闻比例达到 ${this.formatPercentage(threshold)} 判定为假新闻（按投票用户信誉加权）
                 </div>
             </div>
         `;
@@ -607,13 +538,17 @@ class VoteScoreCalculator {
         this.voteData = {
             fakeVotes: 0,
             nonFakeVotes: 0,
-            totalVotes: 0,
-            invalidVotes: 0,
-            validVotes: 0
+            validVotes: 0,
+            weightedFakeScore: 0,
+            weightedNonFakeScore: 0
         };
         this.scoreData = {
             fakeScore: 0,
-            confidence: 0,
+            confidenceInterval: { lower: 0, upper: 1 },
+            confidenceLevel: 0.95,
+            threshold: 0.6,
+            votesNeeded: null,
+            policy: null,
             status: 'pending'
         };
         
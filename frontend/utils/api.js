@@ -3,7 +3,7 @@
  * Responsible for handling all HTTP communications with the backend server
  */
 
-import { getToken } from './storage.js';
+import { getToken, setToken, getRefreshToken, setRefreshToken, clearAuthData } from './storage.js';
 
 // API Base URL Configuration - Uses global variable or default value in browser environment
 // In production environment, ensure API_URL is correctly set during deployment
@@ -62,9 +62,9 @@ async function handleResponse(response) {
         error.status = response.status;
         error.data = data;
         
-        // 处理401未授权错误，自动登出
+        // 处理401未授权错误（刷新令牌也已失效），自动登出
         if (response.status === 401) {
-            auth.logout();
+            clearAuthData();
             window.location.href = '/login.html?sessionExpired=true';
         }
         
@@ -74,6 +74,63 @@ async function handleResponse(response) {
     return data;
 }
 
+// In-flight refresh request, shared so concurrent 401s trigger a single refresh
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @returns {Promise<boolean>} Whether the tokens were refreshed
+ */
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            try {
+                const response = await fetchWithTimeout(
+                    `${API_BASE_URL}/users/refresh`,
+                    buildRequestOptions('POST', { refreshToken: getRefreshToken() }, {}, false)
+                );
+                
+                if (!response.ok) {
+                    return false;
+                }
+                
+                const { data } = await response.json();
+                setToken(data.token);
+                setRefreshToken(data.refreshToken);
+                return true;
+            } catch (error) {
+                console.error('Failed to refresh access token:', error);
+                return false;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+    }
+    
+    return refreshPromise;
+}
+
+/**
+ * Send a request, refreshing the access token and retrying once on 401
+ * @param {string} url - Request URL
+ * @param {Function} buildOptions - Builds fetch options (called again for the retry so the new token is used)
+ * @param {boolean} requiresAuth - Whether authentication is required
+ * @param {number} timeout - Timeout duration
+ * @returns {Promise<Response>} fetch response
+ */
+async function fetchWithRefresh(url, buildOptions, requiresAuth, timeout = REQUEST_TIMEOUT) {
+    const response = await fetchWithTimeout(url, buildOptions(), timeout);
+    
+    if (response.status === 401 && requiresAuth && getRefreshToken()) {
+        const refreshed = await refreshAccessToken();
+        if (refreshed) {
+            return fetchWithTimeout(url, buildOptions(), timeout);
+        }
+    }
+    
+    return response;
+}
+
 /**
  * Build API request options
  * @param {string} method - HTTP method
@@ -140,12 +197,14 @@ async function apiRequest(endpoint, method = 'GET', body = null, options = {}) {
     }
     
     try {
-        // Build request options
-        const requestOptions = buildRequestOptions(method, body, additionalHeaders, requiresAuth);
-        
-        // 发送请求
+        // 发送请求（访问令牌过期时自动刷新并重试）
         console.log(`Sending ${method} request to: ${url}`);
-        const response = await fetchWithTimeout(url, requestOptions, timeout);
+        const response = await fetchWithRefresh(
+            url,
+            () => buildRequestOptions(method, body, additionalHeaders, requiresAuth),
+            requiresAuth,
+            timeout
+        );
         
         // Handle response
         const data = await handleResponse(response);
@@ -234,7 +293,9 @@ export function clearApiCache(key = null) {
  * @returns {Promise<Object>} Login response
  */
 export async function login(credentials) {
-    return apiRequest('/users/login', 'POST', credentials, { requiresAuth: false });
+    const response = await apiRequest('/users/login', 'POST', credentials, { requiresAuth: false });
+    saveTokens(response.data);
+    return response;
 }
 
 /**
@@ -243,7 +304,99 @@ export async function login(credentials) {
  * @returns {Promise<Object>} Registration response
  */
 export async function register(userData) {
-    return apiRequest('/users/register', 'POST', userData, { requiresAuth: false });
+    const response = await apiRequest('/users/register', 'POST', userData, { requiresAuth: false });
+    saveTokens(response.data);
+    return response;
+}
+
+/**
+ * Persist the token pair returned by login/registration
+ * @param {Object} data - Response data containing token and refreshToken
+ */
+function saveTokens(data) {
+    if (data?.token) {
+        setToken(data.token);
+        setRefreshToken(data.refreshToken);
+    }
+}
+
+/**
+ * Logout: revoke the session on the server and clear local auth data
+ * @param {boolean} allDevices - Whether to log out from all devices
+ * @returns {Promise<void>}
+ */
+export async function logout(allDevices = false) {
+    try {
+        if (getToken()) {
+            await apiRequest('/users/logout', 'POST', { allDevices });
+        }
+    } catch (error) {
+        // Local data is cleared even if the session could not be revoked
+        console.error('Failed to revoke session:', error);
+    } finally {
+        clearAuthData();
+    }
+}
+
+/**
+ * Get current user's active sessions (one per device)
+ * @returns {Promise<Object>} Session list
+ */
+export async function getSessions() {
+    return apiRequest('/users/sessions');
+}
+
+/**
+ * Revoke one session (log out a device)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Revoke result
+ */
+export async function revokeSession(sessionId) {
+    return apiRequest(`/users/sessions/${sessionId}`, 'DELETE');
+}
+
+/**
+ * Revoke all sessions except the current one
+ * @returns {Promise<Object>} Revoke result
+ */
+export async function revokeOtherSessions() {
+    return apiRequest('/users/sessions', 'DELETE');
+}
+
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} Request result
+ */
+export async function forgotPassword(email) {
+    return apiRequest('/users/forgot-password', 'POST', { email }, { requiresAuth: false });
+}
+
+/**
+ * Reset password with the token from the reset email
+ * @param {string} token - Reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Reset result
+ */
+export async function resetPassword(token, password) {
+    return apiRequest('/users/reset-password', 'POST', { token, password }, { requiresAuth: false });
+}
+
+/**
+ * Verify email address with the token from the verification email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} Verification result
+ */
+export async function verifyEmail(token) {
+    return apiRequest('/users/verify-email', 'POST', { token }, { requiresAuth: false });
+}
+
+/**
+ * Resend the verification email to the current user
+ * @returns {Promise<Object>} Request result
+ */
+export async function resendVerification() {
+    return apiRequest('/users/resend-verification', 'POST');
 }
 
 // 临时注释掉fetchUserInfo函数以测试
@@ -306,6 +459,25 @@ export async function setUserRole(userId, roleData) {
     return apiRequest(`/users/${userId}/role`, 'PUT', roleData);
 }
 
+/**
+ * Get a user's public profile (submissions, credibility, voting accuracy)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Profile, parts hidden by the user's privacy settings are null
+ */
+export async function getUserProfile(userId) {
+    // 登录时发送令牌，本人和管理员可以看到被隐私设置隐藏的部分
+    return apiRequest(`/users/${userId}/profile`);
+}
+
+/**
+ * Update current user's profile privacy settings
+ * @param {Object} privacy - e.g. { showSubmissions: false }
+ * @returns {Promise<Object>} Updated user information
+ */
+export async function updatePrivacySettings(privacy) {
+    return apiRequest('/users/me', 'PUT', { privacy });
+}
+
 // ===== News-Related API =====
 
 /**
@@ -314,7 +486,11 @@ export async function setUserRole(userId, roleData) {
  * @returns {Promise<Object>} News list and pagination info
  */
 export async function fetchNews(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
+    // 省略未设置的参数，避免发送 "undefined"
+    const definedParams = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const queryString = new URLSearchParams(definedParams).toString();
     const endpoint = `/news${queryString ? `?${queryString}` : ''}`;
     return apiRequest(endpoint, 'GET', null, { useCache: params.page === 1 && !params.search });
 }
@@ -348,14 +524,50 @@ export async function updateNews(newsId, newsData) {
 }
 
 /**
- * Delete news (Admin)
+ * Delete news (Admin), the news is moved to the trash
  * @param {string} newsId - News ID
- * @returns {Promise<Object>} Deletion result
+ * @returns {Promise<Object>} Deletion time and purge time
  */
 export async function deleteNews(newsId) {
     return apiRequest(`/news/${newsId}`, 'DELETE');
 }
 
+/**
+ * Get trashed news (Admin)
+ * @param {Object} params - Pagination parameters ({ page, pageSize })
+ * @returns {Promise<Object>} Trashed news with purge times and the retention period
+ */
+export async function getNewsTrash(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/news/trash${queryString ? `?${queryString}` : ''}`, 'GET');
+}
+
+/**
+ * Restore news from the trash (Admin)
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} Restored news
+ */
+export async function restoreNews(newsId) {
+    return apiRequest(`/news/${newsId}/restore`, 'PUT');
+}
+
+/**
+ * Permanently delete trashed news with its votes, comments and images (Admin)
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} Numbers of removed votes, comments, revisions, reports and images
+ */
+export async function purgeNews(newsId) {
+    return apiRequest(`/news/${newsId}/purge`, 'DELETE');
+}
+
+/**
+ * Purge trashed news whose retention period has ended (Admin)
+ * @returns {Promise<Object>} Purged and failed news
+ */
+export async function purgeExpiredTrash() {
+    return apiRequest('/news/trash/purge', 'POST');
+}
+
 /**
  * Update news status (Admin)
  * @param {string} newsId - News ID
@@ -367,6 +579,16 @@ export async function updateNewsStatus(newsId, statusData) {
     return apiRequest(`/news/${newsId}/status`, 'PUT', statusData);
 }
 
+/**
+ * Freeze or unfreeze the verdict of news (Admin)
+ * @param {string} newsId - News ID
+ * @param {boolean} frozen - Whether the verdict is frozen
+ * @returns {Promise<Object>} Update result
+ */
+export async function setVerdictFrozen(newsId, frozen) {
+    return apiRequest(`/news/${newsId}/freeze`, 'PUT', { frozen });
+}
+
 /**
  * Recalculate news vote scores (Admin)
  * @param {string} newsId - News ID
@@ -376,6 +598,124 @@ export async function recalculateNewsVotes(newsId) {
     return apiRequest(`/news/${newsId}/recalculate-votes`, 'POST');
 }
 
+/**
+ * Get the revision history of news
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} Current revision number and revision list
+ */
+export async function getNewsRevisions(newsId) {
+    return apiRequest(`/news/${newsId}/revisions`, 'GET');
+}
+
+/**
+ * Get one revision of news
+ * @param {string} newsId - News ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object>} Revision with full title and content
+ */
+export async function getNewsRevision(newsId, revision) {
+    return apiRequest(`/news/${newsId}/revisions/${revision}`, 'GET');
+}
+
+/**
+ * Get the word-level diff between two revisions of news
+ * @param {string} newsId - News ID
+ * @param {number} from - Older revision (defaults to the one before to)
+ * @param {number} to - Newer revision (defaults to the current revision)
+ * @returns {Promise<Object>} Diff segments of title and content, image changes and change ratio
+ */
+export async function getNewsRevisionDiff(newsId, from = null, to = null) {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/news/${newsId}/revisions/diff${queryString ? `?${queryString}` : ''}`, 'GET');
+}
+
+/**
+ * Get decided news similar to news (related fact-checks)
+ * @param {string} newsId - News ID
+ * @param {number} limit - Maximum number of items
+ * @returns {Promise<Object>} Related news with similarity and shared terms
+ */
+export async function getRelatedNews(newsId, limit = null) {
+    return apiRequest(`/news/${newsId}/related${limit ? `?limit=${limit}` : ''}`, 'GET');
+}
+
+/**
+ * Find existing news similar to a text before submitting it
+ * @param {Object} text - { title, content }
+ * @returns {Promise<Object>} Likely duplicates with their similarity (0-1)
+ */
+export async function checkDuplicates({ title, content }) {
+    return apiRequest('/news/duplicates/check', 'POST', { title, content });
+}
+
+/**
+ * Replace own news (without votes) with an existing news item about the same story
+ * @param {string} newsId - ID of own news
+ * @param {string} targetId - ID of the existing news
+ * @returns {Promise<Object>} Merge summary
+ */
+export async function linkDuplicate(newsId, targetId) {
+    return apiRequest(`/news/${newsId}/duplicate-of`, 'POST', { targetId });
+}
+
+/**
+ * Merge a duplicate into news (admin)
+ * @param {string} newsId - ID of the news that is kept
+ * @param {string} duplicateId - ID of the duplicate
+ * @returns {Promise<Object>} Moved and dropped votes, moved comments and the new status
+ */
+export async function mergeNews(newsId, duplicateId) {
+    return apiRequest(`/news/${newsId}/merge`, 'POST', { duplicateId });
+}
+
+// 同一新闻的多个组件共用一个事件流连接
+const newsEventSources = new Map();
+
+/**
+ * Subscribe to live vote, status and comment updates of news (Server-Sent Events)
+ * The browser reconnects by itself and the server replays the missed events from Last-Event-ID.
+ * @param {string} newsId - News ID
+ * @param {Object} handlers - Handlers by event type (votes, status, comment.created, comment.deleted, comment.restored, resync)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeNewsEvents(newsId, handlers = {}) {
+    if (typeof EventSource === 'undefined') {
+        return () => {};
+    }
+    
+    let entry = newsEventSources.get(newsId);
+    if (!entry) {
+        entry = { source: new EventSource(`${API_BASE_URL}/news/${newsId}/events`), subscribers: 0 };
+        newsEventSources.set(newsId, entry);
+    }
+    entry.subscribers++;
+    
+    const listeners = Object.entries(handlers).map(([type, handler]) => {
+        const listener = (event) => {
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.error(`处理实时事件 ${type} 失败:`, error);
+            }
+        };
+        entry.source.addEventListener(type, listener);
+        return [type, listener];
+    });
+    
+    return () => {
+        listeners.forEach(([type, listener]) => entry.source.removeEventListener(type, listener));
+        
+        entry.subscribers--;
+        if (entry.subscribers === 0) {
+            entry.source.close();
+            newsEventSources.delete(newsId);
+        }
+    };
+}
+
 // ===== Voting-Related API =====
 
 /**
@@ -386,7 +726,35 @@ export async function recalculateNewsVotes(newsId) {
  * @returns {Promise<Object>} Vote result
  */
 export async function submitVote(voteData) {
-    return apiRequest('/votes', 'POST', voteData);
+    return apiRequest('/vote', 'POST', voteData);
+}
+
+/**
+ * Change the current user's vote
+ * @param {string} newsId - News ID
+ * @param {string} voteResult - New vote result ('Fake' or 'Not Fake')
+ * @returns {Promise<Object>} Updated vote and statistics
+ */
+export async function updateVote(newsId, voteResult) {
+    return apiRequest(`/vote/${newsId}`, 'PUT', { voteResult });
+}
+
+/**
+ * Retract the current user's vote
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} Updated statistics
+ */
+export async function retractVote(newsId) {
+    return apiRequest(`/vote/${newsId}`, 'DELETE');
+}
+
+/**
+ * Get the current user's vote change history for specific news
+ * @param {string} newsId - News ID
+ * @returns {Promise<Object>} Vote history
+ */
+export async function getVoteHistory(newsId) {
+    return apiRequest(`/vote/user/${newsId}/history`);
 }
 
 /**
@@ -395,16 +763,26 @@ export async function submitVote(voteData) {
  * @returns {Promise<Object|null>} Vote info or null
  */
 export async function getUserVoteForNews(newsId) {
-    return apiRequest(`/votes/user/${newsId}`);
+    return apiRequest(`/vote/user/${newsId}`);
 }
 
 /**
- * Get news vote statistics
+ * Get news vote statistics, including the server-side verdict
  * @param {string} newsId - News ID
+ * @param {string|null} policy - Verdict policy to preview (defaults to the server's policy)
  * @returns {Promise<Object>} Vote statistics data
  */
-export async function getNewsVoteStats(newsId) {
-    return apiRequest(`/votes/stats/${newsId}`, 'GET', null, { useCache: true });
+export async function getNewsVoteStats(newsId, policy = null) {
+    const queryString = policy ? `?${new URLSearchParams({ policy }).toString()}` : '';
+    return apiRequest(`/vote/news/${newsId}/stats${queryString}`, 'GET', null, { requiresAuth: false });
+}
+
+/**
+ * Get available verdict policies
+ * @returns {Promise<Object>} Policy list and default policy
+ */
+export async function getVerdictPolicies() {
+    return apiRequest('/vote/verdict-policies', 'GET', null, { requiresAuth: false });
 }
 
 /**
@@ -415,7 +793,7 @@ export async function getNewsVoteStats(newsId) {
  */
 export async function getNewsVotes(newsId, params = {}) {
     const queryString = new URLSearchParams(params).toString();
-    const endpoint = `/votes/news/${newsId}${queryString ? `?${queryString}` : ''}`;
+    const endpoint = `/vote/news/${newsId}${queryString ? `?${queryString}` : ''}`;
     return apiRequest(endpoint);
 }
 
@@ -425,7 +803,7 @@ export async function getNewsVotes(newsId, params = {}) {
  * @returns {Promise<Object>} Update result
  */
 export async function invalidateVote(voteId) {
-    return apiRequest(`/votes/${voteId}/invalidate`, 'PUT');
+    return apiRequest(`/vote/${voteId}/invalidate`, 'PUT');
 }
 
 /**
@@ -435,7 +813,7 @@ export async function invalidateVote(voteId) {
  */
 export async function getUserVotes(params = {}) {
     const queryString = new URLSearchParams(params).toString();
-    const endpoint = `/votes/history${queryString ? `?${queryString}` : ''}`;
+    const endpoint = `/vote/user-history${queryString ? `?${queryString}` : ''}`;
     return apiRequest(endpoint);
 }
 
@@ -453,11 +831,36 @@ export async function getNewsComments(newsId, params = {}) {
     return apiRequest(endpoint);
 }
 
+/**
+ * Get top-level comments of a news item with reply previews
+ * @param {string} newsId - News ID
+ * @param {Object} params - Query parameters (page, pageSize)
+ * @returns {Promise<Object>} Comment threads and pagination info
+ */
+export async function getCommentThreads(newsId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/comments/news/${newsId}/threads${queryString ? `?${queryString}` : ''}`;
+    return apiRequest(endpoint);
+}
+
+/**
+ * Get replies to a comment
+ * @param {string} commentId - Parent comment ID
+ * @param {Object} params - Query parameters (page, pageSize)
+ * @returns {Promise<Object>} Replies and pagination info
+ */
+export async function getCommentReplies(commentId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/comments/${commentId}/replies${queryString ? `?${queryString}` : ''}`;
+    return apiRequest(endpoint);
+}
+
 /**
  * Submit comment
  * @param {Object} commentData - Comment data
  * @param {string} commentData.newsId - News ID
  * @param {string} commentData.content - Comment content
+ * @param {string} [commentData.parentId] - Parent comment ID when replying (optional)
  * @param {string} [commentData.imageUrl] - Image URL (optional)
  * @returns {Promise<Object>} Created comment
  */
@@ -499,11 +902,42 @@ export async function getCommentById(commentId) {
  * @returns {Promise<Object>} Comments list
  */
 export async function getAllComments(params = {}) {
-    const queryString = new URLSearchParams(params).toString();
+    // 省略未设置的筛选条件
+    const definedParams = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const queryString = new URLSearchParams(definedParams).toString();
     const endpoint = `/comments${queryString ? `?${queryString}` : ''}`;
     return apiRequest(endpoint);
 }
 
+/**
+ * Restore a deleted comment (Admin)
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} Restored comment
+ */
+export async function restoreComment(commentId) {
+    return apiRequest(`/comments/${commentId}/restore`, 'PUT');
+}
+
+/**
+ * Batch delete comments (Admin)
+ * @param {Array<string>} commentIds - Comment IDs
+ * @returns {Promise<Object>} Processed and skipped comment IDs
+ */
+export async function batchDeleteComments(commentIds) {
+    return apiRequest('/comments/batch-delete', 'POST', { commentIds });
+}
+
+/**
+ * Batch restore deleted comments (Admin)
+ * @param {Array<string>} commentIds - Comment IDs
+ * @returns {Promise<Object>} Processed and skipped comment IDs
+ */
+export async function batchRestoreComments(commentIds) {
+    return apiRequest('/comments/batch-restore', 'POST', { commentIds });
+}
+
 /**
  * Get current user's comments list
  * @param {Object} params - Query parameters
@@ -515,6 +949,336 @@ export async function getUserComments(params = {}) {
     return apiRequest(endpoint);
 }
 
+// ===== Report-Related API =====
+
+/**
+ * Report news or a comment
+ * @param {Object} reportData - Report data ({ targetType, targetId, reason, note })
+ * @returns {Promise<Object>} Submitted report and whether the content is now hidden
+ */
+export async function submitReport(reportData) {
+    return apiRequest('/reports', 'POST', reportData);
+}
+
+// ===== Notification-Related API =====
+
+/**
+ * Get current user's notifications
+ * @param {Object} params - Query parameters ({ page, pageSize, unreadOnly })
+ * @returns {Promise<Object>} Notifications, pagination info and unread count
+ */
+export async function getNotifications(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/notifications${queryString ? `?${queryString}` : ''}`;
+    return apiRequest(endpoint);
+}
+
+/**
+ * Get current user's unread notification count
+ * @returns {Promise<Object>} Unread count
+ */
+export async function getUnreadNotificationCount() {
+    return apiRequest('/notifications/unread-count');
+}
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} Updated notification and unread count
+ */
+export async function markNotificationRead(notificationId) {
+    return apiRequest(`/notifications/${notificationId}/read`, 'PUT');
+}
+
+/**
+ * Mark all notifications as read
+ * @returns {Promise<Object>} Number of updated notifications
+ */
+export async function markAllNotificationsRead() {
+    return apiRequest('/notifications/read-all', 'PUT');
+}
+
+/**
+ * Get notification preferences
+ * @returns {Promise<Object>} Map of notification type to enabled
+ */
+export async function getNotificationPreferences() {
+    return apiRequest('/notifications/preferences');
+}
+
+/**
+ * Switch notification types on or off
+ * @param {Object} preferences - Map of notification type to enabled
+ * @returns {Promise<Object>} Updated preferences for every type
+ */
+export async function updateNotificationPreferences(preferences) {
+    return apiRequest('/notifications/preferences', 'PUT', preferences);
+}
+
+// ===== Analytics API (Admin) =====
+
+/**
+ * Build an analytics endpoint with its query string
+ * @param {string} path - Analytics path
+ * @param {Object} params - Query parameters ({ from, to, limit })
+ * @returns {string} Endpoint
+ */
+function analyticsEndpoint(path, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return `/analytics/${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Get submissions, votes and comments per day (Admin)
+ * @param {Object} params - Date range ({ from, to })
+ * @returns {Promise<Object>} Daily counts and totals
+ */
+export async function getActivityAnalytics(params = {}) {
+    return apiRequest(analyticsEndpoint('activity', params));
+}
+
+/**
+ * Get fake vs not fake votes and verdicts per day (Admin)
+ * @param {Object} params - Date range ({ from, to })
+ * @returns {Promise<Object>} Daily counts and ratios
+ */
+export async function getVerdictRatioAnalytics(params = {}) {
+    return apiRequest(analyticsEndpoint('verdict-ratios', params));
+}
+
+/**
+ * Get authors with the most submissions (Admin)
+ * @param {Object} params - Date range and limit ({ from, to, limit })
+ * @returns {Promise<Object>} Top authors
+ */
+export async function getTopAuthors(params = {}) {
+    return apiRequest(analyticsEndpoint('top-authors', params));
+}
+
+/**
+ * Get users with the most votes (Admin)
+ * @param {Object} params - Date range and limit ({ from, to, limit })
+ * @returns {Promise<Object>} Top voters
+ */
+export async function getTopVoters(params = {}) {
+    return apiRequest(analyticsEndpoint('top-voters', params));
+}
+
+/**
+ * Get average time from submission to verdict (Admin)
+ * @param {Object} params - Date range ({ from, to })
+ * @returns {Promise<Object>} Verdict times in hours, overall and per status
+ */
+export async function getTimeToVerdict(params = {}) {
+    return apiRequest(analyticsEndpoint('time-to-verdict', params));
+}
+
+/**
+ * Get size and age of the pending news backlog (Admin)
+ * @returns {Promise<Object>} Backlog count, age buckets and oldest news
+ */
+export async function getPendingBacklog() {
+    return apiRequest(analyticsEndpoint('pending-backlog'));
+}
+
+/**
+ * Get vote totals (Admin)
+ * @param {Object} params - Date range ({ from, to })
+ * @returns {Promise<Object>} Valid, invalid, fake and not fake vote counts
+ */
+export async function getVoteSummary(params = {}) {
+    return apiRequest(analyticsEndpoint('vote-summary', params));
+}
+
+// ===== Pre-screening Classifier API (Admin) =====
+
+/**
+ * Get the active pre-screening model, the previous ones and the latest training job
+ * @returns {Promise<Object>} Active model, model history with holdout accuracy and latest job
+ */
+export async function getClassifierModels() {
+    return apiRequest('/classifier');
+}
+
+/**
+ * Queue retraining of the pre-screening model from news with a final community verdict
+ * @returns {Promise<Object>} Queued training job
+ */
+export async function trainClassifier() {
+    return apiRequest('/classifier/train', 'POST');
+}
+
+/**
+ * Get the status of a training job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job with its status and, once completed, the trained model
+ */
+export async function getClassifierJob(jobId) {
+    return apiRequest(`/classifier/jobs/${jobId}`);
+}
+
+// ===== Tag-Related API =====
+
+/**
+ * Get all tags as a category tree
+ * @returns {Promise<Object>} Top-level tags with nested children
+ */
+export async function getTags() {
+    return apiRequest('/tags');
+}
+
+/**
+ * Suggest tags whose name or synonym starts with the typed text
+ * @param {string} q - Typed text
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Object>} Suggestions ({ _id, name, slug, path, matchedSynonym })
+ */
+export async function autocompleteTags(q, limit = null) {
+    const params = new URLSearchParams({ q });
+    if (limit) {
+        params.set('limit', limit);
+    }
+    return apiRequest(`/tags/autocomplete?${params.toString()}`);
+}
+
+/**
+ * Get news volume and fake ratio of every tag
+ * @returns {Promise<Object>} Tag statistics, largest topics first
+ */
+export async function getTagStats() {
+    return apiRequest('/tags/stats');
+}
+
+/**
+ * Get tag page data
+ * @param {string} tag - Tag slug or ID
+ * @returns {Promise<Object>} Tag with its path, subtopics and statistics
+ */
+export async function getTag(tag) {
+    return apiRequest(`/tags/${encodeURIComponent(tag)}`);
+}
+
+/**
+ * Create tag (Admin)
+ * @param {Object} tagData - { name, description, parentId, synonyms }
+ * @returns {Promise<Object>} Created tag
+ */
+export async function createTag(tagData) {
+    return apiRequest('/tags', 'POST', tagData);
+}
+
+/**
+ * Update tag (Admin)
+ * @param {string} tagId - Tag ID
+ * @param {Object} tagData - Fields to change
+ * @returns {Promise<Object>} Updated tag
+ */
+export async function updateTag(tagId, tagData) {
+    return apiRequest(`/tags/${tagId}`, 'PUT', tagData);
+}
+
+/**
+ * Delete tag (Admin)
+ * @param {string} tagId - Tag ID
+ * @returns {Promise<Object>} Number of news the tag was removed from
+ */
+export async function deleteTag(tagId) {
+    return apiRequest(`/tags/${tagId}`, 'DELETE');
+}
+
+// ===== Source Domain-Related API =====
+
+/**
+ * Get cited domains with their reputation
+ * @param {Object} params - Query parameters ({ search, level, sortBy, page, pageSize })
+ * @returns {Promise<Object>} Domains and pagination info
+ */
+export async function getDomains(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/domains${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Get a domain with its reputation and the latest news citing it
+ * @param {string} domain - Host or domain ID
+ * @returns {Promise<Object>} Domain page data
+ */
+export async function getDomain(domain) {
+    return apiRequest(`/domains/${encodeURIComponent(domain)}`);
+}
+
+/**
+ * Normalize source links and get the reputation of their domains
+ * @param {Array<string>} urls - Links as entered
+ * @returns {Promise<Object>} { input, url, host, reputation } or { input, error } per link
+ */
+export async function checkSourceUrls(urls) {
+    return apiRequest('/domains/check', 'POST', { urls });
+}
+
+/**
+ * Override the rating of a domain (Admin)
+ * @param {string} domainId - Domain ID
+ * @param {string} rating - 'high', 'medium' or 'low'
+ * @param {string} note - Reason shown with the rating
+ * @returns {Promise<Object>} Domain with its reputation
+ */
+export async function overrideDomainRating(domainId, rating, note = '') {
+    return apiRequest(`/domains/${domainId}/rating`, 'PUT', { rating, note });
+}
+
+/**
+ * Remove the rating override of a domain (Admin)
+ * @param {string} domainId - Domain ID
+ * @returns {Promise<Object>} Domain with its reputation
+ */
+export async function clearDomainRating(domainId) {
+    return apiRequest(`/domains/${domainId}/rating`, 'DELETE');
+}
+
+// ===== Upload-Related API =====
+
+/**
+ * Upload images
+ * @param {Array<File>} files - Image files
+ * @returns {Promise<Object>} Uploaded file info ({ filename, url, size, type } per file)
+ */
+export async function uploadImages(files) {
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    
+    // Let the browser set the multipart Content-Type with its boundary
+    const buildOptions = () => {
+        const headers = {};
+        const token = getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return {
+            method: 'POST',
+            headers,
+            body: formData,
+            credentials: 'include'
+        };
+    };
+    
+    const response = await fetchWithRefresh(`${API_BASE_URL}/uploads`, buildOptions, true, REQUEST_TIMEOUT * 3);
+    
+    return handleResponse(response);
+}
+
+/**
+ * Resolve a server-relative asset path (e.g. /uploads/...) to an absolute URL
+ * @param {string} path - Asset path returned by the API
+ * @returns {string} Absolute URL
+ */
+export function resolveAssetUrl(path) {
+    if (!path || /^(https?:|blob:|data:)/.test(path)) {
+        return path;
+    }
+    return `${API_BASE_URL.replace(/\/api\/?$/, '')}${path}`;
+}
+
 // Export API base configuration
 export const apiConfig = {
     baseURL: API_BASE_URL,
@@ -3,6 +3,11 @@
  * 统一处理用户认证和角色权限检查
  */
 
+import NotificationBell from '../components/notificationBell.js';
+
+// 页头的通知铃铛，登录后创建，退出登录后销毁
+let notificationBell = null;
+
 // 角色常量
 export const ROLES = {
     READER: 'Reader',
@@ -82,6 +87,7 @@ export function isAdmin() {
 export async function updateUIForAuth() {
     const loginLink = document.getElementById('login-link');
     const registerLink = document.getElementById('register-link');
+    const forgotPasswordLink = document.getElementById('forgot-password-link');
     const profileMenu = document.getElementById('profile-menu');
     const submitNewsLink = document.getElementById('submit-news-link');
     const userMenu = document.getElementById('user-menu');
@@ -93,6 +99,7 @@ export async function updateUIForAuth() {
     // 更新登录/注册链接
     if (loginLink) loginLink.style.display = loggedIn ? 'none' : 'inline';
     if (registerLink) registerLink.style.display = loggedIn ? 'none' : 'inline';
+    if (forgotPasswordLink) forgotPasswordLink.style.display = loggedIn ? 'none' : 'inline';
     if (profileMenu) profileMenu.style.display = loggedIn ? 'block' : 'none';
     
     // 更新提交新闻链接（仅成员及以上可访问）
@@ -118,6 +125,18 @@ export async function updateUIForAuth() {
             usernameElement.textContent = `${user.firstName} ${user.lastName}`;
         }
     }
+    
+    // 已登录时在用户菜单中显示通知铃铛
+    if (loggedIn && userMenu && !notificationBell) {
+        const bellContainer = document.createElement('span');
+        bellContainer.id = 'notification-bell';
+        userMenu.insertBefore(bellContainer, profileMenu);
+        notificationBell = new NotificationBell({ container: bellContainer });
+    } else if (!loggedIn && notificationBell) {
+        notificationBell.destroy();
+        document.getElementById('notification-bell')?.remove();
+        notificationBell = null;
+    }
 }
 
 /**
@@ -48,4 +48,45 @@ export function showMessage(message, type = 'info') {
             document.body.removeChild(messageDiv);
         }, 300);
     }, 3000);
-}
\ No newline at end of file
+}
+// 作者可信度徽章的文字
+const CREDIBILITY_LABELS = {
+    high: 'Credible',
+    medium: 'Mixed record',
+    low: 'Often fake',
+    unrated: 'Unrated'
+};
+
+/**
+ * 生成作者可信度徽章的HTML
+ * @param {Object|null} credibility - 接口返回的 authorCredibility
+ * @returns {string} 徽章HTML，没有可信度时返回空字符串
+ */
+export function credibilityBadge(credibility) {
+    if (!credibility) {
+        return '';
+    }
+    
+    const { level, score, fakeCount, notFakeCount } = credibility;
+    const title = `Credibility ${Math.round(score * 100)}% (${notFakeCount} real / ${fakeCount} fake)`;
+    
+    return `<span class="credibility-badge credibility-${level}" title="${title}">${CREDIBILITY_LABELS[level] || level}</span>`;
+}
+
+/**
+ * 生成新闻话题标签的HTML，每个标签链接到对应的话题页
+ * @param {Array} tags - 接口返回的 tags（{ name, slug }）
+ * @returns {string} 标签HTML，没有标签时返回空字符串
+ */
+export function tagChips(tags) {
+    if (!tags || tags.length === 0) {
+        return '';
+    }
+    
+    const escape = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const chips = tags.map(tag =>
+        `<a href="tag.html?slug=${encodeURIComponent(tag.slug)}" class="tag-chip">${escape(tag.name)}</a>`
+    ).join('');
+    
+    return `<div class="news-tags">${chips}</div>`;
+}
@@ -14,6 +14,7 @@ if (typeof window.getUserInfo !== 'undefined') {
 // 存储键名常量
 const STORAGE_KEYS = {
     AUTH_TOKEN: 'auth_token',
+    REFRESH_TOKEN: 'refresh_token',
     USER_INFO: 'user_info',
     THEME_PREFERENCE: 'theme_preference',
     PAGE_SIZE: 'page_size',
@@ -141,6 +142,29 @@ export function removeToken() {
     return removeLocalStorageItem(STORAGE_KEYS.AUTH_TOKEN);
 }
 
+/**
+ * 设置刷新令牌
+ * @param {string} refreshToken - 刷新令牌
+ */
+export function setRefreshToken(refreshToken) {
+    return setLocalStorageItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+}
+
+/**
+ * 获取刷新令牌
+ * @returns {string|null} 刷新令牌或null
+ */
+export function getRefreshToken() {
+    return getLocalStorageItem(STORAGE_KEYS.REFRESH_TOKEN);
+}
+
+/**
+ * 移除刷新令牌
+ */
+export function removeRefreshToken() {
+    return removeLocalStorageItem(STORAGE_KEYS.REFRESH_TOKEN);
+}
+
 /**
  * 设置用户信息
  * @param {Object} userInfo - 用户信息对象
@@ -169,6 +193,7 @@ export function removeUserInfo() {
  */
 export function clearAuthData() {
     removeToken();
+    removeRefreshToken();
     removeUserInfo();
 }
 